@@ -7,17 +7,8 @@ if (!fs.existsSync(binDir)) {
   fs.mkdirSync(binDir, { recursive: true });
 }
 
-// Copy plugin.js to bin directory
-fs.copyFileSync(
-  path.join(__dirname, 'src', 'plugin.js'),
-  path.join(binDir, 'plugin.js')
-);
-
-// Copy renderer.js to bin directory
-fs.copyFileSync(
-  path.join(__dirname, 'src', 'renderer.js'),
-  path.join(binDir, 'renderer.js')
-);
+// Copy all plugin sources (plugin.js, renderer.js and their modules) to bin directory
+fs.cpSync(path.join(__dirname, 'src'), binDir, { recursive: true });
 
 // Copy layouts directory if it exists
 const layoutsDir = path.join(__dirname, 'layouts');
@@ -0,0 +1,133 @@
+// Shared by the property inspectors: builds the Plugin page with the global
+// settings, switches between it and the action's page, and shows the
+// settings the plugin reported as invalid next to their fields.
+
+(function () {
+  // Global settings, the same on every action's Plugin page
+  const PLUGIN_PAGE = `
+    <sdpi-heading>Players</sdpi-heading>
+    <sdpi-item label="Player">
+        <sdpi-select setting="sessionPolicy" global default="recent">
+            <option value="recent">Most recently started</option>
+            <option value="preferred">Preferred player first</option>
+        </sdpi-select>
+    </sdpi-item>
+    <sdpi-item label="Preferred Player">
+        <sdpi-textfield setting="preferredPlayer" global placeholder="e.g. Spotify"></sdpi-textfield>
+    </sdpi-item>
+    <sdpi-item label="Ignored Players">
+        <sdpi-textfield setting="blockedPlayers" global placeholder="e.g. Chrome, Firefox"></sdpi-textfield>
+    </sdpi-item>
+    <sdpi-item label="Paused Tracks">
+        <sdpi-select setting="idleTimeout" global default="300000">
+            <option value="60000">Show for 1 minute</option>
+            <option value="300000">Show for 5 minutes</option>
+            <option value="900000">Show for 15 minutes</option>
+            <option value="3600000">Show for 1 hour</option>
+            <option value="0">Keep showing</option>
+        </sdpi-select>
+    </sdpi-item>
+    <sdpi-heading>History &amp; Scrobbling</sdpi-heading>
+    <sdpi-item label="Listening History">
+        <sdpi-select setting="historyRetention" global default="30">
+            <option value="1">Keep 1 day</option>
+            <option value="7">Keep 1 week</option>
+            <option value="30">Keep 30 days</option>
+            <option value="365">Keep 1 year</option>
+            <option value="0">Keep everything</option>
+        </sdpi-select>
+    </sdpi-item>
+    <sdpi-item label="Scrobble Server">
+        <sdpi-textfield setting="scrobbleUrl" global placeholder="https://api.listenbrainz.org"></sdpi-textfield>
+    </sdpi-item>
+    <sdpi-item label="Scrobble Token">
+        <sdpi-password setting="scrobbleToken" global placeholder="Leave empty to turn scrobbling off"></sdpi-password>
+    </sdpi-item>
+    <sdpi-heading>Local API</sdpi-heading>
+    <sdpi-item label="Local API">
+        <sdpi-select setting="apiEnabled" global default="off">
+            <option value="off">Off</option>
+            <option value="on">Serve now playing on localhost</option>
+        </sdpi-select>
+    </sdpi-item>
+    <sdpi-item label="API Port">
+        <sdpi-textfield setting="apiPort" global placeholder="8974"></sdpi-textfield>
+    </sdpi-item>
+    <sdpi-item label="API Token">
+        <sdpi-password setting="apiToken" global placeholder="Optional"></sdpi-password>
+    </sdpi-item>
+    <sdpi-heading>Files for OBS</sdpi-heading>
+    <sdpi-item label="Output Folder">
+        <sdpi-textfield setting="outputFolder" global placeholder="Folder for OBS text and image files"></sdpi-textfield>
+    </sdpi-item>
+    <sdpi-item label="Text Files">
+        <sdpi-textarea setting="outputTemplates" global rows="3" placeholder="nowplaying={artist} - {trackName}"></sdpi-textarea>
+    </sdpi-item>
+    <sdpi-item label="Idle Text">
+        <sdpi-textfield setting="outputIdleText" global placeholder="Empty when nothing plays"></sdpi-textfield>
+    </sdpi-item>
+    <sdpi-heading>Lyrics</sdpi-heading>
+    <sdpi-item label="Lyrics Folder">
+        <sdpi-textfield setting="lyricsFolder" global placeholder="Folder with .lrc files"></sdpi-textfield>
+    </sdpi-item>
+    <sdpi-heading>Rules</sdpi-heading>
+    <!-- JSON list of rules, see README: Rules -->
+    <sdpi-item label="Rules">
+        <sdpi-textarea setting="rules" global rows="6" placeholder='[{ "when": { "player": "spotify", "state": "playing" }, "then": { "setState": "music" } }]'></sdpi-textarea>
+    </sdpi-item>
+    <sdpi-heading>Troubleshooting</sdpi-heading>
+    <sdpi-item label="Log Level">
+        <sdpi-select setting="logLevel" global default="info">
+            <option value="error">Errors only</option>
+            <option value="warn">Warnings</option>
+            <option value="info">Info</option>
+            <option value="debug">Debug (verbose)</option>
+        </sdpi-select>
+    </sdpi-item>
+  `;
+
+  for (const page of document.querySelectorAll('section[data-page="plugin"]')) {
+    page.innerHTML = PLUGIN_PAGE;
+  }
+
+  const tabs = document.querySelectorAll('.pages button');
+  const pages = document.querySelectorAll('section[data-page]');
+
+  function showPage(name) {
+    for (const tab of tabs) tab.classList.toggle('selected', tab.dataset.page === name);
+    for (const page of pages) page.hidden = page.dataset.page !== name;
+  }
+
+  for (const tab of tabs) {
+    tab.addEventListener('click', () => showPage(tab.dataset.page));
+  }
+
+  // errors: [{ setting, value, message }]
+  function showErrors(errors) {
+    for (const old of document.querySelectorAll('.setting-error')) old.remove();
+    for (const tab of tabs) delete tab.dataset.errors;
+
+    for (const error of errors) {
+      const field = document.querySelector(`[setting="${error.setting}"]`);
+      const item = field && field.closest('sdpi-item');
+      if (!item) continue;
+
+      const note = document.createElement('div');
+      note.className = 'setting-error';
+      // Long values like the rules are left out
+      const value = String(error.value);
+      const shown = value.length <= 30 && !value.includes('\n') ? `${JSON.stringify(error.value)}: ` : '';
+      note.textContent = `${shown}${error.message}. Using the default until fixed.`;
+      item.after(note);
+
+      // Count errors on the tab of the page they're on
+      const page = item.closest('section[data-page]');
+      const tab = page && document.querySelector(`.pages button[data-page="${page.dataset.page}"]`);
+      if (tab) tab.dataset.errors = Number(tab.dataset.errors || 0) + 1;
+    }
+  }
+
+  SDPIComponents.streamDeckClient.sendToPropertyInspector.subscribe(ev => {
+    if (ev.payload && ev.payload.event === 'settingsErrors') showErrors(ev.payload.errors);
+  });
+})();
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Replay a mock session script through the action update path without a
+ * Stream Deck, writing every image pushed to an action into a folder.
+ *
+ * Usage: node scripts/replay.js <script.json> [outDir] [span]
+ *
+ * `span` is the number of dials the LCD display spans (1-4, default 2);
+ * one LCD action is replayed per dial.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NowPlayingController = require('../src/controller');
+const { MockMediaSource } = require('../src/sources');
+const { normalizeSpan } = require('../src/layouts');
+
+const [scriptFile, outDir = path.join(process.cwd(), 'replay-output'), spanArg = '2'] = process.argv.slice(2);
+const span = normalizeSpan(spanArg);
+
+if (!scriptFile) {
+  console.error('Usage: node scripts/replay.js <script.json> [outDir] [span]');
+  process.exit(1);
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+
+let frame = 0;
+
+// Stand-in for a Stream Deck action that records what it is sent
+function createFakeAction(id, position, span) {
+  const writeImage = (image) => {
+    const file = path.join(outDir, `${String(frame).padStart(3, '0')}-${id}.png`);
+    if (image && image.startsWith('data:')) {
+      fs.writeFileSync(file, Buffer.from(image.split(',')[1], 'base64'));
+      console.log(`[${id}] image -> ${path.basename(file)}`);
+    } else {
+      console.log(`[${id}] image -> ${image}`);
+    }
+  };
+
+  return {
+    id,
+    _position: position,
+    _span: span,
+    setTitle: async (title) => console.log(`[${id}] title -> ${JSON.stringify(title)}`),
+    setImage: async (image) => writeImage(image),
+    setFeedback: async (payload) => writeImage(payload.image)
+  };
+}
+
+const controller = new NowPlayingController();
+controller.keypadContexts.add(createFakeAction('keypad'));
+for (let slot = 1; slot <= span; slot++) {
+  controller.lcdContexts.add(createFakeAction(`lcd-${slot}`, slot, span));
+}
+
+// Apply events one at a time so frames are not interleaved
+let pending = Promise.resolve();
+
+const source = MockMediaSource.fromFile((event) => {
+  pending = pending.then(() => {
+    frame++;
+    console.log(`--- event ${frame}: ${event.trackName} (${event.isPlaying ? 'playing' : 'paused'}, ${event.position}s)`);
+    return controller.handleEvent(event);
+  });
+}, scriptFile, {
+  onEnd: () => {
+    pending
+      .then(() => source.unsubscribe())
+      .then(() => console.log(`Replay finished, ${frame} events written to ${outDir}`));
+  }
+});
+
+source.subscribe();
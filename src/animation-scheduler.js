@@ -0,0 +1,91 @@
+/**
+ * Shared frame timer for animated actions (scrolling LCD text, cycling
+ * keypad titles).
+ *
+ * Every animated action registers one frame callback. A single timer drives
+ * all of them and only runs while something is registered, so it stops as
+ * soon as the last animated action disappears.
+ */
+class AnimationScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.frameInterval - Milliseconds between frames (default 100)
+   * @param {Function} options.onError - Called when a frame callback rejects
+   */
+  constructor(options = {}) {
+    this.frameInterval = options.frameInterval || 100;
+    this.onError = options.onError || (() => {});
+    this.callbacks = new Map();
+    this.busy = new Set();
+    this.timer = null;
+  }
+
+  get size() {
+    return this.callbacks.size;
+  }
+
+  has(key) {
+    return this.callbacks.has(key);
+  }
+
+  keys() {
+    return [...this.callbacks.keys()];
+  }
+
+  /**
+   * Call `callback` on every frame until removed
+   * @param {*} key - Usually the action being animated
+   * @param {Function} callback - May return a promise; frames are skipped while it is pending
+   */
+  add(key, callback) {
+    this.callbacks.set(key, callback);
+    this.start();
+  }
+
+  remove(key) {
+    this.callbacks.delete(key);
+    this.busy.delete(key);
+    if (this.callbacks.size === 0) {
+      this.stop();
+    }
+  }
+
+  clear() {
+    this.callbacks.clear();
+    this.busy.clear();
+    this.stop();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.frameInterval);
+    // Never keep the process alive just for animations
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  tick() {
+    for (const [key, callback] of this.callbacks) {
+      // A slow frame (e.g. a large render) drops frames instead of piling them up
+      if (this.busy.has(key)) continue;
+
+      this.busy.add(key);
+      Promise.resolve()
+        .then(() => callback())
+        .catch(err => this.onError(err))
+        .finally(() => this.busy.delete(key));
+    }
+  }
+}
+
+module.exports = AnimationScheduler;
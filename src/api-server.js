@@ -0,0 +1,387 @@
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { silentLogger } = require('./logger');
+const { resolveTheme } = require('./themes');
+const { normalizeSpan } = require('./layouts');
+const { PLAYBACK_STATES, showsTrack } = require('./playback-state');
+
+/**
+ * Opt-in local HTTP and WebSocket API for overlays and scripts.
+ *
+ * Serves what the deck shows, from the controller's current track and the
+ * plugin's renderer, so it needs no media subscription of its own:
+ *
+ *   GET  /api/now-playing          Track, playback state and position as JSON
+ *   GET  /api/lcd.png?span=&theme= The LCD image for a 1-4 dial span (default 4)
+ *   GET  /api/artwork              The current artwork as the player sent it
+ *   POST /api/commands/<command>   playPause, next, previous, or seek with a
+ *                                  JSON body { seconds } (relative) or { position }
+ *   WS   /api/ws                   Sends { type: 'nowPlaying', data } on every
+ *                                  change; takes { type: 'command', command, ... }
+ *
+ * The server only listens on localhost. With a token set, every request
+ * needs it as `Authorization: Bearer <token>` or `?token=<token>` (browser
+ * overlays can't set headers on WebSockets). So that web pages open in a
+ * browser can't drive the player, requests must name localhost as their
+ * host, commands must be sent as JSON, and requests from browsers must come
+ * from pages on localhost. Local files and sandboxed frames (a 'null'
+ * origin, which any website can create) also need the token.
+ */
+
+const DEFAULT_PORT = 8974;
+const HOST = '127.0.0.1';
+const COMMANDS = ['playPause', 'next', 'previous', 'seek'];
+const MAX_BODY = 16 * 1024;
+
+class ApiServer {
+  /**
+   * @param {Object} options
+   * @param {NowPlayingController} options.controller - Source of the current track
+   * @param {NowPlayingRenderer} options.renderer - Renders the LCD image
+   * @param {Function} options.getSource - Returns the media source for commands, or null
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   */
+  constructor(options = {}) {
+    this.controller = options.controller;
+    this.renderer = options.renderer;
+    this.getSource = options.getSource || (() => null);
+    this.logger = options.logger || silentLogger;
+    this.server = null;
+    this.sockets = null;
+    this.port = null;
+    this.token = '';
+    this.lastState = null; // Last state published, without its time
+  }
+
+  /**
+   * Start listening, or restart when the port changed. A new token closes
+   * the WebSockets opened with the old one; clients connect again with it.
+   * @param {Object} options
+   * @param {number} options.port - Port on localhost (default 8974, 0 for any free port)
+   * @param {string} options.token - Token every request must carry, or empty for none
+   * @returns {Promise<number>} The port listened on
+   */
+  async start({ port = DEFAULT_PORT, token = '' } = {}) {
+    const tokenChanged = token !== this.token;
+    this.token = token;
+    if (this.server && port === this.port) {
+      if (tokenChanged && this.sockets.clients.size > 0) {
+        this.logger.info('API token changed, closing', this.sockets.clients.size, 'WebSockets');
+        for (const socket of this.sockets.clients) socket.terminate();
+      }
+      return this.getPort();
+    }
+    await this.stop();
+
+    const server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch(error => {
+        this.logger.warn('Error answering API request:', error);
+        if (!response.headersSent) sendJson(response, 500, { error: 'Internal error' });
+      });
+    });
+    const sockets = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+    sockets.on('connection', socket => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, HOST, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    server.on('error', error => this.logger.error('API server error:', error));
+
+    this.server = server;
+    this.sockets = sockets;
+    this.port = port;
+    this.logger.info('API listening on', `http://${HOST}:${this.getPort()}`);
+    return this.getPort();
+  }
+
+  /**
+   * Close the server and every WebSocket
+   */
+  async stop() {
+    if (!this.server) return;
+    const { server, sockets } = this;
+    this.server = null;
+    this.sockets = null;
+    this.port = null;
+    this.lastState = null;
+
+    for (const socket of sockets.clients) socket.terminate();
+    sockets.close();
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+    this.logger.info('API stopped');
+  }
+
+  getPort() {
+    return this.server ? this.server.address().port : null;
+  }
+
+  /**
+   * Send the current state to every WebSocket, unless it is unchanged
+   */
+  publish() {
+    if (!this.sockets || this.sockets.clients.size === 0) return;
+    const data = this.getNowPlaying();
+    const state = JSON.stringify([data.state, data.track]);
+    if (state === this.lastState) return;
+    this.lastState = state;
+    const message = JSON.stringify({ type: 'nowPlaying', data });
+    for (const socket of this.sockets.clients) {
+      if (socket.readyState === socket.OPEN) socket.send(message);
+    }
+  }
+
+  /**
+   * Track and playback state, without the artwork data. `position` is as
+   * of `updatedAt`; while playing, clients add the time since then.
+   */
+  getNowPlaying() {
+    const state = this.controller.getPlaybackState();
+    const trackInfo = showsTrack(state) ? this.controller.getTrackInfo() : null;
+    if (!trackInfo) return { state, track: null, updatedAt: Date.now() };
+
+    const { thumbnail, ...track } = trackInfo;
+    return {
+      state,
+      track: {
+        ...track,
+        artist: Array.isArray(track.artist) ? track.artist : [track.artist].filter(Boolean),
+        artworkUrl: thumbnail ? '/api/artwork' : null
+      },
+      updatedAt: Date.now()
+    };
+  }
+
+  isAuthorized(request, url) {
+    if (!this.token) return true;
+    const header = request.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(given);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Whether a request's Origin may use the API. Pages on localhost and
+   * clients outside a browser (no Origin) may; local files and sandboxed
+   * frames share the 'null' origin with any website, so only with a token.
+   */
+  isAllowedOrigin(origin) {
+    if (!origin) return true;
+    if (origin === 'null' || origin.startsWith('file://')) return !!this.token;
+    return isLocalOrigin(origin);
+  }
+
+  async handleRequest(request, response) {
+    const url = new URL(request.url, `http://${HOST}`);
+    if (!isLocalHost(request.headers.host) || !this.isAllowedOrigin(request.headers.origin)) {
+      sendJson(response, 403, { error: 'Only localhost may use the API' });
+      return;
+    }
+    if (!this.isAuthorized(request, url)) {
+      sendJson(response, 401, { error: 'Missing or wrong token' });
+      return;
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/now-playing') {
+      sendJson(response, 200, this.getNowPlaying());
+    } else if (request.method === 'GET' && url.pathname === '/api/lcd.png') {
+      sendImage(response, 'image/png', await this.renderLCD(url.searchParams));
+    } else if (request.method === 'GET' && url.pathname === '/api/artwork') {
+      const artwork = this.getArtwork();
+      if (artwork) sendImage(response, artwork.type, artwork.data);
+      else sendJson(response, 404, { error: 'No artwork' });
+    } else if (url.pathname.startsWith('/api/commands/')) {
+      if (request.method !== 'POST') {
+        sendJson(response, 405, { error: 'Use POST' });
+        return;
+      }
+      // Forms and other simple requests from web pages aren't JSON
+      if (!String(request.headers['content-type']).startsWith('application/json')) {
+        sendJson(response, 415, { error: 'Send commands as application/json' });
+        return;
+      }
+      let body;
+      try {
+        body = await readJson(request);
+      } catch (error) {
+        if (!(error instanceof BodyTooLargeError)) throw error;
+        sendJson(response, 413, { error: error.message });
+        return;
+      }
+      const command = decodeURIComponent(url.pathname.slice('/api/commands/'.length));
+      const result = await this.runCommand({ ...body, command });
+      sendJson(response, result.status, result.body);
+    } else {
+      sendJson(response, 404, { error: 'Not found' });
+    }
+  }
+
+  /**
+   * The LCD image for a whole span, or the idle image without a track
+   */
+  async renderLCD(params) {
+    const options = {
+      span: normalizeSpan(Number(params.get('span')) || 4),
+      theme: params.has('theme') ? resolveTheme(params.get('theme')) : undefined
+    };
+    const state = this.controller.getPlaybackState();
+    const trackInfo = this.controller.getTrackInfo();
+    if (!trackInfo || !showsTrack(state)) {
+      return this.renderer.renderBlankCanvas(options);
+    }
+    return this.renderer.renderCanvas(trackInfo, { ...options, paused: state === PLAYBACK_STATES.PAUSED });
+  }
+
+  /**
+   * Current artwork bytes and type, or null
+   */
+  getArtwork() {
+    const thumbnail = this.controller.currentTrackInfo?.thumbnail;
+    if (!thumbnail) return null;
+    const match = /^data:([^;,]+)[^,]*,/.exec(thumbnail);
+    return {
+      type: match ? match[1] : 'image/png',
+      data: this.renderer.extractBase64FromDataUrl(thumbnail)
+    };
+  }
+
+  /**
+   * Run a transport command on the media source
+   * @param {Object} request - { command, seconds, position }
+   * @returns {Promise<Object>} { status, body } to answer with
+   */
+  async runCommand(request) {
+    const { command } = request;
+    if (!COMMANDS.includes(command)) {
+      return { status: 400, body: { error: `Unknown command: ${command}` } };
+    }
+    const source = this.getSource();
+    if (!source) {
+      return { status: 503, body: { error: 'No media source' } };
+    }
+
+    try {
+      if (command === 'seek') {
+        const seconds = this.getSeekSeconds(request);
+        if (seconds === null) {
+          return { status: 400, body: { error: 'seek needs a number of seconds or a position' } };
+        }
+        await source.seek(seconds);
+      } else {
+        await source[command]();
+      }
+    } catch (error) {
+      this.logger.warn(`Error running API command ${command}:`, error);
+      return { status: 502, body: { error: error.message } };
+    }
+    this.logger.debug('API ran', command);
+    return { status: 200, body: { ok: true } };
+  }
+
+  /**
+   * Relative seek from a request: `seconds` as given, or the distance to
+   * `position` from where the track is now
+   */
+  getSeekSeconds({ seconds, position }) {
+    if (Number.isFinite(seconds)) return seconds;
+    const trackInfo = this.controller.getTrackInfo();
+    if (Number.isFinite(position) && trackInfo) return position - (trackInfo.position || 0);
+    return null;
+  }
+
+  handleUpgrade(request, socket, head) {
+    const url = new URL(request.url, `http://${HOST}`);
+    let status = null;
+    if (url.pathname !== '/api/ws') status = '404 Not Found';
+    else if (!isLocalHost(request.headers.host) || !this.isAllowedOrigin(request.headers.origin)) status = '403 Forbidden';
+    else if (!this.isAuthorized(request, url)) status = '401 Unauthorized';
+    if (status) {
+      socket.end(`HTTP/1.1 ${status}\r\n\r\n`);
+      return;
+    }
+    this.sockets.handleUpgrade(request, socket, head, ws => this.sockets.emit('connection', ws, request));
+  }
+
+  handleConnection(socket) {
+    this.logger.debug('API WebSocket connected');
+    socket.send(JSON.stringify({ type: 'nowPlaying', data: this.getNowPlaying() }));
+
+    socket.on('message', async data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        socket.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
+        return;
+      }
+      if (message?.type !== 'command') {
+        socket.send(JSON.stringify({ type: 'error', error: 'Unknown message type' }));
+        return;
+      }
+      const result = await this.runCommand(message);
+      socket.send(JSON.stringify({ type: 'result', command: message.command, ...result.body }));
+    });
+    socket.on('error', error => this.logger.debug('API WebSocket error:', error.message));
+  }
+}
+
+/**
+ * Whether a Host header names this machine, so pages on other sites can't
+ * reach the API by pointing their own host name at 127.0.0.1
+ */
+function isLocalHost(host) {
+  return /^(localhost|127\.0\.0\.1)(:\d+)?$/i.test(host || '');
+}
+
+/**
+ * Whether an origin is a page served from this machine
+ */
+function isLocalOrigin(origin) {
+  return /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/i.test(origin);
+}
+
+// A request body over MAX_BODY, answered with 413
+class BodyTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  response.end(JSON.stringify(body));
+}
+
+function sendImage(response, type, data) {
+  response.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  response.end(data);
+}
+
+/**
+ * Read a small JSON request body; an empty body is an empty object
+ */
+async function readJson(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > MAX_BODY) throw new BodyTooLargeError(`Request body over ${MAX_BODY} bytes`);
+  }
+  if (!body.trim()) return {};
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+module.exports = ApiServer;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
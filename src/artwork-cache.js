@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { silentLogger } = require('./logger');
+const LruCache = require('./lru-cache');
+const { writeAtomic } = require('./file-output');
+
+/**
+ * Artwork kept on disk, so tracks shown before get their cover back at
+ * once, even when the player doesn't send it again.
+ *
+ * Images are stored once under the hash of their bytes; `index.json` maps
+ * each artwork key (see ArtworkResolver) to its file and when it was last
+ * used. Once the files take more than `maxBytes`, the least recently used
+ * keys are dropped along with files no key refers to any more.
+ *
+ * Using artwork only changes when it was last used, so that is saved a
+ * little later, together with whatever else was used in the meantime.
+ */
+
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+const MEMORY_CACHE_SIZE = 16;      // Data URLs kept in memory
+const DEFAULT_SAVE_DELAY = 30 * 1000;  // Before saving when artwork was last used
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp'
+};
+
+class ArtworkCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Cache directory
+   * @param {number} options.maxBytes - Size the stored images may take (default 50 MB)
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   * @param {number} options.saveDelay - Milliseconds before saving when artwork was last used (default 30 s)
+   * @param {Function} options.now - Time source for last use
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.maxBytes = options.maxBytes ?? DEFAULT_MAX_BYTES;
+    this.logger = options.logger || silentLogger;
+    this.saveDelay = options.saveDelay ?? DEFAULT_SAVE_DELAY;
+    this.now = options.now || Date.now;
+    this.entries = new Map();    // Key -> { file, size, usedAt }
+    this.dataUrls = new LruCache(MEMORY_CACHE_SIZE);
+    this.writing = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read the index saved by an earlier run
+   */
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.getIndexFile(), 'utf8'));
+      for (const [key, entry] of Object.entries(saved)) {
+        if (!this.entries.has(key)) this.entries.set(key, entry);
+      }
+      this.logger.debug('Loaded', this.entries.size, 'cached artworks');
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.warn('Error reading artwork cache:', error);
+    }
+  }
+
+  getIndexFile() {
+    return path.join(this.dir, 'index.json');
+  }
+
+  /**
+   * Cached artwork for a key
+   * @returns {Promise<string|null>} Data URL, or null when nothing is cached
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    entry.usedAt = this.now();
+    this.saveLater();
+    const cached = this.dataUrls.get(entry.file);
+    if (cached) return cached;
+
+    try {
+      const data = await fs.promises.readFile(path.join(this.dir, entry.file));
+      const dataUrl = `data:${getFileType(entry.file)};base64,${data.toString('base64')}`;
+      this.dataUrls.set(entry.file, dataUrl);
+      return dataUrl;
+    } catch (error) {
+      // Deleted behind our back; forget it
+      this.logger.debug('Cached artwork is gone:', entry.file);
+      this.entries.delete(key);
+      this.save();
+      return null;
+    }
+  }
+
+  /**
+   * Store the artwork for a key
+   * @param {string} key - Artwork key
+   * @param {string} thumbnail - Artwork as a data URL or raw base64
+   * @returns {Promise} Settles when it is on disk
+   */
+  put(key, thumbnail) {
+    const match = /^data:([^;,]+)[^,]*,/.exec(thumbnail);
+    const data = Buffer.from(match ? thumbnail.slice(match[0].length) : thumbnail, 'base64');
+    const type = match ? match[1] : sniffType(data);
+    if (data.length === 0 || data.length > this.maxBytes) return Promise.resolve();
+
+    const file = `${crypto.createHash('sha1').update(data).digest('hex')}.${IMAGE_TYPES[type] || 'img'}`;
+    const previous = this.entries.get(key);
+    this.entries.set(key, { file, size: data.length, usedAt: this.now() });
+    this.dataUrls.set(file, match ? thumbnail : `data:${type};base64,${data.toString('base64')}`);
+    if (previous?.file === file) {
+      this.saveLater();
+      return this.writing;
+    }
+
+    return this.enqueue(async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      const target = path.join(this.dir, file);
+      // Same bytes under another key are stored once
+      if (!await exists(target)) await writeAtomic(target, data);
+      await this.evict();
+      await this.writeIndex();
+    });
+  }
+
+  /**
+   * Bytes the stored images take, counting each file once
+   */
+  getSize() {
+    const sizes = new Map();
+    for (const entry of this.entries.values()) sizes.set(entry.file, entry.size);
+    let total = 0;
+    for (const size of sizes.values()) total += size;
+    return total;
+  }
+
+  /**
+   * Drop the least recently used keys until the images fit, then delete
+   * files nothing refers to
+   */
+  async evict() {
+    const byAge = [...this.entries.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+    while (this.getSize() > this.maxBytes && byAge.length > 0) {
+      this.entries.delete(byAge.shift()[0]);
+    }
+
+    const used = new Set([...this.entries.values()].map(entry => entry.file));
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch {
+      return;
+    }
+    for (const file of files) {
+      if (file !== 'index.json' && !file.endsWith('.tmp') && !used.has(file)) {
+        await fs.promises.rm(path.join(this.dir, file), { force: true });
+        this.dataUrls.delete(file);
+      }
+    }
+  }
+
+  /**
+   * Save the index after the writes before it
+   */
+  save() {
+    return this.enqueue(() => this.writeIndex());
+  }
+
+  /**
+   * Save the index once the save delay has passed, unless it is saved
+   * before then anyway
+   */
+  saveLater() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+    // Never keep the process alive just to save when artwork was used
+    this.saveTimer.unref?.();
+  }
+
+  async writeIndex() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await writeAtomic(this.getIndexFile(), JSON.stringify(Object.fromEntries(this.entries)));
+  }
+
+  /**
+   * Run file writes one after another, in the order they were made
+   */
+  enqueue(write) {
+    this.writing = this.writing
+      .then(write)
+      .catch(error => this.logger.warn('Error writing artwork cache:', error));
+    return this.writing;
+  }
+}
+
+async function exists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getFileType(file) {
+  const extension = path.extname(file).slice(1);
+  return Object.keys(IMAGE_TYPES).find(type => IMAGE_TYPES[type] === extension) || 'application/octet-stream';
+}
+
+/**
+ * MIME type of image bytes from their signature, for raw base64 thumbnails
+ */
+function sniffType(data) {
+  if (data[0] === 0x89 && data.toString('latin1', 1, 4) === 'PNG') return 'image/png';
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  if (data.toString('latin1', 0, 3) === 'GIF') return 'image/gif';
+  if (data.toString('latin1', 0, 2) === 'BM') return 'image/bmp';
+  return 'application/octet-stream';
+}
+
+module.exports = ArtworkCache;
+module.exports.sniffType = sniffType;
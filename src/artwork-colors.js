@@ -0,0 +1,211 @@
+const sharp = require('sharp');
+
+/**
+ * Colors derived from album art for the "dynamic colors" LCD option.
+ *
+ * The artwork is shrunk to a small sample and its pixels are grouped into
+ * coarse color buckets. The most common bucket is the dominant color, which
+ * becomes a dark background gradient; the most saturated common bucket is
+ * the vibrant color, used for the progress bar and the artist line. Every
+ * text color is checked against the background (WCAG contrast ratio) and
+ * lightened or darkened until it is readable.
+ */
+
+const SAMPLE_SIZE = 32;
+const TEXT_CONTRAST = 4.5;      // WCAG AA for normal text
+const ACCENT_CONTRAST = 3;      // WCAG AA for graphics such as the progress bar
+
+/**
+ * Dominant and vibrant colors of an image
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Promise<Object>} { dominant, vibrant } as #rrggbb
+ */
+async function extractPalette(buffer) {
+  const { data, info } = await sharp(buffer)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'cover' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // 4 bits per channel is coarse enough to merge JPEG noise and gradients
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += info.channels) {
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { r: 0, g: 0, b: 0, count: 0 };
+      buckets.set(key, bucket);
+    }
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    bucket.count++;
+  }
+
+  const colors = [...buckets.values()].map(bucket => {
+    const rgb = {
+      r: Math.round(bucket.r / bucket.count),
+      g: Math.round(bucket.g / bucket.count),
+      b: Math.round(bucket.b / bucket.count)
+    };
+    return { rgb, hsl: rgbToHsl(rgb), count: bucket.count };
+  });
+
+  const dominant = colors.reduce((best, color) => (color.count > best.count ? color : best));
+
+  // Prefer saturated mid-tones; near-black and near-white never look vibrant
+  let vibrant = null;
+  let vibrantScore = 0;
+  for (const color of colors) {
+    const { s, l } = color.hsl;
+    if (s < 0.3 || l < 0.2 || l > 0.85) continue;
+    const score = color.count * s * s;
+    if (score > vibrantScore) {
+      vibrant = color;
+      vibrantScore = score;
+    }
+  }
+
+  return {
+    dominant: rgbToHex(dominant.rgb),
+    vibrant: rgbToHex((vibrant || dominant).rgb)
+  };
+}
+
+/**
+ * Theme with its colors replaced by ones derived from an artwork palette.
+ * Fonts, sizes and shapes stay as they are.
+ */
+function applyPalette(theme, palette) {
+  const dominant = rgbToHsl(hexToRgb(palette.dominant));
+  const vibrant = rgbToHsl(hexToRgb(palette.vibrant));
+
+  // Dark, slightly desaturated background so the artwork stays the focus
+  const background = hslToHex({ h: dominant.h, s: Math.min(dominant.s, 0.6), l: clamp(dominant.l, 0.12, 0.28) });
+  const backgroundEnd = hslToHex({ h: dominant.h, s: Math.min(dominant.s, 0.6), l: clamp(dominant.l * 0.4, 0.04, 0.1) });
+
+  // Text has to be readable over both ends of the gradient
+  const readable = (color, ratio) => ensureContrast(ensureContrast(color, background, ratio), backgroundEnd, ratio);
+
+  const title = contrastRatio('#FFFFFF', background) >= contrastRatio('#000000', background) ? '#FFFFFF' : '#000000';
+  const accent = hslToHex({ h: vibrant.h, s: vibrant.s, l: Math.max(vibrant.l, 0.5) });
+  const artist = readable(hslToHex({ h: vibrant.h, s: Math.min(vibrant.s, 0.5), l: 0.75 }), TEXT_CONTRAST);
+
+  return {
+    ...theme,
+    colors: {
+      ...theme.colors,
+      background,
+      backgroundEnd,
+      title,
+      artist,
+      time: artist,
+      barBackground: mixColors(background, title, 0.2),
+      barFill: readable(accent, ACCENT_CONTRAST),
+      placeholder: mixColors(background, title, 0.1)
+    }
+  };
+}
+
+/**
+ * Move a color's lightness away from the background until the contrast
+ * ratio between them is at least `minRatio`
+ */
+function ensureContrast(color, background, minRatio) {
+  if (contrastRatio(color, background) >= minRatio) return color;
+
+  const hsl = rgbToHsl(hexToRgb(color));
+  const lighten = relativeLuminance(background) < 0.18;
+  for (let step = 0; step < 20; step++) {
+    hsl.l = clamp(hsl.l + (lighten ? 0.05 : -0.05), 0, 1);
+    const adjusted = hslToHex(hsl);
+    if (contrastRatio(adjusted, background) >= minRatio) return adjusted;
+  }
+  return lighten ? '#FFFFFF' : '#000000';
+}
+
+/**
+ * WCAG contrast ratio between two #rrggbb colors, 1 to 21
+ */
+function contrastRatio(a, b) {
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * WCAG relative luminance of a #rrggbb color
+ */
+function relativeLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const channel = (value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function mixColors(a, b, amount) {
+  const from = hexToRgb(a);
+  const to = hexToRgb(b);
+  return rgbToHex({
+    r: from.r + (to.r - from.r) * amount,
+    g: from.g + (to.g - from.g) * amount,
+    b: from.b + (to.b - from.b) * amount
+  });
+}
+
+function hexToRgb(hex) {
+  const number = parseInt(hex.slice(1), 16);
+  return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255 };
+}
+
+function rgbToHex({ r, g, b }) {
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function rgbToHsl({ r, g, b }) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h / 6, s, l };
+}
+
+function hslToHex({ h, s, l }) {
+  if (s === 0) return rgbToHex({ r: l * 255, g: l * 255, b: l * 255 });
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return rgbToHex({ r: hue(h + 1 / 3) * 255, g: hue(h) * 255, b: hue(h - 1 / 3) * 255 });
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+module.exports = {
+  extractPalette,
+  applyPalette,
+  ensureContrast,
+  contrastRatio,
+  relativeLuminance
+};
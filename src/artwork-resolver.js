@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const sharp = require('sharp');
+const { silentLogger } = require('./logger');
+const LruCache = require('./lru-cache');
+const { resolveTheme } = require('./themes');
+const { escapeXml } = require('./renderer');
+const { readEmbeddedArtwork } = require('./embedded-artwork');
+
+/**
+ * Finds artwork for tracks the player sends none for.
+ *
+ * In order, a track's artwork is:
+ *   1. the player's thumbnail, which is also stored in the artwork cache
+ *   2. a cover file (cover.jpg, folder.jpg, ...) next to the track's local
+ *      file, or the art embedded in that file, when the player reports a
+ *      `file://` URL as `url`
+ *   3. what the cache has for the album (or the track, without an album)
+ *   4. a placeholder cover with the album's initials on a color picked
+ *      from the album and artist, the same every time
+ *
+ * Resolved tracks carry where their artwork came from as `artworkSource`.
+ * The result for the current track is kept, so the events a player sends
+ * while a track plays don't repeat the lookup.
+ */
+
+const COVER_NAMES = ['cover', 'folder', 'front', 'album'];
+const COVER_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const LOCAL_ARTWORK_SIZE = 600;    // Local covers can be huge; players send a few hundred pixels
+const PLACEHOLDER_SIZE = 300;
+const PLACEHOLDER_CACHE_SIZE = 8;
+
+class ArtworkResolver {
+  /**
+   * @param {Object} options
+   * @param {ArtworkCache} options.cache - Artwork kept on disk, or null for none
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || null;
+    this.logger = options.logger || silentLogger;
+    this.lastStored = null;     // Thumbnail last put in the cache
+    this.last = null;           // { key, artwork } for the last track without a thumbnail
+    this.placeholders = new LruCache(PLACEHOLDER_CACHE_SIZE);
+  }
+
+  /**
+   * Fill in the artwork of a track
+   * @param {Object} trackInfo - Now-playing event
+   * @returns {Promise<Object>} The event with `thumbnail` and `artworkSource` set
+   */
+  async resolve(trackInfo) {
+    if (!trackInfo) return trackInfo;
+    const key = getArtworkKey(trackInfo);
+
+    if (trackInfo.thumbnail) {
+      if (this.cache && trackInfo.thumbnail !== this.lastStored) {
+        this.lastStored = trackInfo.thumbnail;
+        this.last = null; // Look again if the player drops it, the cache has it now
+        this.cache.put(key, trackInfo.thumbnail)
+          .catch(err => this.logger.warn('Error caching artwork:', err));
+      }
+      return { ...trackInfo, artworkSource: 'player' };
+    }
+
+    const lookup = JSON.stringify([key, trackInfo.url || '']);
+    if (lookup !== this.last?.key) {
+      const artwork = this.find(trackInfo, key);
+      this.last = { key: lookup, artwork };
+      // Look again with the next event instead of failing every time
+      artwork.catch(() => {
+        if (this.last?.artwork === artwork) this.last = null;
+      });
+    }
+    const { thumbnail, source } = await this.last.artwork;
+    return { ...trackInfo, thumbnail, artworkSource: source };
+  }
+
+  /**
+   * Artwork from the track's file, the cache or a placeholder
+   * @returns {Promise<Object>} { thumbnail, source }
+   */
+  async find(trackInfo, key) {
+    try {
+      const local = await this.findLocal(trackInfo.url);
+      if (local) {
+        this.logger.debug('Using', local.source, 'artwork for', trackInfo.trackName);
+        if (this.cache) await this.cache.put(key, local.thumbnail);
+        return local;
+      }
+    } catch (error) {
+      this.logger.debug('Error reading local artwork:', error.message);
+    }
+
+    if (this.cache) {
+      const cached = await this.cache.get(key);
+      if (cached) return { thumbnail: cached, source: 'cache' };
+    }
+
+    return { thumbnail: await this.getPlaceholder(trackInfo), source: 'placeholder' };
+  }
+
+  /**
+   * Cover file next to a local track, or the art embedded in it
+   * @param {string} url - The track's URL, if the player reports one
+   * @returns {Promise<Object|null>} { thumbnail, source: 'folder' | 'embedded' }
+   */
+  async findLocal(url) {
+    if (typeof url !== 'string' || !url.startsWith('file:')) return null;
+    const file = fileURLToPath(url);
+
+    const cover = await findCoverFile(path.dirname(file));
+    if (cover) {
+      return { thumbnail: await toThumbnail(await fs.promises.readFile(cover)), source: 'folder' };
+    }
+
+    const embedded = await readEmbeddedArtwork(file);
+    if (embedded) {
+      return { thumbnail: await toThumbnail(embedded.data), source: 'embedded' };
+    }
+    return null;
+  }
+
+  /**
+   * Placeholder cover for a track, cached by what it shows
+   */
+  getPlaceholder(trackInfo) {
+    const initials = getInitials(trackInfo.album || formatArtist(trackInfo.artist) || trackInfo.trackName);
+    const color = getPlaceholderColor(trackInfo);
+    const key = `${initials}:${color}`;
+
+    let placeholder = this.placeholders.get(key);
+    if (!placeholder) {
+      placeholder = renderPlaceholder(initials, color);
+      this.placeholders.set(key, placeholder);
+      placeholder.catch(() => this.placeholders.delete(key));
+    }
+    return placeholder;
+  }
+}
+
+/**
+ * What artwork is stored under: the album and its artist, or the track
+ * when there is no album
+ */
+function getArtworkKey(trackInfo) {
+  const artist = formatArtist(trackInfo.artist).toLowerCase();
+  const album = (trackInfo.album || '').toLowerCase();
+  return JSON.stringify(album ? [artist, album] : [artist, '', (trackInfo.trackName || '').toLowerCase()]);
+}
+
+function formatArtist(artist) {
+  return Array.isArray(artist) ? artist.join(', ') : (artist || '');
+}
+
+/**
+ * First cover file in a folder, in the order of COVER_NAMES, ignoring case
+ */
+async function findCoverFile(dir) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch {
+    return null;
+  }
+  const byName = new Map(files.map(file => [file.toLowerCase(), file]));
+  for (const name of COVER_NAMES) {
+    for (const extension of COVER_EXTENSIONS) {
+      const file = byName.get(name + extension);
+      if (file) return path.join(dir, file);
+    }
+  }
+  return null;
+}
+
+/**
+ * Image bytes as a JPEG data URL, shrunk to at most LOCAL_ARTWORK_SIZE
+ */
+async function toThumbnail(data) {
+  const image = await sharp(data)
+    .resize(LOCAL_ARTWORK_SIZE, LOCAL_ARTWORK_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+  return `data:image/jpeg;base64,${image.toString('base64')}`;
+}
+
+/**
+ * Up to two initials: the first letters of the first two words
+ */
+function getInitials(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || [];
+  const initials = words.slice(0, 2).map(word => [...word][0].toUpperCase()).join('');
+  return initials || '♪';
+}
+
+/**
+ * Background color of a placeholder, from a hash of artist and album so
+ * an album always gets the same one
+ */
+function getPlaceholderColor(trackInfo) {
+  const hash = crypto.createHash('sha1').update(getArtworkKey(trackInfo)).digest();
+  return hslToHex(hash.readUInt16BE(0) % 360, 45, 38);
+}
+
+function hslToHex(hue, saturation, lightness) {
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const a = s * Math.min(l, 1 - l);
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+async function renderPlaceholder(initials, color) {
+  const size = PLACEHOLDER_SIZE;
+  const fontSize = initials.length > 1 ? 120 : 150;
+  const svg = `
+    <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${size}" height="${size}" fill="${color}"/>
+      <text x="50%" y="50%" dy="0.35em" text-anchor="middle" font-family="${resolveTheme().fonts.family}"
+        font-size="${fontSize}" font-weight="bold" fill="#FFFFFF" fill-opacity="0.85">${escapeXml(initials)}</text>
+    </svg>
+  `;
+  const image = await sharp(Buffer.from(svg)).png().toBuffer();
+  return `data:image/png;base64,${image.toString('base64')}`;
+}
+
+module.exports = ArtworkResolver;
+module.exports.getArtworkKey = getArtworkKey;
+module.exports.getInitials = getInitials;
+module.exports.getPlaceholderColor = getPlaceholderColor;
+module.exports.findCoverFile = findCoverFile;
@@ -0,0 +1,707 @@
+const NowPlayingRenderer = require('./renderer');
+const PlaybackClock = require('./playback-clock');
+const AnimationScheduler = require('./animation-scheduler');
+const { silentLogger } = require('./logger');
+const { getTransportState } = require('./transport-actions');
+const { PLAYBACK_STATES, DEFAULT_IDLE_TIMEOUT, getPlaybackState, showsTrack } = require('./playback-state');
+const { getLyricLines } = require('./lyrics');
+
+const DEFAULT_REFRESH_INTERVAL = 1000;
+const DEFAULT_COALESCE_DELAY = 50;
+const KEYPAD_CHARS_PER_LINE = 10;
+const KEYPAD_LINES = 3;
+const DEFAULT_KEY_FIELDS = ['title', 'artist'];
+const UNAVAILABLE_KEY_TITLE = 'No media\nsource';
+const UNAVAILABLE_MESSAGE = { trackName: 'Media source unavailable', artist: 'Reconnecting...' };
+
+/**
+ * Keeps the current track and the visible action instances, and pushes the
+ * track to every instance when the media source reports a change.
+ *
+ * Actions only need the Stream Deck action methods used here (setTitle,
+ * setImage, setFeedback, setState), so the update path runs without a Stream Deck.
+ *
+ * A paused track stays on screen, dimmed, until it has been paused for
+ * `idleTimeout`; only then do the actions show "no track".
+ *
+ * With an artwork resolver, tracks without artwork get it from their
+ * files, the artwork cache or a placeholder before they are shown.
+ *
+ * With a lyrics library, each new track's synced lyrics are looked up and
+ * LCDs that show lyrics (`_lyrics`) follow them line by line.
+ *
+ * While the media source can't be reached (setSourceAvailable), keys and
+ * LCDs say so in place of the "no track" state.
+ *
+ * Images are only sent when they differ from what the action already
+ * shows, and bursts of media events are folded into one update
+ * (queueEvent), so frequent refreshes stay cheap.
+ */
+class NowPlayingController {
+  /**
+   * @param {Object} options
+   * @param {NowPlayingRenderer} options.renderer - Renderer for LCD images
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   * @param {Function} options.now - Time source for the playback clock and animations
+   * @param {AnimationScheduler} options.animations - Frame timer for marquee and title cycling
+   * @param {number} options.coalesceDelay - Milliseconds queueEvent waits for more events (default 50)
+   * @param {number} options.idleTimeout - Milliseconds a paused track stays on screen, 0 for ever (default 5 minutes)
+   * @param {Function} options.onUpdate - Called after every instance was brought up to date
+   * @param {LyricsLibrary} options.lyrics - Where to find synced lyrics, or null for none
+   * @param {ArtworkResolver} options.artwork - Fills in artwork players don't send, or null to show what they send
+   */
+  constructor(options = {}) {
+    this.renderer = options.renderer || new NowPlayingRenderer();
+    this.logger = options.logger || silentLogger;
+    this.now = options.now || Date.now;
+    this.currentTrackInfo = null;
+    this.keypadContexts = new Set();
+    this.lcdContexts = new Set();
+    this.transportContexts = new Set(); // Next, previous, play/pause, shuffle and repeat keys
+    this.clock = new PlaybackClock(this.now);
+    this.refreshTimer = null;
+    this.refreshInterval = 0;
+    this.refreshing = false;
+    this.animations = options.animations || new AnimationScheduler({
+      onError: err => this.logger.warn('Error animating action:', err)
+    });
+    this.textStart = this.now();     // When the current track's text started scrolling/cycling
+    this.lastFrames = new WeakMap(); // Last marquee offsets / keypad title sent per action
+    this.lastImages = new WeakMap(); // Last image sent per action
+    this.coalesceDelay = options.coalesceDelay ?? DEFAULT_COALESCE_DELAY;
+    this.queuedEvent = null;
+    this.queuedUpdate = null;
+    this.updating = Promise.resolve();
+    this.idleTimeout = options.idleTimeout ?? DEFAULT_IDLE_TIMEOUT;
+    this.pausedAt = null;            // When playback paused, for the idle timeout
+    this.idleTimer = null;
+    this.onUpdate = options.onUpdate || null;
+    this.lyrics = options.lyrics || null;
+    this.artwork = options.artwork || null;
+    this.trackLyrics = null;         // Parsed lyrics of the current track
+    this.sourceAvailable = true;
+  }
+
+  /**
+   * Whether any action instance is still visible
+   */
+  hasActions() {
+    return this.keypadContexts.size > 0 || this.lcdContexts.size > 0 || this.transportContexts.size > 0;
+  }
+
+  /**
+   * Forget what an action was last sent. Call when it disappears: Stream
+   * Deck shows the manifest defaults when it appears again.
+   */
+  forgetAction(action) {
+    this.lastFrames.delete(action);
+    this.lastImages.delete(action);
+  }
+
+  /**
+   * Store a now-playing event and update every visible instance
+   */
+  async handleEvent(event) {
+    if (event && this.artwork) {
+      try {
+        event = await this.artwork.resolve(event);
+      } catch (error) {
+        this.logger.warn('Error resolving artwork:', error);
+      }
+    }
+    const previousTrack = this.clock.trackKey;
+    this.currentTrackInfo = event;
+    if (event && event.isPlaying) {
+      this.pausedAt = null;
+    } else if (this.pausedAt === null) {
+      this.pausedAt = this.now();
+    }
+    this.clock.sync(event);
+    if (this.clock.trackKey !== previousTrack) {
+      // New track: scrolling and cycling start over from the beginning
+      this.textStart = this.now();
+      await this.loadLyrics();
+    }
+    this.updateTimers();
+    await this.updateAllActions();
+  }
+
+  /**
+   * Look up the current track's lyrics. Call again when the library changes;
+   * LCDs are then updated too.
+   * @param {boolean} update - Update LCDs with what was found
+   */
+  async loadLyrics(update = false) {
+    const trackKey = this.clock.trackKey;
+    this.trackLyrics = null;
+    if (this.lyrics && this.currentTrackInfo) {
+      try {
+        const lyrics = await this.lyrics.find(this.currentTrackInfo);
+        // Another track may have started during the lookup
+        if (trackKey === this.clock.trackKey) this.trackLyrics = lyrics;
+      } catch (error) {
+        this.logger.warn('Error loading lyrics:', error);
+      }
+    }
+    if (update) {
+      this.updateAnimations();
+      await this.updateAllLCDs();
+    }
+  }
+
+  /**
+   * Current and next lyric line for an LCD instance, or null when it
+   * doesn't show lyrics or the track has none
+   */
+  getLyricLines(action, trackInfo = this.getTrackInfo()) {
+    if (!action._lyrics || !this.trackLyrics || !trackInfo) return null;
+    return getLyricLines(this.trackLyrics, trackInfo.position, action._lyrics.offset);
+  }
+
+  /**
+   * Store a now-playing event and update every visible instance once the
+   * burst it belongs to is over. Players often send several events for one
+   * change (metadata, then artwork, then position); only the latest of the
+   * events that arrive within `coalesceDelay` of each other, or while an
+   * update is still running, is applied.
+   * @returns {Promise} Settles when the update that includes this event is done
+   */
+  queueEvent(event) {
+    this.queuedEvent = event;
+    if (!this.queuedUpdate) {
+      this.queuedUpdate = new Promise(resolve => setTimeout(resolve, this.coalesceDelay))
+        .then(() => this.updating)
+        .then(() => {
+          const latest = this.queuedEvent;
+          this.queuedEvent = null;
+          this.queuedUpdate = null;
+          const update = this.handleEvent(latest);
+          // The next burst waits for this update, whether or not it fails
+          this.updating = update.catch(() => {});
+          return update;
+        });
+    }
+    return this.queuedUpdate;
+  }
+
+  /**
+   * Bring the progress refresh and animations in line with the current
+   * track, the visible instances and their settings
+   */
+  updateTimers() {
+    this.updateRefreshTimer();
+    this.updateAnimations();
+    this.updateIdleTimer();
+  }
+
+  stopTimers() {
+    this.stopRefresh();
+    this.stopIdleTimer();
+    this.animations.clear();
+  }
+
+  /**
+   * Playing, paused, stopped (paused past the idle timeout) or none
+   * (see playback-state.js)
+   */
+  getPlaybackState() {
+    return getPlaybackState(this.currentTrackInfo, {
+      pausedAt: this.pausedAt,
+      now: this.now(),
+      idleTimeout: this.idleTimeout
+    });
+  }
+
+  /**
+   * Change how long a paused track stays on screen and update every
+   * instance for it
+   * @param {number} timeout - Milliseconds, 0 to keep paused tracks for ever
+   */
+  async setIdleTimeout(timeout) {
+    if (timeout === this.idleTimeout) return;
+    this.idleTimeout = timeout;
+    this.updateTimers();
+    await this.updateAllActions();
+  }
+
+  /**
+   * Show on every instance whether the media source can be reached
+   * @param {boolean} available
+   */
+  async setSourceAvailable(available) {
+    if (available === this.sourceAvailable) return;
+    this.sourceAvailable = available;
+    await this.updateAllActions();
+  }
+
+  /**
+   * While a track is paused, wait for the idle timeout and then switch
+   * every instance to the "no track" state
+   */
+  updateIdleTimer() {
+    this.stopIdleTimer();
+    if (this.getPlaybackState() !== PLAYBACK_STATES.PAUSED || this.idleTimeout <= 0 || !this.hasActions()) return;
+
+    const remaining = Math.max(0, this.pausedAt + this.idleTimeout - this.now());
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.updateAllActions()
+        .catch(err => this.logger.error('Error updating idle actions:', err));
+    }, remaining);
+    // Never keep the process alive just for the idle timeout
+    this.idleTimer.unref?.();
+  }
+
+  stopIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * Refresh interval for LCD progress in milliseconds.
+   * Each LCD instance can set its own (`_refreshInterval`, 0 disables);
+   * the shortest one wins so every visible bar moves smoothly.
+   */
+  getRefreshInterval() {
+    let interval = 0;
+    for (const action of this.lcdContexts) {
+      const actionInterval = action._refreshInterval ?? DEFAULT_REFRESH_INTERVAL;
+      if (actionInterval > 0 && (interval === 0 || actionInterval < interval)) {
+        interval = actionInterval;
+      }
+    }
+    return interval;
+  }
+
+  /**
+   * Start, restart or stop the LCD refresh tick to match the current state.
+   * Call after playback state or the set of LCD instances changes.
+   */
+  updateRefreshTimer() {
+    const interval = this.clock.isPlaying ? this.getRefreshInterval() : 0;
+    if (interval === this.refreshInterval) return;
+
+    this.stopRefresh();
+    if (interval === 0) return;
+
+    this.refreshInterval = interval;
+    this.refreshTimer = setInterval(() => {
+      // Skip a tick rather than queueing renders when the machine is slow
+      if (this.refreshing) return;
+      this.refreshing = true;
+      this.updateAllLCDs()
+        .catch(err => this.logger.error('Error refreshing LCD actions:', err))
+        .finally(() => { this.refreshing = false; });
+    }, interval);
+    // Never keep the process alive just for progress updates
+    this.refreshTimer.unref?.();
+  }
+
+  stopRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    this.refreshInterval = 0;
+  }
+
+  /**
+   * Register or unregister animation frames for every instance.
+   * LCDs with a marquee (`_marquee`) animate while overflowing text plays,
+   * and LCDs with lyrics (`_lyrics`) while the track has some; keypads with
+   * title cycling (`_titleCycle`) animate while the title needs more than
+   * one page.
+   */
+  updateAnimations() {
+    const trackInfo = this.currentTrackInfo;
+    const playing = !!(trackInfo && trackInfo.isPlaying);
+
+    for (const action of this.lcdContexts) {
+      const lyrics = this.getLyricLines(action);
+      const animate = playing && (!!lyrics ||
+        (!!action._marquee && this.renderer.textOverflows(trackInfo, this.getLayoutOptions(action))));
+      this.setAnimated(action, animate, () => this.animateLCD(action));
+    }
+
+    for (const action of this.keypadContexts) {
+      const { show, fields, wall } = this.getKeyLayout(action);
+      const animate = playing && !!action._titleCycle && show !== 'artwork' && !wall && getKeypadPages(trackInfo, fields).length > 1;
+      this.setAnimated(action, animate, () => this.animateKeypad(action));
+    }
+
+    // Drop instances that are no longer visible
+    for (const action of this.animations.keys()) {
+      if (!this.keypadContexts.has(action) && !this.lcdContexts.has(action)) {
+        this.animations.remove(action);
+      }
+    }
+  }
+
+  setAnimated(action, animate, frame) {
+    if (animate && !this.animations.has(action)) {
+      this.animations.add(action, frame);
+    } else if (!animate && this.animations.has(action)) {
+      this.animations.remove(action);
+    }
+  }
+
+  /**
+   * Theme and dial span of an LCD instance, for every renderer call
+   */
+  getLayoutOptions(action) {
+    return { theme: action._theme, span: action._span };
+  }
+
+  /**
+   * Marquee options for an LCD instance, or null when it truncates text
+   */
+  getMarqueeOptions(action) {
+    if (!action._marquee) return null;
+    return { ...action._marquee, elapsed: this.now() - this.textStart };
+  }
+
+  /**
+   * What an LCD frame shows of the moving parts: marquee offsets and lyric lines
+   */
+  getLCDFrame(trackInfo, marquee, options) {
+    return JSON.stringify([
+      marquee ? this.renderer.getMarqueeOffsets(trackInfo, marquee, options) : null,
+      options.lyrics
+    ]);
+  }
+
+  // Re-render an LCD only when its text has actually moved or the lyrics went on
+  async animateLCD(action) {
+    const trackInfo = this.getTrackInfo();
+    if (!trackInfo) return;
+
+    const options = { ...this.getLayoutOptions(action), lyrics: this.getLyricLines(action, trackInfo) };
+    if (this.getLCDFrame(trackInfo, this.getMarqueeOptions(action), options) === this.lastFrames.get(action)) return;
+
+    await this.updateLCDAction(action, action._position || 'left');
+  }
+
+  // Show the next title page once its time is up
+  async animateKeypad(action) {
+    if (!this.currentTrackInfo) return;
+
+    const title = this.getKeypadTitle(action);
+    if (title === this.lastFrames.get(action)) return;
+
+    await this.updateKeypadAction(action);
+  }
+
+  /**
+   * What a keypad instance shows (`_keyLayout`): artwork, text or both,
+   * which fields in which order and where the text goes
+   */
+  getKeyLayout(action) {
+    return { show: 'overlay', fields: DEFAULT_KEY_FIELDS, position: 'bottom', wall: null, ...action._keyLayout };
+  }
+
+  /**
+   * Text for a keypad instance: its fields one per line, or with title
+   * cycling the page that is due now. Empty for artwork-only keys and
+   * album art wall tiles.
+   */
+  getKeypadTitle(action) {
+    const { show, fields, wall } = this.getKeyLayout(action);
+    if (show === 'artwork' || wall) return '';
+
+    if (action._titleCycle) {
+      const pages = getKeypadPages(this.currentTrackInfo, fields);
+      if (pages.length > 1) {
+        const page = Math.floor((this.now() - this.textStart) / action._titleCycle.interval) % pages.length;
+        return pages[page];
+      }
+    }
+
+    return fields
+      .map(field => getFieldText(this.currentTrackInfo, field))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Track info with the position interpolated by the playback clock
+   */
+  getTrackInfo() {
+    if (!this.currentTrackInfo) return null;
+    return { ...this.currentTrackInfo, position: this.clock.getPosition() };
+  }
+
+  // Update all visible instances
+  async updateAllActions() {
+    const logger = this.logger;
+    logger.debug('Updating', this.keypadContexts.size, 'keypad and', this.lcdContexts.size, 'LCD actions');
+
+    for (const action of this.keypadContexts) {
+      try {
+        await this.updateKeypadAction(action);
+      } catch (err) {
+        logger.error('Error updating keypad action:', err);
+      }
+    }
+
+    for (const action of this.transportContexts) {
+      try {
+        await this.updateTransportAction(action);
+      } catch (err) {
+        logger.error('Error updating transport action:', err);
+      }
+    }
+
+    await this.updateAllLCDs();
+    if (this.onUpdate) this.onUpdate();
+  }
+
+  // Update all LCD instances from one snapshot of the track, so the dials
+  // of a span share one rendered canvas
+  async updateAllLCDs() {
+    const logger = this.logger;
+    const trackInfo = this.getTrackInfo();
+    for (const action of this.lcdContexts) {
+      try {
+        const position = action._position || 'left';
+        await this.updateLCDAction(action, position, trackInfo);
+      } catch (err) {
+        logger.error('Error updating LCD action:', err);
+      }
+    }
+  }
+
+  // Update a specific keypad action with current track info
+  async updateKeypadAction(action) {
+    const logger = this.logger;
+    const currentTrackInfo = this.currentTrackInfo;
+    const state = this.getPlaybackState();
+
+    if (!this.sourceAvailable || !showsTrack(state)) {
+      try {
+        await action.setTitle(this.sourceAvailable ? '♪' : UNAVAILABLE_KEY_TITLE);
+        // Set default icon
+        await this.sendKeyImage(action, 'assets/action');
+      } catch (error) {
+        logger.warn('Error setting no track state:', error);
+      }
+      return;
+    }
+
+    const { trackName, artist, thumbnail } = currentTrackInfo;
+
+    logger.debug('Updating keypad action with track:', trackName, 'Artist:', artist, 'Has thumbnail:', !!thumbnail);
+
+    // Text is drawn into the key image, so Stream Deck's own title stays empty
+    const title = this.getKeypadTitle(action);
+    this.lastFrames.set(action, title);
+
+    try {
+      await action.setTitle('');
+    } catch (error) {
+      logger.warn('Error setting title:', error);
+    }
+
+    const keyLayout = this.getKeyLayout(action);
+    const paused = state === PLAYBACK_STATES.PAUSED;
+    if (keyLayout.wall) {
+      try {
+        await this.sendKeyImage(action, await this.renderer.renderWallTile(currentTrackInfo, { ...keyLayout.wall, paused }));
+      } catch (error) {
+        logger.warn('Error setting wall tile:', error);
+        await this.sendKeyImage(action, 'assets/action');
+      }
+      return;
+    }
+
+    if (keyLayout.show === 'artwork' && !thumbnail) {
+      logger.debug('No thumbnail available, using default icon');
+      try {
+        await this.sendKeyImage(action, 'assets/action');
+      } catch (error) {
+        logger.warn('Error setting default icon:', error);
+      }
+      return;
+    }
+
+    // Paused tracks stay on the key, dimmed with pause bars
+    try {
+      const image = await this.renderer.renderKey(currentTrackInfo, { ...keyLayout, text: title, paused });
+      await this.sendKeyImage(action, image);
+    } catch (error) {
+      logger.warn('Error setting key image:', error);
+      // Fallback to default icon
+      await this.sendKeyImage(action, 'assets/action');
+    }
+  }
+
+  /**
+   * Bring a transport key's state and title in line with the player.
+   * Keys without states (next, previous) are left alone.
+   */
+  async updateTransportAction(action) {
+    const transport = getTransportState(action._transport, this.currentTrackInfo);
+    if (!transport) return;
+
+    const frame = JSON.stringify(transport);
+    if (this.lastFrames.get(action) === frame) return;
+
+    try {
+      await action.setState(transport.state);
+      await action.setTitle(transport.title);
+      this.lastFrames.set(action, frame);
+    } catch (error) {
+      this.lastFrames.delete(action);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an image to a key, unless it shows that image already
+   */
+  async sendKeyImage(action, image) {
+    if (this.lastImages.get(action) === image) return;
+    try {
+      await action.setImage(image);
+      this.lastImages.set(action, image);
+    } catch (error) {
+      this.lastImages.delete(action);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an image to an LCD, unless it shows that image already
+   */
+  async sendLCDImage(action, image) {
+    if (this.lastImages.get(action) === image) return;
+    try {
+      await action.setFeedback({ image });
+      this.lastImages.set(action, image);
+    } catch (error) {
+      this.lastImages.delete(action);
+      throw error;
+    }
+  }
+
+  // Update LCD action with rendered image
+  async updateLCDAction(action, position = 'left', currentTrackInfo = this.getTrackInfo()) {
+    const logger = this.logger;
+    const renderer = this.renderer;
+    const state = this.getPlaybackState();
+
+    if (!this.sourceAvailable || !currentTrackInfo || !showsTrack(state)) {
+      try {
+        const message = this.sourceAvailable ? null : UNAVAILABLE_MESSAGE;
+        const blankImage = await renderer.createBlank(position, { ...this.getLayoutOptions(action), message });
+        await this.sendLCDImage(action, blankImage);
+      } catch (error) {
+        logger.warn('Error setting no track state on LCD:', error);
+      }
+      return;
+    }
+
+    logger.debug('Updating LCD action with track:', currentTrackInfo.trackName, 'position:', position);
+
+    try {
+      // Paused text stands still, shortened rather than frozen mid-scroll
+      const paused = state === PLAYBACK_STATES.PAUSED;
+      const marquee = paused ? null : this.getMarqueeOptions(action);
+      const options = { ...this.getLayoutOptions(action), lyrics: this.getLyricLines(action, currentTrackInfo) };
+      this.lastFrames.set(action, this.getLCDFrame(currentTrackInfo, marquee, options));
+      const renderedImage = await renderer.render(currentTrackInfo, position, {
+        marquee,
+        wrapTitle: !!action._wrapTitle,
+        ...options,
+        dynamicColors: !!action._dynamicColors,
+        paused
+      });
+      await this.sendLCDImage(action, renderedImage);
+    } catch (error) {
+      logger.error('Error rendering LCD image:', error);
+      try {
+        const fallbackImage = await renderer.createFallback(position, this.getLayoutOptions(action));
+        await this.sendLCDImage(action, fallbackImage);
+      } catch (fbError) {
+        logger.warn('Error setting fallback LCD image:', fbError);
+      }
+    }
+  }
+}
+
+/**
+ * Split the key's fields into title pages of up to three short lines each.
+ * Returns a single page when the fields fit together; otherwise every field
+ * gets its own pages, followed by the album when it isn't one of them.
+ */
+function getKeypadPages(trackInfo, fields = DEFAULT_KEY_FIELDS) {
+  const fieldLines = fields.map(field => wrapLines(getFieldText(trackInfo, field)));
+  const lineCount = fieldLines.reduce((sum, lines) => sum + lines.length, 0);
+
+  if (lineCount <= KEYPAD_LINES) {
+    return [fieldLines.flat().join('\n')];
+  }
+
+  if (!fields.includes('album') && trackInfo.album) {
+    fieldLines.push(wrapLines(trackInfo.album));
+  }
+
+  const pages = [];
+  for (const lines of fieldLines) {
+    for (let i = 0; i < lines.length; i += KEYPAD_LINES) {
+      pages.push(lines.slice(i, i + KEYPAD_LINES).join('\n'));
+    }
+  }
+  return pages;
+}
+
+/**
+ * Text of one key field; title and artist fall back to 'Unknown'
+ */
+function getFieldText(trackInfo, field) {
+  switch (field) {
+    case 'title':
+      return trackInfo.trackName || 'Unknown';
+    case 'artist':
+      return Array.isArray(trackInfo.artist) ? (trackInfo.artist.join(', ') || 'Unknown') : (trackInfo.artist || 'Unknown');
+    case 'album':
+      return trackInfo.album || '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Word-wrap text to keypad-sized lines, breaking words that are too long
+ */
+function wrapLines(text, width = KEYPAD_CHARS_PER_LINE) {
+  const lines = [];
+  let line = '';
+
+  for (let word of text.split(/\s+/).filter(Boolean)) {
+    while (word.length > width) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= width) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+
+  if (line) lines.push(line);
+  return lines;
+}
+
+module.exports = NowPlayingController;
+module.exports.getKeypadPages = getKeypadPages;
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silentLogger } = require('./logger');
+
+/**
+ * Where the plugin keeps what it records, such as the listening history
+ * and the scrobble queue.
+ *
+ * Stream Deck replaces the plugin folder on every update, so data lives in
+ * the user's application data folder instead: %APPDATA% on Windows,
+ * ~/Library/Application Support on macOS and $XDG_DATA_HOME elsewhere.
+ */
+
+/**
+ * @param {string} name - Folder name, the plugin's UUID
+ * @param {Object} options - platform, env and home, for tests
+ * @returns {string}
+ */
+function getDataDir(name, { platform = process.platform, env = process.env, home = os.homedir() } = {}) {
+  if (platform === 'win32') return path.join(env.APPDATA || path.join(home, 'AppData', 'Roaming'), name);
+  if (platform === 'darwin') return path.join(home, 'Library', 'Application Support', name);
+  return path.join(env.XDG_DATA_HOME || path.join(home, '.local', 'share'), name);
+}
+
+/**
+ * Copy data an earlier version kept in the plugin folder to its new place,
+ * unless something is there already. Runs before anything writes there.
+ * @param {string} from - Old directory
+ * @param {string} to - New directory
+ * @param {Object} logger - Leveled logger (see logger.js), defaults to no output
+ * @returns {boolean} Whether anything was copied
+ */
+function moveLegacyData(from, to, logger = silentLogger) {
+  if (fs.existsSync(to) || !fs.existsSync(from)) return false;
+  // Copied next to its place first, so a failed copy is tried again next time
+  const temp = `${to}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.cpSync(from, temp, { recursive: true });
+    fs.renameSync(temp, to);
+    logger.info('Moved', from, 'to', to);
+    return true;
+  } catch (error) {
+    fs.rmSync(temp, { recursive: true, force: true });
+    logger.warn(`Error moving ${from} to ${to}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getDataDir,
+  moveLegacyData
+};
@@ -0,0 +1,152 @@
+/**
+ * Configurable controls of the LCD action's dial.
+ *
+ * Turning the dial seeks, changes the volume, skips tracks or nudges the
+ * timing of synced lyrics. Pressing the
+ * dial, tapping the touch strip and holding it each run one transport
+ * command or switch to the next player. Every dial keeps its own mapping
+ * in its action settings.
+ */
+
+const ROTATE_MODES = ['seek', 'volume', 'track', 'lyricsOffset'];
+const COMMANDS = ['playPause', 'next', 'previous', 'like', 'cycleSession', 'none'];
+
+const DEFAULT_SEEK_STEP = 5;        // Seconds per tick
+const DEFAULT_VOLUME_STEP = 2;      // Percent per tick
+const MAX_ACCELERATION = 4;         // Largest multiplier for fast turns
+const LYRICS_OFFSET_STEP = 100;     // Milliseconds per tick
+const MAX_LYRICS_OFFSET = 5000;
+
+const DEFAULTS = {
+  rotate: 'seek',
+  press: 'playPause',
+  tap: 'playPause',
+  longTouch: 'next'
+};
+
+const ROTATE_LABELS = { seek: 'Seek', volume: 'Volume', track: 'Previous / Next', lyricsOffset: 'Lyrics Timing' };
+const COMMAND_LABELS = { playPause: 'Play / Pause', next: 'Next', previous: 'Previous', like: 'Like', cycleSession: 'Switch Player' };
+
+/**
+ * Dial mapping from LCD settings, with defaults for anything unset or unknown
+ */
+function getDialActions(settings = {}) {
+  return {
+    rotate: ROTATE_MODES.includes(settings.dialRotate) ? settings.dialRotate : DEFAULTS.rotate,
+    seekStep: positiveNumber(settings.seekStep, DEFAULT_SEEK_STEP),
+    acceleration: settings.seekAcceleration === 'on',
+    volumeStep: positiveNumber(settings.volumeStep, DEFAULT_VOLUME_STEP),
+    press: getCommand(settings.dialPress, DEFAULTS.press),
+    tap: getCommand(settings.touchTap, DEFAULTS.tap),
+    longTouch: getCommand(settings.longTouch, DEFAULTS.longTouch)
+  };
+}
+
+function getCommand(value, fallback) {
+  return COMMANDS.includes(value) ? value : fallback;
+}
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Seconds to seek for one rotate event. With acceleration, every tick of a
+ * fast turn (several ticks in one event) counts for more, up to 4x.
+ */
+function getSeekSeconds(config, ticks) {
+  const factor = config.acceleration ? Math.min(Math.abs(ticks), MAX_ACCELERATION) : 1;
+  return ticks * config.seekStep * factor;
+}
+
+/**
+ * Lyrics offset in milliseconds from settings, within ±5 seconds
+ */
+function getLyricsOffset(value) {
+  const offset = Math.round(Number(value));
+  if (!Number.isFinite(offset)) return 0;
+  return Math.min(MAX_LYRICS_OFFSET, Math.max(-MAX_LYRICS_OFFSET, offset));
+}
+
+/**
+ * Lyrics offset after turning the dial in 'lyricsOffset' mode. Turning
+ * right shows lines earlier, left later.
+ */
+function nudgeLyricsOffset(offset, ticks) {
+  return getLyricsOffset(getLyricsOffset(offset) + ticks * LYRICS_OFFSET_STEP);
+}
+
+/**
+ * Apply a dial rotation to the media source. The 'lyricsOffset' mode
+ * changes the dial's own settings rather than the player, so the plugin
+ * handles it itself (see nudgeLyricsOffset).
+ * @param {MediaSource} source
+ * @param {Object} config - From getDialActions()
+ * @param {number} ticks - Positive clockwise, negative counter-clockwise
+ * @returns {Promise<string>} Description of what was done, for the log
+ */
+async function rotate(source, config, ticks) {
+  if (!ticks) return 'nothing';
+
+  switch (config.rotate) {
+    case 'volume': {
+      const change = ticks * config.volumeStep / 100;
+      await source.changeVolume(change);
+      return `volume ${change > 0 ? '+' : ''}${Math.round(change * 100)}%`;
+    }
+    case 'track':
+      // One skip per event so a fast turn doesn't skip a whole album
+      await (ticks > 0 ? source.next() : source.previous());
+      return ticks > 0 ? 'next' : 'previous';
+    case 'lyricsOffset':
+      // Not the player's business, see nudgeLyricsOffset()
+      return 'nothing';
+    default: {
+      const seconds = getSeekSeconds(config, ticks);
+      await source.seek(seconds);
+      return `seek ${seconds}s`;
+    }
+  }
+}
+
+/**
+ * Run a press, tap or long-touch command on the media source.
+ * 'cycleSession' switches between players rather than talking to one,
+ * so the plugin runs it itself.
+ * @returns {Promise<boolean>} false when the command is 'none' or 'cycleSession'
+ */
+async function runCommand(source, command) {
+  switch (command) {
+    case 'playPause': await source.playPause(); return true;
+    case 'next': await source.next(); return true;
+    case 'previous': await source.previous(); return true;
+    case 'like': await source.like(); return true;
+    default: return false;
+  }
+}
+
+/**
+ * Trigger descriptions shown by Stream Deck for the dial's current mapping.
+ * Triggers set to 'none' are left undefined, which hides them.
+ */
+function describeDialActions(config) {
+  return {
+    rotate: ROTATE_LABELS[config.rotate],
+    push: COMMAND_LABELS[config.press],
+    touch: COMMAND_LABELS[config.tap],
+    longTouch: COMMAND_LABELS[config.longTouch]
+  };
+}
+
+module.exports = {
+  ROTATE_MODES,
+  COMMANDS,
+  getDialActions,
+  getSeekSeconds,
+  getLyricsOffset,
+  nudgeLyricsOffset,
+  rotate,
+  runCommand,
+  describeDialActions
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+
+/**
+ * Cover art embedded in audio files: the APIC frame of ID3v2 tags (MP3)
+ * and the PICTURE block of FLAC files. Only the tag at the start of the
+ * file is read, never the audio. The front cover wins when a file has
+ * several pictures.
+ */
+
+const MAX_TAG_SIZE = 16 * 1024 * 1024;  // Bigger tags are ignored rather than read into memory
+const FRONT_COVER = 3;                  // Picture type of the front cover in ID3 and FLAC
+
+/**
+ * Read the embedded cover of an audio file
+ * @param {string} file - Path of the audio file
+ * @returns {Promise<Object|null>} { type, data } with the MIME type and image bytes, or null
+ */
+async function readEmbeddedArtwork(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const header = await read(handle, 0, 10);
+    if (header.toString('latin1', 0, 3) === 'ID3') {
+      const size = synchsafe(header, 6);
+      if (size > MAX_TAG_SIZE) return null;
+      return parseId3(Buffer.concat([header, await read(handle, 10, size)]));
+    }
+    if (header.toString('latin1', 0, 4) === 'fLaC') {
+      return await readFlacPicture(handle);
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function read(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// 28-bit integer stored in the low 7 bits of 4 bytes
+function synchsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+/**
+ * The picture of an ID3v2.3 or v2.4 tag (header included)
+ */
+function parseId3(tag) {
+  const version = tag[3];
+  if (version < 3) return null; // v2.2 uses three-letter frames; rare enough to skip
+  let offset = 10;
+  if (tag[5] & 0x40) {
+    // Extended header: v2.4 counts its own size field, v2.3 doesn't
+    offset += version === 4 ? synchsafe(tag, 10) : tag.readUInt32BE(10) + 4;
+  }
+
+  const pictures = [];
+  while (offset + 10 <= tag.length) {
+    const id = tag.toString('latin1', offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) break; // Padding
+    const size = version === 4 ? synchsafe(tag, offset + 4) : tag.readUInt32BE(offset + 4);
+    const body = tag.subarray(offset + 10, offset + 10 + size);
+    if (id === 'APIC') {
+      const picture = parseApic(body);
+      if (picture) pictures.push(picture);
+    }
+    offset += 10 + size;
+  }
+  return pickCover(pictures);
+}
+
+/**
+ * APIC frame: encoding, MIME type, picture type, description, image
+ */
+function parseApic(body) {
+  const encoding = body[0];
+  const mimeEnd = body.indexOf(0, 1);
+  if (mimeEnd < 0) return null;
+  const type = body.toString('latin1', 1, mimeEnd);
+  const pictureType = body[mimeEnd + 1];
+
+  // UTF-16 descriptions end with two zero bytes on an even boundary
+  let start = mimeEnd + 2;
+  if (encoding === 1 || encoding === 2) {
+    while (start + 1 < body.length && (body[start] !== 0 || body[start + 1] !== 0)) start += 2;
+    start += 2;
+  } else {
+    start = body.indexOf(0, start) + 1;
+  }
+  if (start <= 0 || start >= body.length) return null;
+  return { pictureType, type: normalizeType(type), data: body.subarray(start) };
+}
+
+/**
+ * Walk FLAC metadata blocks up to the last one and read its pictures
+ */
+async function readFlacPicture(handle) {
+  const pictures = [];
+  let position = 4;
+  for (;;) {
+    const header = await read(handle, position, 4);
+    if (header.length < 4) break;
+    const last = (header[0] & 0x80) !== 0;
+    const blockType = header[0] & 0x7f;
+    const size = header.readUIntBE(1, 3);
+    if (blockType === 6 && size <= MAX_TAG_SIZE) {
+      const picture = parseFlacPicture(await read(handle, position + 4, size));
+      if (picture) pictures.push(picture);
+    }
+    position += 4 + size;
+    if (last) break;
+  }
+  return pickCover(pictures);
+}
+
+/**
+ * FLAC PICTURE block: type, MIME type, description, dimensions, image
+ */
+function parseFlacPicture(block) {
+  if (block.length < 32) return null;
+  const pictureType = block.readUInt32BE(0);
+  const mimeLength = block.readUInt32BE(4);
+  if (8 + mimeLength + 4 > block.length) return null;
+  const type = block.toString('latin1', 8, 8 + mimeLength);
+  const descriptionLength = block.readUInt32BE(8 + mimeLength);
+  const dataOffset = 8 + mimeLength + 4 + descriptionLength + 16;
+  if (dataOffset + 4 > block.length) return null;
+  const dataLength = block.readUInt32BE(dataOffset);
+  const data = block.subarray(dataOffset + 4, dataOffset + 4 + dataLength);
+  return data.length > 0 ? { pictureType, type: normalizeType(type), data } : null;
+}
+
+function pickCover(pictures) {
+  const picture = pictures.find(candidate => candidate.pictureType === FRONT_COVER) || pictures[0];
+  return picture ? { type: picture.type, data: picture.data } : null;
+}
+
+// Some taggers write 'jpg' or 'image/jpg'
+function normalizeType(type) {
+  const lower = type.toLowerCase();
+  if (lower === 'jpg' || lower === 'jpeg' || lower === 'image/jpg') return 'image/jpeg';
+  if (lower === 'png') return 'image/png';
+  return lower || 'image/jpeg';
+}
+
+module.exports = {
+  readEmbeddedArtwork,
+  parseId3
+};
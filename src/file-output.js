@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { silentLogger } = require('./logger');
+const { formatTime } = require('./renderer');
+const { showsTrack } = require('./playback-state');
+
+/**
+ * Writes the current track to files for OBS and other tools that read
+ * text and images from disk.
+ *
+ * Into the output folder go one `<name>.txt` per named template, the
+ * artwork as `artwork.png` and the LCD strip as `lcd.png`. Files are written
+ * when the track changes, and again when nothing plays: text files then
+ * hold the idle text and the artwork becomes a transparent pixel.
+ *
+ * Every file is written to a temporary file and renamed over the old one,
+ * so readers never see a half-written file.
+ */
+
+const DEFAULT_TEMPLATES = { nowplaying: '{artist} - {trackName}' };
+const LCD_SPAN = 4;
+const RENAME_RETRIES = 3;          // Windows refuses renames while a reader has the file open
+const RENAME_RETRY_DELAY = 50;
+
+class FileOutput {
+  /**
+   * @param {Object} options
+   * @param {NowPlayingRenderer} options.renderer - Renders the LCD strip
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   */
+  constructor(options = {}) {
+    this.renderer = options.renderer;
+    this.logger = options.logger || silentLogger;
+    this.folder = null;
+    this.templates = DEFAULT_TEMPLATES;
+    this.idleText = '';
+    this.lastKey = null;     // What the files show now
+    this.pending = null;     // Latest state waiting to be written
+    this.writing = null;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.folder - Output folder, or empty to stop writing
+   * @param {Object} options.templates - File name -> template, see formatTemplate()
+   * @param {string} options.idleText - Text files' content when nothing plays
+   */
+  configure({ folder = '', templates = DEFAULT_TEMPLATES, idleText = '' } = {}) {
+    this.folder = folder || null;
+    this.templates = templates;
+    this.idleText = idleText;
+    this.lastKey = null; // Write everything again with the new setup
+  }
+
+  isEnabled() {
+    return !!this.folder;
+  }
+
+  /**
+   * Write the files if what they should show changed
+   * @param {Object} trackInfo - Current track, or null
+   * @param {string} state - Playback state, see playback-state.js
+   * @returns {Promise} Settles when the files are written
+   */
+  update(trackInfo, state) {
+    if (!this.folder) return Promise.resolve();
+
+    const track = trackInfo && showsTrack(state) ? trackInfo : null;
+    const key = JSON.stringify([
+      this.folder,
+      track && [track.trackName, track.artist, track.album, track.player, track.duration],
+      track?.thumbnail ? this.renderer.hashArtwork(track.thumbnail) : null
+    ]);
+    if (key === this.lastKey) return this.writing || Promise.resolve();
+    this.lastKey = key;
+
+    // Only the latest state is written once the current write is done
+    this.pending = { folder: this.folder, track };
+    if (!this.writing) {
+      this.writing = this.writePending().finally(() => { this.writing = null; });
+    }
+    return this.writing;
+  }
+
+  async writePending() {
+    while (this.pending) {
+      const { folder, track } = this.pending;
+      this.pending = null;
+      try {
+        await this.writeFiles(folder, track);
+      } catch (error) {
+        this.logger.warn('Error writing now playing files:', error);
+        this.lastKey = null; // Try again on the next update
+      }
+    }
+  }
+
+  async writeFiles(folder, track) {
+    await fs.promises.mkdir(folder, { recursive: true });
+
+    for (const [name, template] of Object.entries(this.templates)) {
+      const text = track ? formatTemplate(template, track) : this.idleText;
+      await writeAtomic(path.join(folder, `${name}.txt`), text);
+    }
+
+    await writeAtomic(path.join(folder, 'artwork.png'), await this.getArtworkPng(track));
+
+    const lcd = track
+      ? await this.renderer.renderCanvas(track, { span: LCD_SPAN })
+      : await this.renderer.renderBlankCanvas({ span: LCD_SPAN });
+    await writeAtomic(path.join(folder, 'lcd.png'), lcd);
+
+    this.logger.debug('Wrote now playing files to', folder);
+  }
+
+  /**
+   * The artwork as PNG, whatever format the player sent, or a transparent
+   * pixel without artwork
+   */
+  async getArtworkPng(track) {
+    if (track?.thumbnail) {
+      try {
+        return await sharp(this.renderer.extractBase64FromDataUrl(track.thumbnail)).png().toBuffer();
+      } catch (error) {
+        this.logger.warn('Error converting artwork for file output:', error);
+      }
+    }
+    return sharp({ create: { width: 1, height: 1, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+      .png()
+      .toBuffer();
+  }
+}
+
+/**
+ * Fill a template's {placeholders} from a track: trackName, artist (names
+ * joined with commas), album, player and duration (m:ss). Missing values
+ * are left empty; unknown placeholders stay as they are.
+ */
+function formatTemplate(template, track) {
+  const values = {
+    trackName: track.trackName || '',
+    artist: Array.isArray(track.artist) ? track.artist.join(', ') : (track.artist || ''),
+    album: track.album || '',
+    player: track.player || '',
+    duration: track.duration > 0 ? formatTime(track.duration) : ''
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Named templates from settings, one `name=template` per line. Names are
+ * used as file names, so only letters, digits, - and _ are kept. Without
+ * any valid line the default template is used.
+ */
+function parseTemplates(text) {
+  const templates = {};
+  for (const line of String(text || '').split('\n')) {
+    const index = line.indexOf('=');
+    if (index < 0) continue;
+    const name = line.slice(0, index).trim().replace(/[^\w-]/g, '');
+    if (name) templates[name] = line.slice(index + 1).trim();
+  }
+  return Object.keys(templates).length > 0 ? templates : DEFAULT_TEMPLATES;
+}
+
+/**
+ * Write a file through a temporary file and a rename, so it is replaced
+ * in one step
+ */
+async function writeAtomic(file, data) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temp, data);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await fs.promises.rename(temp, file);
+      return;
+    } catch (error) {
+      if (attempt >= RENAME_RETRIES || !['EPERM', 'EBUSY', 'EACCES'].includes(error.code)) {
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RENAME_RETRY_DELAY * attempt));
+    }
+  }
+}
+
+module.exports = FileOutput;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+module.exports.formatTemplate = formatTemplate;
+module.exports.parseTemplates = parseTemplates;
+module.exports.writeAtomic = writeAtomic;
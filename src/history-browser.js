@@ -0,0 +1,149 @@
+const NowPlayingRenderer = require('./renderer');
+const { silentLogger } = require('./logger');
+const { formatAgo } = require('./history');
+
+const AGO_REFRESH_INTERVAL = 60 * 1000; // "20 min ago" only changes by the minute
+
+/**
+ * Shows the listening history on the history actions and scrolls through it.
+ *
+ * Every instance keeps how far back it is (`_historyIndex`, 0 for the
+ * latest play). Dials (`_historyDial`) draw the entry like the LCD action,
+ * with how long ago it played before the artist and how much of it played
+ * on the bar; keys draw the artwork with title, artist and time. When a new
+ * play is recorded, instances that scrolled back stay on the entry they show.
+ */
+class HistoryBrowser {
+  /**
+   * @param {Object} options
+   * @param {ListeningHistory} options.history
+   * @param {NowPlayingRenderer} options.renderer
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   * @param {Function} options.now - Time source in milliseconds
+   */
+  constructor(options = {}) {
+    this.history = options.history;
+    this.renderer = options.renderer || new NowPlayingRenderer();
+    this.logger = options.logger || silentLogger;
+    this.now = options.now || Date.now;
+    this.contexts = new Set();
+    this.lastImages = new WeakMap(); // Last image sent per action
+    this.refreshTimer = null;
+  }
+
+  add(action, dial) {
+    action._historyIndex = 0;
+    action._historyDial = !!dial;
+    this.contexts.add(action);
+    this.updateTimer();
+  }
+
+  remove(action) {
+    this.contexts.delete(action);
+    this.lastImages.delete(action);
+    this.updateTimer();
+  }
+
+  /**
+   * Refresh the "ago" times every minute while any instance is visible
+   */
+  updateTimer() {
+    if (this.contexts.size > 0 && !this.refreshTimer) {
+      this.refreshTimer = setInterval(() => {
+        this.updateAll().catch(err => this.logger.error('Error refreshing history actions:', err));
+      }, AGO_REFRESH_INTERVAL);
+      this.refreshTimer.unref?.();
+    } else if (this.contexts.size === 0 && this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Move an instance `steps` entries further back (negative: towards the
+   * latest), stopping at either end
+   * @returns {Promise<boolean>} Whether it moved
+   */
+  async scroll(action, steps) {
+    const last = Math.max(this.history.getEntries().length - 1, 0);
+    const index = Math.min(Math.max(action._historyIndex + steps, 0), last);
+    if (index === action._historyIndex) return false;
+
+    action._historyIndex = index;
+    await this.update(action);
+    return true;
+  }
+
+  /**
+   * Go back to the latest entry
+   */
+  async reset(action) {
+    action._historyIndex = 0;
+    await this.update(action);
+  }
+
+  /**
+   * A play was recorded: keep scrolled instances on their entry and show it
+   */
+  async recorded() {
+    for (const action of this.contexts) {
+      if (action._historyIndex > 0) action._historyIndex++;
+    }
+    await this.updateAll();
+  }
+
+  async updateAll() {
+    for (const action of this.contexts) {
+      try {
+        await this.update(action);
+      } catch (err) {
+        this.logger.error('Error updating history action:', err);
+      }
+    }
+  }
+
+  /**
+   * Show the entry an instance is on, or that there is no history yet
+   */
+  async update(action) {
+    const entry = this.history.getEntries()[action._historyIndex] || null;
+    const thumbnail = await this.history.getArtwork(entry);
+
+    if (action._historyDial) {
+      const trackInfo = entry
+        ? {
+          trackName: entry.trackName,
+          artist: [formatAgo(entry.startedAt, this.now()), entry.artist].filter(Boolean).join(' · '),
+          album: entry.album,
+          thumbnail,
+          duration: entry.duration || 0,
+          position: Math.min(entry.played, entry.duration || 0)
+        }
+        : { trackName: 'No history yet', artist: 'Played tracks show up here' };
+      await this.send(action, await this.renderer.render(trackInfo, 1, { span: 1 }));
+      return;
+    }
+
+    const text = entry
+      ? [entry.trackName, entry.artist, formatAgo(entry.startedAt, this.now())].filter(Boolean).join('\n')
+      : 'No history\nyet';
+    await action.setTitle('');
+    await this.send(action, await this.renderer.renderKey({ thumbnail }, { show: thumbnail ? 'overlay' : 'text', text }));
+  }
+
+  /**
+   * Send an image to a key or dial, unless it shows that image already
+   */
+  async send(action, image) {
+    if (this.lastImages.get(action) === image) return;
+    try {
+      await (action._historyDial ? action.setFeedback({ image }) : action.setImage(image));
+      this.lastImages.set(action, image);
+    } catch (error) {
+      this.lastImages.delete(action);
+      throw error;
+    }
+  }
+}
+
+module.exports = HistoryBrowser;
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { silentLogger } = require('./logger');
+const LruCache = require('./lru-cache');
+const { writeAtomic } = require('./file-output');
+
+/**
+ * Local listening history.
+ *
+ * Every track the display shows becomes one play, from when it appears
+ * until another track replaces it or the player goes away. Finished plays
+ * are appended to `history.jsonl` in the history directory, one JSON entry
+ * per line:
+ *
+ *   { trackName, artist, album, player, startedAt, played, duration, completed, artwork }
+ *
+ * `played` counts the seconds the track was actually playing. A play is
+ * completed when it got to the last seconds of the track or most of the
+ * track played, and skipped otherwise. Tracks that played for less than a
+ * few seconds aren't recorded.
+ *
+ * Artwork is shrunk and stored once per cover under `artwork/`, named by
+ * its hash, so the history can show covers the player no longer has.
+ * Entries older than the retention are dropped on load and when the
+ * retention changes, together with artwork no entry refers to any more.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_ENTRIES = 5000;          // Entries kept whatever the retention
+const MIN_PLAYED = 5;              // Seconds a track must play to be recorded
+const COMPLETE_RATIO = 0.9;        // Share of the track that makes a play complete
+const COMPLETE_MARGIN = 10;        // Seconds before the end that count as the end
+const ARTWORK_SIZE = 200;          // Stored artwork, the size of the LCD artwork square at most
+const ARTWORK_CACHE_SIZE = 8;      // Stored artworks kept in memory as data URLs
+const DAY = 24 * 60 * 60 * 1000;
+
+class ListeningHistory {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for the history file and artwork
+   * @param {number} options.retentionDays - Days entries are kept, 0 for ever (default 30)
+   * @param {Function} options.onRecord - Called with every entry recorded
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   * @param {Function} options.now - Time source in milliseconds
+   */
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.file = path.join(this.dir, 'history.jsonl');
+    this.artworkDir = path.join(this.dir, 'artwork');
+    this.retentionDays = DEFAULT_RETENTION_DAYS;
+    this.onRecord = options.onRecord || null;
+    this.logger = options.logger || silentLogger;
+    this.now = options.now || Date.now;
+    this.entries = [];     // Recorded plays, oldest first
+    this.current = null;   // Play in progress
+    this.artworks = new LruCache(ARTWORK_CACHE_SIZE); // Artwork hash -> data URL promise
+    this.writing = Promise.resolve();
+    this.setRetention(options.retentionDays);
+  }
+
+  /**
+   * Read the history file and drop entries past the retention. Plays
+   * recorded before loading finished are kept after the loaded ones.
+   */
+  async load() {
+    let text = '';
+    try {
+      text = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.warn('Error reading listening history:', error);
+    }
+
+    const loaded = [];
+    let invalid = 0;
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        loaded.push(JSON.parse(line));
+      } catch {
+        invalid++;
+      }
+    }
+    if (invalid > 0) this.logger.warn('Skipped', invalid, 'unreadable listening history lines');
+
+    this.entries = [...loaded, ...this.entries];
+    await this.prune(invalid > 0);
+    this.logger.info('Loaded', this.entries.length, 'listening history entries');
+  }
+
+  /**
+   * Change how many days entries are kept, 0 for ever. Unknown values keep
+   * the current retention.
+   * @returns {Promise} Settles once old entries are dropped
+   */
+  setRetention(days) {
+    const value = Number(days);
+    if (days === undefined || days === null || days === '' || !Number.isFinite(value) || value < 0) {
+      return Promise.resolve();
+    }
+    if (value === this.retentionDays) return Promise.resolve();
+    this.retentionDays = value;
+    return this.entries.length > 0 ? this.prune() : Promise.resolve();
+  }
+
+  /**
+   * Follow the displayed track. Call with every event the display shows,
+   * or null when no player is left.
+   * @returns {Object|null} The entry recorded when this event ended a play
+   */
+  update(event) {
+    const now = this.now();
+    let recorded = null;
+
+    if (this.current && (!event || getTrackKey(event) !== this.current.key || this.restarted(event))) {
+      recorded = this.finish();
+    }
+    if (!event || !event.trackName) return recorded;
+
+    if (!this.current) {
+      this.current = {
+        key: getTrackKey(event),
+        startedAt: now,
+        played: 0,
+        playingSince: null,
+        event
+      };
+    }
+
+    const current = this.current;
+    this.countPlayed(now);
+    current.playingSince = event.isPlaying ? now : null;
+    // Players often send the artwork or duration after the title
+    current.event = {
+      ...event,
+      thumbnail: event.thumbnail || current.event.thumbnail,
+      duration: event.duration || current.event.duration
+    };
+    return recorded;
+  }
+
+  /**
+   * Whether the current track started over after getting to its end,
+   * e.g. on repeat, which counts as a new play
+   */
+  restarted(event) {
+    const { duration, position } = this.current.event;
+    return duration > 0 && position >= duration - COMPLETE_MARGIN && event.position < COMPLETE_MARGIN;
+  }
+
+  countPlayed(now) {
+    if (this.current.playingSince !== null) {
+      this.current.played += (now - this.current.playingSince) / 1000;
+      this.current.playingSince = now;
+    }
+  }
+
+  /**
+   * End the play in progress, e.g. when the plugin stops listening
+   * @returns {Object|null} The entry recorded, or null when the track played too briefly
+   */
+  finish() {
+    if (!this.current) return null;
+    this.countPlayed(this.now());
+    const { event, startedAt, played } = this.current;
+    this.current = null;
+    if (played < MIN_PLAYED) return null;
+
+    const duration = event.duration > 0 ? Math.round(event.duration) : null;
+    const entry = {
+      trackName: event.trackName,
+      artist: formatArtist(event.artist),
+      album: event.album || '',
+      player: event.player || '',
+      startedAt: new Date(startedAt).toISOString(),
+      played: Math.round(played),
+      duration,
+      completed: isCompleted(played, event.position, duration),
+      artwork: event.thumbnail ? hashArtwork(event.thumbnail) : null
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+    this.enqueue(() => this.append(entry, event.thumbnail));
+
+    if (this.onRecord) this.onRecord(entry);
+    return entry;
+  }
+
+  /**
+   * Recorded plays, newest first
+   */
+  getEntries() {
+    return [...this.entries].reverse();
+  }
+
+  /**
+   * Stored artwork of an entry as a data URL, or null when it has none or
+   * the file is gone
+   * @returns {Promise<string|null>}
+   */
+  getArtwork(entry) {
+    if (!entry?.artwork) return Promise.resolve(null);
+
+    let artwork = this.artworks.get(entry.artwork);
+    if (!artwork) {
+      artwork = this.writing
+        .then(() => fs.promises.readFile(this.getArtworkFile(entry.artwork)))
+        .then(buffer => `data:image/png;base64,${buffer.toString('base64')}`)
+        .catch(() => null);
+      this.artworks.set(entry.artwork, artwork);
+    }
+    return artwork;
+  }
+
+  getArtworkFile(hash) {
+    return path.join(this.artworkDir, `${hash}.png`);
+  }
+
+  /**
+   * Settles once everything recorded so far is on disk
+   */
+  flush() {
+    return this.writing;
+  }
+
+  /**
+   * Run file writes one after another, in the order they were made
+   */
+  enqueue(write) {
+    this.writing = this.writing
+      .then(write)
+      .catch(error => this.logger.warn('Error writing listening history:', error));
+    return this.writing;
+  }
+
+  async append(entry, thumbnail) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    if (entry.artwork) await this.storeArtwork(entry.artwork, thumbnail);
+    await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Shrink an artwork and save it under its hash, unless it is saved already
+   */
+  async storeArtwork(hash, thumbnail) {
+    const file = this.getArtworkFile(hash);
+    try {
+      await fs.promises.access(file);
+      return;
+    } catch {
+      // Not stored yet
+    }
+
+    try {
+      const data = thumbnail.startsWith('data:') ? thumbnail.split(',')[1] : thumbnail;
+      const image = await sharp(Buffer.from(data, 'base64'))
+        .resize(ARTWORK_SIZE, ARTWORK_SIZE, { fit: 'cover' })
+        .png()
+        .toBuffer();
+      await fs.promises.mkdir(this.artworkDir, { recursive: true });
+      // A half-written cover would count as stored
+      await writeAtomic(file, image);
+    } catch (error) {
+      this.logger.warn('Error storing history artwork:', error);
+    }
+  }
+
+  /**
+   * Drop entries past the retention and the entry limit, then rewrite the
+   * file and delete unused artwork if anything was dropped
+   * @param {boolean} rewrite - Rewrite the file even if nothing was dropped
+   */
+  prune(rewrite = false) {
+    const cutoff = this.retentionDays > 0 ? this.now() - this.retentionDays * DAY : -Infinity;
+    const kept = this.entries
+      .filter(entry => Date.parse(entry.startedAt) >= cutoff)
+      .slice(-MAX_ENTRIES);
+    if (kept.length === this.entries.length && !rewrite) return this.writing;
+
+    this.logger.debug('Dropping', this.entries.length - kept.length, 'old listening history entries');
+    this.entries = kept;
+    return this.enqueue(async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      // Replaced in one step, so a crash can't cut the history short
+      await writeAtomic(this.file, this.entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      await this.removeUnusedArtwork();
+    });
+  }
+
+  async removeUnusedArtwork() {
+    const used = new Set(this.entries.map(entry => entry.artwork).filter(Boolean));
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.artworkDir);
+    } catch {
+      return;
+    }
+    for (const file of files) {
+      const hash = path.basename(file, '.png');
+      if (!used.has(hash)) {
+        await fs.promises.rm(path.join(this.artworkDir, file), { force: true });
+        this.artworks.delete(hash);
+      }
+    }
+  }
+}
+
+/**
+ * What identifies a track across events: title, artist, album and player
+ */
+function getTrackKey(event) {
+  return JSON.stringify([event.trackName || '', formatArtist(event.artist), event.album || '', event.sourceAppId || '']);
+}
+
+function formatArtist(artist) {
+  return Array.isArray(artist) ? artist.join(', ') : (artist || '');
+}
+
+/**
+ * Whether a play counts as completed: it got to the last seconds of the
+ * track, or most of the track played. Without a duration nothing completes.
+ */
+function isCompleted(played, position, duration) {
+  if (!duration) return false;
+  return position >= duration - COMPLETE_MARGIN || played >= duration * COMPLETE_RATIO;
+}
+
+function hashArtwork(thumbnail) {
+  return crypto.createHash('sha1').update(thumbnail).digest('hex');
+}
+
+/**
+ * How long ago a play started, e.g. "just now", "20 min ago", "3 h ago"
+ * or "2 days ago"
+ * @param {string} startedAt - ISO time of the entry
+ * @param {number} now - Current time in milliseconds
+ */
+function formatAgo(startedAt, now = Date.now()) {
+  const minutes = Math.floor((now - Date.parse(startedAt)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return days === 1 ? 'yesterday' : `${days} days ago`;
+}
+
+module.exports = ListeningHistory;
+module.exports.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+module.exports.getTrackKey = getTrackKey;
+module.exports.formatArtist = formatArtist;
+module.exports.isCompleted = isCompleted;
+module.exports.formatAgo = formatAgo;
@@ -0,0 +1,136 @@
+/**
+ * LCD layouts for a display spanning 1-4 Stream Deck+ dials.
+ *
+ * Every dial owns a 200x100 slot of the LCD strip. The renderer draws one
+ * canvas as wide as the span and each action instance shows the slice of
+ * its own slot, so a layout only describes where things go on the full
+ * canvas: artwork, text lines and the progress bar.
+ *
+ * Text lines name the theme size they scale from; `wrap` gives the rows
+ * used when the title is allowed a second line. While synced lyrics show,
+ * the `lyrics` lines take the place of everything under the title.
+ */
+
+const SLOT_WIDTH = 200;
+const LCD_HEIGHT = 100;
+const MAX_SPAN = 4;
+const DEFAULT_SPAN = 2;
+
+/**
+ * 1 dial: small artwork next to title and artist, bar along the bottom
+ */
+function compactLayout() {
+  return {
+    name: 'compact',
+    span: 1,
+    width: SLOT_WIDTH,
+    height: LCD_HEIGHT,
+    artwork: { x: 8, y: 8, size: 60 },
+    text: { x: 76, width: 124 },
+    lines: [
+      { key: 'title', size: 'title', scale: 0.8, y: 30 },
+      { key: 'artist', size: 'artist', scale: 0.8, y: 52 }
+    ],
+    wrap: { title: [24, 40], artist: 58 },
+    lyrics: [
+      { key: 'title', size: 'title', scale: 0.8, y: 24 },
+      { key: 'lyric', size: 'artist', scale: 0.8, y: 42 },
+      { key: 'nextLyric', size: 'artist', scale: 0.7, y: 59 }
+    ],
+    bar: { x: 8, y: 82, width: 184, scale: 1, times: false }
+  };
+}
+
+/**
+ * 2-3 dials: artwork on the first dial, title and artist next to it and
+ * the progress bar with times underneath
+ */
+function standardLayout(span) {
+  const width = span * SLOT_WIDTH;
+  return {
+    name: 'standard',
+    span,
+    width,
+    height: LCD_HEIGHT,
+    artwork: { x: 0, y: 0, size: 100 },
+    text: { x: 108, width: width - 116 },
+    lines: [
+      { key: 'title', size: 'title', scale: 1, y: 27 },
+      { key: 'artist', size: 'artist', scale: 1, y: 55 }
+    ],
+    wrap: { title: [20, 39], artist: 60 },
+    lyrics: [
+      { key: 'title', size: 'title', scale: 0.9, y: 22 },
+      { key: 'lyric', size: 'artist', scale: 1, y: 44 },
+      { key: 'nextLyric', size: 'artist', scale: 0.85, y: 63 }
+    ],
+    bar: { x: 108, y: 75, width: width - 124, scale: 1, times: true, timeWidth: 44, timeScale: 1 }
+  };
+}
+
+/**
+ * 4 dials: artwork, title/artist and album, with a big progress bar and
+ * larger times across the rest of the strip
+ */
+function wideLayout() {
+  const width = MAX_SPAN * SLOT_WIDTH;
+  return {
+    name: 'wide',
+    span: MAX_SPAN,
+    width,
+    height: LCD_HEIGHT,
+    artwork: { x: 0, y: 0, size: 100 },
+    text: { x: 116, width: width - 124 },
+    lines: [
+      { key: 'title', size: 'title', scale: 1.1, y: 27 },
+      { key: 'artist', size: 'artist', scale: 1, y: 49 },
+      { key: 'album', size: 'artist', scale: 0.85, y: 68 }
+    ],
+    wrap: null,
+    lyrics: [
+      { key: 'title', size: 'title', scale: 1.1, y: 27 },
+      { key: 'lyric', size: 'artist', scale: 1, y: 49 },
+      { key: 'nextLyric', size: 'artist', scale: 0.85, y: 68 }
+    ],
+    bar: { x: 116, y: 80, width: width - 132, scale: 1.6, times: true, timeWidth: 56, timeScale: 1.25 }
+  };
+}
+
+/**
+ * Layout for a span of 1-4 dials; anything else is clamped into range
+ */
+function getLayout(span = DEFAULT_SPAN) {
+  switch (normalizeSpan(span)) {
+    case 1: return compactLayout();
+    case 4: return wideLayout();
+    default: return standardLayout(normalizeSpan(span));
+  }
+}
+
+function normalizeSpan(span) {
+  const value = Math.round(Number(span));
+  if (!Number.isFinite(value)) return DEFAULT_SPAN;
+  return Math.min(MAX_SPAN, Math.max(1, value));
+}
+
+/**
+ * Zero-based slot of a dial within its span. Accepts a 1-based slot number
+ * or the older 'left'/'right' positions of the two-dial display.
+ */
+function getSlotIndex(position, span = DEFAULT_SPAN) {
+  if (position === 'left') return 0;
+  if (position === 'right') return 1 % normalizeSpan(span);
+  const slot = Math.round(Number(position));
+  if (!Number.isFinite(slot)) return 0;
+  return Math.min(normalizeSpan(span), Math.max(1, slot)) - 1;
+}
+
+module.exports = {
+  SLOT_WIDTH,
+  LCD_HEIGHT,
+  MAX_SPAN,
+  DEFAULT_SPAN,
+  getLayout,
+  normalizeSpan,
+  getSlotIndex
+};
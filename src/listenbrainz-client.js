@@ -0,0 +1,116 @@
+/**
+ * Client for the ListenBrainz submission API, which self-hosted servers
+ * (and other scrobblers that speak it) implement as well.
+ *
+ * Listens are POSTed to `<url>/1/submit-listens` with the user token in the
+ * Authorization header. Failures are thrown as SubmitError, which says
+ * whether trying again later can help.
+ */
+
+const DEFAULT_URL = 'https://api.listenbrainz.org';
+const DEFAULT_TIMEOUT = 10000;
+const CLIENT_NAME = 'Stream Deck Now Playing';
+
+class SubmitError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status, or 0 when the server wasn't reached
+   * @param {boolean} options.retryable - Whether the same request may succeed later
+   * @param {number} options.retryAfter - Milliseconds the server asked to wait, or null
+   */
+  constructor(message, { status = 0, retryable = true, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'SubmitError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ListenBrainzClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Server root (default api.listenbrainz.org)
+   * @param {string} options.token - User token
+   * @param {Function} options.fetch - fetch implementation (default the global one)
+   * @param {number} options.timeout - Milliseconds before a request is given up (default 10 s)
+   */
+  constructor(options = {}) {
+    this.url = (options.url || DEFAULT_URL).replace(/\/+$/, '');
+    this.token = options.token;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Tell the server what is playing now; it isn't stored as a listen
+   */
+  playingNow(listen) {
+    const { listened_at: _, ...playing } = listen;
+    return this.submit('playing_now', [playing]);
+  }
+
+  /**
+   * Submit finished listens, one or many
+   */
+  scrobble(listens) {
+    return this.submit(listens.length === 1 ? 'single' : 'import', listens);
+  }
+
+  async submit(listenType, payload) {
+    let response;
+    try {
+      response = await this.fetch(`${this.url}/1/submit-listens`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Token ${this.token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ listen_type: listenType, payload }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      // Offline, server down or too slow
+      throw new SubmitError(`Could not reach ${this.url}: ${error.message}`);
+    }
+
+    if (response.ok) return;
+
+    const detail = await response.text().catch(() => '');
+    const message = `Submitting listens failed with ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`;
+    if (response.status === 429) {
+      const reset = Number(response.headers.get('X-RateLimit-Reset-In'));
+      throw new SubmitError(message, { status: 429, retryAfter: Number.isFinite(reset) && reset > 0 ? reset * 1000 : null });
+    }
+    // Server trouble passes; a bad token or a rejected listen won't
+    throw new SubmitError(message, { status: response.status, retryable: response.status >= 500 });
+  }
+}
+
+/**
+ * Listen payload for a listening history entry
+ * @param {Object} entry - Entry from ListeningHistory
+ */
+function toListen(entry) {
+  const additionalInfo = { submission_client: CLIENT_NAME };
+  if (entry.duration) additionalInfo.duration_ms = entry.duration * 1000;
+  if (entry.player) additionalInfo.media_player = entry.player;
+
+  const trackMetadata = {
+    artist_name: entry.artist,
+    track_name: entry.trackName,
+    additional_info: additionalInfo
+  };
+  if (entry.album) trackMetadata.release_name = entry.album;
+
+  return {
+    listened_at: Math.floor(Date.parse(entry.startedAt) / 1000),
+    track_metadata: trackMetadata
+  };
+}
+
+module.exports = ListenBrainzClient;
+module.exports.SubmitError = SubmitError;
+module.exports.DEFAULT_URL = DEFAULT_URL;
+module.exports.toListen = toListen;
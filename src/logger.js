@@ -0,0 +1,237 @@
+const fs = require('fs');
+
+/**
+ * Leveled logger with buffered file output and size-based rotation.
+ *
+ * Lines are collected in memory and appended to the log file in one write
+ * every `flushDelay` ms, so logging never blocks the event loop. When the
+ * file would grow past `maxSize` it is rotated to `<file>.1`, `<file>.2`, ...
+ * keeping `maxFiles` old files.
+ *
+ * Artwork is never written out: data URLs and artwork fields (thumbnail,
+ * artwork, image) are replaced with their length.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = 'info';
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 3;
+const DEFAULT_FLUSH_DELAY = 1000;
+const ARTWORK_KEYS = new Set(['thumbnail', 'artwork', 'image']);
+
+class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Log file, or nothing to skip file output
+   * @param {string} options.level - error, warn, info or debug (default info)
+   * @param {number} options.maxSize - Bytes before the file is rotated (default 5 MB)
+   * @param {number} options.maxFiles - Rotated files to keep (default 3)
+   * @param {number} options.flushDelay - Milliseconds lines are buffered (default 1000)
+   * @param {Object} options.console - Console-like object that also gets every line
+   * @param {Function} options.now - Time source, returns a Date
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.level = DEFAULT_LEVEL;
+    this.setLevel(options.level);
+    this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE;
+    this.maxFiles = options.maxFiles ?? DEFAULT_MAX_FILES;
+    this.flushDelay = options.flushDelay ?? DEFAULT_FLUSH_DELAY;
+    this.console = options.console || null;
+    this.now = options.now || (() => new Date());
+    this.buffer = [];
+    this.flushTimer = null;
+    this.writing = Promise.resolve();
+    this.size = null; // Bytes in the current file, read before the first write
+  }
+
+  /**
+   * Change the level; unknown levels are ignored
+   * @returns {boolean} Whether the level was valid
+   */
+  setLevel(level) {
+    if (!(level in LEVELS)) return false;
+    this.level = level;
+    return true;
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+
+  warn(...args) {
+    this.write('warn', args);
+  }
+
+  info(...args) {
+    this.write('info', args);
+  }
+
+  debug(...args) {
+    this.write('debug', args);
+  }
+
+  write(level, args) {
+    if (!this.isEnabled(level)) return;
+
+    const line = `[${this.now().toISOString()}] ${level.toUpperCase()} ${args.map(formatArg).join(' ')}`;
+    if (this.console) {
+      this.console[level](line);
+    }
+    if (!this.file) return;
+
+    this.buffer.push(`${line}\n`);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+    // Never keep the process alive just for the log
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write buffered lines now
+   * @returns {Promise} Settles when they are on disk
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const chunk = this.buffer.join('');
+    this.buffer = [];
+    if (!chunk) return this.writing;
+
+    // Writes run one after another so lines stay in order
+    this.writing = this.writing
+      .then(() => this.append(chunk))
+      .catch(error => this.console?.error('Error writing log file:', error));
+    return this.writing;
+  }
+
+  /**
+   * Write buffered lines synchronously, for when the process is about to exit
+   */
+  flushSync() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const chunk = this.buffer.join('');
+    this.buffer = [];
+    if (!chunk || !this.file) return;
+
+    try {
+      fs.appendFileSync(this.file, chunk);
+      if (this.size !== null) this.size += Buffer.byteLength(chunk);
+    } catch (error) {
+      this.console?.error('Error writing log file:', error);
+    }
+  }
+
+  async append(chunk) {
+    const bytes = Buffer.byteLength(chunk);
+    if (this.size === null) {
+      this.size = await getFileSize(this.file);
+    }
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      await this.rotate();
+      this.size = 0;
+    }
+
+    await fs.promises.appendFile(this.file, chunk);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift <file> to <file>.1, <file>.1 to <file>.2 and so on, dropping the oldest
+   */
+  async rotate() {
+    await fs.promises.rm(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await renameIfExists(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+    }
+    if (this.maxFiles > 0) {
+      await renameIfExists(this.file, `${this.file}.1`);
+    } else {
+      await fs.promises.rm(this.file, { force: true });
+    }
+  }
+}
+
+/**
+ * Logger that drops everything, for code running without one
+ */
+const silentLogger = {
+  error() {},
+  warn() {},
+  info() {},
+  debug() {}
+};
+
+/**
+ * Format one log argument. Objects are written as single-line JSON with
+ * artwork left out; errors with their stack.
+ */
+function formatArg(arg) {
+  if (arg instanceof Error) return arg.stack || String(arg);
+  if (typeof arg === 'string') return isDataUrl(arg) ? describeArtwork(arg) : arg;
+  if (arg && typeof arg === 'object') {
+    try {
+      return JSON.stringify(arg, redact);
+    } catch {
+      return String(arg);
+    }
+  }
+  return String(arg);
+}
+
+function redact(key, value) {
+  if (typeof value === 'string' && (ARTWORK_KEYS.has(key) || isDataUrl(value))) {
+    return describeArtwork(value);
+  }
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+function isDataUrl(value) {
+  return value.startsWith('data:');
+}
+
+function describeArtwork(value) {
+  return `[artwork, ${value.length} chars]`;
+}
+
+async function getFileSize(file) {
+  try {
+    return (await fs.promises.stat(file)).size;
+  } catch {
+    return 0;
+  }
+}
+
+async function renameIfExists(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.silentLogger = silentLogger;
+module.exports.formatArg = formatArg;
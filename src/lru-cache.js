@@ -0,0 +1,31 @@
+/**
+ * Map that holds at most `limit` entries and drops the least recently used
+ * one when full. Reading an entry with get() counts as using it.
+ */
+class LruCache extends Map {
+  constructor(limit) {
+    super();
+    this.limit = limit;
+  }
+
+  get(key) {
+    if (!super.has(key)) return undefined;
+
+    // Move to the end so it is dropped last
+    const value = super.get(key);
+    super.delete(key);
+    super.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    super.delete(key);
+    super.set(key, value);
+    if (this.size > this.limit) {
+      this.delete(this.keys().next().value);
+    }
+    return this;
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { silentLogger } = require('./logger');
+const LruCache = require('./lru-cache');
+
+/**
+ * Synced lyrics from `.lrc` files in a local folder.
+ *
+ * Files are found by name, `Artist - Title.lrc` or just `Title.lrc`, in the
+ * folder or any folder below it. Names and track metadata are compared
+ * normalized: case, accents and punctuation don't matter, and "feat."
+ * credits and remaster suffixes are left out, so "Song (feat. X) - 2011
+ * Remaster" by "Artist" finds `artist - song.lrc`.
+ *
+ * Timed lines (`[mm:ss.xx]text`, also with several timestamps) and
+ * enhanced LRC with word timestamps (`<mm:ss.xx>`) are understood; word
+ * timing is dropped, lines show whole. The file's `[offset:]` tag applies
+ * on top of the offset each display sets.
+ */
+
+const LYRICS_CACHE_SIZE = 16;      // Parsed files kept in memory
+const REINDEX_AFTER = 60 * 1000;   // A miss rescans the folder once the index is this old
+const TIMESTAMP = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const WORD_TIMESTAMP = /<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+class LyricsLibrary {
+  /**
+   * @param {Object} options
+   * @param {string} options.folder - Folder with .lrc files, or empty for no lyrics
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   * @param {Function} options.now - Time source for rescanning the folder
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || silentLogger;
+    this.now = options.now || Date.now;
+    this.folder = null;
+    this.index = null;       // Normalized name -> file, from the last scan
+    this.indexedAt = 0;
+    this.indexing = null;
+    this.cache = new LruCache(LYRICS_CACHE_SIZE);
+    this.setFolder(options.folder);
+  }
+
+  /**
+   * Look in another folder, or nowhere with an empty one
+   */
+  setFolder(folder) {
+    folder = folder || null;
+    if (folder === this.folder) return;
+    this.folder = folder;
+    this.index = null;
+    this.indexing = null;
+    this.cache.clear();
+  }
+
+  isEnabled() {
+    return !!this.folder;
+  }
+
+  /**
+   * Lyrics for a track
+   * @param {Object} trackInfo - { trackName, artist }
+   * @returns {Promise<Object|null>} Parsed lyrics (see parseLrc), or null when there is no timed file
+   */
+  async find(trackInfo) {
+    if (!this.folder || !trackInfo?.trackName) return null;
+
+    const keys = getLookupKeys(trackInfo);
+    const cacheKey = keys.join('\n');
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    let file = await this.lookup(keys, false);
+    // New files show up on a rescan, but not more than once a minute
+    if (!file && this.now() - this.indexedAt >= REINDEX_AFTER) {
+      file = await this.lookup(keys, true);
+    }
+
+    let lyrics = null;
+    if (file) {
+      try {
+        lyrics = parseLrc(await fs.promises.readFile(file, 'utf8'));
+        if (lyrics.lines.length === 0) lyrics = null;
+        this.logger.debug('Lyrics for', trackInfo.trackName, lyrics ? `from ${file}` : `in ${file} have no timestamps`);
+      } catch (error) {
+        this.logger.warn('Error reading lyrics:', error);
+        return null;
+      }
+    }
+    // Misses aren't kept, so a file added later is found on the next play
+    if (lyrics) this.cache.set(cacheKey, lyrics);
+    return lyrics;
+  }
+
+  async lookup(keys, rescan) {
+    const index = await this.getIndex(rescan);
+    const key = keys.find(candidate => index.has(candidate));
+    return key ? index.get(key) : null;
+  }
+
+  /**
+   * The file index, scanning the folder first if needed. Concurrent
+   * lookups share one scan.
+   */
+  getIndex(rescan = false) {
+    if (this.index && !rescan) return Promise.resolve(this.index);
+    if (!this.indexing) {
+      const folder = this.folder;
+      this.indexing = scanFolder(folder)
+        .catch(error => {
+          this.logger.warn('Error scanning lyrics folder:', error);
+          return new Map();
+        })
+        .then(index => {
+          // The folder may have changed during the scan
+          if (folder === this.folder) {
+            this.index = index;
+            this.indexedAt = this.now();
+            this.indexing = null;
+            this.logger.debug('Indexed', index.size, 'lyrics files in', folder);
+          }
+          return index;
+        });
+    }
+    return this.indexing;
+  }
+}
+
+/**
+ * Map of every .lrc file under a folder by its normalized name
+ */
+async function scanFolder(folder) {
+  const index = new Map();
+  const entries = await fs.promises.readdir(folder, { recursive: true, withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isFile() || path.extname(entry.name).toLowerCase() !== '.lrc') continue;
+    const key = getFileKey(path.basename(entry.name, path.extname(entry.name)));
+    // The first of several files for a track wins
+    if (key && !index.has(key)) {
+      index.set(key, path.join(entry.parentPath || entry.path, entry.name));
+    }
+  }
+  return index;
+}
+
+/**
+ * Normalized name of a file: 'artist - title', or 'title' without an artist
+ */
+function getFileKey(name) {
+  const separator = name.indexOf(' - ');
+  if (separator < 0) return normalizeTitle(name);
+  const artist = normalizeArtist(name.slice(0, separator));
+  const title = normalizeTitle(name.slice(separator + 3));
+  return artist && title ? `${artist} - ${title}` : title;
+}
+
+/**
+ * Names a track's file may have, best match first: every artist with the
+ * title, then the title alone
+ */
+function getLookupKeys(trackInfo) {
+  const title = normalizeTitle(trackInfo.trackName);
+  const artists = (Array.isArray(trackInfo.artist) ? trackInfo.artist : [trackInfo.artist])
+    .map(normalizeArtist)
+    .filter(Boolean);
+  return [...new Set([...artists.map(artist => `${artist} - ${title}`), title])];
+}
+
+/**
+ * Title without featured artists and remaster notes, normalized
+ */
+function normalizeTitle(title) {
+  return normalize(String(title || '')
+    .replace(/\s*[([](?:feat\.?|ft\.?|featuring|with)\s[^)\]]*[)\]]/gi, '')
+    .replace(/\s+(?:feat\.?|ft\.?|featuring)\s.*$/i, '')
+    .replace(/\s*[([][^)\]]*\bremaster(?:ed)?\b[^)\]]*[)\]]/gi, '')
+    .replace(/\s+-\s+[^-]*\bremaster(?:ed)?\b.*$/i, ''));
+}
+
+/**
+ * Artist without featured artists, normalized
+ */
+function normalizeArtist(artist) {
+  return normalize(String(artist || '').replace(/\s+(?:feat\.?|ft\.?|featuring)\s.*$/i, ''));
+}
+
+/**
+ * Lowercase letters and digits separated by single spaces, without accents
+ */
+function normalize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Parse LRC text
+ * @param {string} text - Contents of an .lrc file
+ * @returns {Object} { lines: [{ time, text }] sorted by time in seconds, offset in milliseconds }
+ */
+function parseLrc(text) {
+  const lines = [];
+  let offset = 0;
+
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    const tag = /^\[offset:\s*([+-]?\d+)\s*\]$/i.exec(line);
+    if (tag) {
+      offset = Number(tag[1]);
+      continue;
+    }
+
+    // One or more timestamps in front of the text; other tags (ar, ti, ...) have none
+    const prefix = /^(?:\[\d+:\d{1,2}(?:[.:]\d{1,3})?\])+/.exec(line);
+    if (!prefix) continue;
+    const lyric = line.slice(prefix[0].length).replace(WORD_TIMESTAMP, '').replace(/\s+/g, ' ').trim();
+    for (const [, minutes, seconds] of prefix[0].matchAll(TIMESTAMP)) {
+      lines.push({ time: Number(minutes) * 60 + parseSeconds(seconds), text: lyric });
+    }
+  }
+
+  lines.sort((a, b) => a.time - b.time);
+  return { lines, offset };
+}
+
+// 'ss', 'ss.xx' or 'ss:xx' (some files use a colon) to seconds
+function parseSeconds(value) {
+  const [whole, fraction = ''] = value.split(/[.:]/);
+  return Number(whole) + (fraction ? Number(fraction) / 10 ** fraction.length : 0);
+}
+
+/**
+ * The line being sung at a position and the line after it. Before the
+ * first line only the next one is set.
+ * @param {Object} lyrics - From parseLrc()
+ * @param {number} position - Playback position in seconds
+ * @param {number} offset - Milliseconds to show lines earlier (positive) or later, on top of the file's offset
+ * @returns {Object} { current, next }, empty strings where there is no line
+ */
+function getLyricLines(lyrics, position, offset = 0) {
+  const time = (position || 0) + (lyrics.offset + offset) / 1000;
+  let index = -1;
+  while (index + 1 < lyrics.lines.length && lyrics.lines[index + 1].time <= time) index++;
+  return {
+    current: index >= 0 ? lyrics.lines[index].text : '',
+    next: lyrics.lines[index + 1]?.text || ''
+  };
+}
+
+module.exports = LyricsLibrary;
+module.exports.parseLrc = parseLrc;
+module.exports.getLyricLines = getLyricLines;
+module.exports.getLookupKeys = getLookupKeys;
+module.exports.normalizeTitle = normalizeTitle;
+module.exports.normalizeArtist = normalizeArtist;
@@ -0,0 +1,84 @@
+/**
+ * Tracks playback position between now-playing events.
+ *
+ * Media sources only report the position when something happens (track
+ * change, seek, pause), so the clock remembers the last known position and
+ * when it was reported, and interpolates from there while playing.
+ */
+class PlaybackClock {
+  /**
+   * @param {Function} now - Time source in milliseconds, defaults to Date.now
+   */
+  constructor(now = Date.now) {
+    this.now = now;
+    this.reset();
+  }
+
+  reset() {
+    this.trackKey = null;
+    this.position = 0;        // Seconds, as of `timestamp`
+    this.reportedPosition = null;
+    this.timestamp = this.now();
+    this.duration = 0;
+    this.isPlaying = false;
+    this.rate = 1;
+  }
+
+  /**
+   * Resync the clock from a now-playing event
+   */
+  sync(event) {
+    if (!event) {
+      this.reset();
+      return;
+    }
+
+    const trackKey = getTrackKey(event);
+    const trackChanged = trackKey !== this.trackKey;
+    const reported = typeof event.position === 'number' ? event.position : null;
+    // Events that only swap artwork or metadata repeat the last reported
+    // position, which is stale by now - keep interpolating in that case
+    const seeked = reported !== null && reported !== this.reportedPosition;
+
+    let position;
+    if (trackChanged) {
+      position = reported !== null ? reported : 0;
+    } else if (seeked) {
+      position = reported;
+    } else {
+      position = this.getPosition();
+    }
+
+    this.trackKey = trackKey;
+    this.reportedPosition = reported;
+    this.duration = event.duration || 0;
+    this.isPlaying = !!event.isPlaying;
+    this.rate = event.playbackRate > 0 ? event.playbackRate : 1;
+    this.position = position;
+    this.timestamp = this.now();
+  }
+
+  /**
+   * Current position in seconds, clamped to the track duration
+   */
+  getPosition() {
+    let position = this.position;
+    if (this.isPlaying) {
+      position += ((this.now() - this.timestamp) / 1000) * this.rate;
+    }
+    if (this.duration > 0) {
+      position = Math.min(position, this.duration);
+    }
+    return Math.max(0, position);
+  }
+}
+
+/**
+ * Identify a track so position updates can be told apart from track changes
+ */
+function getTrackKey(event) {
+  const artist = Array.isArray(event.artist) ? event.artist.join(', ') : (event.artist || '');
+  return [event.trackName || '', artist, event.album || ''].join('\u0000');
+}
+
+module.exports = PlaybackClock;
@@ -0,0 +1,58 @@
+/**
+ * Playback state of the media session, as the actions show it.
+ *
+ *   playing  - a track is playing
+ *   paused   - a track is paused; it stays on screen, dimmed
+ *   stopped  - a track has been paused for longer than the idle timeout
+ *   none     - no media session, or one that is idle without a track
+ *
+ * Stopped and no session both show the "no track" screen.
+ */
+
+const PLAYBACK_STATES = {
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  STOPPED: 'stopped',
+  NONE: 'none'
+};
+
+const DEFAULT_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * @param {Object} event - Latest now-playing event, or null
+ * @param {Object} options
+ * @param {number} options.pausedAt - When playback paused (ms), or null
+ * @param {number} options.now - Current time (ms)
+ * @param {number} options.idleTimeout - Milliseconds paused before the track counts as stopped, 0 for never
+ * @returns {string} One of PLAYBACK_STATES
+ */
+function getPlaybackState(event, options = {}) {
+  if (!event) return PLAYBACK_STATES.NONE;
+  if (event.isPlaying) return PLAYBACK_STATES.PLAYING;
+  // A session that isn't playing anything
+  if (!event.trackName && !hasArtist(event)) return PLAYBACK_STATES.NONE;
+
+  const { pausedAt = null, now = Date.now(), idleTimeout = DEFAULT_IDLE_TIMEOUT } = options;
+  if (idleTimeout > 0 && pausedAt !== null && now - pausedAt >= idleTimeout) {
+    return PLAYBACK_STATES.STOPPED;
+  }
+  return PLAYBACK_STATES.PAUSED;
+}
+
+function hasArtist(event) {
+  return Array.isArray(event.artist) ? event.artist.length > 0 : !!event.artist;
+}
+
+/**
+ * Whether a state shows the track (playing or paused)
+ */
+function showsTrack(state) {
+  return state === PLAYBACK_STATES.PLAYING || state === PLAYBACK_STATES.PAUSED;
+}
+
+module.exports = {
+  PLAYBACK_STATES,
+  DEFAULT_IDLE_TIMEOUT,
+  getPlaybackState,
+  showsTrack
+};
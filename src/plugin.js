@@ -1,205 +1,476 @@
 const { streamDeck } = require('@elgato/streamdeck');
-const { NowPlaying } = require('node-nowplaying');
-const fs = require('fs');
 const path = require('path');
+const Logger = require('./logger');
 const NowPlayingRenderer = require('./renderer');
+const NowPlayingController = require('./controller');
+const { createMediaSource } = require('./sources');
+const { themeFromSettings } = require('./themes');
+const { getSlotIndex } = require('./layouts');
+const dialActions = require('./dial-actions');
+const { TRANSPORT_ACTIONS, runTransport } = require('./transport-actions');
+const SessionManager = require('./session-manager');
+const { parsePlayerList } = require('./session-manager');
+const ListeningHistory = require('./history');
+const HistoryBrowser = require('./history-browser');
+const Scrobbler = require('./scrobbler');
+const ListenBrainzClient = require('./listenbrainz-client');
+const ApiServer = require('./api-server');
+const FileOutput = require('./file-output');
+const { parseTemplates } = require('./file-output');
+const LyricsLibrary = require('./lyrics');
+const ArtworkCache = require('./artwork-cache');
+const ArtworkResolver = require('./artwork-resolver');
+const { GLOBAL_SETTINGS, KEYPAD_SETTINGS, INDICATOR_SETTINGS, LCD_SETTINGS, readSettings } = require('./settings');
+const RulesEngine = require('./rules');
+const { parseRules, findProfile } = require('./rules');
+const SubscriptionManager = require('./subscription-manager');
+const { STATUSES } = require('./subscription-manager');
+const { getDataDir, moveLegacyData } = require('./data-dir');
 
-// Custom logger that writes to a file
-const logFile = path.join(__dirname, '..', 'debug.log');
-function log(...args) {
-  const timestamp = new Date().toISOString();
-  const message = `[${timestamp}] ${args.map(a => typeof a === 'object' ? JSON.stringify(a, null, 2) : a).join(' ')}\n`;
-  fs.appendFileSync(logFile, message);
-  console.log(...args);
-}
+// Leveled log file next to the plugin; the level comes from global settings
+const logger = new Logger({
+  file: path.join(__dirname, '..', 'debug.log'),
+  console
+});
 
 // Global error handlers to catch unhandled errors
 process.on('uncaughtException', (error) => {
-  log('UNCAUGHT EXCEPTION:', error.message, error.stack);
+  logger.error('Uncaught exception:', error);
+  logger.flushSync();
+});
+
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled rejection:', reason);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  log('UNHANDLED REJECTION:', reason, 'Promise:', promise, 'Stack:', reason?.stack);
+process.on('exit', () => logger.flushSync());
+
+logger.info('Plugin starting...');
+
+const renderer = new NowPlayingRenderer({ logger });
+// Synced lyrics from the folder set in global settings
+const lyrics = new LyricsLibrary({ logger });
+// What the plugin keeps lives outside the plugin folder, which updates
+// replace; earlier versions kept it in there
+const dataDir = getDataDir('com.streamdeck.nowplaying');
+
+// Artwork for tracks the player sends none for, with covers seen before kept in the data folder
+const artworkDir = path.join(dataDir, 'artwork-cache');
+moveLegacyData(path.join(__dirname, '..', 'cache', 'artwork'), artworkDir, logger);
+const artworkCache = new ArtworkCache({ dir: artworkDir, logger });
+artworkCache.load().catch(err => logger.error('Error loading artwork cache:', err));
+const controller = new NowPlayingController({
+  renderer,
+  logger,
+  lyrics,
+  artwork: new ArtworkResolver({ cache: artworkCache, logger }),
+  onUpdate: () => {
+    apiServer.publish();
+    fileOutput.update(controller.getTrackInfo(), controller.getPlaybackState());
+    rules.update(controller.getTrackInfo(), controller.getPlaybackState());
+  }
 });
+const { keypadContexts, lcdContexts, transportContexts } = controller;
+const sessions = new SessionManager();
+
+// One subscription to the player's media session, kept while anything needs
+// it, retried while it fails and renewed when the source goes quiet
+const subscription = new SubscriptionManager({
+  createSource: callback => createMediaSource(callback),
+  logger,
+  onEvent: (event) => {
+    // Artwork is logged by size only
+    logger.debug('Now playing event:', event);
 
-log('Plugin starting...');
+    // Only the selected player's events reach the display
+    if (sessions.update(event)) {
+      showSelectedSession();
+    }
+  },
+  onStatus: status => handleSourceStatus(status)
+});
 
-let nowPlayingInstance = null;
-let currentTrackInfo = null;
-let keypadContexts = new Set();
-let lcdContexts = new Set();
-const renderer = new NowPlayingRenderer();
+// History and scrobbles, in the data folder like the artwork cache
+const historyDir = path.join(dataDir, 'history');
+moveLegacyData(path.join(__dirname, '..', 'history'), historyDir, logger);
+
+// Listening history, browsed with the history action
+const history = new ListeningHistory({
+  dir: historyDir,
+  logger,
+  onRecord: entry => {
+    logger.debug('Recorded play:', entry.trackName, entry.completed ? '(completed)' : '(skipped)');
+    scrobbler.add(entry);
+    historyBrowser.recorded().catch(err => logger.error('Error updating history actions:', err));
+  }
+});
+const historyBrowser = new HistoryBrowser({ history, renderer, logger });
+history.load()
+  .then(() => historyBrowser.updateAll())
+  .catch(err => logger.error('Error loading listening history:', err));
+
+// Scrobbles of finished plays, queued next to the history until they are sent.
+// Scrobbling is on once a token is set in global settings.
+const scrobbler = new Scrobbler({
+  file: path.join(historyDir, 'scrobbles.json'),
+  logger
+});
+scrobbler.load().catch(err => logger.error('Error loading scrobble queue:', err));
+let scrobbleTarget = null; // Until global settings arrive, plays are queued
+
+// Local API for overlays and scripts, off unless turned on in global settings
+const apiServer = new ApiServer({ controller, renderer, logger, getSource: () => subscription.source });
+
+// Text and image files for OBS, off until an output folder is set
+const fileOutput = new FileOutput({ renderer, logger });
+
+// Rules from global settings that switch profiles and drive Rule Indicator
+// keys, which are found by their name
+const rules = new RulesEngine({
+  logger,
+  onAction: (action, rule) => runRuleAction(action, rule)
+    .catch(err => logger.warn(`Error running rule ${rule}:`, err))
+});
+let rulesText = '';
+const indicators = new Set();
+const indicatorStates = new Map(); // Name -> state last set by a rule
 
 const ACTION_UUID_KEYPAD = 'com.streamdeck.nowplaying.display';
 const ACTION_UUID_LCD = 'com.streamdeck.nowplaying.lcd';
+const ACTION_UUID_SESSION = 'com.streamdeck.nowplaying.session';
+const ACTION_UUID_HISTORY = 'com.streamdeck.nowplaying.history';
+const ACTION_UUID_INDICATOR = 'com.streamdeck.nowplaying.indicator';
 
-// Initialize nowplaying
+// Subscribe to the media source; appearing actions share one subscription
 async function initializeNowPlaying() {
-  if (nowPlayingInstance) return;
-  
-  try {
-    nowPlayingInstance = new NowPlaying((event) => {
-      log('=== NowPlaying Event Received ===');
-      log('Full event object keys:', Object.keys(event));
-      log('trackName:', event.trackName);
-      log('artist:', event.artist);
-      log('album:', event.album);
-      log('thumbnail type:', typeof event.thumbnail);
-      log('thumbnail exists:', !!event.thumbnail);
-      if (event.thumbnail) {
-        log('thumbnail length:', event.thumbnail.length);
-        log('thumbnail first 100 chars:', event.thumbnail.substring(0, 100));
-      }
-      log('isPlaying:', event.isPlaying);
-      log('=================================');
-      
-      currentTrackInfo = event;
-      updateAllActions().catch(err => log('Error in updateAllActions:', err));
-    });
-    
-    await nowPlayingInstance.subscribe();
-    log('Successfully subscribed to now playing events');
-  } catch (error) {
-    log('Error initializing nowplaying:', error);
-  }
+  await subscription.acquire();
 }
 
-// Update all keypad instances
-async function updateAllKeypads() {
-  log('updateAllKeypads: keypadContexts size =', keypadContexts.size);
-  for (const action of keypadContexts) {
-    try {
-      await updateKeypadAction(action);
-    } catch (err) {
-      log('Error updating keypad action:', err, err?.message, err?.stack);
-    }
+// Keys and LCDs say when the source can't be reached. Without a source the
+// players' last events are stale, so the display drops them.
+function handleSourceStatus(status) {
+  controller.setSourceAvailable(status !== STATUSES.UNAVAILABLE)
+    .catch(err => logger.error('Error showing the source status:', err));
+  if (status === STATUSES.CONNECTED) {
+    // Events may have arrived while subscribing, before commands could be aimed
+    subscription.source.setSession(sessions.getTarget());
+  } else if (status === STATUSES.IDLE || status === STATUSES.UNAVAILABLE) {
+    sessions.clear();
+    showSelectedSession();
   }
 }
 
-// Update all LCD instances
-async function updateAllLCDs() {
-  log('updateAllLCDs: lcdContexts size =', lcdContexts.size);
-  for (const action of lcdContexts) {
-    try {
-      const position = action._position || 'left';
-      await updateLCDAction(action, position);
-    } catch (err) {
-      log('Error updating LCD action:', err, err?.message, err?.stack);
-    }
+// Show the selected session and send transport commands to it
+function showSelectedSession() {
+  if (subscription.source) {
+    subscription.source.setSession(sessions.getTarget());
   }
+  history.update(sessions.getSelectedEvent());
+  scrobbler.nowPlaying(sessions.getSelectedEvent());
+
+  // Bursts of events are folded into one update
+  controller.queueEvent(sessions.getSelectedEvent())
+    .catch(err => logger.error('Error updating actions:', err));
 }
 
-// Update all visible instances
-async function updateAllActions() {
-  log('updateAllActions called');
-  log('keypadContexts size:', keypadContexts.size);
-  log('lcdContexts size:', lcdContexts.size);
-  
-  for (const action of keypadContexts) {
-    log('Updating keypad action...');
-    try {
-      await updateKeypadAction(action);
-      log('Keypad action updated successfully');
-    } catch (err) {
-      log('Error updating keypad action:', String(err), err?.message, err?.stack);
-    }
+// Switch to the next active player
+function cycleSession() {
+  const next = sessions.cycle();
+  if (!next) return false;
+
+  logger.info('Switched to player', next.appId);
+  showSelectedSession();
+  return true;
+}
+
+// Unsubscribe once no instances are left. The subscription stays a few
+// seconds, so switching pages doesn't subscribe again.
+async function releaseNowPlaying() {
+  if (controller.hasActions() || historyBrowser.contexts.size > 0 || indicators.size > 0) return;
+  if (apiServer.server || fileOutput.isEnabled() || rules.rules.length > 0) return;
+
+  subscription.release();
+}
+
+// Settings values the inspector should point out, by action id, and for
+// the global settings shared by every action
+const settingsErrors = new Map();
+let globalSettingsErrors = [];
+
+// Apply global plugin settings
+function applyGlobalSettings(saved = {}) {
+  const { values: settings, errors, settings: migrated, migrated: changed } = readSettings(GLOBAL_SETTINGS, saved);
+  if (changed) {
+    streamDeck.settings.setGlobalSettings(migrated)
+      .catch(err => logger.warn('Error saving migrated global settings:', err));
   }
-  
-  for (const action of lcdContexts) {
-    log('Updating LCD action...');
-    try {
-      const position = action._position || 'left';
-      await updateLCDAction(action, position);
-      log('LCD action updated successfully');
-    } catch (err) {
-      log('Error updating LCD action:', String(err), err?.message, err?.stack);
-    }
+  globalSettingsErrors = errors;
+  logSettingsErrors('global settings', errors);
+  reportSettingsErrors();
+
+  if (settings.logLevel !== logger.level && logger.setLevel(settings.logLevel)) {
+    logger.info('Log level set to', settings.logLevel);
+  }
+
+  controller.setIdleTimeout(settings.idleTimeout)
+    .catch(err => logger.error('Error applying idle timeout:', err));
+
+  history.setRetention(settings.historyRetention)
+    .catch(err => logger.error('Error applying history retention:', err));
+  applyScrobbleSettings(settings);
+  applyApiSettings(settings)
+    .catch(err => logger.error('Error starting the API:', err));
+  applyFileOutputSettings(settings)
+    .catch(err => logger.error('Error applying file output settings:', err));
+  applyLyricsSettings(settings);
+  applyRulesSettings(settings)
+    .catch(err => logger.error('Error applying rules:', err));
+
+  sessions.setOptions({
+    policy: settings.sessionPolicy,
+    preferred: settings.preferredPlayer,
+    blocked: parsePlayerList(settings.blockedPlayers)
+  });
+  if (subscription.source) {
+    showSelectedSession();
   }
-  
-  log('updateAllActions finished');
 }
 
-// Update a specific keypad action with current track info
-async function updateKeypadAction(action) {
-  if (!currentTrackInfo || !currentTrackInfo.isPlaying) {
-    try {
-      await action.setTitle('♪');
-      // Set default icon
-      await action.setImage('assets/action');
-    } catch (error) {
-      log('Error setting no track state:', error);
-    }
+// Point the scrobbler at the configured server, or turn it off without a token
+function applyScrobbleSettings(settings) {
+  const token = settings.scrobbleToken;
+  const url = settings.scrobbleUrl || ListenBrainzClient.DEFAULT_URL;
+  const target = token ? `${url} ${token}` : '';
+  if (target === scrobbleTarget) return;
+
+  scrobbleTarget = target;
+  scrobbler.setClient(token ? new ListenBrainzClient({ url, token }) : null)
+    .catch(err => logger.error('Error sending scrobbles:', err));
+  logger.info(token ? `Scrobbling to ${url}` : 'Scrobbling off');
+}
+
+// Start the local API with the configured port and token, or stop it.
+// While it runs the plugin keeps listening to the player, with or without actions.
+async function applyApiSettings(settings) {
+  if (settings.apiEnabled !== 'on') {
+    await apiServer.stop();
+    await releaseNowPlaying();
     return;
   }
-  
-  const { trackName, artist, thumbnail } = currentTrackInfo;
-  
-  log('Updating keypad action with track:', trackName, 'Artist:', artist, 'Has thumbnail:', !!thumbnail);
-  if (thumbnail) {
-    log('Thumbnail length:', thumbnail.length);
+
+  await apiServer.start({ port: settings.apiPort, token: settings.apiToken });
+  await initializeNowPlaying();
+}
+
+// Write now playing files to the configured folder, or stop without one.
+// Like the API, file output keeps the plugin listening to the player.
+async function applyFileOutputSettings(settings) {
+  fileOutput.configure({
+    folder: settings.outputFolder,
+    templates: parseTemplates(settings.outputTemplates),
+    idleText: settings.outputIdleText
+  });
+  if (!fileOutput.isEnabled()) {
+    await releaseNowPlaying();
+    return;
   }
-  
-  // Build title text
-  const artists = Array.isArray(artist) ? artist.join(', ') : (artist || 'Unknown');
-  const title = `${trackName || 'Unknown'}\n${artists}`;
-  
-  try {
-    await action.setTitle(title);
-  } catch (error) {
-    log('Error setting title:', error);
+
+  await initializeNowPlaying();
+  await fileOutput.update(controller.getTrackInfo(), controller.getPlaybackState());
+}
+
+// Look for lyrics in the configured folder, or turn them off without one
+function applyLyricsSettings(settings) {
+  const folder = settings.lyricsFolder;
+  if ((folder || null) === lyrics.folder) return;
+
+  lyrics.setFolder(folder);
+  logger.info(folder ? `Lyrics from ${folder}` : 'Lyrics off');
+  controller.loadLyrics(true)
+    .catch(err => logger.error('Error loading lyrics:', err));
+}
+
+// Run rules from settings. Like the API, rules keep the plugin listening to
+// the player, so they still work on profiles without Now Playing actions.
+async function applyRulesSettings(settings) {
+  if (settings.rules === rulesText) return;
+  rulesText = settings.rules;
+
+  const parsed = parseRules(settings.rules).rules;
+  logger.info(parsed.length > 0 ? `${parsed.length} rules active` : 'No rules');
+  rules.setRules(parsed);
+  if (parsed.length > 0) {
+    await initializeNowPlaying();
+    rules.update(controller.getTrackInfo(), controller.getPlaybackState());
+  } else {
+    await releaseNowPlaying();
   }
-  
-  // Set album art if available, otherwise use default
-  if (thumbnail && thumbnail.length > 0) {
-    try {
-      log('Setting album art image');
-      // node-nowplaying already provides the full data URL with prefix
-      await action.setImage(thumbnail);
-      log('Album art set successfully');
-    } catch (error) {
-      log('Error setting album art:', error);
-      // Fallback to default icon
-      await action.setImage('assets/action');
+}
+
+// Carry out an action of a rule. Every device switches to the profile of
+// that name made for it (see findProfile); null goes back.
+async function runRuleAction(action, rule) {
+  logger.info('Rule', rule, 'runs', action.type, action.profile ?? action.key ?? '');
+  if (action.type === 'switchProfile') {
+    for (const device of streamDeck.devices) {
+      if (!device.isConnected) continue;
+      const profile = action.profile && findProfile(action.profile, device.type);
+      if (action.profile && !profile) {
+        logger.warn(`No ${action.profile} profile for ${device.name} comes with the plugin`);
+        continue;
+      }
+      await streamDeck.profiles.switchToProfile(device.id, profile || undefined)
+        .catch(err => logger.warn(`Error switching profile on ${device.name}:`, err));
     }
-  } else {
-    log('No thumbnail available, using default icon');
-    try {
-      await action.setImage('assets/action');
-    } catch (error) {
-      log('Error setting default icon:', error);
+    return;
+  }
+
+  if (action.type === 'setState') indicatorStates.set(action.key, action.state);
+  for (const indicator of indicators) {
+    if (indicator._indicatorName !== action.key) continue;
+    if (action.type === 'setState') {
+      await indicator.setState(action.state);
+    } else if (action.type === 'showAlert') {
+      await indicator.showAlert();
+    } else if (action.type === 'showOk') {
+      await indicator.showOk();
     }
   }
 }
 
-// Update LCD action with rendered image
-async function updateLCDAction(action, position = 'left') {
-  if (!currentTrackInfo || !currentTrackInfo.isPlaying) {
-    try {
-      const blankImage = await renderer.createBlank(position);
-      await action.setFeedback({ image: blankImage });
-    } catch (error) {
-      log('Error setting no track state on LCD:', error);
-    }
+// Name an indicator key and show the state rules last set for that name
+async function applyIndicatorSettings(action, saved) {
+  const settings = readActionSettings(action, INDICATOR_SETTINGS, saved);
+  action._indicatorName = settings.indicatorName;
+  await action.setState(indicatorStates.get(settings.indicatorName) || 0);
+}
+
+// Migrate and parse an action's saved settings, saving migrated settings
+// back and keeping invalid values for the inspector
+function readActionSettings(action, schema, saved = {}) {
+  const { values, errors, settings, migrated } = readSettings(schema, saved);
+  if (migrated) {
+    logger.info('Migrated settings of', action.id, 'to version', settings.settingsVersion);
+    action.setSettings(settings)
+      .catch(err => logger.warn('Error saving migrated settings:', err));
+  }
+  settingsErrors.set(action.id, errors);
+  logSettingsErrors(`settings of ${action.id}`, errors);
+  reportSettingsErrors(action);
+  return values;
+}
+
+function logSettingsErrors(what, errors) {
+  if (errors.length === 0) return;
+  logger.warn(`Invalid ${what}:`, errors.map(error => `${error.setting} ${JSON.stringify(error.value)}: ${error.message}`).join('; '));
+}
+
+// Show invalid settings in the open property inspector, if it belongs to the action
+function reportSettingsErrors(action = streamDeck.ui.action) {
+  const visible = streamDeck.ui.action;
+  if (!action || !visible || visible.id !== action.id) return;
+
+  const errors = [...(settingsErrors.get(action.id) || []), ...globalSettingsErrors];
+  streamDeck.ui.sendToPropertyInspector({ event: 'settingsErrors', errors })
+    .catch(err => logger.warn('Error reporting invalid settings:', err));
+}
+
+// Copy LCD settings onto the action for the controller
+function applyLCDSettings(action, saved) {
+  const settings = readActionSettings(action, LCD_SETTINGS, saved);
+  action._span = settings.span;
+  action._position = getSlotIndex(settings.slot, settings.span) + 1;
+  action._refreshInterval = settings.refreshInterval;
+  action._marquee = getMarquee(settings);
+  action._wrapTitle = settings.titleLines === '2';
+  action._theme = themeFromSettings(settings);
+  action._dynamicColors = settings.colors === 'artwork';
+  action._lyrics = getLyricsOptions(settings);
+  action._dialActions = dialActions.getDialActions(settings);
+
+  // Show this dial's mapping in the Stream Deck app
+  action.setTriggerDescription(dialActions.describeDialActions(action._dialActions))
+    .catch(err => logger.warn('Error setting trigger description:', err));
+}
+
+// Lyrics options from LCD settings, or null when the dial never shows lyrics.
+// The offset (ms) shows lines earlier when positive, later when negative.
+function getLyricsOptions(settings) {
+  if (settings.lyrics === 'off') return null;
+  return { offset: settings.lyricsOffset };
+}
+
+// Turn the lyrics timing of this dial and keep it in its settings, so it
+// survives restarts and the inspector shows it
+async function nudgeLyricsOffset(action, settings, ticks) {
+  const updated = { ...settings, lyricsOffset: dialActions.nudgeLyricsOffset(settings.lyricsOffset, ticks) };
+  action._lyrics = getLyricsOptions(updated);
+  logger.debug('Lyrics offset', updated.lyricsOffset, 'ms');
+  await action.setSettings(updated)
+    .catch(err => logger.warn('Error saving lyrics offset:', err));
+  await controller.updateLCDAction(action, action._position);
+}
+
+// Run a dial press or touch command, as configured for this dial
+async function runDialCommand(action, trigger) {
+  const command = action._dialActions[trigger];
+  const source = subscription.source;
+  if (!source || command === 'none') return;
+
+  if (command === 'cycleSession') {
+    if (!cycleSession()) await action.showAlert().catch(() => {});
     return;
   }
 
-  log('Updating LCD action with track:', currentTrackInfo.trackName, 'position:', position);
-  
   try {
-    const renderedImage = await renderer.render(currentTrackInfo, position);
-    await action.setFeedback({ image: renderedImage });
-    log('LCD rendered successfully for position:', position);
+    await dialActions.runCommand(source, command);
+    logger.debug('Dial', trigger, 'ran', command);
   } catch (error) {
-    log('Error rendering LCD image:', error);
-    try {
-      const fallbackImage = await renderer.createFallback(position);
-      await action.setFeedback({ image: fallbackImage });
-    } catch (fbError) {
-      log('Error setting fallback LCD image:', fbError);
-    }
+    logger.warn(`Error running ${command}:`, error);
+    await action.showAlert().catch(() => {});
   }
 }
 
+// Marquee scroll speed from LCD settings, or null to truncate long text
+const MARQUEE_SPEEDS = { slow: 20, normal: 40, fast: 80 };
+function getMarquee(settings) {
+  const speed = MARQUEE_SPEEDS[settings.marquee];
+  return speed ? { speed } : null;
+}
+
+// Title cycling from keypad settings, or null to show the whole title at once
+function getTitleCycle(settings) {
+  if (settings.titleMode !== 'cycle') return null;
+  return { interval: settings.cycleInterval };
+}
+
+// Key layout from keypad settings. Fields are title, artist and album, in
+// the order they're shown.
+function getKeyLayout(settings) {
+  return {
+    show: settings.keyShow,
+    fields: settings.keyFields,
+    position: settings.keyTextPosition,
+    wall: getWallTile(settings)
+  };
+}
+
+// This key's tile of an album art wall, or null when the key isn't part of
+// one. Settings hold the grid size and the 1-based row and column.
+function getWallTile(settings) {
+  if (settings.wallGrid === 'off') return null;
+  const grid = Number(settings.wallGrid);
+  const index = value => Math.min(value, grid) - 1;
+  return { grid, row: index(settings.wallRow), column: index(settings.wallColumn) };
+}
+
+// Copy keypad settings onto the action for the controller
+function applyKeypadSettings(action, saved) {
+  const settings = readActionSettings(action, KEYPAD_SETTINGS, saved);
+  action._titleCycle = getTitleCycle(settings);
+  action._keyLayout = getKeyLayout(settings);
+}
+
 // Register event handlers
 const actionService = streamDeck.actions;
 
@@ -207,105 +478,238 @@ const actionService = streamDeck.actions;
 actionService.registerAction({
   manifestId: ACTION_UUID_KEYPAD,
   onWillAppear: async function(ev) {
-    log('Keypad Now Playing action appeared:', ev.action.id);
+    logger.debug('Keypad Now Playing action appeared:', ev.action.id);
+    applyKeypadSettings(ev.action, ev.payload.settings || {});
     keypadContexts.add(ev.action);
     
     await initializeNowPlaying();
+    controller.updateTimers();
     
-    await updateKeypadAction(ev.action);
+    await controller.updateKeypadAction(ev.action);
   },
   
   onWillDisappear: async function(ev) {
-    log('Keypad Now Playing action disappeared:', ev.action.id);
+    logger.debug('Keypad Now Playing action disappeared:', ev.action.id);
     keypadContexts.delete(ev.action);
+    settingsErrors.delete(ev.action.id);
+    controller.forgetAction(ev.action);
+    controller.updateTimers();
     
     // Clean up if no instances left
-    if (keypadContexts.size === 0 && lcdContexts.size === 0 && nowPlayingInstance) {
-      try {
-        await nowPlayingInstance.unsubscribe();
-        nowPlayingInstance = null;
-        log('Unsubscribed from now playing events');
-      } catch (error) {
-        log('Error unsubscribing:', error);
-      }
-    }
+    await releaseNowPlaying();
+  },
+  
+  onDidReceiveSettings: async function(ev) {
+    applyKeypadSettings(ev.action, ev.payload.settings || {});
+    controller.updateTimers();
+    
+    await controller.updateKeypadAction(ev.action);
   },
   
   onKeyDown: async function(ev) {
-    log('Key pressed on Now Playing keypad action');
-    if (nowPlayingInstance) {
+    logger.debug('Key pressed on Now Playing keypad action');
+    if (subscription.source) {
       try {
-        await nowPlayingInstance.playPause();
-        log('Toggled play/pause');
+        await subscription.source.playPause();
+        logger.debug('Toggled play/pause');
       } catch (error) {
-        log('Error toggling playback:', error);
+        logger.warn('Error toggling playback:', error);
       }
     }
   }
 });
 
+// Transport key handlers: next, previous, play/pause, shuffle, repeat and
+// switch player. They share the media subscription with the display actions.
+for (const [manifestId, kind] of Object.entries({ ...TRANSPORT_ACTIONS, [ACTION_UUID_SESSION]: 'session' })) {
+  actionService.registerAction({
+    manifestId,
+    onWillAppear: async function(ev) {
+      logger.debug('Transport action appeared:', kind, ev.action.id);
+      ev.action._transport = kind;
+      transportContexts.add(ev.action);
+
+      await initializeNowPlaying();
+      await controller.updateTransportAction(ev.action);
+    },
+
+    onWillDisappear: async function(ev) {
+      logger.debug('Transport action disappeared:', kind, ev.action.id);
+      transportContexts.delete(ev.action);
+      controller.forgetAction(ev.action);
+
+      // Clean up if no instances left
+      await releaseNowPlaying();
+    },
+
+    onKeyDown: async function(ev) {
+      const source = subscription.source;
+      if (!source) return;
+
+      if (kind === 'session') {
+        if (!cycleSession()) await ev.action.showAlert().catch(() => {});
+        return;
+      }
+
+      try {
+        await runTransport(source, kind, controller.currentTrackInfo);
+        logger.debug('Ran transport action', kind);
+      } catch (error) {
+        logger.warn(`Error running ${kind}:`, error);
+        await ev.action.showAlert().catch(() => {});
+      }
+    }
+  });
+}
+
 // LCD action handler
 actionService.registerAction({
   manifestId: ACTION_UUID_LCD,
   onWillAppear: async function(ev) {
-    log('LCD Now Playing action appeared:', ev.action.id);
+    logger.debug('LCD Now Playing action appeared:', ev.action.id);
     const settings = ev.payload.settings || {};
-    const position = settings.position || 'left';
-    log('LCD position setting:', position);
     
-    // Store position with the action for later updates
-    ev.action._position = position;
+    // Store settings with the action for later updates
+    applyLCDSettings(ev.action, settings);
+    const position = ev.action._position;
+    logger.debug('LCD slot setting:', position, 'of', ev.action._span);
     lcdContexts.add(ev.action);
     
     await initializeNowPlaying();
+    controller.updateTimers();
     
-    await updateLCDAction(ev.action, position);
+    await controller.updateLCDAction(ev.action, position);
   },
   
   onWillDisappear: async function(ev) {
-    log('LCD Now Playing action disappeared:', ev.action.id);
+    logger.debug('LCD Now Playing action disappeared:', ev.action.id);
     lcdContexts.delete(ev.action);
+    settingsErrors.delete(ev.action.id);
+    controller.forgetAction(ev.action);
+    controller.updateTimers();
     
     // Clean up if no instances left
-    if (keypadContexts.size === 0 && lcdContexts.size === 0 && nowPlayingInstance) {
-      try {
-        await nowPlayingInstance.unsubscribe();
-        nowPlayingInstance = null;
-        log('Unsubscribed from now playing events');
-      } catch (error) {
-        log('Error unsubscribing:', error);
-      }
-    }
+    await releaseNowPlaying();
   },
   
   onDidReceiveSettings: async function(ev) {
-    // User changed settings - update position
+    // User changed settings - update span and slot, progress refresh, text options and theme
     const settings = ev.payload.settings || {};
-    const position = settings.position || 'left';
-    log('LCD settings changed, new position:', position);
     
-    ev.action._position = position;
+    applyLCDSettings(ev.action, settings);
+    const position = ev.action._position;
+    logger.debug('LCD settings changed, new slot:', position, 'of', ev.action._span);
+    controller.updateTimers();
     
-    await updateLCDAction(ev.action, position);
+    await controller.updateLCDAction(ev.action, position);
   },
   
   onDialRotate: async function(ev) {
-    log('Dial rotated on Now Playing LCD action');
-    if (nowPlayingInstance) {
+    logger.debug('Dial rotated on Now Playing LCD action');
+    if (ev.action._dialActions.rotate === 'lyricsOffset') {
+      await nudgeLyricsOffset(ev.action, ev.payload.settings || {}, ev.payload.ticks);
+      return;
+    }
+    if (subscription.source) {
       try {
-        // Rotate right = seek forward, rotate left = seek backward
-        const ticks = ev.payload.ticks;
-        const secondsToSeek = ticks > 0 ? 5 : -5;
-        await nowPlayingInstance.seek(secondsToSeek);
-        log('Sought by', secondsToSeek, 'seconds');
+        // Right turns seek forward, raise the volume or skip ahead, depending on settings
+        const done = await dialActions.rotate(subscription.source, ev.action._dialActions, ev.payload.ticks);
+        logger.debug('Dial rotate:', done);
       } catch (error) {
-        log('Error seeking:', error);
+        logger.warn('Error handling dial rotate:', error);
+        await ev.action.showAlert().catch(() => {});
       }
     }
+  },
+
+  onDialDown: async function(ev) {
+    await runDialCommand(ev.action, 'press');
+  },
+
+  onTouchTap: async function(ev) {
+    await runDialCommand(ev.action, ev.payload.hold ? 'longTouch' : 'tap');
   }
 });
 
+// Listening history: keys step back one play per press, dials scroll
+// with a turn and return to the latest play on press or tap
+actionService.registerAction({
+  manifestId: ACTION_UUID_HISTORY,
+  onWillAppear: async function(ev) {
+    logger.debug('History action appeared:', ev.action.id);
+    historyBrowser.add(ev.action, ev.payload.controller === 'Encoder');
+
+    // Plays are only recorded while the plugin listens to the player
+    await initializeNowPlaying();
+    await historyBrowser.update(ev.action);
+  },
+
+  onWillDisappear: async function(ev) {
+    logger.debug('History action disappeared:', ev.action.id);
+    historyBrowser.remove(ev.action);
+
+    // Clean up if no instances left
+    await releaseNowPlaying();
+  },
+
+  onKeyDown: async function(ev) {
+    // Past the oldest play, start again from the latest
+    if (!await historyBrowser.scroll(ev.action, 1)) {
+      await historyBrowser.reset(ev.action);
+    }
+  },
+
+  onDialRotate: async function(ev) {
+    // Turning right goes back in time
+    await historyBrowser.scroll(ev.action, ev.payload.ticks);
+  },
+
+  onDialDown: async function(ev) {
+    await historyBrowser.reset(ev.action);
+  },
+
+  onTouchTap: async function(ev) {
+    await historyBrowser.reset(ev.action);
+  }
+});
+
+// Rule Indicator keys: rules set their state or flash them, by name
+actionService.registerAction({
+  manifestId: ACTION_UUID_INDICATOR,
+  onWillAppear: async function(ev) {
+    logger.debug('Rule indicator appeared:', ev.action.id);
+    indicators.add(ev.action);
+    await applyIndicatorSettings(ev.action, ev.payload.settings);
+
+    // Rules only see events while the plugin listens to the player
+    await initializeNowPlaying();
+  },
+
+  onWillDisappear: async function(ev) {
+    logger.debug('Rule indicator disappeared:', ev.action.id);
+    indicators.delete(ev.action);
+    settingsErrors.delete(ev.action.id);
+
+    // Clean up if no instances left
+    await releaseNowPlaying();
+  },
+
+  onDidReceiveSettings: async function(ev) {
+    await applyIndicatorSettings(ev.action, ev.payload.settings);
+  }
+});
+
+// Global settings are shared by every action, e.g. the log level
+streamDeck.settings.onDidReceiveGlobalSettings(ev => applyGlobalSettings(ev.settings));
+
+// An inspector that opens shows what's wrong with the settings it edits
+streamDeck.ui.onDidAppear(ev => reportSettingsErrors(ev.action));
+
 // Connect to Stream Deck
 streamDeck.connect();
 
-log('Now Playing plugin started');
+streamDeck.settings.getGlobalSettings()
+  .then(applyGlobalSettings)
+  .catch(err => logger.warn('Error reading global settings:', err));
+
+logger.info('Now Playing plugin started');
@@ -1,21 +1,145 @@
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { layoutText, measureText, fitText, isRtl } = require('./text-layout');
+const { DEFAULT_THEME, resolveTheme, getBarRadius, hexToRgb } = require('./themes');
+const { extractPalette, applyPalette } = require('./artwork-colors');
+const { SLOT_WIDTH, LCD_HEIGHT, getLayout, getSlotIndex } = require('./layouts');
+const LruCache = require('./lru-cache');
+
+const MARQUEE_GAP = 40;            // Space between the end of a scrolling line and its repeat
+const MARQUEE_SPEED = 40;          // Pixels per second
+const MARQUEE_PAUSE = 2000;        // Milliseconds to hold the start of the line each cycle
+const PALETTE_CACHE_SIZE = 20;     // Artwork palettes kept for dynamic colors
+const ARTWORK_CACHE_SIZE = 8;      // Resized artworks kept (per size and shape)
+const CANVAS_CACHE_SIZE = 4;       // Rendered span canvases kept, e.g. one per theme in use
+const PAUSED_DIM = 0.55;           // Opacity of the background laid over a paused track
+const KEY_SIZE = 144;              // Key image resolution (72pt keys at 2x)
+const PLAYER_BADGE_HEIGHT = 15;    // Strip naming the player when several are active
+const KEY_CACHE_SIZE = 8;          // Rendered key images kept (per text page and layout)
+const IDLE_MESSAGE = { trackName: 'No track playing', artist: 'Start playing music' };
+const KEY_SHOW_MODES = ['overlay', 'artwork', 'text'];
+const KEY_TEXT_POSITIONS = ['top', 'middle', 'bottom'];
+const KEY_MAX_LINES = 3;
+const KEY_TITLE_SIZE = 22;
+const KEY_TEXT_SIZE = 18;
+const KEY_TEXT_PADDING = 6;
+const WALL_SIZES = [2, 3, 4];      // Keys per side of an album art wall
+const KEY_GAP = 40;                // Physical gap between neighbouring keys, in key pixels
+const WALL_CACHE_SIZE = 2;         // Full wall images kept, e.g. while a grid size changes
+const LYRIC_LINES = ['lyric', 'nextLyric']; // Lines that change with the position and never scroll
 
 /**
  * Renders a now-playing LCD screen with album art and metadata
- * LCD dimensions: typically 800x100 pixels for 2 dial positions on Streamdeck Plus
+ * LCD dimensions: 800x100 pixels on Streamdeck Plus, 200x100 per dial.
+ * The display spans 1-4 dials (see layouts.js); each render draws the
+ * canvas for the whole span and returns the slice for one dial.
+ * Keypad images are rendered at key resolution (renderKey).
+ *
+ * Canvases are cached by everything that goes into them, so the dials of
+ * one span share a single render per update, and decoded artwork is cached
+ * by hash so progress refreshes don't resize it again.
  */
 class NowPlayingRenderer {
-  constructor() {
-    this.fullWidth = 400;   // Full width for both positions combined
-    this.dialWidth = 200;   // Single dial position width
-    this.lcdHeight = 100;   // LCD height
-    this.artworkSize = 100; // Album art will be square, 100x100
+  /**
+   * @param {Object} options
+   * @param {Object|string} options.theme - Default theme, or a preset name (see themes.js)
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to the console
+   */
+  constructor(options = {}) {
+    this.dialWidth = SLOT_WIDTH;  // Single dial position width
+    this.lcdHeight = LCD_HEIGHT;  // LCD height
     this.padding = 8;
-    this.textColor = '#ffffff';
-    this.backgroundColor = '#000000';
-    this.accentColor = '#007bff'; // Progress bar color
+    this.logger = options.logger || console;
+    this.theme = typeof options.theme === 'object'
+      ? options.theme
+      : resolveTheme(options.theme || DEFAULT_THEME);
+    this.palettes = new LruCache(PALETTE_CACHE_SIZE);  // Artwork hash -> palette promise
+    this.artworks = new LruCache(ARTWORK_CACHE_SIZE);  // Artwork hash and shape -> resized PNG promise
+    this.canvases = new LruCache(CANVAS_CACHE_SIZE);   // Canvas key -> span canvas PNG promise
+    this.keys = new LruCache(KEY_CACHE_SIZE);           // Key image key -> key PNG promise
+    this.walls = new LruCache(WALL_CACHE_SIZE);         // Wall key -> whole wall PNG promise
+    this.lastArtwork = { thumbnail: null, hash: null };
+  }
+
+  /**
+   * Theme for one render call: options.theme, else the renderer default
+   */
+  getTheme(options = {}) {
+    return options.theme || this.theme;
+  }
+
+  /**
+   * Layout for one render call from options.span (default two dials)
+   */
+  getLayout(options = {}) {
+    return getLayout(options.span);
+  }
+
+  /**
+   * Progress bar height in a layout
+   */
+  getBarHeight(theme, layout) {
+    return Math.round(theme.bar.height * layout.bar.scale);
+  }
+
+  /**
+   * Content hash of an artwork. Events keep passing the same thumbnail
+   * string while a track plays, so the last hash is remembered.
+   * @param {string} thumbnail - Artwork as given in the track info
+   */
+  hashArtwork(thumbnail) {
+    if (thumbnail !== this.lastArtwork.thumbnail) {
+      this.lastArtwork = {
+        thumbnail,
+        hash: crypto.createHash('sha1').update(thumbnail).digest('hex')
+      };
+    }
+    return this.lastArtwork.hash;
+  }
+
+  /**
+   * Look up a cached promise, or create it with `create`. Failed promises
+   * are dropped so the next call tries again.
+   */
+  getCached(cache, key, create) {
+    let value = cache.get(key);
+    if (!value) {
+      value = create();
+      cache.set(key, value);
+      value.catch(() => cache.delete(key));
+    }
+    return value;
+  }
+
+  /**
+   * Palette of an artwork, extracted once and cached by artwork hash so
+   * progress refreshes and every dial of the span reuse it
+   * @param {string} thumbnail - Artwork as given in the track info
+   */
+  getPalette(thumbnail) {
+    return this.getCached(this.palettes, this.hashArtwork(thumbnail), async () =>
+      extractPalette(this.extractBase64FromDataUrl(thumbnail))
+    );
+  }
+
+  /**
+   * Artwork resized and shaped for the layout, cached by artwork hash.
+   * Resolves to null when the artwork can't be decoded.
+   * @param {string} thumbnail - Artwork as given in the track info
+   */
+  getArtwork(thumbnail, theme, size) {
+    const key = [this.hashArtwork(thumbnail), size, theme.artwork.shape, theme.cornerRadius].join(':');
+    return this.getCached(this.artworks, key, async () => {
+      try {
+        return await this.shapeArtwork(this.extractBase64FromDataUrl(thumbnail), theme, size);
+      } catch (error) {
+        // Remembered as missing so broken artwork isn't decoded on every refresh
+        this.logger.error('Error processing album art:', error);
+        return null;
+      }
+    });
   }
 
   /**
@@ -34,28 +158,30 @@ class NowPlayingRenderer {
   }
 
   /**
-   * Create a progress bar image with rounded rectangle (Spotify Green style)
+   * Create a progress bar image in the theme's bar style and colors,
+   * on a canvas as wide as the layout
    */
-  async createProgressBar(duration, currentTime, barWidth, barX, barY) {
-    const barHeight = 5;
-    const radius = 1;
-    const bgColor = '#404040';
-    const fillColor = '#1DB954'; // Spotify Green
+  async createProgressBar(duration, currentTime, barWidth, barX, barY, theme = this.theme, layout = this.getLayout()) {
+    const barHeight = this.getBarHeight(theme, layout);
+    const radius = getBarRadius(theme) * layout.bar.scale;
+    const bgColor = theme.colors.barBackground;
+    const fillColor = theme.colors.barFill;
 
     if (!duration || duration === 0) {
       // No progress info - just background
       const svg = `
-        <svg width="400" height="100" xmlns="http://www.w3.org/2000/svg">
+        <svg width="${layout.width}" height="100" xmlns="http://www.w3.org/2000/svg">
           <rect x="${barX}" y="${barY}" width="${barWidth}" height="${barHeight}" rx="${radius}" fill="${bgColor}"/>
         </svg>
       `;
       return Buffer.from(svg);
     }
 
-    const progressWidth = Math.round((currentTime / duration) * barWidth);
+    const progress = Math.min(Math.max(currentTime || 0, 0), duration) / duration;
+    const progressWidth = Math.round(progress * barWidth);
     
     const svg = `
-      <svg width="400" height="100" xmlns="http://www.w3.org/2000/svg">
+      <svg width="${layout.width}" height="100" xmlns="http://www.w3.org/2000/svg">
         <rect x="${barX}" y="${barY}" width="${barWidth}" height="${barHeight}" rx="${radius}" fill="${bgColor}"/>
         ${progressWidth > 0 ? `<rect x="${barX}" y="${barY}" width="${progressWidth}" height="${barHeight}" rx="${radius}" fill="${fillColor}"/>` : ''}
       </svg>
@@ -65,133 +191,417 @@ class NowPlayingRenderer {
   }
 
   /**
-   * Render the complete 400x100 LCD image, then crop based on position
+   * Render the complete LCD image for the span, then crop based on position
    * @param {Object} trackInfo - Track information
-   * @param {string} position - 'left' or 'right' - which half to return
+   * @param {string|number} position - 1-based dial slot, or 'left'/'right' of a two-dial span
+   * @param {Object} options - Theme, span, dynamicColors and paused, plus options passed on to buildTextSvg (marquee, wrapTitle, lyrics)
    */
-  async render(trackInfo, position = 'left') {
+  async render(trackInfo, position = 'left', options = {}) {
+    const layout = this.getLayout(options);
     try {
-      // Build the FULL 400x100 image first
-      let composite = [];
-
-      // LEFT SIDE: Album art (100x100, positioned at left)
-      if (trackInfo.thumbnail) {
-        try {
-          const artBuffer = this.extractBase64FromDataUrl(trackInfo.thumbnail);
-          if (artBuffer) {
-            // Resize to 100x100
-            const albumArtBuffer = await sharp(artBuffer)
-              .resize(this.artworkSize, this.artworkSize, {
-                fit: 'cover',
-                position: 'center'
-              })
-              .png()
-              .toBuffer();
-
-            composite.push({
-              input: albumArtBuffer,
-              left: 0,
-              top: 0
-            });
-          }
-        } catch (error) {
-          console.error('Error processing album art:', error);
-        }
+      const canvas = await this.renderCanvas(trackInfo, options);
+      return await this.cropSlot(canvas, position, layout);
+    } catch (error) {
+      this.logger.error('Error rendering LCD screen:', error);
+      // Return a minimal fallback
+      return await this.createFallback(position, { theme: this.getTheme(options), span: layout.span });
+    }
+  }
+
+  /**
+   * PNG of the full span, shared by every dial rendering the same state
+   * @returns {Promise<Buffer>}
+   */
+  renderCanvas(trackInfo, options = {}) {
+    return this.getCached(this.canvases, this.getCanvasKey(trackInfo, options), () =>
+      this.drawCanvas(trackInfo, options)
+    );
+  }
+
+  /**
+   * Everything that changes the rendered canvas. Marquee scrolling counts
+   * by its current offsets, so frames where no text moved share a canvas.
+   */
+  getCanvasKey(trackInfo, options = {}) {
+    const theme = this.getTheme(options);
+    const marquee = options.marquee
+      ? this.getMarqueeOffsets(trackInfo, options.marquee, { theme, span: options.span, lyrics: options.lyrics })
+      : null;
+    return JSON.stringify([
+      trackInfo.trackName,
+      trackInfo.artist,
+      trackInfo.album,
+      trackInfo.duration,
+      trackInfo.position,
+      trackInfo.thumbnail ? this.hashArtwork(trackInfo.thumbnail) : null,
+      theme,
+      this.getLayout(options).span,
+      !!options.wrapTitle && !options.marquee,
+      marquee,
+      options.lyrics || null,
+      !!options.dynamicColors,
+      !!options.paused,
+      showsPlayer(trackInfo) ? trackInfo.player : null
+    ]);
+  }
+
+  /**
+   * Draw the LCD image for the whole span
+   * @returns {Promise<Buffer>} PNG
+   */
+  async drawCanvas(trackInfo, options = {}) {
+    let theme = this.getTheme(options);
+    const layout = this.getLayout(options);
+    const composite = [];
+
+    // Album art in the layout's artwork square
+    if (trackInfo.thumbnail) {
+      // Colors come from the artwork before anything is drawn with them
+      if (options.dynamicColors) {
+        const palette = await this.getPalette(trackInfo.thumbnail).catch(() => null);
+        if (palette) theme = applyPalette(theme, palette);
       }
 
-      // RIGHT SIDE: Track info and progress bar (starting at x=100)
-      const textX = 100 + this.padding;
-      const textAreaWidth = this.fullWidth - textX - this.padding;
+      // Resized to the artwork square in the theme's artwork shape
+      const albumArtBuffer = await this.getArtwork(trackInfo.thumbnail, theme, layout.artwork.size);
+      if (albumArtBuffer) {
+        composite.push({
+          input: albumArtBuffer,
+          left: layout.artwork.x,
+          top: layout.artwork.y
+        });
+      }
+    }
 
-      // Build SVG for text content
-      const svgText = this.buildTextSvg(trackInfo, textAreaWidth);
-      const textBuffer = Buffer.from(svgText);
+    // With several players around, name the one shown along the artwork's bottom edge
+    if (showsPlayer(trackInfo)) {
+      composite.push({
+        input: Buffer.from(this.buildPlayerBadgeSvg(trackInfo.player, theme, layout)),
+        left: layout.artwork.x,
+        top: layout.artwork.y + layout.artwork.size - PLAYER_BADGE_HEIGHT
+      });
+    }
+
+    // Dynamic colors fade the background out towards the right
+    if (theme.colors.backgroundEnd) {
+      composite.unshift({
+        input: Buffer.from(this.buildGradientSvg(theme, layout)),
+        left: 0,
+        top: 0
+      });
+    }
+
+    // Track info in the layout's text column
+    const svgText = this.buildTextSvg(trackInfo, layout.text.width, { ...options, theme });
+    const textBuffer = Buffer.from(svgText);
+
+    composite.push({
+      input: textBuffer,
+      left: layout.text.x,
+      top: 0
+    });
+
+    // Create the progress bar (rounded rectangle style)
+    let barX = layout.bar.x;
+    const barY = layout.bar.y;
+    let barWidth = layout.bar.width;
 
+    // Elapsed and remaining time either side of the bar, when the duration is known
+    if (layout.bar.times && trackInfo.duration > 0) {
+      const timeSvg = this.buildTimeSvg(trackInfo.duration, trackInfo.position, barX, barX + barWidth, barY, theme, layout);
       composite.push({
-        input: textBuffer,
-        left: textX,
+        input: Buffer.from(timeSvg),
+        left: 0,
         top: 0
       });
+      barX += layout.bar.timeWidth;
+      barWidth -= layout.bar.timeWidth * 2;
+    }
 
-      // Create the progress bar (rounded rectangle style)
-      const barX = textX;
-      const barY = 75;
-      const barWidth = textAreaWidth - this.padding;
-      const progressBuffer = await this.createProgressBar(
-        trackInfo.duration,
-        trackInfo.position,
-        barWidth,
-        barX,
-        barY
-      );
+    const progressBuffer = await this.createProgressBar(
+      trackInfo.duration,
+      trackInfo.position,
+      barWidth,
+      barX,
+      barY,
+      theme,
+      layout
+    );
+
+    composite.push({
+      input: progressBuffer,
+      left: 0,
+      top: 0
+    });
 
+    // Paused tracks stay on screen, dimmed
+    if (options.paused) {
       composite.push({
-        input: progressBuffer,
+        input: Buffer.from(this.buildPausedOverlaySvg(theme, layout)),
         left: 0,
         top: 0
       });
+    }
+
+    // Create the canvas for the full span
+    return sharp({
+      create: {
+        width: layout.width,
+        height: this.lcdHeight,
+        channels: 3,
+        background: hexToRgb(theme.colors.background)
+      }
+    })
+      .composite(composite)
+      .png()
+      .toBuffer();
+  }
 
-      // Create the FULL 400x100 canvas
-      const fullCanvas = await sharp({
-        create: {
-          width: this.fullWidth,
-          height: this.lcdHeight,
-          channels: 3,
-          background: { r: 0, g: 0, b: 0 }
-        }
+  /**
+   * Cut one dial's slot out of a span canvas, as a data URL
+   */
+  async cropSlot(canvas, position, layout) {
+    const croppedImage = await sharp(canvas)
+      .extract({
+        left: getSlotIndex(position, layout.span) * this.dialWidth,
+        top: 0,
+        width: this.dialWidth,
+        height: this.lcdHeight
       })
-        .composite(composite)
-        .png()
-        .toBuffer();
+      .png()
+      .toBuffer();
 
-      // Now crop based on position
-      const cropX = position === 'left' ? 0 : this.dialWidth;
-      const croppedImage = await sharp(fullCanvas)
-        .extract({
-          left: cropX,
-          top: 0,
-          width: this.dialWidth,
-          height: this.lcdHeight
-        })
-        .png()
-        .toBuffer();
+    return `data:image/png;base64,${croppedImage.toString('base64')}`;
+  }
 
-      // Convert to data URL
-      return `data:image/png;base64,${croppedImage.toString('base64')}`;
-    } catch (error) {
-      console.error('Error rendering LCD screen:', error);
-      // Return a minimal fallback
-      return await this.createFallback(position);
+  /**
+   * Full-width background gradient for themes with a backgroundEnd color
+   */
+  buildGradientSvg(theme, layout = this.getLayout()) {
+    return `
+    <svg width="${layout.width}" height="${this.lcdHeight}" xmlns="http://www.w3.org/2000/svg">
+      <defs>
+        <linearGradient id="background" x1="0" y1="0" x2="1" y2="0">
+          <stop offset="0" stop-color="${theme.colors.background}"/>
+          <stop offset="1" stop-color="${theme.colors.backgroundEnd}"/>
+        </linearGradient>
+      </defs>
+      <rect width="${layout.width}" height="${this.lcdHeight}" fill="url(#background)"/>
+    </svg>
+    `;
+  }
+
+  /**
+   * Resize artwork to the artwork square and cut it to the theme's shape
+   */
+  async shapeArtwork(artBuffer, theme = this.theme, size = 100) {
+    const image = sharp(artBuffer).resize(size, size, {
+      fit: 'cover',
+      position: 'center'
+    });
+
+    if (theme.artwork.shape === 'square') {
+      return image.png().toBuffer();
+    }
+
+    // Keep only the pixels under the shape
+    const resized = await image.ensureAlpha().png().toBuffer();
+    const mask = `
+    <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+      ${this.buildArtworkShape(theme, 'white', size)}
+    </svg>
+    `;
+    return sharp(resized)
+      .composite([{ input: Buffer.from(mask), blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * SVG element filling the artwork area in the theme's shape
+   */
+  buildArtworkShape(theme, fill, size = 100) {
+    switch (theme.artwork.shape) {
+      case 'circle':
+        return `<circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="${fill}"/>`;
+      case 'rounded':
+        return `<rect width="${size}" height="${size}" rx="${theme.cornerRadius}" fill="${fill}"/>`;
+      default:
+        return `<rect width="${size}" height="${size}" fill="${fill}"/>`;
+    }
+  }
+
+  /**
+   * Text lines of the layout (title, artist and, on wide layouts, album)
+   * with their style, font sizes and weight. With lyrics, the title is followed by
+   * the current and next lyric line instead. Empty lines are left out.
+   */
+  getTextLines(trackInfo, theme = this.theme, layout = this.getLayout(), lyrics = null) {
+    const texts = {
+      title: trackInfo.trackName || 'Unknown Track',
+      artist: Array.isArray(trackInfo.artist)
+        ? trackInfo.artist.join(', ')
+        : (trackInfo.artist || 'Unknown Artist'),
+      album: trackInfo.album || '',
+      lyric: lyrics?.current || '',
+      nextLyric: lyrics?.next || ''
+    };
+
+    // Lines may shrink to 80% of their size before they get cut
+    return (lyrics ? layout.lyrics : layout.lines).filter(line => texts[line.key]).map(line => {
+      const fontSize = Math.round(theme.sizes[line.size] * line.scale);
+      return {
+        key: line.key,
+        text: texts[line.key],
+        className: line.key,
+        y: line.y,
+        fontSize,
+        minFontSize: Math.round(fontSize * 0.8),
+        fontWeight: line.key === 'title' ? theme.fonts.titleWeight : 'normal'
+      };
+    });
+  }
+
+  /**
+   * Width of the text column right of the artwork
+   */
+  getTextWidth(layout = this.getLayout()) {
+    return layout.text.width - this.padding;
+  }
+
+  /**
+   * Fit title and artist into the text column. Each line steps its font size
+   * down before being cut with an ellipsis; with `wrapTitle` a long title
+   * continues on a second line and the artist moves down to make room.
+   * @param {Object} trackInfo - Track information
+   * @param {Object} options
+   * @param {number} options.maxWidth - Text width (default getTextWidth())
+   * @param {boolean} options.wrapTitle - Allow the title two lines, if the layout has room for it
+   * @param {Object} options.theme - Theme for font sizes
+   * @param {number} options.span - Dials the display spans
+   * @param {Object} options.lyrics - Lyric lines to show under the title ({ current, next })
+   * @returns {Array} Per line: { key, className, text, fontSize, truncated, rows: [{ text, y }] }
+   */
+  layoutTextLines(trackInfo, options = {}) {
+    const layout = this.getLayout(options);
+    const maxWidth = options.maxWidth || this.getTextWidth(layout);
+    const wrapTitle = !!options.wrapTitle && !!layout.wrap && !options.lyrics;
+    const lines = this.getTextLines(trackInfo, this.getTheme(options), layout, options.lyrics).map(line => ({
+      ...line,
+      ...layoutText(line.text, {
+        maxWidth,
+        fontSize: line.fontSize,
+        minFontSize: line.minFontSize,
+        fontWeight: line.fontWeight,
+        maxLines: line.key === 'title' && wrapTitle ? 2 : 1
+      })
+    }));
+
+    // A wrapped title takes the layout's wrap rows and pushes the artist down
+    const wrapped = lines.some(line => line.key === 'title' && line.lines.length > 1);
+    return lines.map(({ key, className, text, fontSize, truncated, lines: texts, y }) => {
+      let rows;
+      if (wrapped && key === 'title') {
+        rows = texts.map((row, i) => ({ text: row, y: layout.wrap.title[i] }));
+      } else if (wrapped && key === 'artist') {
+        rows = [{ text: texts[0], y: layout.wrap.artist }];
+      } else {
+        rows = [{ text: texts[0], y }];
+      }
+      return { key, className, text, fontSize, truncated, rows };
+    });
+  }
+
+  /**
+   * Whether any line is too long to show in full on one line, even at its
+   * smallest font size. Lyric lines don't count, they never scroll.
+   * @param {Object} options - { theme, span, lyrics }
+   */
+  textOverflows(trackInfo, options = {}) {
+    return this.layoutTextLines(trackInfo, { theme: options.theme, span: options.span, lyrics: options.lyrics })
+      .some(line => line.truncated && !LYRIC_LINES.includes(line.key));
+  }
+
+  /**
+   * Scroll offset in pixels for each overflowing line, e.g. { title: 12 }.
+   * Lines that fit and lyric lines are left out.
+   * @param {Object} marquee - { elapsed, speed, pause }, see getMarqueeOffset
+   * @param {Object} options - { theme, span, lyrics }
+   */
+  getMarqueeOffsets(trackInfo, marquee, options = {}) {
+    const offsets = {};
+    const lines = this.getTextLines(trackInfo, this.getTheme(options), this.getLayout(options), options.lyrics);
+    for (const layout of this.layoutTextLines(trackInfo, { theme: options.theme, span: options.span, lyrics: options.lyrics })) {
+      if (layout.truncated && !LYRIC_LINES.includes(layout.key)) {
+        const line = lines.find(candidate => candidate.key === layout.key);
+        offsets[line.key] = getMarqueeOffset(this.getMarqueeCycle(line), marquee);
+      }
     }
+    return offsets;
+  }
+
+  /**
+   * Distance a scrolling line travels before it repeats
+   */
+  getMarqueeCycle(line) {
+    return Math.ceil(measureText(line.text, line.fontSize, line.fontWeight)) + MARQUEE_GAP;
   }
 
   /**
    * Build SVG with text content (title, artist, album)
+   * @param {Object} trackInfo - Track information
+   * @param {number} maxWidth - Width available for text
+   * @param {Object} options
+   * @param {Object} options.marquee - Scroll overflowing lines instead of truncating them ({ elapsed, speed, pause })
+   * @param {boolean} options.wrapTitle - Wrap a long title over two lines (ignored with marquee and lyrics)
+   * @param {Object} options.theme - Theme for fonts and colors
+   * @param {number} options.span - Dials the display spans
+   * @param {Object} options.lyrics - Current and next lyric line ({ current, next }) to show under the title
    */
-  buildTextSvg(trackInfo, maxWidth) {
-    const title = trackInfo.trackName || 'Unknown Track';
-    const artist = Array.isArray(trackInfo.artist) 
-      ? trackInfo.artist.join(', ') 
-      : (trackInfo.artist || 'Unknown Artist');
-    const album = trackInfo.album || '';
+  buildTextSvg(trackInfo, maxWidth, options = {}) {
+    const theme = this.getTheme(options);
+    const textWidth = maxWidth - this.padding;
+    const lines = this.getTextLines(trackInfo, theme, this.getLayout(options), options.lyrics);
+    const offsets = options.marquee
+      ? this.getMarqueeOffsets(trackInfo, options.marquee, { theme, span: options.span, lyrics: options.lyrics })
+      : {};
+    const layouts = this.layoutTextLines(trackInfo, {
+      maxWidth: textWidth,
+      wrapTitle: options.wrapTitle && !options.marquee,
+      theme,
+      span: options.span,
+      lyrics: options.lyrics
+    });
 
-    const fontSize = 11;
-    const lineHeight = 14;
-    let yPos = 18;
+    const textElements = layouts.map(layout => {
+      const rtl = isRtl(layout.text);
+      // Right-to-left lines are anchored at the right edge so the ellipsis ends up on the left
+      const anchor = (x) => rtl ? `x="${textWidth - x}" direction="rtl"` : `x="${x}"`;
 
-    // Truncate text if needed
-    const truncate = (text, maxChars = 45) => {
-      return text.length > maxChars ? text.substring(0, maxChars - 3) + '...' : text;
-    };
+      if (!(layout.key in offsets)) {
+        return layout.rows.map(row =>
+          `<text ${anchor(0)} y="${row.y}" font-size="${layout.fontSize}" class="${layout.className}">${escapeXml(row.text)}</text>`
+        ).join('\n      ');
+      }
+
+      // Two copies one cycle apart, so the start of the line follows its end around
+      const line = lines.find(candidate => candidate.key === layout.key);
+      const x = -offsets[line.key];
+      const cycle = this.getMarqueeCycle(line);
+      return `<text ${anchor(x)} y="${line.y}" font-size="${line.fontSize}" class="${line.className}">${escapeXml(line.text)}</text>
+      <text ${anchor(x + cycle)} y="${line.y}" font-size="${line.fontSize}" class="${line.className}">${escapeXml(line.text)}</text>`;
+    }).join('\n      ');
 
     const svg = `
-    <svg width="280" height="100" xmlns="http://www.w3.org/2000/svg">
+    <svg width="${maxWidth}" height="100" xmlns="http://www.w3.org/2000/svg">
       <style>
-        .title { font-family: Arial, sans-serif; font-size: 20px; font-weight: normal; fill: white; }
-        .artist { font-family: Arial, sans-serif; font-size: 16px; fill: #B3B3B3; }
+        .title { font-family: ${theme.fonts.family}; font-weight: ${theme.fonts.titleWeight}; fill: ${theme.colors.title}; }
+        .artist { font-family: ${theme.fonts.family}; fill: ${theme.colors.artist}; }
+        .album { font-family: ${theme.fonts.family}; fill: ${theme.colors.artist}; opacity: 0.8; }
+        .lyric { font-family: ${theme.fonts.family}; fill: ${theme.colors.title}; }
+        .nextLyric { font-family: ${theme.fonts.family}; fill: ${theme.colors.artist}; opacity: 0.7; }
       </style>
-      <text x="0" y="27" class="title">${escapeXml(truncate(title, 28))}</text>
-      <text x="0" y="55" class="artist">${escapeXml(truncate(artist, 32))}</text>
+      ${textElements}
     </svg>
     `;
 
@@ -199,108 +609,316 @@ class NowPlayingRenderer {
   }
 
   /**
-   * Create a minimal fallback image for a single dial position
-   * @param {string} position - 'left' or 'right'
+   * Build SVG with elapsed time left of the bar and remaining time right of it
+   * @param {number} duration - Track duration in seconds
+   * @param {number} currentTime - Playback position in seconds
+   * @param {number} startX - Left edge of the bar area
+   * @param {number} endX - Right edge of the bar area
+   * @param {number} barY - Top of the progress bar
+   * @param {Object} theme - Theme for font and color
+   * @param {Object} layout - Layout for the canvas width and time size
    */
-  async createFallback(position = 'left') {
-    const message = position === 'left' ? '♪' : 'No Track';
-    const fallbackSvg = `
-    <svg width="200" height="100" xmlns="http://www.w3.org/2000/svg">
-      <rect width="200" height="100" fill="black"/>
-      <text x="100" y="55" font-family="Arial" font-size="${position === 'left' ? '40' : '14'}" fill="#666666" text-anchor="middle">
-        ${message}
-      </text>
+  buildTimeSvg(duration, currentTime, startX, endX, barY, theme = this.theme, layout = this.getLayout()) {
+    const elapsed = Math.min(Math.max(currentTime || 0, 0), duration);
+    const fontSize = Math.round(theme.sizes.time * layout.bar.timeScale);
+    // Baseline that centers the digits on the bar
+    const textY = Math.round(barY + this.getBarHeight(theme, layout) / 2 + fontSize * 0.375);
+
+    return `
+    <svg width="${layout.width}" height="100" xmlns="http://www.w3.org/2000/svg">
+      <style>
+        .time { font-family: ${theme.fonts.family}; font-size: ${fontSize}px; fill: ${theme.colors.time}; }
+      </style>
+      <text x="${startX}" y="${textY}" class="time">${formatTime(elapsed)}</text>
+      <text x="${endX}" y="${textY}" class="time" text-anchor="end">-${formatTime(duration - elapsed)}</text>
     </svg>
     `;
+  }
 
-    const buffer = Buffer.from(fallbackSvg);
-    const result = await sharp(buffer).png().toBuffer();
-    return `data:image/png;base64,${result.toString('base64')}`;
+  /**
+   * Strip naming the player, as wide as the artwork
+   */
+  buildPlayerBadgeSvg(player, theme, layout = this.getLayout()) {
+    const width = layout.artwork.size;
+    const fontSize = PLAYER_BADGE_HEIGHT - 5;
+    return `
+    <svg width="${width}" height="${PLAYER_BADGE_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${width}" height="${PLAYER_BADGE_HEIGHT}" fill="#000000" opacity="0.6"/>
+      <text x="${width / 2}" y="${PLAYER_BADGE_HEIGHT - 4}" font-family="${theme.fonts.family}" font-size="${fontSize}" fill="#FFFFFF" text-anchor="middle">${escapeXml(fitText(player, width - 6, fontSize))}</text>
+    </svg>
+    `;
   }
 
   /**
-   * Create an idle/no track playing image
-   * @param {string} position - 'left' or 'right'
+   * Pause bars centered in a square of `size` pixels
    */
-  async createBlank(position = 'left') {
-    try {
-      let composite = [];
-
-      // LEFT SIDE: Dark album art area with pause icon (100x100 at left)
-      const darkArtSvg = `
-      <svg width="100" height="100" xmlns="http://www.w3.org/2000/svg">
-        <rect width="100" height="100" fill="#1a1a1a"/>
-        <!-- Pause icon overlay -->
-        <rect x="35" y="35" width="10" height="30" fill="white" opacity="0.6"/>
-        <rect x="55" y="35" width="10" height="30" fill="white" opacity="0.6"/>
-      </svg>
-      `;
-      
-      const darkArtBuffer = Buffer.from(darkArtSvg);
+  buildPauseIcon(theme, size, opacity = 0.6) {
+    const unit = size / 10;
+    return `
+      <rect x="${unit * 3.5}" y="${unit * 3.5}" width="${unit}" height="${unit * 3}" fill="${theme.colors.icon}" opacity="${opacity}"/>
+      <rect x="${unit * 5.5}" y="${unit * 3.5}" width="${unit}" height="${unit * 3}" fill="${theme.colors.icon}" opacity="${opacity}"/>`;
+  }
+
+  /**
+   * Dims the whole canvas and puts pause bars over the artwork
+   */
+  buildPausedOverlaySvg(theme, layout = this.getLayout()) {
+    const { x, y, size } = layout.artwork;
+    return `
+    <svg width="${layout.width}" height="${this.lcdHeight}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${layout.width}" height="${this.lcdHeight}" fill="${theme.colors.background}" opacity="${PAUSED_DIM}"/>
+      <g transform="translate(${x} ${y})">${this.buildPauseIcon(theme, size, 0.9)}</g>
+    </svg>
+    `;
+  }
+
+  /**
+   * Key image at key resolution
+   * @param {Object} trackInfo - Track information
+   * @param {Object} options
+   * @param {string} options.show - 'overlay' (artwork with text, default), 'artwork' or 'text'
+   * @param {string} options.text - Lines to draw, separated by \n
+   * @param {string} options.position - Where the text goes: 'top', 'middle' or 'bottom' (default)
+   * @param {boolean} options.paused - Dim the key and put pause bars on it
+   * @param {Object|string} options.theme - Theme for the background and text-only keys
+   * @returns {Promise<string>} PNG data URL
+   */
+  async renderKey(trackInfo, options = {}) {
+    const theme = this.getTheme(options);
+    const show = KEY_SHOW_MODES.includes(options.show) ? options.show : 'overlay';
+    const artwork = show !== 'text' && trackInfo.thumbnail ? this.hashArtwork(trackInfo.thumbnail) : null;
+    const text = show === 'artwork' ? '' : (options.text || '');
+    const position = KEY_TEXT_POSITIONS.includes(options.position) ? options.position : 'bottom';
+
+    const key = JSON.stringify([artwork, show, text, position, !!options.paused, theme]);
+    const image = await this.getCached(this.keys, key, () =>
+      this.drawKey(trackInfo.thumbnail, { theme, artwork: !!artwork, text, position, paused: !!options.paused })
+    );
+    return `data:image/png;base64,${image.toString('base64')}`;
+  }
+
+  /**
+   * Draw a key image
+   * @returns {Promise<Buffer>} PNG
+   */
+  async drawKey(thumbnail, { theme, artwork, text, position, paused }) {
+    const composite = [];
+
+    // Full-bleed artwork; the key shows the background when it can't be decoded
+    let hasArt = false;
+    if (artwork) {
+      try {
+        const art = await sharp(this.extractBase64FromDataUrl(thumbnail))
+          .resize(KEY_SIZE, KEY_SIZE, { fit: 'cover' })
+          .png()
+          .toBuffer();
+        composite.push({ input: art, left: 0, top: 0 });
+        hasArt = true;
+      } catch (error) {
+        this.logger.error('Error processing album art:', error);
+      }
+    }
+
+    if (text) {
+      composite.push({ input: Buffer.from(this.buildKeyTextSvg(text, theme, position, hasArt)), left: 0, top: 0 });
+    }
+
+    if (paused) {
       composite.push({
-        input: darkArtBuffer,
+        input: Buffer.from(`
+        <svg width="${KEY_SIZE}" height="${KEY_SIZE}" xmlns="http://www.w3.org/2000/svg">
+          <rect width="${KEY_SIZE}" height="${KEY_SIZE}" fill="${theme.colors.background}" opacity="${PAUSED_DIM}"/>
+          ${this.buildPauseIcon(theme, KEY_SIZE, 0.9)}
+        </svg>
+        `),
         left: 0,
         top: 0
       });
+    }
 
-      // RIGHT SIDE: Text and empty progress bar - match the playing state layout exactly
-      const textX = 100 + this.padding;
-      const textAreaWidth = this.fullWidth - textX - this.padding;
-      const barX = textX;
-      const barWidth = textAreaWidth - this.padding;
-
-      const textSvg = `
-      <svg width="400" height="100" xmlns="http://www.w3.org/2000/svg">
-        <style>
-          .title { font-family: Arial, sans-serif; font-size: 20px; font-weight: normal; fill: white; }
-          .artist { font-family: Arial, sans-serif; font-size: 16px; fill: #B3B3B3; }
-        </style>
-        <text x="${textX}" y="27" class="title">No track playing</text>
-        <text x="${textX}" y="55" class="artist">Start playing music</text>
-        <!-- Empty progress bar background -->
-        <rect x="${barX}" y="75" width="${barWidth}" height="5" rx="1" fill="#404040"/>
-      </svg>
-      `;
+    return sharp({
+      create: { width: KEY_SIZE, height: KEY_SIZE, channels: 3, background: hexToRgb(theme.colors.background) }
+    })
+      .composite(composite)
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Text lines for a key, each shortened to the key width. The first line
+   * is set like a title, the rest like the artist. Over artwork the lines
+   * sit on a dark band so they stay readable.
+   */
+  buildKeyTextSvg(text, theme, position, overArtwork) {
+    const lines = text.split('\n').slice(0, KEY_MAX_LINES);
+    const sizes = lines.map((line, i) => (i === 0 ? KEY_TITLE_SIZE : KEY_TEXT_SIZE));
+    const lineHeights = sizes.map(size => Math.round(size * 1.25));
+    const blockHeight = lineHeights.reduce((sum, height) => sum + height, 0) + KEY_TEXT_PADDING * 2;
+
+    let top;
+    if (position === 'top') top = 0;
+    else if (position === 'middle') top = Math.round((KEY_SIZE - blockHeight) / 2);
+    else top = KEY_SIZE - blockHeight;
+
+    const colors = overArtwork ? { title: '#FFFFFF', artist: '#DDDDDD' } : theme.colors;
+    const maxWidth = KEY_SIZE - KEY_TEXT_PADDING * 2;
+    let y = top + KEY_TEXT_PADDING;
+    const rows = lines.map((line, i) => {
+      y += lineHeights[i];
+      const weight = i === 0 ? theme.fonts.titleWeight : 'normal';
+      const fill = i === 0 ? colors.title : colors.artist;
+      // Baseline sits a quarter of the line height above the line's bottom
+      return `<text x="${KEY_SIZE / 2}" y="${y - Math.round(lineHeights[i] / 4)}" font-family="${theme.fonts.family}" font-size="${sizes[i]}" font-weight="${weight}" fill="${fill}" text-anchor="middle">${escapeXml(fitText(line, maxWidth, sizes[i], weight))}</text>`;
+    });
+
+    return `
+    <svg width="${KEY_SIZE}" height="${KEY_SIZE}" xmlns="http://www.w3.org/2000/svg">
+      ${overArtwork ? `<rect y="${top}" width="${KEY_SIZE}" height="${blockHeight}" fill="#000000" opacity="0.55"/>` : ''}
+      ${rows.join('\n      ')}
+    </svg>
+    `;
+  }
 
-      const textBuffer = Buffer.from(textSvg);
+  /**
+   * One key's tile of an album art wall: the artwork drawn across a square
+   * grid of keys, as if the gaps between keys were covered too, so the
+   * cover lines up across the keys. Without artwork the wall shows a
+   * placeholder. The whole wall is drawn once and cached; every key of the
+   * grid cuts its tile from it.
+   * @param {Object} trackInfo - Track info with `thumbnail`
+   * @param {Object} options
+   * @param {number} options.grid - Keys per side, see WALL_SIZES
+   * @param {number} options.row - 0-based row of this key in the grid
+   * @param {number} options.column - 0-based column of this key in the grid
+   * @param {boolean} options.paused - Dim the wall and put pause bars in its middle
+   * @param {Object|string} options.theme - Theme for the placeholder
+   * @returns {Promise<string>} PNG data URL
+   */
+  async renderWallTile(trackInfo, options = {}) {
+    const theme = this.getTheme(options);
+    const grid = WALL_SIZES.includes(options.grid) ? options.grid : WALL_SIZES[0];
+    const row = clamp(options.row, grid);
+    const column = clamp(options.column, grid);
+    const artwork = trackInfo.thumbnail ? this.hashArtwork(trackInfo.thumbnail) : null;
+    const paused = !!options.paused;
+
+    const wallKey = JSON.stringify(['wall', artwork, grid, paused, theme]);
+    const tile = await this.getCached(this.keys, JSON.stringify([wallKey, row, column]), async () => {
+      const wall = await this.getCached(this.walls, wallKey, () =>
+        this.drawWall(artwork ? trackInfo.thumbnail : null, { theme, grid, paused })
+      );
+      const pitch = KEY_SIZE + KEY_GAP;
+      return sharp(wall)
+        .extract({ left: column * pitch, top: row * pitch, width: KEY_SIZE, height: KEY_SIZE })
+        .png()
+        .toBuffer();
+    });
+    return `data:image/png;base64,${tile.toString('base64')}`;
+  }
+
+  /**
+   * Draw a whole album art wall, gaps included
+   * @returns {Promise<Buffer>} PNG
+   */
+  async drawWall(thumbnail, { theme, grid, paused }) {
+    const size = getWallSize(grid);
+    const composite = [];
+
+    let art = null;
+    if (thumbnail) {
+      try {
+        art = await sharp(this.extractBase64FromDataUrl(thumbnail))
+          .resize(size, size, { fit: 'cover' })
+          .png()
+          .toBuffer();
+      } catch (error) {
+        this.logger.error('Error processing album art:', error);
+      }
+    }
+
+    if (art) {
+      composite.push({ input: art, left: 0, top: 0 });
+    } else {
+      composite.push({ input: Buffer.from(this.buildWallPlaceholderSvg(theme, size, paused)), left: 0, top: 0 });
+    }
+
+    if (paused) {
       composite.push({
-        input: textBuffer,
+        input: Buffer.from(`
+        <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+          <rect width="${size}" height="${size}" fill="${theme.colors.background}" opacity="${PAUSED_DIM}"/>
+          ${this.buildPauseIcon(theme, size, 0.9)}
+        </svg>
+        `),
         left: 0,
         top: 0
       });
+    }
 
-      // Create the FULL 400x100 canvas (same as render method)
-      const fullCanvas = await sharp({
-        create: {
-          width: this.fullWidth,
-          height: this.lcdHeight,
-          channels: 3,
-          background: { r: 0, g: 0, b: 0 }
-        }
-      })
-        .composite(composite)
-        .png()
-        .toBuffer();
+    return sharp({
+      create: { width: size, height: size, channels: 3, background: hexToRgb(theme.colors.background) }
+    })
+      .composite(composite)
+      .png()
+      .toBuffer();
+  }
 
-      // Crop based on position (same as render method)
-      const cropX = position === 'left' ? 0 : this.dialWidth;
-      const croppedImage = await sharp(fullCanvas)
-        .extract({
-          left: cropX,
-          top: 0,
-          width: this.dialWidth,
-          height: this.lcdHeight
-        })
-        .png()
-        .toBuffer();
+  /**
+   * Placeholder wall: the theme's placeholder color with a note in the
+   * middle, left out when paused so it doesn't clash with the pause bars
+   */
+  buildWallPlaceholderSvg(theme, size, paused) {
+    return `
+    <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${size}" height="${size}" fill="${theme.colors.placeholder}"/>
+      ${paused ? '' : `<text x="${size / 2}" y="${Math.round(size * 0.62)}" font-family="${theme.fonts.family}" font-size="${Math.round(size * 0.4)}" fill="${theme.colors.fallbackText}" text-anchor="middle">♪</text>`}
+    </svg>
+    `;
+  }
+
+  /**
+   * Create a minimal fallback image for a single dial position
+   * @param {string|number} position - 1-based dial slot, or 'left'/'right'
+   * @param {Object} options - { theme, span }
+   */
+  async createFallback(position = 'left', options = {}) {
+    const theme = this.getTheme(options);
+    // The first dial of the span gets the note, the others the message
+    const first = getSlotIndex(position, this.getLayout(options).span) === 0;
+    const message = first ? '♪' : 'No Track';
+    const fallbackSvg = `
+    <svg width="200" height="100" xmlns="http://www.w3.org/2000/svg">
+      <rect width="200" height="100" fill="${theme.colors.background}"/>
+      <text x="100" y="55" font-family="${theme.fonts.family}" font-size="${first ? '40' : '14'}" fill="${theme.colors.fallbackText}" text-anchor="middle">
+        ${message}
+      </text>
+    </svg>
+    `;
 
-      return `data:image/png;base64,${croppedImage.toString('base64')}`;
+    const buffer = Buffer.from(fallbackSvg);
+    const result = await sharp(buffer).png().toBuffer();
+    return `data:image/png;base64,${result.toString('base64')}`;
+  }
+
+  /**
+   * Create an idle/no track playing image
+   * @param {string|number} position - 1-based dial slot, or 'left'/'right'
+   * @param {Object} options - { theme, span, message }, message in place of "No track playing"
+   */
+  async createBlank(position = 'left', options = {}) {
+    const theme = this.getTheme(options);
+    const layout = this.getLayout(options);
+    try {
+      const canvas = await this.renderBlankCanvas({ ...options, theme });
+
+      // Crop based on position (same as render method)
+      return await this.cropSlot(canvas, position, layout);
     } catch (error) {
-      console.error('Error creating blank/idle image:', error);
-      // Fallback to simple black
+      this.logger.error('Error creating blank/idle image:', error);
+      // Fallback to a plain background
       const fallbackSvg = `
       <svg width="200" height="100" xmlns="http://www.w3.org/2000/svg">
-        <rect width="200" height="100" fill="black"/>
+        <rect width="200" height="100" fill="${theme.colors.background}"/>
       </svg>
       `;
       const buffer = Buffer.from(fallbackSvg);
@@ -308,6 +926,98 @@ class NowPlayingRenderer {
       return `data:image/png;base64,${result.toString('base64')}`;
     }
   }
+
+  /**
+   * PNG of the idle image for the whole span. It only changes with theme,
+   * span and message, so every dial shares one.
+   * @param {Object} options - { theme, span, message }, message as
+   *   { trackName, artist } for the two lines of text
+   * @returns {Promise<Buffer>}
+   */
+  renderBlankCanvas(options = {}) {
+    const theme = this.getTheme(options);
+    const layout = this.getLayout(options);
+    const message = options.message || IDLE_MESSAGE;
+    const key = JSON.stringify(['blank', theme, layout.span, message]);
+    return this.getCached(this.canvases, key, () => this.drawBlankCanvas(theme, layout, message));
+  }
+
+  /**
+   * Draw the idle image for the whole span
+   * @returns {Promise<Buffer>} PNG
+   */
+  async drawBlankCanvas(theme, layout, message = IDLE_MESSAGE) {
+    const composite = [];
+
+    // Dark album art area with pause icon in the artwork square
+    const size = layout.artwork.size;
+    const darkArtSvg = `
+    <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+      ${this.buildArtworkShape(theme, theme.colors.placeholder, size)}
+      ${this.buildPauseIcon(theme, size)}
+    </svg>
+    `;
+    
+    const darkArtBuffer = Buffer.from(darkArtSvg);
+    composite.push({
+      input: darkArtBuffer,
+      left: layout.artwork.x,
+      top: layout.artwork.y
+    });
+
+    // Text and empty progress bar - match the playing state layout exactly
+    const textX = layout.text.x;
+    const textWidth = this.getTextWidth(layout);
+    const [title, artist] = this.getTextLines(message, theme, layout);
+
+    const textSvg = `
+    <svg width="${layout.width}" height="100" xmlns="http://www.w3.org/2000/svg">
+      <style>
+        .title { font-family: ${theme.fonts.family}; font-size: ${title.fontSize}px; font-weight: ${theme.fonts.titleWeight}; fill: ${theme.colors.title}; }
+        .artist { font-family: ${theme.fonts.family}; font-size: ${artist.fontSize}px; fill: ${theme.colors.artist}; }
+      </style>
+      <text x="${textX}" y="${title.y}" class="title">${fitText(title.text, textWidth, title.fontSize, title.fontWeight)}</text>
+      <text x="${textX}" y="${artist.y}" class="artist">${fitText(artist.text, textWidth, artist.fontSize)}</text>
+      <!-- Empty progress bar background -->
+      <rect x="${layout.bar.x}" y="${layout.bar.y}" width="${layout.bar.width}" height="${this.getBarHeight(theme, layout)}" rx="${getBarRadius(theme) * layout.bar.scale}" fill="${theme.colors.barBackground}"/>
+    </svg>
+    `;
+
+    const textBuffer = Buffer.from(textSvg);
+    composite.push({
+      input: textBuffer,
+      left: 0,
+      top: 0
+    });
+
+    // Create the canvas for the full span (same as drawCanvas)
+    return sharp({
+      create: {
+        width: layout.width,
+        height: this.lcdHeight,
+        channels: 3,
+        background: hexToRgb(theme.colors.background)
+      }
+    })
+      .composite(composite)
+      .png()
+      .toBuffer();
+  }
+}
+
+/**
+ * Width and height of an album art wall of `grid` keys per side, gaps included
+ */
+function getWallSize(grid) {
+  return grid * KEY_SIZE + (grid - 1) * KEY_GAP;
+}
+
+/**
+ * Whole number index limited to 0..count-1
+ */
+function clamp(index, count) {
+  const value = Math.floor(Number(index) || 0);
+  return Math.min(Math.max(value, 0), count - 1);
 }
 
 /**
@@ -323,4 +1033,48 @@ function escapeXml(str) {
     .replace(/'/g, '&#39;');
 }
 
+/**
+ * Scroll offset for a marquee line at a point in time.
+ * Each cycle holds the start of the line for `pause` ms, then scrolls one
+ * full cycle at `speed` px/s, ending where it started.
+ * @param {number} cycle - Pixels scrolled per cycle (text width plus gap)
+ * @param {Object} marquee
+ * @param {number} marquee.elapsed - Milliseconds since scrolling started
+ * @param {number} marquee.speed - Pixels per second
+ * @param {number} marquee.pause - Milliseconds to hold at the start
+ */
+function getMarqueeOffset(cycle, { elapsed = 0, speed = MARQUEE_SPEED, pause = MARQUEE_PAUSE } = {}) {
+  if (cycle <= 0 || speed <= 0) return 0;
+
+  const scrollTime = (cycle / speed) * 1000;
+  const t = Math.max(0, elapsed) % (pause + scrollTime);
+  if (t < pause) return 0;
+  return Math.round(((t - pause) / 1000) * speed) % cycle;
+}
+
+/**
+ * Whether to name the player: only when there is more than one to tell apart
+ */
+function showsPlayer(trackInfo) {
+  return !!trackInfo.player && trackInfo.sessionCount > 1;
+}
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for long tracks
+ */
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
 module.exports = NowPlayingRenderer;
+module.exports.formatTime = formatTime;
+module.exports.getMarqueeOffset = getMarqueeOffset;
+module.exports.getWallSize = getWallSize;
+module.exports.escapeXml = escapeXml;
+module.exports.WALL_SIZES = WALL_SIZES;
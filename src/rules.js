@@ -0,0 +1,334 @@
+const path = require('path');
+const { silentLogger } = require('./logger');
+const { matchesApp, getAppId } = require('./session-manager');
+const { PLAYBACK_STATES, getPlaybackState } = require('./playback-state');
+const { Profiles: PROFILES = [] } = require('../manifest.json');
+
+/**
+ * Rules that react to what plays: switch profiles, light up keys or flash
+ * them when a player, artist or track comes on, or once nothing has
+ * played for a while.
+ *
+ * Rules are written as JSON in the global settings:
+ *
+ *   [{
+ *     "name": "Music profile",
+ *     "when": { "player": "spotify", "state": "playing" },
+ *     "then": { "switchProfile": "Music" },
+ *     "otherwise": { "switchProfile": null }
+ *   }]
+ *
+ * Every condition of `when` must hold:
+ *
+ *   player      - part of the app id, ignoring case; a list matches any
+ *   artist, title, album - regular expression, ignoring case
+ *   state       - playing, paused, stopped or none; a list matches any
+ *   idleMinutes - nothing has played for at least this many minutes
+ *
+ * `then` runs when a rule starts to match and `otherwise` when it stops,
+ * each one action or a list of them:
+ *
+ *   { "switchProfile": "Music" }        - null goes back to the previous profile
+ *   { "setState": "party", "state": 1 } - state of the Rule Indicator keys named "party"
+ *   { "showAlert": "party" }            - flash those keys with an alert
+ *   { "showOk": "party" }               - or with a check mark
+ *
+ * The engine itself only decides which actions run; the plugin carries
+ * them out. Rules run once per change, not on every event of a track.
+ *
+ * Stream Deck only switches to profiles that come with the plugin, listed
+ * under `Profiles` in manifest.json. They are kept as
+ * profiles/<device>/<name>, one per kind of device, and rules name them
+ * by <name>; every device gets the one made for it.
+ */
+
+const STATES = Object.values(PLAYBACK_STATES);
+const PATTERN_CONDITIONS = { artist: 'artist', title: 'trackName', album: 'album' };
+
+class RulesEngine {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onAction - Called with (action, ruleName) for every action to run
+   * @param {Function} options.now - Time source in milliseconds
+   * @param {boolean} options.timers - Check idle rules on a timer (default true); replays check by hand
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   */
+  constructor(options = {}) {
+    this.onAction = options.onAction || null;
+    this.now = options.now || Date.now;
+    this.timers = options.timers !== false;
+    this.logger = options.logger || silentLogger;
+    this.rules = [];
+    this.matching = new Set();   // Rules that matched at the last check
+    this.event = null;
+    this.state = PLAYBACK_STATES.NONE;
+    this.idleSince = this.now(); // Nothing has played yet
+    this.timer = null;
+  }
+
+  /**
+   * Replace the rules. Rules that match right away run their actions.
+   * @param {Array} rules - Rules from parseRules()
+   * @returns {Array} Actions run, as { rule, action }
+   */
+  setRules(rules) {
+    this.rules = rules;
+    this.matching.clear();
+    return this.check();
+  }
+
+  /**
+   * Check the rules against a now-playing event
+   * @param {Object} event - Selected now-playing event, or null
+   * @param {string} state - Playback state (see playback-state.js); derived from the event when left out
+   * @returns {Array} Actions run, as { rule, action }
+   */
+  update(event, state = getPlaybackState(event, { idleTimeout: 0 })) {
+    if (state === PLAYBACK_STATES.PLAYING) {
+      this.idleSince = null;
+    } else if (this.idleSince === null) {
+      this.idleSince = this.now();
+    }
+    this.event = event;
+    this.state = state;
+    return this.check();
+  }
+
+  /**
+   * Check the rules against the last event, e.g. once an idle rule is due
+   * @returns {Array} Actions run, as { rule, action }
+   */
+  check() {
+    const ran = [];
+    for (const rule of this.rules) {
+      const matches = this.matches(rule);
+      if (matches === this.matching.has(rule)) continue;
+
+      if (matches) {
+        this.matching.add(rule);
+      } else {
+        this.matching.delete(rule);
+      }
+      for (const action of matches ? rule.then : rule.otherwise) {
+        ran.push({ rule: rule.name, action });
+      }
+    }
+    this.schedule();
+
+    for (const { rule, action } of ran) {
+      this.logger.debug('Rule', rule, 'runs', action.type);
+      if (this.onAction) this.onAction(action, rule);
+    }
+    return ran;
+  }
+
+  matches({ when }) {
+    const event = this.event;
+    if (when.player && !(event && when.player.some(player => matchesApp(getAppId(event), player)))) return false;
+    for (const [condition, field] of Object.entries(PATTERN_CONDITIONS)) {
+      if (when[condition] && !when[condition].test(formatValue(event?.[field]))) return false;
+    }
+    if (when.state && !when.state.includes(this.state)) return false;
+    if (when.idleMinutes && !(this.idleSince !== null && this.now() - this.idleSince >= when.idleMinutes * 60000)) return false;
+    return true;
+  }
+
+  /**
+   * When the next idle rule is due, or null when none is waiting. Rules
+   * already past their idle time wait for an event instead.
+   */
+  getNextCheck() {
+    if (this.idleSince === null) return null;
+    const now = this.now();
+    let next = null;
+    for (const rule of this.rules) {
+      if (!rule.when.idleMinutes || this.matching.has(rule)) continue;
+      const due = this.idleSince + rule.when.idleMinutes * 60000;
+      if (due > now && (next === null || due < next)) next = due;
+    }
+    return next;
+  }
+
+  schedule() {
+    this.stop();
+    const next = this.getNextCheck();
+    if (!this.timers || next === null) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.check();
+    }, Math.max(0, next - this.now()));
+    // Never keep the process alive just for idle rules
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+function formatValue(value) {
+  return Array.isArray(value) ? value.join(', ') : (value || '');
+}
+
+/**
+ * Rules from the JSON in settings. With a mistake in any rule there are
+ * no rules, rather than some of them, and the first mistake is reported.
+ * @param {string} text - JSON list of rules, or empty for none
+ * @returns {Object} { rules, error }
+ */
+function parseRules(text) {
+  if (!text || !String(text).trim()) return { rules: [], error: null };
+
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (error) {
+    return { rules: [], error: `Not valid JSON: ${error.message}` };
+  }
+  if (!Array.isArray(list)) return { rules: [], error: 'Must be a list of rules, [{ "when": ..., "then": ... }]' };
+
+  try {
+    return { rules: list.map(parseRule), error: null };
+  } catch (error) {
+    return { rules: [], error: error.message };
+  }
+}
+
+function parseRule(rule, index) {
+  try {
+    return parseRuleFields(rule, index);
+  } catch (error) {
+    throw new Error(`Rule ${index + 1}: ${error.message}`);
+  }
+}
+
+function parseRuleFields(rule, index) {
+  if (!isObject(rule)) throw new Error('must be an object');
+  if (!isObject(rule.when)) throw new Error('needs "when" conditions');
+  if (rule.then === undefined && rule.otherwise === undefined) throw new Error('needs "then" or "otherwise" actions');
+
+  const when = {};
+  for (const [condition, value] of Object.entries(rule.when)) {
+    if (condition === 'player') {
+      when.player = toList(value).map(String).filter(player => player.trim());
+      if (when.player.length === 0) throw new Error('"player" needs a player name');
+    } else if (condition in PATTERN_CONDITIONS) {
+      when[condition] = toPattern(condition, value);
+    } else if (condition === 'state') {
+      when.state = toList(value);
+      const unknown = when.state.find(state => !STATES.includes(state));
+      if (unknown !== undefined) throw new Error(`unknown state "${unknown}", use ${STATES.join(', ')}`);
+    } else if (condition === 'idleMinutes') {
+      when.idleMinutes = Number(value);
+      if (!(when.idleMinutes > 0)) throw new Error('"idleMinutes" must be a number of minutes');
+    } else {
+      throw new Error(`unknown condition "${condition}"`);
+    }
+  }
+  if (Object.keys(when).length === 0) throw new Error('needs at least one condition');
+
+  return {
+    name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : `Rule ${index + 1}`,
+    when,
+    then: toList(rule.then).map(parseAction),
+    otherwise: toList(rule.otherwise).map(parseAction)
+  };
+}
+
+function parseAction(action) {
+  if (!isObject(action)) throw new Error('actions must be objects');
+  if ('switchProfile' in action) {
+    const profile = action.switchProfile;
+    if (profile !== null && typeof profile !== 'string') throw new Error('"switchProfile" must be a profile name or null');
+    if (profile && !PROFILES.some(entry => isProfileNamed(entry, profile))) {
+      const names = [...new Set(PROFILES.map(entry => path.posix.basename(entry.Name)))];
+      throw new Error(`"switchProfile": no profile "${profile}" comes with the plugin, only ${names.join(', ')}`);
+    }
+    return { type: 'switchProfile', profile: profile || null };
+  }
+  if ('setState' in action) {
+    const state = Number(action.state ?? 1);
+    if (state !== 0 && state !== 1) throw new Error('"state" must be 0 or 1');
+    return { type: 'setState', key: keyName(action.setState, 'setState'), state };
+  }
+  for (const type of ['showAlert', 'showOk']) {
+    if (type in action) return { type, key: keyName(action[type], type) };
+  }
+  throw new Error(`unknown action ${JSON.stringify(action)}`);
+}
+
+function keyName(value, type) {
+  if (typeof value !== 'string' || !value.trim()) throw new Error(`"${type}" needs the name of a Rule Indicator key`);
+  return value.trim();
+}
+
+/**
+ * The profile that comes with the plugin for a kind of device
+ * @param {string} name - Profile name of a rule, e.g. "Music"
+ * @param {number} deviceType - The device's type (DeviceType in the SDK)
+ * @param {Array} profiles - `Profiles` of the manifest
+ * @returns {string|null} The profile's name in the manifest, for switchToProfile; null when there is none for the device
+ */
+function findProfile(name, deviceType, profiles = PROFILES) {
+  const profile = profiles.find(entry => entry.DeviceType === deviceType && isProfileNamed(entry, name));
+  return profile ? profile.Name : null;
+}
+
+function isProfileNamed(entry, name) {
+  return path.posix.basename(entry.Name).toLowerCase() === name.trim().toLowerCase();
+}
+
+function toPattern(condition, value) {
+  if (typeof value !== 'string') throw new Error(`"${condition}" must be a regular expression`);
+  try {
+    return new RegExp(value, 'i');
+  } catch {
+    throw new Error(`"${condition}" is not a valid regular expression`);
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Run rules over a recorded session, checking idle rules as time passes
+ * between entries
+ * @param {Array} rules - Rules from parseRules()
+ * @param {Array} recording - Entries { at, event, state }: `at` in ms from
+ *   the start, `state` optional; an entry without `event` only lets time pass
+ * @returns {Array} Actions run, as { at, rule, action }
+ */
+function replayRules(rules, recording) {
+  let time = 0;
+  const engine = new RulesEngine({ now: () => time, timers: false });
+  const ran = engine.setRules(rules).map(run => ({ at: 0, ...run }));
+
+  for (const entry of recording) {
+    let next = engine.getNextCheck();
+    while (next !== null && next <= entry.at) {
+      time = next;
+      ran.push(...engine.check().map(run => ({ at: time, ...run })));
+      next = engine.getNextCheck();
+    }
+    time = entry.at;
+    if ('event' in entry) {
+      ran.push(...engine.update(entry.event, entry.state).map(run => ({ at: time, ...run })));
+    }
+  }
+  return ran;
+}
+
+module.exports = RulesEngine;
+module.exports.parseRules = parseRules;
+module.exports.findProfile = findProfile;
+module.exports.replayRules = replayRules;
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { silentLogger } = require('./logger');
+const { getTrackKey, formatArtist } = require('./history');
+const { toListen } = require('./listenbrainz-client');
+const { writeAtomic } = require('./file-output');
+
+/**
+ * Scrobbles finished plays and reports what is playing now.
+ *
+ * A play is scrobbled when it played for half the track or 4 minutes,
+ * whichever comes first, and the track is longer than 30 seconds. Scrobbles
+ * wait in a queue that is saved to disk, so they survive restarts and
+ * being offline, and are sent in batches. When sending fails for a reason
+ * that passes (offline, server errors, rate limits) it is tried again with
+ * exponential backoff; listens the server rejects are dropped, and a
+ * rejected token stops sending until the client changes.
+ *
+ * Until the plugin's settings say whether scrobbling is on (setClient),
+ * plays are queued, so none are lost while the plugin starts.
+ *
+ * Now-playing notices are sent once per track and never retried.
+ */
+
+const MIN_DURATION = 30;                   // Seconds; shorter tracks are never scrobbled
+const SCROBBLE_AFTER = 240;                // Seconds played that always count
+const DEFAULT_RETRY_DELAY = 30 * 1000;     // First retry after a failure, doubled every time
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+const BATCH_SIZE = 50;                     // Listens per request
+const MAX_QUEUE = 10000;                   // Oldest scrobbles are dropped beyond this
+
+class Scrobbler {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Queue file
+   * @param {ListenBrainzClient} options.client - Client to submit with, null while scrobbling is off,
+   *   or left out until setClient() says which
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   * @param {number} options.retryDelay - Milliseconds before the first retry (default 30 s)
+   * @param {number} options.maxRetryDelay - Longest wait between retries (default 30 minutes)
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.client = options.client || null;
+    this.configured = options.client !== undefined; // Whether scrobbling is known to be on or off
+    this.logger = options.logger || silentLogger;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay ?? MAX_RETRY_DELAY;
+    this.queue = [];             // Listens waiting to be sent, oldest first
+    this.attempts = 0;           // Failed attempts since the last success
+    this.retryTimer = null;
+    this.rejected = false;       // The server refused the token
+    this.sending = null;
+    this.writing = Promise.resolve();
+    this.playingKey = null;      // Track the last now-playing notice was for
+  }
+
+  /**
+   * Switch to another server or token, or turn scrobbling off with null.
+   * Queued scrobbles are sent with the new client.
+   */
+  setClient(client) {
+    this.client = client;
+    this.configured = true;
+    this.rejected = false;
+    this.attempts = 0;
+    this.playingKey = null;
+    this.cancelRetry();
+    return this.flush();
+  }
+
+  /**
+   * Read the queue saved by an earlier run and send it
+   */
+  async load() {
+    let saved = [];
+    try {
+      saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.warn('Error reading scrobble queue:', error);
+    }
+    if (!Array.isArray(saved)) saved = [];
+
+    this.queue = [...saved, ...this.queue].slice(-MAX_QUEUE);
+    if (saved.length > 0) this.logger.info('Loaded', saved.length, 'queued scrobbles');
+    await this.flush();
+  }
+
+  /**
+   * Queue a finished play if it counts as a scrobble and scrobbling isn't off
+   * @param {Object} entry - Entry from ListeningHistory
+   * @returns {boolean} Whether it was queued
+   */
+  add(entry) {
+    if ((this.configured && !this.client) || !shouldScrobble(entry)) return false;
+
+    this.queue.push(toListen(entry));
+    if (this.queue.length > MAX_QUEUE) this.queue.shift();
+    this.save();
+    // While waiting to retry, the new scrobble goes with the retry
+    if (!this.retryTimer) {
+      this.flush().catch(err => this.logger.error('Error sending scrobbles:', err));
+    }
+    return true;
+  }
+
+  /**
+   * Report the displayed track as playing now, once per track
+   * @param {Object} event - Now-playing event, or null
+   * @returns {Promise}
+   */
+  async nowPlaying(event) {
+    if (!this.client || this.rejected || !event?.isPlaying || !event.trackName) return;
+
+    const key = getTrackKey(event);
+    if (key === this.playingKey) return;
+    this.playingKey = key;
+
+    try {
+      await this.client.playingNow(toListen({
+        trackName: event.trackName,
+        artist: formatArtist(event.artist),
+        album: event.album,
+        player: event.player,
+        duration: event.duration > 0 ? Math.round(event.duration) : null,
+        startedAt: new Date().toISOString()
+      }));
+    } catch (error) {
+      // Only matters while the track plays, so it isn't retried
+      this.logger.debug('Error sending now playing:', error.message);
+    }
+  }
+
+  /**
+   * Send the queue now, unless it is being sent already
+   * @returns {Promise} Settles when this round of sending is over
+   */
+  flush() {
+    if (!this.sending) {
+      this.sending = this.send().finally(() => { this.sending = null; });
+    }
+    return this.sending;
+  }
+
+  async send() {
+    while (this.client && !this.rejected && this.queue.length > 0) {
+      const batch = this.queue.slice(0, BATCH_SIZE);
+      try {
+        await this.client.scrobble(batch);
+      } catch (error) {
+        if (error.retryable !== false) {
+          this.scheduleRetry(error);
+          return;
+        }
+        if (error.status === 401 || error.status === 403) {
+          this.rejected = true;
+          this.logger.error('Scrobbling token was rejected; scrobbles wait until it is changed:', error.message);
+          return;
+        }
+        this.logger.warn('Dropping', batch.length, 'scrobbles the server rejected:', error.message);
+      }
+
+      this.attempts = 0;
+      this.cancelRetry();
+      this.removeSent(batch);
+      await this.save();
+      this.logger.debug('Sent', batch.length, 'scrobbles,', this.queue.length, 'left');
+    }
+  }
+
+  /**
+   * Take sent listens off the queue. It may have been trimmed while they
+   * were sent, so they are looked up rather than counted off the front.
+   */
+  removeSent(batch) {
+    const sent = new Set(batch);
+    this.queue = this.queue.filter(listen => !sent.has(listen));
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt: as long as the server
+   * asked, or the retry delay doubled for every failure in a row
+   */
+  getRetryDelay(error) {
+    return error.retryAfter ?? Math.min(this.retryDelay * 2 ** this.attempts, this.maxRetryDelay);
+  }
+
+  scheduleRetry(error) {
+    const delay = this.getRetryDelay(error);
+    this.attempts++;
+    this.logger.warn(`Scrobbling failed, ${this.queue.length} queued, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+
+    this.cancelRetry();
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush().catch(err => this.logger.error('Error sending scrobbles:', err));
+    }, delay);
+    // Never keep the process alive just to retry
+    this.retryTimer.unref?.();
+  }
+
+  cancelRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Stop retrying, e.g. on shutdown; the queue stays on disk
+   */
+  stop() {
+    this.cancelRetry();
+  }
+
+  /**
+   * Save the queue. Saves run one after another, so the last one wins,
+   * and replace the file in one step, so a crash can't leave half a queue.
+   */
+  save() {
+    const queue = JSON.stringify(this.queue);
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await writeAtomic(this.file, queue);
+      })
+      .catch(error => this.logger.warn('Error saving scrobble queue:', error));
+    return this.writing;
+  }
+}
+
+/**
+ * The scrobble rule: the track is longer than 30 seconds and played for
+ * half its length or 4 minutes. Without a duration, 4 minutes it is.
+ * @param {Object} entry - Entry from ListeningHistory
+ */
+function shouldScrobble(entry) {
+  if (!entry.duration) return entry.played >= SCROBBLE_AFTER;
+  if (entry.duration <= MIN_DURATION) return false;
+  return entry.played >= Math.min(entry.duration / 2, SCROBBLE_AFTER);
+}
+
+module.exports = Scrobbler;
+module.exports.shouldScrobble = shouldScrobble;
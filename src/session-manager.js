@@ -0,0 +1,199 @@
+/**
+ * Tracks every active media session and picks the one the plugin shows.
+ *
+ * Sources report each player's events with its app id (`sourceAppId`).
+ * Sessions from blocked apps are ignored. Of the rest, the selection is
+ *
+ *   - the session picked with cycle(), while it is still around, else
+ *   - with the 'preferred' policy, the preferred player if it is playing,
+ *   - else the session that most recently started playing, or the most
+ *     recently updated one when nothing plays.
+ *
+ * An event without a track that isn't playing ends its session.
+ */
+
+const POLICIES = ['recent', 'preferred'];
+const DEFAULT_SESSION = 'default'; // Sessions of sources that don't report an app id
+
+class SessionManager {
+  /**
+   * @param {Object} options - Selection options, see setOptions()
+   * @param {Function} options.now - Time source in milliseconds
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.sessions = new Map(); // App id -> { appId, event, startedAt, updatedAt }
+    this.pinned = null;        // App id picked with cycle()
+    this.setOptions(options);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.policy - 'recent' (default) or 'preferred'
+   * @param {string} options.preferred - App id (or part of one) of the preferred player
+   * @param {Array<string>} options.blocked - App ids (or parts of them) to ignore
+   */
+  setOptions(options = {}) {
+    this.policy = POLICIES.includes(options.policy) ? options.policy : 'recent';
+    this.preferred = options.preferred || '';
+    this.blocked = (options.blocked || []).filter(Boolean);
+  }
+
+  /**
+   * Store an event for its session
+   * @returns {boolean} Whether the selected event changed: the event is
+   *   from the selected session, or the selection or session count changed
+   */
+  update(event) {
+    if (!event) return false;
+    const before = this.getSelected();
+    const count = this.getSessions().length;
+
+    const appId = getAppId(event);
+    if (!event.isPlaying && !event.trackName) {
+      this.sessions.delete(appId);
+    } else {
+      const now = this.now();
+      const session = this.sessions.get(appId) || { appId, event: null, startedAt: 0, updatedAt: 0 };
+      if (event.isPlaying && !session.event?.isPlaying) {
+        session.startedAt = now;
+      }
+      session.event = event;
+      session.updatedAt = now;
+      this.sessions.set(appId, session);
+    }
+
+    const selected = this.getSelected();
+    return selected !== before || selected?.appId === appId || this.getSessions().length !== count;
+  }
+
+  /**
+   * Forget every session, e.g. after unsubscribing
+   */
+  clear() {
+    this.sessions.clear();
+    this.pinned = null;
+  }
+
+  /**
+   * Sessions that can be selected, oldest first
+   */
+  getSessions() {
+    return [...this.sessions.values()].filter(session => !this.isBlocked(session.appId));
+  }
+
+  isBlocked(appId) {
+    return this.blocked.some(pattern => matchesApp(appId, pattern));
+  }
+
+  /**
+   * @returns {Object|null} { appId, event, startedAt, updatedAt }
+   */
+  getSelected() {
+    const sessions = this.getSessions();
+    if (sessions.length === 0) return null;
+
+    const pinned = sessions.find(session => session.appId === this.pinned);
+    if (pinned) return pinned;
+
+    const playing = sessions.filter(session => session.event.isPlaying);
+    if (this.policy === 'preferred' && this.preferred) {
+      const preferred = playing.find(session => matchesApp(session.appId, this.preferred));
+      if (preferred) return preferred;
+    }
+
+    if (playing.length > 0) {
+      return playing.reduce((best, session) => (session.startedAt >= best.startedAt ? session : best));
+    }
+    return sessions.reduce((best, session) => (session.updatedAt >= best.updatedAt ? session : best));
+  }
+
+  /**
+   * The selected session's latest event with the player it came from:
+   * `player` (display name), `sessionIndex` (0-based) and `sessionCount`
+   * @returns {Object|null}
+   */
+  getSelectedEvent() {
+    const selected = this.getSelected();
+    if (!selected) return null;
+
+    const sessions = this.getSessions();
+    return {
+      ...selected.event,
+      player: getPlayerName(selected.appId),
+      sessionIndex: sessions.indexOf(selected),
+      sessionCount: sessions.length
+    };
+  }
+
+  /**
+   * App id commands should go to, or null for the source's own choice
+   */
+  getTarget() {
+    const appId = this.getSelected()?.appId;
+    return appId && appId !== DEFAULT_SESSION ? appId : null;
+  }
+
+  /**
+   * Select the next active session, in the order they appeared
+   * @returns {Object|null} The newly selected session
+   */
+  cycle() {
+    const sessions = this.getSessions();
+    if (sessions.length === 0) return null;
+
+    const current = sessions.indexOf(this.getSelected());
+    const next = sessions[(current + 1) % sessions.length];
+    this.pinned = next.appId;
+    return next;
+  }
+}
+
+/**
+ * App id of an event's session
+ */
+function getAppId(event) {
+  return event.sourceAppId || DEFAULT_SESSION;
+}
+
+/**
+ * Whether an app id matches a user-entered player name, ignoring case,
+ * so "spotify" matches "Spotify.exe" and "com.spotify.client"
+ */
+function matchesApp(appId, pattern) {
+  return appId.toLowerCase().includes(pattern.trim().toLowerCase());
+}
+
+/**
+ * Readable player name from an app id: "Spotify.exe" and
+ * "com.spotify.client" both become "Spotify"
+ */
+function getPlayerName(appId) {
+  if (!appId || appId === DEFAULT_SESSION) return '';
+
+  // Windows app user model ids end in !<app name>
+  let name = appId.includes('!') ? appId.slice(appId.lastIndexOf('!') + 1) : appId;
+  name = name.replace(/^.*[\\/]/, '').replace(/\.exe$/i, '');
+
+  // Reverse-DNS bundle ids name the vendor or app second
+  const parts = name.split('.');
+  if (parts.length >= 3 && !name.includes(' ')) {
+    name = parts[1];
+  }
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Split a comma or newline separated list of players from settings
+ */
+function parsePlayerList(value) {
+  if (!value) return [];
+  return String(value).split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = SessionManager;
+module.exports.POLICIES = POLICIES;
+module.exports.getAppId = getAppId;
+module.exports.matchesApp = matchesApp;
+module.exports.getPlayerName = getPlayerName;
+module.exports.parsePlayerList = parsePlayerList;
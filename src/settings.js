@@ -0,0 +1,272 @@
+const { LEVELS } = require('./logger');
+const { POLICIES } = require('./session-manager');
+const { DEFAULT_IDLE_TIMEOUT } = require('./playback-state');
+const { DEFAULT_RETENTION_DAYS } = require('./history');
+const { DEFAULT_PORT } = require('./api-server');
+const { DEFAULT_SPAN, MAX_SPAN } = require('./layouts');
+const { DEFAULT_THEME, THEMES, BAR_STYLES, ARTWORK_SHAPES } = require('./themes');
+const { ROTATE_MODES, COMMANDS } = require('./dial-actions');
+const { WALL_SIZES } = require('./renderer');
+const { parseRules } = require('./rules');
+
+/**
+ * Settings of the plugin and its actions.
+ *
+ * Stream Deck keeps settings as whatever JSON the property inspector
+ * wrote. Every kind of settings has a schema here with the type, allowed
+ * values and default of each setting. `parseSettings` turns saved settings
+ * into values of those types, uses defaults for settings that aren't set,
+ * and reports the values it had to replace, so the inspector can point
+ * them out instead of the plugin quietly ignoring them.
+ *
+ * Saved settings carry a `settingsVersion`. When a setting is renamed or
+ * changes shape, a migration is added to its schema; `migrateSettings`
+ * runs the ones newer than the saved version, in order.
+ *
+ * The ranges here are the ones that count: the inspector's sliders offer
+ * the same, which the tests check.
+ */
+
+const VERSION_KEY = 'settingsVersion';
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Setting types. Values come from inspector fields, so numbers may arrive
+// as strings, and '' means not set for every type.
+
+function choice(values, defaultValue) {
+  return { type: 'choice', values: values.map(String), default: defaultValue };
+}
+
+function number({ min = -Infinity, max = Infinity, integer = false, default: defaultValue = null } = {}) {
+  return { type: 'number', min, max, integer, default: defaultValue };
+}
+
+function text({ trim = true, validate = null } = {}) {
+  return { type: 'text', trim, validate, default: '' };
+}
+
+function list(values, defaultValue) {
+  return { type: 'list', values, default: defaultValue };
+}
+
+function color() {
+  return { type: 'color', default: null };
+}
+
+const ON_OFF = ['off', 'on'];
+const THEME_NAMES = Object.keys(THEMES);
+
+// Shared by every action, set on the inspector's Plugin page
+const GLOBAL_SETTINGS = {
+  fields: {
+    logLevel: choice(Object.keys(LEVELS), 'info'),
+    sessionPolicy: choice(POLICIES, 'recent'),
+    preferredPlayer: text(),
+    blockedPlayers: text(),
+    idleTimeout: number({ min: 0, integer: true, default: DEFAULT_IDLE_TIMEOUT }),
+    historyRetention: number({ min: 0, default: DEFAULT_RETENTION_DAYS }),
+    scrobbleUrl: text({ validate: value => (/^https?:\/\//i.test(value) ? null : 'Must start with http:// or https://') }),
+    scrobbleToken: text(),
+    apiEnabled: choice(ON_OFF, 'off'),
+    apiPort: number({ min: 1, max: 65535, integer: true, default: DEFAULT_PORT }),
+    apiToken: text(),
+    outputFolder: text(),
+    outputTemplates: text({ trim: false, validate: checkTemplates }),
+    outputIdleText: text({ trim: false }),
+    lyricsFolder: text(),
+    rules: text({ trim: false, validate: value => parseRules(value).error })
+  },
+  migrations: []
+};
+
+const KEYPAD_SETTINGS = {
+  fields: {
+    keyShow: choice(['overlay', 'artwork', 'text'], 'overlay'),
+    keyFields: list(['title', 'artist', 'album'], ['title', 'artist']),
+    keyTextPosition: choice(['top', 'middle', 'bottom'], 'bottom'),
+    titleMode: choice(['static', 'cycle'], 'static'),
+    cycleInterval: number({ min: 1, integer: true, default: 2000 }),
+    wallGrid: choice(['off', ...WALL_SIZES], 'off'),
+    wallRow: number({ min: 1, max: Math.max(...WALL_SIZES), integer: true, default: 1 }),
+    wallColumn: number({ min: 1, max: Math.max(...WALL_SIZES), integer: true, default: 1 })
+  },
+  migrations: []
+};
+
+// Keys that rules light up or flash, by name
+const INDICATOR_SETTINGS = {
+  fields: {
+    indicatorName: text()
+  },
+  migrations: []
+};
+
+// Custom theme values default to null: the base theme's value
+const LCD_SETTINGS = {
+  fields: {
+    span: number({ min: 1, max: MAX_SPAN, integer: true, default: DEFAULT_SPAN }),
+    slot: number({ min: 1, max: MAX_SPAN, integer: true, default: 1 }),
+    refreshInterval: number({ min: 0, integer: true, default: 1000 }),
+    titleLines: choice(['1', '2'], '1'),
+    marquee: choice(['off', 'slow', 'normal', 'fast'], 'off'),
+    theme: choice([...THEME_NAMES, 'custom'], DEFAULT_THEME),
+    colors: choice(['theme', 'artwork'], 'theme'),
+    lyrics: choice(ON_OFF, 'on'),
+    lyricsOffset: number({ min: -5000, max: 5000, integer: true, default: 0 }),
+    dialRotate: choice(ROTATE_MODES, 'seek'),
+    seekStep: number({ min: 1, max: 30, default: 5 }),
+    seekAcceleration: choice(ON_OFF, 'off'),
+    volumeStep: number({ min: 1, max: 10, default: 2 }),
+    dialPress: choice(COMMANDS, 'playPause'),
+    touchTap: choice(COMMANDS, 'playPause'),
+    longTouch: choice(COMMANDS, 'next'),
+    customBase: choice(THEME_NAMES, DEFAULT_THEME),
+    customBackground: color(),
+    customTitle: color(),
+    customArtist: color(),
+    customAccent: color(),
+    customBarBackground: color(),
+    customTitleSize: number({ min: 8, max: 40 }),
+    customArtistSize: number({ min: 8, max: 40 }),
+    customBarStyle: choice(BAR_STYLES, null),
+    customArtworkShape: choice(ARTWORK_SHAPES, null),
+    customCornerRadius: number({ min: 0, max: 50 })
+  },
+  // Every dial of a span needs its own slot within it
+  check: values => (values.slot > values.span
+    ? [{ setting: 'slot', value: values.slot, message: `A ${values.span}-dial span has no dial ${values.slot}`, fallback: values.span }]
+    : []),
+  migrations: [
+    // 1: The display used to span two dials, each set to the 'left' or
+    // 'right' half in `position`; now every dial has a 1-based `slot`
+    ({ position, ...settings }) => {
+      if (position !== undefined && settings.slot === undefined) {
+        settings.slot = position === 'right' ? '2' : '1';
+      }
+      return settings;
+    }
+  ]
+};
+
+/**
+ * Bring saved settings up to the schema's latest version. Migrations only
+ * see settings older than themselves; settings from a newer version of
+ * the plugin are left alone.
+ * @param {Object} schema - One of the *_SETTINGS schemas
+ * @param {Object} settings - Saved settings
+ * @returns {Object} { settings, migrated }, migrated when they should be saved back
+ */
+function migrateSettings(schema, settings = {}) {
+  const latest = schema.migrations.length;
+  const version = Number(settings[VERSION_KEY]) || 0;
+  if (version >= latest) return { settings, migrated: false };
+
+  let migrated = { ...settings };
+  for (const migrate of schema.migrations.slice(version)) {
+    migrated = migrate(migrated);
+  }
+  return { settings: { ...migrated, [VERSION_KEY]: latest }, migrated: true };
+}
+
+/**
+ * Typed values for every setting of a schema
+ * @param {Object} schema - One of the *_SETTINGS schemas
+ * @param {Object} settings - Saved (and migrated) settings
+ * @returns {Object} { values, errors }, errors as { setting, value, message }
+ */
+function parseSettings(schema, settings = {}) {
+  const values = {};
+  const errors = [];
+  for (const [setting, field] of Object.entries(schema.fields)) {
+    const value = settings[setting];
+    if (value === undefined || value === null || value === '') {
+      values[setting] = field.default;
+      continue;
+    }
+
+    const parsed = parseValue(field, value);
+    if ('error' in parsed) {
+      values[setting] = field.default;
+      errors.push({ setting, value, message: parsed.error });
+    } else {
+      values[setting] = parsed.value;
+    }
+  }
+
+  for (const { fallback, ...error } of schema.check ? schema.check(values) : []) {
+    values[error.setting] = fallback;
+    errors.push(error);
+  }
+  return { values, errors };
+}
+
+/**
+ * Migrate and parse in one go
+ * @returns {Object} { values, errors, settings, migrated }
+ */
+function readSettings(schema, saved = {}) {
+  const { settings, migrated } = migrateSettings(schema, saved);
+  return { ...parseSettings(schema, settings), settings, migrated };
+}
+
+/**
+ * One value of a field, as { value } or { error } with a message for the inspector
+ */
+function parseValue(field, value) {
+  switch (field.type) {
+    case 'choice':
+      return field.values.includes(String(value)) ? { value: String(value) } : { error: `Unknown option "${value}"` };
+
+    case 'number': {
+      const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(parsed) || (field.integer && !Number.isInteger(parsed))) {
+        return { error: field.integer ? 'Must be a whole number' : 'Must be a number' };
+      }
+      if (parsed < field.min || parsed > field.max) return { error: describeRange(field) };
+      return { value: parsed };
+    }
+
+    case 'text': {
+      if (typeof value !== 'string') return { error: 'Must be text' };
+      const parsed = field.trim ? value.trim() : value;
+      const error = parsed && field.validate ? field.validate(parsed) : null;
+      return error ? { error } : { value: parsed };
+    }
+
+    case 'list': {
+      const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+      const unknown = items.filter(item => !field.values.includes(item));
+      if (unknown.length > 0) return { error: `Unknown option "${unknown[0]}"` };
+      return items.length > 0 ? { value: items } : { value: field.default };
+    }
+
+    case 'color':
+      return HEX_COLOR.test(value) ? { value } : { error: 'Must be a color like #1DB954' };
+
+    default:
+      return { value };
+  }
+}
+
+function describeRange({ min, max }) {
+  if (Number.isFinite(min) && Number.isFinite(max)) return `Must be between ${min} and ${max}`;
+  return Number.isFinite(min) ? `Must be at least ${min}` : `Must be at most ${max}`;
+}
+
+// Text file templates are `name=template` lines; say which line isn't
+function checkTemplates(value) {
+  const lines = value.split('\n');
+  const index = lines.findIndex(line => line.trim() && !/^\s*[\w-]+\s*=/.test(line));
+  return index < 0 ? null : `Line ${index + 1} is not name=template`;
+}
+
+module.exports = {
+  VERSION_KEY,
+  GLOBAL_SETTINGS,
+  KEYPAD_SETTINGS,
+  INDICATOR_SETTINGS,
+  LCD_SETTINGS,
+  migrateSettings,
+  parseSettings,
+  readSettings
+};
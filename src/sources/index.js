@@ -0,0 +1,27 @@
+const MediaSource = require('./media-source');
+const NowPlayingSource = require('./nowplaying-source');
+const MockMediaSource = require('./mock-source');
+
+/**
+ * Create the media source the plugin should use.
+ *
+ * Setting NOWPLAYING_MOCK_SCRIPT (or options.mockScript) to a JSON script
+ * replays that script instead of listening to the OS media session.
+ * @param {Function} callback - Called with every now-playing event
+ * @param {Object} options
+ * @param {string} options.mockScript - Path to a mock session script
+ */
+function createMediaSource(callback, options = {}) {
+  const mockScript = options.mockScript || process.env.NOWPLAYING_MOCK_SCRIPT;
+  if (mockScript) {
+    return MockMediaSource.fromFile(callback, mockScript);
+  }
+  return new NowPlayingSource(callback);
+}
+
+module.exports = {
+  MediaSource,
+  NowPlayingSource,
+  MockMediaSource,
+  createMediaSource
+};
@@ -0,0 +1,100 @@
+/**
+ * Base class for media sources.
+ *
+ * A media source delivers now-playing events to a single callback and accepts
+ * transport commands. The plugin only talks to this interface, so the real
+ * OS session (node-nowplaying) can be swapped for a scripted one in tests.
+ */
+class MediaSource {
+  /**
+   * @param {Function} callback - Called with every now-playing event
+   */
+  constructor(callback) {
+    this.callback = callback;
+    this.session = null; // App id transport commands go to, null for the source's own choice
+  }
+
+  /**
+   * Send transport commands to one player's session
+   * @param {string} appId - `sourceAppId` of the session, or null
+   */
+  setSession(appId) {
+    this.session = appId || null;
+  }
+
+  /**
+   * Start delivering events
+   */
+  async subscribe() {
+    throw new Error(`${this.constructor.name} does not implement subscribe()`);
+  }
+
+  /**
+   * Stop delivering events
+   */
+  async unsubscribe() {
+    throw new Error(`${this.constructor.name} does not implement unsubscribe()`);
+  }
+
+  async playPause() {
+    throw new Error(`${this.constructor.name} does not implement playPause()`);
+  }
+
+  /**
+   * Seek relative to the current position
+   * @param {number} seconds - Positive to seek forward, negative to seek back
+   */
+  async seek(seconds) {
+    throw new Error(`${this.constructor.name} does not implement seek()`);
+  }
+
+  async next() {
+    throw new Error(`${this.constructor.name} does not implement next()`);
+  }
+
+  async previous() {
+    throw new Error(`${this.constructor.name} does not implement previous()`);
+  }
+
+  /**
+   * Change the player volume relative to its current level
+   * @param {number} change - Fraction of full volume, e.g. 0.05 for +5%
+   */
+  async changeVolume(change) {
+    throw new Error(`${this.constructor.name} does not implement changeVolume()`);
+  }
+
+  /**
+   * Like (favorite) the current track
+   */
+  async like() {
+    throw new Error(`${this.constructor.name} does not implement like()`);
+  }
+
+  /**
+   * Turn shuffle on or off
+   * @param {boolean} enabled
+   */
+  async setShuffle(enabled) {
+    throw new Error(`${this.constructor.name} does not implement setShuffle()`);
+  }
+
+  /**
+   * Set the repeat mode
+   * @param {string} mode - 'off', 'all' or 'track'
+   */
+  async setRepeat(mode) {
+    throw new Error(`${this.constructor.name} does not implement setRepeat()`);
+  }
+
+  /**
+   * Deliver an event to the subscriber
+   */
+  emit(event) {
+    if (this.callback) {
+      this.callback(event);
+    }
+  }
+}
+
+module.exports = MediaSource;
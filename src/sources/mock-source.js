@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const MediaSource = require('./media-source');
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Media source that replays a scripted session instead of a real player.
+ *
+ * A script is either an array of steps or `{ "loop": true, "steps": [...] }`.
+ * Every step may carry a `delay` in milliseconds, counted from the previous
+ * step, and one of these types:
+ *
+ *   track   - start a new track; the other fields become the track info
+ *   play    - resume playback
+ *   pause   - pause playback
+ *   seek    - jump to `position` (seconds)
+ *   artwork - swap the artwork to `thumbnail` (data URL) or `file`
+ *   event   - emit `event` unchanged (default, for recorded event logs)
+ *
+ * Transport commands change the mock state the way a player would and are
+ * recorded in `commands` so tests can assert on them.
+ */
+class MockMediaSource extends MediaSource {
+  /**
+   * @param {Function} callback - Called with every now-playing event
+   * @param {Array|Object} script - Steps to replay
+   * @param {Object} options
+   * @param {string} options.baseDir - Directory that artwork `file` paths are relative to
+   * @param {boolean} options.autoplay - Replay on subscribe using step delays (default true)
+   * @param {Function} options.onEnd - Called once the last step was applied
+   */
+  constructor(callback, script, options = {}) {
+    super(callback);
+    const normalized = Array.isArray(script) ? { steps: script } : (script || {});
+    this.steps = normalized.steps || [];
+    this.loop = !!normalized.loop;
+    this.baseDir = options.baseDir || process.cwd();
+    this.autoplay = options.autoplay !== false;
+    this.onEnd = options.onEnd || null;
+
+    this.state = null;
+    this.index = 0;
+    this.timer = null;
+    this.subscribed = false;
+    this.commands = [];
+  }
+
+  /**
+   * Load a script from a JSON file
+   */
+  static fromFile(callback, file, options = {}) {
+    const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new MockMediaSource(callback, script, {
+      baseDir: path.dirname(path.resolve(file)),
+      ...options
+    });
+  }
+
+  async subscribe() {
+    if (this.subscribed) return;
+    this.subscribed = true;
+
+    if (this.autoplay) {
+      this.scheduleNext();
+    }
+  }
+
+  async unsubscribe() {
+    this.subscribed = false;
+    this.clearTimer();
+  }
+
+  /**
+   * Apply the next step immediately
+   * @returns {boolean} false once the script is exhausted
+   */
+  step() {
+    if (this.index >= this.steps.length) {
+      if (!this.loop || this.steps.length === 0) return false;
+      this.index = 0;
+    }
+
+    this.applyStep(this.steps[this.index++]);
+    return true;
+  }
+
+  async playPause() {
+    this.record('playPause', []);
+    if (!this.state) return;
+
+    this.update({ isPlaying: !this.state.isPlaying });
+  }
+
+  async seek(seconds) {
+    this.record('seek', [seconds]);
+    if (!this.state) return;
+
+    let position = (this.state.position || 0) + seconds;
+    if (this.state.duration) {
+      position = Math.min(position, this.state.duration);
+    }
+    this.update({ position: Math.max(0, position) });
+  }
+
+  async next() {
+    this.record('next', []);
+
+    // Skip ahead to the next track step, as if the player moved on
+    const nextTrack = this.steps.findIndex((step, i) => i >= this.index && step.type === 'track');
+    if (nextTrack === -1) return;
+
+    this.clearTimer();
+    this.index = nextTrack;
+    this.step();
+    if (this.subscribed && this.autoplay) {
+      this.scheduleNext();
+    }
+  }
+
+  async previous() {
+    this.record('previous', []);
+    if (!this.state) return;
+
+    // Players restart the current track rather than going back
+    this.update({ position: 0 });
+  }
+
+  async changeVolume(change) {
+    this.record('changeVolume', [change]);
+    if (!this.state) return;
+
+    const volume = typeof this.state.volume === 'number' ? this.state.volume : 1;
+    this.update({ volume: Math.min(1, Math.max(0, volume + change)) });
+  }
+
+  async like() {
+    this.record('like', []);
+    if (!this.state) return;
+
+    this.update({ isLiked: true });
+  }
+
+  async setShuffle(enabled) {
+    this.record('setShuffle', [enabled]);
+    if (!this.state) return;
+
+    this.update({ shuffleState: enabled });
+  }
+
+  async setRepeat(mode) {
+    this.record('setRepeat', [mode]);
+    if (!this.state) return;
+
+    this.update({ repeatState: mode });
+  }
+
+  /**
+   * Remember a transport command, with its target session when one is set
+   */
+  record(command, args) {
+    this.commands.push(this.session ? { command, args, session: this.session } : { command, args });
+  }
+
+  applyStep(step) {
+    const { delay, type = 'event', ...fields } = step;
+
+    switch (type) {
+      case 'track':
+        this.state = { isPlaying: true, position: 0, ...fields };
+        if (fields.file) {
+          this.state.thumbnail = this.loadArtwork(fields.file);
+          delete this.state.file;
+        }
+        this.emit({ ...this.state });
+        break;
+      case 'play':
+        this.update({ isPlaying: true });
+        break;
+      case 'pause':
+        this.update({ isPlaying: false });
+        break;
+      case 'seek':
+        this.update({ position: fields.position || 0 });
+        break;
+      case 'artwork':
+        this.update({ thumbnail: fields.file ? this.loadArtwork(fields.file) : (fields.thumbnail || null) });
+        break;
+      case 'event':
+        this.state = { ...(fields.event || fields) };
+        this.emit({ ...this.state });
+        break;
+      default:
+        throw new Error(`Unknown mock step type: ${type}`);
+    }
+  }
+
+  /**
+   * Merge fields into the current state and emit it
+   */
+  update(fields) {
+    this.state = { ...(this.state || {}), ...fields };
+    this.emit({ ...this.state });
+  }
+
+  /**
+   * Read an image file into a data URL, like node-nowplaying thumbnails
+   */
+  loadArtwork(file) {
+    const fullPath = path.resolve(this.baseDir, file);
+    const mimeType = IMAGE_TYPES[path.extname(fullPath).toLowerCase()] || 'application/octet-stream';
+    return `data:${mimeType};base64,${fs.readFileSync(fullPath).toString('base64')}`;
+  }
+
+  scheduleNext() {
+    this.clearTimer();
+
+    const atEnd = this.index >= this.steps.length && (!this.loop || this.steps.length === 0);
+    if (atEnd) {
+      if (this.onEnd) this.onEnd();
+      return;
+    }
+
+    const upcoming = this.steps[this.index < this.steps.length ? this.index : 0];
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (!this.subscribed) return;
+      this.step();
+      this.scheduleNext();
+    }, upcoming.delay || 0);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = MockMediaSource;
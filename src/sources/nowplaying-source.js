@@ -0,0 +1,113 @@
+const MediaSource = require('./media-source');
+
+/**
+ * Media source backed by the OS media sessions through node-nowplaying.
+ *
+ * Commands carry the selected session's app id (see setSession()) as their
+ * target, so they reach that player rather than whichever session the OS
+ * considers current.
+ */
+class NowPlayingSource extends MediaSource {
+  constructor(callback) {
+    super(callback);
+    this.instance = null;
+    this.events = new Map(); // Latest event per app id, for volume and capabilities
+  }
+
+  async subscribe() {
+    if (this.instance) return;
+
+    // Required lazily so the mock source works on machines without the native module
+    const { NowPlaying } = require('node-nowplaying');
+    const instance = new NowPlaying((event) => {
+      // Re-inserted so the latest event of any session comes last
+      this.events.delete(event.sourceAppId || null);
+      this.events.set(event.sourceAppId || null, event);
+      this.emit(event);
+    });
+    await instance.subscribe();
+    this.instance = instance;
+  }
+
+  async unsubscribe() {
+    if (!this.instance) return;
+
+    const instance = this.instance;
+    this.instance = null;
+    this.events.clear();
+    await instance.unsubscribe();
+  }
+
+  async playPause() {
+    await this.requireInstance().playPause(this.target());
+  }
+
+  async seek(seconds) {
+    await this.requireInstance().seek(seconds, this.target());
+  }
+
+  async next() {
+    await this.requireInstance().nextTrack(this.target());
+  }
+
+  async previous() {
+    await this.requireInstance().previousTrack(this.target());
+  }
+
+  async changeVolume(change) {
+    const instance = this.requireInstance();
+    const event = this.getSessionEvent() || {};
+    if (event.canChangeVolume === false || typeof event.volume !== 'number') {
+      throw new Error('The player does not report a volume that can be changed');
+    }
+    await instance.setVolume(Math.min(1, Math.max(0, event.volume + change)), this.target());
+  }
+
+  async like() {
+    const instance = this.requireInstance();
+    if (typeof instance.like !== 'function' || this.getSessionEvent()?.canLike === false) {
+      throw new Error('The player does not support liking tracks');
+    }
+    await instance.like(this.target());
+  }
+
+  async setShuffle(enabled) {
+    const instance = this.requireInstance();
+    if (typeof instance.setShuffle !== 'function') {
+      throw new Error('The player does not support shuffle');
+    }
+    await instance.setShuffle(enabled, this.target());
+  }
+
+  async setRepeat(mode) {
+    const instance = this.requireInstance();
+    if (typeof instance.setRepeatMode !== 'function') {
+      throw new Error('The player does not support repeat');
+    }
+    await instance.setRepeatMode(mode, this.target());
+  }
+
+  /**
+   * Target app id for commands; undefined lets node-nowplaying pick
+   */
+  target() {
+    return this.session || undefined;
+  }
+
+  /**
+   * Latest event of the session commands go to
+   */
+  getSessionEvent() {
+    if (this.session) return this.events.get(this.session) || null;
+    return [...this.events.values()].at(-1) || null;
+  }
+
+  requireInstance() {
+    if (!this.instance) {
+      throw new Error('Not subscribed to now playing events');
+    }
+    return this.instance;
+  }
+}
+
+module.exports = NowPlayingSource;
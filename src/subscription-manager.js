@@ -0,0 +1,265 @@
+const { silentLogger } = require('./logger');
+const { getAppId } = require('./session-manager');
+
+const STATUSES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  UNAVAILABLE: 'unavailable'
+};
+
+const DEFAULT_RETRY_DELAY = 1000;          // First retry after a failure, doubled every time
+const MAX_RETRY_DELAY = 60 * 1000;
+const DEFAULT_RELEASE_DELAY = 3000;        // Long enough for a page switch
+const DEFAULT_STALL_GRACE = 30 * 1000;     // Past the end of the playing track
+const DEFAULT_STALL_TIMEOUT = 10 * 60 * 1000; // For tracks without a duration
+
+/**
+ * Keeps the plugin subscribed to the media source while anything needs it.
+ *
+ * Actions acquire() the subscription when they appear and release() it
+ * when they disappear. Subscribing and unsubscribing run one at a time, so
+ * actions appearing together share one subscription. The subscription is
+ * only dropped a few seconds after the last release, so switching pages
+ * doesn't unsubscribe and subscribe again.
+ *
+ * When subscribing fails it is retried, waiting twice as long after every
+ * failure in a row. A source that goes quiet while a player says it is
+ * playing is resubscribed: players only send events when something
+ * changes, but a playing track should send one by the time it ends at the
+ * latest. Tracks without a duration get the longer stall timeout.
+ *
+ * Status, reported through onStatus:
+ *
+ *   idle        - not subscribed, nothing needs the source
+ *   connecting  - subscribing for the first time
+ *   connected   - subscribed and receiving events
+ *   unavailable - subscribing failed, retrying until it works
+ */
+class SubscriptionManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createSource - Called with an event callback, returns a MediaSource
+   * @param {Function} options.onEvent - Called with every event of the subscribed source
+   * @param {Function} options.onStatus - Called with the new status when it changes
+   * @param {number} options.retryDelay - Milliseconds before the first retry (default 1 s)
+   * @param {number} options.maxRetryDelay - Longest wait between retries (default 1 minute)
+   * @param {number} options.releaseDelay - Milliseconds to stay subscribed after the last release (default 3 s)
+   * @param {number} options.stallGrace - Milliseconds past the end of a playing track before the source counts as stalled (default 30 s)
+   * @param {number} options.stallTimeout - Milliseconds a playing track without a duration may go without events (default 10 minutes)
+   * @param {Function} options.now - Time source in milliseconds
+   * @param {Object} options.logger - Leveled logger (see logger.js), defaults to no output
+   */
+  constructor(options = {}) {
+    this.createSource = options.createSource;
+    this.onEvent = options.onEvent || null;
+    this.onStatus = options.onStatus || null;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay ?? MAX_RETRY_DELAY;
+    this.releaseDelay = options.releaseDelay ?? DEFAULT_RELEASE_DELAY;
+    this.stallGrace = options.stallGrace ?? DEFAULT_STALL_GRACE;
+    this.stallTimeout = options.stallTimeout ?? DEFAULT_STALL_TIMEOUT;
+    this.now = options.now || Date.now;
+    this.logger = options.logger || silentLogger;
+
+    this.status = STATUSES.IDLE;
+    this.source = null;       // Subscribed source, null while not subscribed
+    this.pending = null;      // Source being subscribed
+    this.wanted = false;      // Whether anything holds the subscription
+    this.attempts = 0;        // Failed subscribes in a row
+    this.queue = Promise.resolve();
+    this.retryTimer = null;
+    this.releaseTimer = null;
+    this.stallTimer = null;
+    this.deadlines = new Map(); // App id -> when a playing player should have sent an event
+  }
+
+  /**
+   * Subscribe, unless already subscribed or subscribing. Cancels a release
+   * that is still waiting.
+   * @returns {Promise} Settles once the first attempt is done, whether or not it worked
+   */
+  acquire() {
+    this.clearTimer('releaseTimer');
+    if (this.wanted) return this.queue;
+
+    this.wanted = true;
+    return this.enqueue(() => this.connect());
+  }
+
+  /**
+   * Unsubscribe once the release delay has passed without another acquire()
+   */
+  release() {
+    if (!this.wanted || this.releaseTimer) return;
+
+    this.releaseTimer = setTimeout(() => {
+      this.releaseTimer = null;
+      this.wanted = false;
+      this.enqueue(() => this.disconnect());
+    }, this.releaseDelay);
+    // Never keep the process alive just to unsubscribe
+    this.releaseTimer.unref?.();
+  }
+
+  /**
+   * Unsubscribe right away, e.g. when the plugin shuts down
+   */
+  stop() {
+    this.clearTimer('releaseTimer');
+    this.wanted = false;
+    return this.enqueue(() => this.disconnect());
+  }
+
+  /**
+   * Run subscribe and unsubscribe steps one after another
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    // A failed step doesn't stop the ones after it
+    this.queue = run.catch(err => this.logger.error('Error managing the media subscription:', err));
+    return this.queue;
+  }
+
+  async connect() {
+    this.clearTimer('retryTimer');
+    if (!this.wanted || this.source) return;
+    if (this.status === STATUSES.IDLE) this.setStatus(STATUSES.CONNECTING);
+
+    let source = null;
+    try {
+      source = this.createSource(event => this.handleEvent(source, event));
+      this.pending = source;
+      await source.subscribe();
+    } catch (error) {
+      this.pending = null;
+      // Clean up whatever the failed attempt left behind
+      if (source) await source.unsubscribe().catch(() => {});
+      this.scheduleRetry(error);
+      return;
+    }
+
+    this.pending = null;
+    this.source = source;
+    this.attempts = 0;
+    this.logger.info('Subscribed to now playing events');
+    this.setStatus(STATUSES.CONNECTED);
+  }
+
+  async disconnect(status = STATUSES.IDLE) {
+    this.clearTimer('retryTimer');
+    this.clearTimer('stallTimer');
+    this.deadlines.clear();
+    this.attempts = 0;
+
+    const source = this.source;
+    this.source = null;
+    if (source) {
+      try {
+        await source.unsubscribe();
+        this.logger.info('Unsubscribed from now playing events');
+      } catch (error) {
+        this.logger.warn('Error unsubscribing:', error);
+      }
+    }
+    this.setStatus(status);
+  }
+
+  // Subscribe afresh, e.g. after the source stalled
+  async reconnect() {
+    if (!this.source) return;
+    await this.disconnect(STATUSES.CONNECTING);
+    await this.connect();
+  }
+
+  /**
+   * Milliseconds before the next retry, doubled for every failure in a row
+   */
+  getRetryDelay() {
+    return Math.min(this.retryDelay * 2 ** this.attempts, this.maxRetryDelay);
+  }
+
+  scheduleRetry(error) {
+    const delay = this.getRetryDelay();
+    this.attempts++;
+    this.logger.warn(`Now playing source unavailable, retrying in ${Math.round(delay / 1000)}s:`, error);
+    this.setStatus(STATUSES.UNAVAILABLE);
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.enqueue(() => this.connect());
+    }, delay);
+    // Never keep the process alive just to retry
+    this.retryTimer.unref?.();
+  }
+
+  handleEvent(source, event) {
+    // Late events of a source that was already replaced
+    if (source !== this.source && source !== this.pending) return;
+
+    this.watch(event);
+    if (this.onEvent) this.onEvent(event);
+  }
+
+  /**
+   * Note when a player that says it is playing should send its next
+   * event: once its track ends, or after the stall timeout without a duration
+   */
+  watch(event) {
+    if (!event) return;
+    const appId = getAppId(event);
+    if (event.isPlaying) {
+      const wait = event.duration > 0 && typeof event.position === 'number'
+        ? Math.max(0, event.duration - event.position) * 1000 + this.stallGrace
+        : this.stallTimeout;
+      this.deadlines.set(appId, this.now() + wait);
+    } else {
+      this.deadlines.delete(appId);
+    }
+    this.scheduleStallCheck();
+  }
+
+  scheduleStallCheck() {
+    this.clearTimer('stallTimer');
+    if (this.deadlines.size === 0) return;
+
+    const next = Math.min(...this.deadlines.values());
+    this.stallTimer = setTimeout(() => {
+      this.stallTimer = null;
+      this.checkStalled();
+    }, Math.max(0, next - this.now()));
+    // Never keep the process alive just to watch the source
+    this.stallTimer.unref?.();
+  }
+
+  checkStalled() {
+    const now = this.now();
+    const stalled = [...this.deadlines].find(([, deadline]) => deadline <= now);
+    if (!stalled) {
+      this.scheduleStallCheck();
+      return;
+    }
+
+    // Players get a new deadline from the events after resubscribing
+    this.logger.warn(`No events from ${stalled[0]} while it is playing, resubscribing`);
+    this.deadlines.clear();
+    this.enqueue(() => this.reconnect());
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.logger.debug('Now playing source', status);
+    if (this.onStatus) this.onStatus(status);
+  }
+
+  clearTimer(name) {
+    if (this[name]) {
+      clearTimeout(this[name]);
+      this[name] = null;
+    }
+  }
+}
+
+module.exports = SubscriptionManager;
+module.exports.STATUSES = STATUSES;
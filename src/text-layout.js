@@ -0,0 +1,211 @@
+const METRICS = {
+  normal: require('./fonts/arial-metrics.json'),
+  bold: require('./fonts/arial-bold-metrics.json')
+};
+
+/**
+ * Text measurement and fitting for the LCD renderer.
+ *
+ * Widths come from the advance widths of the renderer's font (Arial, regular
+ * or bold as the text is drawn) rather than character counts, measured per
+ * grapheme so that combining marks, emoji sequences and flags count as the
+ * single glyph they render as.
+ * Scripts the metrics don't cover fall back to typical widths: CJK and
+ * other full-width characters take a full em, emoji slightly more.
+ */
+
+const ELLIPSIS = '…';
+const WIDE_WIDTH = 1;         // em, full-width CJK/Hangul/Kana
+const EMOJI_WIDTH = 1.2;      // em, color emoji are a little wider than an em
+// em, average Arial lowercase width for uncovered characters
+const FALLBACK_WIDTHS = { normal: 0.556, bold: 0.611 };
+
+// Full-width scripts: Hangul Jamo, CJK radicals/symbols, Kana, CJK ideographs,
+// Yi, Hangul syllables, compatibility ideographs and full-width forms
+const WIDE = /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]/u;
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+// Emoji that render as color glyphs rather than text symbols like © or ™
+const EMOJI_PRESENTATION = /\p{Emoji_Presentation}|\uFE0F|\u200D|\p{Regional_Indicator}/u;
+const MARK = /^\p{M}+$/u;
+const SPACE = /^\s+$/u;
+// Hebrew, Arabic, Syriac, Thaana, NKo and their presentation forms
+const RTL = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u;
+const LTR = /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF\u3040-\u9FFF\uAC00-\uD7A3]/u;
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const caches = { normal: new Map(), bold: new Map() };
+
+/**
+ * Split text into user-perceived characters
+ */
+function splitGraphemes(text) {
+  return Array.from(segmenter.segment(text || ''), segment => segment.segment);
+}
+
+/**
+ * Metrics to measure a CSS font weight with: bold from 600 up
+ */
+function getWeight(fontWeight) {
+  if (fontWeight === 'bold' || fontWeight === 'bolder') return 'bold';
+  return Number(fontWeight) >= 600 ? 'bold' : 'normal';
+}
+
+/**
+ * Width of a single grapheme in em
+ * @param {string} grapheme
+ * @param {string} weight - 'normal' or 'bold', see getWeight
+ */
+function graphemeWidth(grapheme, weight = 'normal') {
+  const cache = caches[weight];
+  let width = cache.get(grapheme);
+  if (width !== undefined) return width;
+
+  const metrics = METRICS[weight];
+  const codePoint = grapheme.codePointAt(0);
+  const known = metrics.widths[codePoint];
+
+  if (EMOJI.test(grapheme) && (known === undefined || EMOJI_PRESENTATION.test(grapheme))) {
+    width = EMOJI_WIDTH;
+  } else if (MARK.test(grapheme)) {
+    // A mark on its own combines with whatever precedes it
+    width = 0;
+  } else if (known !== undefined) {
+    // Any combining marks after the base character take no extra space
+    width = known / metrics.unitsPerEm;
+  } else if (WIDE.test(grapheme)) {
+    width = WIDE_WIDTH;
+  } else {
+    width = FALLBACK_WIDTHS[weight];
+  }
+
+  cache.set(grapheme, width);
+  return width;
+}
+
+/**
+ * Rendered width of text in pixels
+ * @param {string} text
+ * @param {number} fontSize - Font size in pixels
+ * @param {string|number} fontWeight - CSS font weight the text is drawn in (default normal)
+ */
+function measureText(text, fontSize, fontWeight = 'normal') {
+  const weight = getWeight(fontWeight);
+  let width = 0;
+  for (const grapheme of splitGraphemes(text)) {
+    width += graphemeWidth(grapheme, weight);
+  }
+  return width * fontSize;
+}
+
+/**
+ * Shorten text to fit `maxWidth`, ending in an ellipsis when cut
+ */
+function fitText(text, maxWidth, fontSize, fontWeight = 'normal') {
+  if (measureText(text, fontSize, fontWeight) <= maxWidth) return text;
+
+  const weight = getWeight(fontWeight);
+  const available = maxWidth - measureText(ELLIPSIS, fontSize, weight);
+  let fitted = '';
+  let width = 0;
+  for (const grapheme of splitGraphemes(text)) {
+    width += graphemeWidth(grapheme, weight) * fontSize;
+    if (width > available) break;
+    fitted += grapheme;
+  }
+  return fitted.trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Break text into lines no wider than `maxWidth`.
+ * Lines break at spaces, or between full-width characters, which CJK text
+ * allows anywhere; a word wider than a line is broken where it overflows.
+ * Text beyond `maxLines` is cut with an ellipsis on the last line.
+ * @returns {string[]}
+ */
+function wrapText(text, maxWidth, fontSize, maxLines = Infinity, fontWeight = 'normal') {
+  const weight = getWeight(fontWeight);
+  const graphemes = splitGraphemes(text);
+  const lines = [];
+  let start = 0;
+
+  while (start < graphemes.length && lines.length < maxLines) {
+    // Skip spaces at the start of a line
+    while (start < graphemes.length && SPACE.test(graphemes[start])) start++;
+    if (start >= graphemes.length) break;
+
+    if (lines.length === maxLines - 1) {
+      lines.push(fitText(graphemes.slice(start).join(''), maxWidth, fontSize, weight));
+      return lines;
+    }
+
+    let width = 0;
+    let end = start;
+    let lastBreak = -1;
+    while (end < graphemes.length) {
+      const grapheme = graphemes[end];
+      const next = width + graphemeWidth(grapheme, weight) * fontSize;
+      if (next > maxWidth && end > start) break;
+      width = next;
+      end++;
+      if (SPACE.test(grapheme) || WIDE.test(grapheme) || (end < graphemes.length && WIDE.test(graphemes[end]))) {
+        lastBreak = end;
+      }
+    }
+
+    if (end < graphemes.length && lastBreak > start) {
+      end = lastBreak;
+    }
+
+    lines.push(graphemes.slice(start, end).join('').trimEnd());
+    start = end;
+  }
+
+  return lines;
+}
+
+/**
+ * Fit text into a box: step the font size down until it fits on one line,
+ * then wrap over up to `maxLines` lines at the smallest size, and finally
+ * cut with an ellipsis.
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.maxWidth - Available width in pixels
+ * @param {number} options.fontSize - Preferred font size in pixels
+ * @param {number} options.minFontSize - Smallest font size to step down to (default fontSize)
+ * @param {number} options.maxLines - Lines to wrap over (default 1)
+ * @param {string|number} options.fontWeight - CSS font weight the text is drawn in (default normal)
+ * @returns {Object} { lines, fontSize, truncated }
+ */
+function layoutText(text, { maxWidth, fontSize, minFontSize = fontSize, maxLines = 1, fontWeight = 'normal' }) {
+  for (let size = fontSize; size >= minFontSize; size--) {
+    if (measureText(text, size, fontWeight) <= maxWidth) {
+      return { lines: [text], fontSize: size, truncated: false };
+    }
+  }
+
+  const lines = wrapText(text, maxWidth, minFontSize, maxLines, fontWeight);
+  const withoutSpaces = (value) => value.replace(/\s+/g, '');
+  const truncated = withoutSpaces(lines.join('')) !== withoutSpaces(text);
+  return { lines, fontSize: minFontSize, truncated };
+}
+
+/**
+ * Whether text reads right to left, judged by its first strong character
+ */
+function isRtl(text) {
+  for (const char of text || '') {
+    if (RTL.test(char)) return true;
+    if (LTR.test(char)) return false;
+  }
+  return false;
+}
+
+module.exports = {
+  ELLIPSIS,
+  splitGraphemes,
+  measureText,
+  fitText,
+  wrapText,
+  layoutText,
+  isRtl
+};
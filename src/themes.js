@@ -0,0 +1,230 @@
+/**
+ * Themes for the LCD renderer.
+ *
+ * A theme holds everything about how the LCD looks: colors, font, text
+ * sizes, progress bar style and artwork shape. Presets are complete themes;
+ * a custom theme starts from a preset and overrides single values.
+ */
+
+const DEFAULT_THEME = 'spotify';
+
+const BAR_STYLES = ['rounded', 'pill', 'flat'];
+const ARTWORK_SHAPES = ['square', 'rounded', 'circle'];
+
+const THEMES = {
+  spotify: {
+    name: 'Spotify',
+    colors: {
+      background: '#000000',
+      title: '#FFFFFF',
+      artist: '#B3B3B3',
+      time: '#B3B3B3',
+      barBackground: '#404040',
+      barFill: '#1DB954',
+      placeholder: '#1A1A1A',
+      icon: '#FFFFFF',
+      fallbackText: '#666666'
+    },
+    fonts: { family: 'Arial, sans-serif', titleWeight: 'normal' },
+    sizes: { title: 20, artist: 16, time: 12 },
+    bar: { style: 'rounded', height: 5 },
+    artwork: { shape: 'square' },
+    cornerRadius: 8
+  },
+  midnight: {
+    name: 'Midnight',
+    colors: {
+      background: '#0B1020',
+      title: '#E8ECFF',
+      artist: '#8C96C8',
+      time: '#8C96C8',
+      barBackground: '#1E2745',
+      barFill: '#7C9CFF',
+      placeholder: '#161D36',
+      icon: '#E8ECFF',
+      fallbackText: '#5A6390'
+    },
+    fonts: { family: 'Arial, sans-serif', titleWeight: 'bold' },
+    sizes: { title: 20, artist: 15, time: 12 },
+    bar: { style: 'pill', height: 6 },
+    artwork: { shape: 'rounded' },
+    cornerRadius: 10
+  },
+  daylight: {
+    name: 'Daylight',
+    colors: {
+      background: '#F4F4F2',
+      title: '#1C1C1E',
+      artist: '#5E5E63',
+      time: '#5E5E63',
+      barBackground: '#D6D6D9',
+      barFill: '#0A84FF',
+      placeholder: '#E2E2E4',
+      icon: '#1C1C1E',
+      fallbackText: '#8E8E93'
+    },
+    fonts: { family: 'Arial, sans-serif', titleWeight: 'bold' },
+    sizes: { title: 19, artist: 15, time: 12 },
+    bar: { style: 'pill', height: 4 },
+    artwork: { shape: 'rounded' },
+    cornerRadius: 8
+  },
+  neon: {
+    name: 'Neon',
+    colors: {
+      background: '#0D0221',
+      title: '#FFFFFF',
+      artist: '#F6019D',
+      time: '#2DE2E6',
+      barBackground: '#261447',
+      barFill: '#2DE2E6',
+      placeholder: '#261447',
+      icon: '#F6019D',
+      fallbackText: '#7A5CA8'
+    },
+    fonts: { family: 'Arial, sans-serif', titleWeight: 'bold' },
+    sizes: { title: 21, artist: 16, time: 12 },
+    bar: { style: 'pill', height: 6 },
+    artwork: { shape: 'circle' },
+    cornerRadius: 0
+  },
+  minimal: {
+    name: 'Minimal',
+    colors: {
+      background: '#000000',
+      title: '#FFFFFF',
+      artist: '#8A8A8A',
+      time: '#8A8A8A',
+      barBackground: '#2A2A2A',
+      barFill: '#FFFFFF',
+      placeholder: '#111111',
+      icon: '#8A8A8A',
+      fallbackText: '#555555'
+    },
+    fonts: { family: 'Arial, sans-serif', titleWeight: 'normal' },
+    sizes: { title: 18, artist: 14, time: 11 },
+    bar: { style: 'flat', height: 2 },
+    artwork: { shape: 'square' },
+    cornerRadius: 0
+  }
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Build a complete theme from a preset name and optional overrides.
+ * Unknown presets fall back to the default; override values that are
+ * missing or invalid keep the preset's value.
+ * @param {string} name - Preset name (see THEMES)
+ * @param {Object} overrides - Partial theme, same shape as a preset
+ * @returns {Object} Theme
+ */
+function resolveTheme(name, overrides = {}) {
+  const base = THEMES[name] || THEMES[DEFAULT_THEME];
+  const colors = { ...base.colors };
+  for (const [key, value] of Object.entries(overrides.colors || {})) {
+    if (key in colors && HEX_COLOR.test(value)) {
+      colors[key] = value;
+    }
+  }
+
+  const sizes = { ...base.sizes };
+  for (const [key, value] of Object.entries(overrides.sizes || {})) {
+    const size = Number(value);
+    if (key in sizes && size >= 8 && size <= 40) {
+      sizes[key] = size;
+    }
+  }
+
+  const bar = { ...base.bar };
+  if (BAR_STYLES.includes(overrides.bar?.style)) bar.style = overrides.bar.style;
+  const barHeight = Number(overrides.bar?.height);
+  if (barHeight >= 1 && barHeight <= 12) bar.height = barHeight;
+
+  const artwork = { ...base.artwork };
+  if (ARTWORK_SHAPES.includes(overrides.artwork?.shape)) artwork.shape = overrides.artwork.shape;
+
+  const cornerRadius = Number(overrides.cornerRadius);
+
+  return {
+    name: overrides.name || base.name,
+    colors,
+    fonts: { ...base.fonts, ...pickStrings(overrides.fonts) },
+    sizes,
+    bar,
+    artwork,
+    cornerRadius: cornerRadius >= 0 && cornerRadius <= 50 ? cornerRadius : base.cornerRadius
+  };
+}
+
+/**
+ * Theme for an action's settings: a preset name in `theme`, or 'custom'
+ * with the custom* values from the property inspector on top of
+ * `customBase` (default preset when unset)
+ */
+function themeFromSettings(settings = {}) {
+  if (settings.theme !== 'custom') {
+    return resolveTheme(settings.theme);
+  }
+
+  return resolveTheme(settings.customBase, {
+    name: 'Custom',
+    colors: {
+      background: settings.customBackground,
+      title: settings.customTitle,
+      artist: settings.customArtist,
+      time: settings.customArtist,
+      barBackground: settings.customBarBackground,
+      barFill: settings.customAccent
+    },
+    sizes: {
+      title: settings.customTitleSize,
+      artist: settings.customArtistSize
+    },
+    bar: { style: settings.customBarStyle },
+    artwork: { shape: settings.customArtworkShape },
+    cornerRadius: settings.customCornerRadius
+  });
+}
+
+/**
+ * Corner radius of the progress bar for a theme
+ */
+function getBarRadius(theme) {
+  switch (theme.bar.style) {
+    case 'pill': return theme.bar.height / 2;
+    case 'flat': return 0;
+    default: return 1;
+  }
+}
+
+function pickStrings(values = {}) {
+  const picked = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (typeof value === 'string' && value.trim()) picked[key] = value.trim();
+  }
+  return picked;
+}
+
+/**
+ * Parse a #rgb or #rrggbb color for sharp
+ */
+function hexToRgb(hex) {
+  let value = String(hex).replace('#', '');
+  if (value.length === 3) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  const number = parseInt(value, 16);
+  return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255 };
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  THEMES,
+  BAR_STYLES,
+  ARTWORK_SHAPES,
+  resolveTheme,
+  themeFromSettings,
+  getBarRadius,
+  hexToRgb
+};
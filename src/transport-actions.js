@@ -0,0 +1,111 @@
+/**
+ * Transport keypad actions: next, previous, play/pause, shuffle and repeat.
+ *
+ * Play/pause, shuffle and repeat keys have two manifest states and follow
+ * the player: state 1 means playing, shuffling or repeating. The repeat key
+ * also names its mode in the title. Sources that don't report shuffle or
+ * repeat leave those keys in state 0.
+ *
+ * The switch player key ('session') shares the state updates to show the
+ * selected player; pressing it is handled by the session manager.
+ */
+
+const TRANSPORT_ACTIONS = {
+  'com.streamdeck.nowplaying.next': 'next',
+  'com.streamdeck.nowplaying.previous': 'previous',
+  'com.streamdeck.nowplaying.playpause': 'playPause',
+  'com.streamdeck.nowplaying.shuffle': 'shuffle',
+  'com.streamdeck.nowplaying.repeat': 'repeat'
+};
+
+// Order the repeat key steps through
+const REPEAT_MODES = ['off', 'all', 'track'];
+const REPEAT_TITLES = { off: '', all: 'All', track: 'One' };
+
+/**
+ * Repeat mode from an event, or null when the source doesn't report one
+ */
+function getRepeatMode(trackInfo) {
+  const mode = trackInfo?.repeatState;
+  if (mode === undefined || mode === null) return null;
+  return REPEAT_MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * Shuffle state from an event, or null when the source doesn't report one
+ */
+function getShuffle(trackInfo) {
+  const shuffle = trackInfo?.shuffleState;
+  return typeof shuffle === 'boolean' ? shuffle : null;
+}
+
+/**
+ * Key state and title for a transport key, or null for keys that always
+ * look the same (next, previous)
+ * @param {string} kind - Value of TRANSPORT_ACTIONS
+ * @param {Object} trackInfo - Latest now-playing event, or null
+ * @returns {Object|null} { state, title }
+ */
+function getTransportState(kind, trackInfo) {
+  switch (kind) {
+    case 'playPause':
+      return { state: trackInfo?.isPlaying ? 1 : 0, title: '' };
+    case 'shuffle':
+      return { state: getShuffle(trackInfo) ? 1 : 0, title: '' };
+    case 'repeat': {
+      const mode = getRepeatMode(trackInfo) || 'off';
+      return { state: mode === 'off' ? 0 : 1, title: REPEAT_TITLES[mode] };
+    }
+    case 'session':
+      return { state: 0, title: getSessionTitle(trackInfo) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Title of the switch player key: the selected player, and which of how
+ * many players it is when there are several
+ */
+function getSessionTitle(trackInfo) {
+  if (!trackInfo) return 'No Player';
+  const player = trackInfo.player || 'Player';
+  return trackInfo.sessionCount > 1 ? `${player}\n${trackInfo.sessionIndex + 1}/${trackInfo.sessionCount}` : player;
+}
+
+/**
+ * Run a transport key press on the media source
+ * @param {MediaSource} source
+ * @param {string} kind - Value of TRANSPORT_ACTIONS
+ * @param {Object} trackInfo - Latest now-playing event, for toggles
+ */
+async function runTransport(source, kind, trackInfo) {
+  switch (kind) {
+    case 'next':
+      await source.next();
+      break;
+    case 'previous':
+      await source.previous();
+      break;
+    case 'playPause':
+      await source.playPause();
+      break;
+    case 'shuffle':
+      await source.setShuffle(!getShuffle(trackInfo));
+      break;
+    case 'repeat': {
+      const mode = getRepeatMode(trackInfo) || 'off';
+      await source.setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(mode) + 1) % REPEAT_MODES.length]);
+      break;
+    }
+    default:
+      throw new Error(`Unknown transport action: ${kind}`);
+  }
+}
+
+module.exports = {
+  TRANSPORT_ACTIONS,
+  REPEAT_MODES,
+  getTransportState,
+  runTransport
+};
@@ -0,0 +1,63 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const AnimationScheduler = require('../src/animation-scheduler');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('AnimationScheduler', () => {
+  let scheduler;
+
+  afterEach(() => {
+    scheduler.clear();
+  });
+
+  it('only runs while callbacks are registered', () => {
+    scheduler = new AnimationScheduler({ frameInterval: 10 });
+    assert.strictEqual(scheduler.running, false);
+
+    scheduler.add('a', () => {});
+    scheduler.add('b', () => {});
+    assert.strictEqual(scheduler.running, true);
+
+    scheduler.remove('a');
+    assert.strictEqual(scheduler.running, true);
+    scheduler.remove('b');
+    assert.strictEqual(scheduler.running, false);
+  });
+
+  it('calls every callback on each frame', async () => {
+    scheduler = new AnimationScheduler({ frameInterval: 10 });
+    const frames = { a: 0, b: 0 };
+    scheduler.add('a', () => frames.a++);
+    scheduler.add('b', () => frames.b++);
+
+    await wait(60);
+    assert.ok(frames.a >= 2 && frames.b >= 2, JSON.stringify(frames));
+  });
+
+  it('skips frames while a callback is still running', async () => {
+    scheduler = new AnimationScheduler({ frameInterval: 5 });
+    let calls = 0;
+    scheduler.add('slow', () => {
+      calls++;
+      return wait(100);
+    });
+
+    await wait(60);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('reports errors and keeps animating', async () => {
+    const errors = [];
+    scheduler = new AnimationScheduler({ frameInterval: 10, onError: err => errors.push(err.message) });
+    let calls = 0;
+    scheduler.add('broken', () => {
+      calls++;
+      throw new Error('frame failed');
+    });
+
+    await wait(60);
+    assert.ok(calls >= 2);
+    assert.strictEqual(errors[0], 'frame failed');
+  });
+});
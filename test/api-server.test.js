@@ -0,0 +1,213 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const sharp = require('sharp');
+const WebSocket = require('ws');
+const ApiServer = require('../src/api-server');
+const NowPlayingController = require('../src/controller');
+const { MockMediaSource } = require('../src/sources');
+
+const artwork = `data:image/png;base64,${fs.readFileSync(path.join(__dirname, 'fixtures', 'artwork.png')).toString('base64')}`;
+const track = {
+  trackName: 'Midnight City',
+  artist: ['M83'],
+  album: "Hurry Up, We're Dreaming",
+  thumbnail: artwork,
+  duration: 240,
+  position: 30,
+  isPlaying: true
+};
+
+// Raw request, for headers fetch won't let us set
+function request(port, options) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, ...options }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+// Collect WebSocket messages; next() resolves with the next one
+function connect(url, options) {
+  const socket = new WebSocket(url, options);
+  const messages = [];
+  const waiting = [];
+  socket.on('message', data => {
+    const message = JSON.parse(data.toString());
+    if (waiting.length) waiting.shift()(message);
+    else messages.push(message);
+  });
+  socket.next = () => (messages.length ? Promise.resolve(messages.shift()) : new Promise(resolve => waiting.push(resolve)));
+  return new Promise((resolve, reject) => {
+    socket.on('open', () => resolve(socket));
+    socket.on('unexpected-response', (req, response) => reject(new Error(`HTTP ${response.statusCode}`)));
+    socket.on('error', reject);
+  });
+}
+
+describe('ApiServer', () => {
+  let controller;
+  let source;
+  let api;
+  let base;
+
+  beforeEach(async () => {
+    controller = new NowPlayingController({ onUpdate: () => api.publish() });
+    source = new MockMediaSource(() => {});
+    api = new ApiServer({ controller, renderer: controller.renderer, getSource: () => source });
+    const port = await api.start({ port: 0 });
+    base = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    controller.stopRefresh();
+    controller.stopIdleTimer();
+    await api.stop();
+  });
+
+  it('serves the current track without its artwork data', async () => {
+    await controller.handleEvent(track);
+    const body = await (await fetch(`${base}/api/now-playing`)).json();
+    assert.strictEqual(body.state, 'playing');
+    assert.strictEqual(body.track.trackName, 'Midnight City');
+    assert.deepStrictEqual(body.track.artist, ['M83']);
+    assert.strictEqual(body.track.artworkUrl, '/api/artwork');
+    assert.strictEqual('thumbnail' in body.track, false);
+  });
+
+  it('serves no track before anything plays', async () => {
+    const body = await (await fetch(`${base}/api/now-playing`)).json();
+    assert.strictEqual(body.state, 'none');
+    assert.strictEqual(body.track, null);
+    assert.strictEqual((await fetch(`${base}/api/artwork`)).status, 404);
+  });
+
+  it('serves the LCD image and the artwork', async () => {
+    await controller.handleEvent(track);
+
+    const lcd = await fetch(`${base}/api/lcd.png?span=2&theme=midnight`);
+    assert.strictEqual(lcd.headers.get('content-type'), 'image/png');
+    const { width, height } = await sharp(Buffer.from(await lcd.arrayBuffer())).metadata();
+    assert.deepStrictEqual({ width, height }, { width: 400, height: 100 });
+
+    const art = await fetch(`${base}/api/artwork`);
+    assert.strictEqual(art.headers.get('content-type'), 'image/png');
+    assert.strictEqual(Buffer.from(await art.arrayBuffer()).toString('base64'), artwork.split(',')[1]);
+  });
+
+  it('serves the idle LCD image without a track', async () => {
+    const lcd = await fetch(`${base}/api/lcd.png`);
+    const { width } = await sharp(Buffer.from(await lcd.arrayBuffer())).metadata();
+    assert.strictEqual(width, 800);
+  });
+
+  it('runs transport commands', async () => {
+    await controller.handleEvent(track);
+    const post = (command, body) => fetch(`${base}/api/commands/${command}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+
+    assert.strictEqual((await post('next')).status, 200);
+    assert.strictEqual((await post('seek', { seconds: -10 })).status, 200);
+    assert.strictEqual((await post('seek', { position: 100 })).status, 200);
+    assert.strictEqual((await post('seek')).status, 400);
+    assert.strictEqual((await post('eject')).status, 400);
+    assert.deepStrictEqual(source.commands.map(({ command, args }) => [command, ...args]).slice(0, 2), [['next'], ['seek', -10]]);
+    assert.ok(Math.abs(source.commands[2].args[0] - 70) < 1);
+  });
+
+  it('only takes commands sent as JSON from localhost', async () => {
+    const port = api.getPort();
+    assert.strictEqual(await request(port, { method: 'POST', path: '/api/commands/next', headers: { 'Content-Type': 'text/plain' } }), 415);
+    assert.strictEqual(await request(port, { method: 'GET', path: '/api/now-playing', headers: { Host: 'evil.example:80' } }), 403);
+    assert.strictEqual((await fetch(`${base}/api/commands/next`)).status, 405);
+    assert.deepStrictEqual(source.commands, []);
+  });
+
+  it('needs the token when one is set', async () => {
+    await api.start({ port: api.port, token: 'secret' });
+    assert.strictEqual((await fetch(`${base}/api/now-playing`)).status, 401);
+    assert.strictEqual((await fetch(`${base}/api/now-playing?token=wrong`)).status, 401);
+    assert.strictEqual((await fetch(`${base}/api/now-playing?token=secret`)).status, 200);
+    assert.strictEqual((await fetch(`${base}/api/now-playing`, { headers: { Authorization: 'Bearer secret' } })).status, 200);
+    await assert.rejects(connect(`${base.replace('http', 'ws')}/api/ws`), /401/);
+  });
+
+  it('closes WebSockets when the token changes', async () => {
+    const ws = `${base.replace('http', 'ws')}/api/ws`;
+    await api.start({ port: api.port, token: 'old' });
+    const socket = await connect(`${ws}?token=old`);
+    const closed = new Promise(resolve => socket.once('close', resolve));
+
+    await api.start({ port: api.port, token: 'new' });
+    await closed;
+    await assert.rejects(connect(`${ws}?token=old`), /401/);
+    const again = await connect(`${ws}?token=new`);
+    again.close();
+  });
+
+  it('keeps WebSockets when the settings change without a new token', async () => {
+    const socket = await connect(`${base.replace('http', 'ws')}/api/ws`);
+    await socket.next();
+    await api.start({ port: api.port });
+    await controller.handleEvent(track);
+    assert.strictEqual((await socket.next()).data.track.trackName, 'Midnight City');
+    socket.close();
+  });
+
+  it('pushes changes over WebSocket and takes commands', async () => {
+    const socket = await connect(`${base.replace('http', 'ws')}/api/ws`);
+    assert.strictEqual((await socket.next()).data.state, 'none');
+
+    await controller.handleEvent(track);
+    const update = await socket.next();
+    assert.strictEqual(update.type, 'nowPlaying');
+    assert.strictEqual(update.data.track.trackName, 'Midnight City');
+
+    socket.send(JSON.stringify({ type: 'command', command: 'playPause' }));
+    assert.deepStrictEqual(await socket.next(), { type: 'result', command: 'playPause', ok: true });
+    assert.strictEqual(source.commands.at(-1).command, 'playPause');
+
+    socket.send('not json');
+    assert.strictEqual((await socket.next()).type, 'error');
+    socket.close();
+  });
+
+  it('turns away WebSockets from other sites', async () => {
+    await assert.rejects(connect(`${base.replace('http', 'ws')}/api/ws`, { origin: 'https://evil.example' }), /403/);
+    const socket = await connect(`${base.replace('http', 'ws')}/api/ws`, { origin: 'http://localhost:8080' });
+    socket.close();
+  });
+
+  it('turns away sandboxed frames and local files without a token', async () => {
+    const ws = `${base.replace('http', 'ws')}/api/ws`;
+    await assert.rejects(connect(ws, { origin: 'null' }), /403/);
+    await assert.rejects(connect(ws, { origin: 'file://' }), /403/);
+    const post = { method: 'POST', path: '/api/commands/next', headers: { 'Content-Type': 'application/json', Origin: 'null' } };
+    assert.strictEqual(await request(api.getPort(), post), 403);
+    assert.strictEqual(source.commands.length, 0);
+
+    // With a token they're local overlay files like any other
+    await api.start({ port: api.port, token: 'secret' });
+    const socket = await connect(`${ws}?token=secret`, { origin: 'null' });
+    socket.close();
+  });
+
+  it('answers oversized command bodies with 413', async () => {
+    const status = await request(api.getPort(), {
+      method: 'POST',
+      path: '/api/commands/seek',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ seconds: 1, padding: 'x'.repeat(20 * 1024) })
+    });
+    assert.strictEqual(status, 413);
+    assert.strictEqual(source.commands.length, 0);
+  });
+});
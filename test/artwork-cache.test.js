@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArtworkCache = require('../src/artwork-cache');
+const { sniffType } = require('../src/artwork-cache');
+
+const png = fs.readFileSync(path.join(__dirname, 'fixtures', 'artwork.png'));
+const pngUrl = `data:image/png;base64,${png.toString('base64')}`;
+const jpegUrl = `data:image/jpeg;base64,${Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4]).toString('base64')}`;
+
+describe('ArtworkCache', () => {
+  let dir;
+  let time;
+  let cache;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-artwork-'));
+    time = 0;
+    cache = new ArtworkCache({ dir, now: () => time });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const images = () => fs.readdirSync(dir).filter(file => file !== 'index.json');
+
+  it('stores artwork and gives it back as a data URL', async () => {
+    await cache.put('album', pngUrl);
+    assert.deepStrictEqual(images().map(file => path.extname(file)), ['.png']);
+    assert.strictEqual(await cache.get('album'), pngUrl);
+    assert.strictEqual(await cache.get('other'), null);
+  });
+
+  it('keeps artwork across runs', async () => {
+    await cache.put('album', png.toString('base64'));
+    await cache.writing;
+
+    const next = new ArtworkCache({ dir });
+    await next.load();
+    assert.strictEqual(await next.get('album'), pngUrl);
+  });
+
+  it('stores the same image once for several keys', async () => {
+    await cache.put('one', pngUrl);
+    await cache.put('two', pngUrl);
+    assert.strictEqual(images().length, 1);
+    assert.strictEqual(cache.getSize(), png.length);
+  });
+
+  it('drops the least recently used artwork when full', async () => {
+    cache.maxBytes = png.length + 4;
+    await cache.put('old', pngUrl);
+    time = 1;
+    await cache.put('new', jpegUrl);
+    assert.deepStrictEqual(images().map(file => path.extname(file)), ['.jpg']);
+    assert.strictEqual(await cache.get('old'), null);
+    assert.strictEqual(await cache.get('new'), jpegUrl);
+  });
+
+  it('keeps artwork that was used recently', async () => {
+    cache.maxBytes = png.length + 12;
+    await cache.put('one', pngUrl);
+    time = 1;
+    await cache.put('two', jpegUrl);
+    time = 2;
+    await cache.get('one');
+    time = 3;
+    await cache.put('three', `data:image/jpeg;base64,${Buffer.from([0xff, 0xd8, 9, 9, 9, 9, 9, 9]).toString('base64')}`);
+    assert.ok(await cache.get('one'));
+    assert.strictEqual(await cache.get('two'), null);
+  });
+
+  it('saves when artwork was used a little later, once', async () => {
+    cache = new ArtworkCache({ dir, now: () => time, saveDelay: 20 });
+    await cache.put('album', pngUrl);
+    const index = () => JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+
+    let writes = 0;
+    const writeIndex = cache.writeIndex.bind(cache);
+    cache.writeIndex = () => {
+      writes++;
+      return writeIndex();
+    };
+    for (time = 1; time <= 3; time++) await cache.get('album');
+    await cache.writing;
+    assert.strictEqual(writes, 0);
+    assert.strictEqual(index().album.usedAt, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    await cache.writing;
+    assert.strictEqual(writes, 1);
+    assert.strictEqual(index().album.usedAt, 3);
+  });
+
+  it('forgets artwork whose file was deleted', async () => {
+    await cache.put('album', pngUrl);
+    for (const file of images()) fs.rmSync(path.join(dir, file));
+    cache.dataUrls.clear();
+    assert.strictEqual(await cache.get('album'), null);
+    assert.strictEqual(cache.entries.size, 0);
+  });
+});
+
+describe('sniffType()', () => {
+  it('recognizes common image formats', () => {
+    assert.strictEqual(sniffType(png), 'image/png');
+    assert.strictEqual(sniffType(Buffer.from([0xff, 0xd8, 0xff])), 'image/jpeg');
+    assert.strictEqual(sniffType(Buffer.from('RIFF....WEBPVP8 ')), 'image/webp');
+    assert.strictEqual(sniffType(Buffer.from('text')), 'application/octet-stream');
+  });
+});
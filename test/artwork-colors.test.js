@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { extractPalette, applyPalette, ensureContrast, contrastRatio } = require('../src/artwork-colors');
+const { resolveTheme } = require('../src/themes');
+
+// 100x100 image: mostly `background` with a 30x30 square of `square`
+async function createArtwork(background, square) {
+  return sharp({ create: { width: 100, height: 100, channels: 3, background } })
+    .composite([{
+      input: await sharp({ create: { width: 30, height: 30, channels: 3, background: square } }).png().toBuffer(),
+      left: 35,
+      top: 35
+    }])
+    .png()
+    .toBuffer();
+}
+
+function assertCloseTo(actual, expected) {
+  const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const a = channels(actual);
+  const e = channels(expected);
+  assert.ok(a.every((value, i) => Math.abs(value - e[i]) <= 8), `${actual} is not close to ${expected}`);
+}
+
+describe('artwork colors', () => {
+  describe('extractPalette()', () => {
+    it('finds the dominant and the vibrant color', async () => {
+      const artwork = await createArtwork({ r: 40, g: 40, b: 48 }, { r: 230, g: 30, b: 90 });
+      const palette = await extractPalette(artwork);
+      // Resampling blends the edges of the square, so allow a little drift
+      assertCloseTo(palette.dominant, '#282830');
+      assertCloseTo(palette.vibrant, '#E61E5A');
+    });
+
+    it('uses the dominant color when nothing is saturated', async () => {
+      const artwork = await createArtwork({ r: 200, g: 200, b: 200 }, { r: 20, g: 20, b: 20 });
+      const palette = await extractPalette(artwork);
+      assert.strictEqual(palette.vibrant, palette.dominant);
+    });
+  });
+
+  describe('contrastRatio()', () => {
+    it('matches the WCAG values', () => {
+      assert.strictEqual(contrastRatio('#FFFFFF', '#000000'), 21);
+      assert.strictEqual(contrastRatio('#777777', '#777777'), 1);
+    });
+  });
+
+  describe('ensureContrast()', () => {
+    it('keeps colors that are readable already', () => {
+      assert.strictEqual(ensureContrast('#FFFFFF', '#000000', 4.5), '#FFFFFF');
+    });
+
+    it('lightens colors on dark backgrounds and darkens them on light ones', () => {
+      const onDark = ensureContrast('#333366', '#101010', 4.5);
+      const onLight = ensureContrast('#CCCCFF', '#F0F0F0', 4.5);
+      assert.ok(contrastRatio(onDark, '#101010') >= 4.5);
+      assert.ok(contrastRatio(onLight, '#F0F0F0') >= 4.5);
+    });
+  });
+
+  describe('applyPalette()', () => {
+    for (const palette of [
+      { dominant: '#FFFFFF', vibrant: '#FFEE00' },
+      { dominant: '#000000', vibrant: '#000000' },
+      { dominant: '#1DB954', vibrant: '#0A1F80' }
+    ]) {
+      it(`keeps text readable for ${palette.dominant}/${palette.vibrant}`, () => {
+        const { colors } = applyPalette(resolveTheme('spotify'), palette);
+        for (const background of [colors.background, colors.backgroundEnd]) {
+          assert.ok(contrastRatio(colors.title, background) >= 4.5);
+          assert.ok(contrastRatio(colors.artist, background) >= 4.5);
+          assert.ok(contrastRatio(colors.barFill, background) >= 3);
+        }
+      });
+    }
+
+    it('keeps the theme\'s fonts and shapes', () => {
+      const theme = applyPalette(resolveTheme('neon'), { dominant: '#336699', vibrant: '#FF6600' });
+      assert.deepStrictEqual(theme.sizes, resolveTheme('neon').sizes);
+      assert.strictEqual(theme.artwork.shape, 'circle');
+    });
+  });
+});
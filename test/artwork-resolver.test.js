@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const sharp = require('sharp');
+const ArtworkResolver = require('../src/artwork-resolver');
+const ArtworkCache = require('../src/artwork-cache');
+const { getArtworkKey, getInitials, getPlaceholderColor } = require('../src/artwork-resolver');
+
+const png = fs.readFileSync(path.join(__dirname, 'fixtures', 'artwork.png'));
+const pngUrl = `data:image/png;base64,${png.toString('base64')}`;
+
+const track = { trackName: 'Midnight City', artist: ['M83'], album: "Hurry Up, We're Dreaming" };
+
+describe('ArtworkResolver', () => {
+  let dir;
+  let cache;
+  let resolver;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-resolver-'));
+    cache = new ArtworkCache({ dir: path.join(dir, 'cache') });
+    resolver = new ArtworkResolver({ cache });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const localTrack = (files) => {
+    const music = path.join(dir, 'music');
+    fs.mkdirSync(music, { recursive: true });
+    for (const [name, data] of Object.entries(files)) fs.writeFileSync(path.join(music, name), data);
+    return { ...track, url: pathToFileURL(path.join(music, 'song.mp3')).href };
+  };
+
+  it('keeps and caches the thumbnail the player sends', async () => {
+    const resolved = await resolver.resolve({ ...track, thumbnail: pngUrl });
+    assert.strictEqual(resolved.thumbnail, pngUrl);
+    assert.strictEqual(resolved.artworkSource, 'player');
+
+    await cache.writing;
+    assert.strictEqual(await cache.get(getArtworkKey(track)), pngUrl);
+  });
+
+  it('uses the cached artwork when the player sends none', async () => {
+    await resolver.resolve({ ...track, thumbnail: pngUrl });
+    const resolved = await resolver.resolve({ ...track, trackName: 'Wait' });
+    assert.strictEqual(resolved.thumbnail, pngUrl);
+    assert.strictEqual(resolved.artworkSource, 'cache');
+  });
+
+  it('uses a cover file next to a local track, shrunk', async () => {
+    const cover = await sharp({ create: { width: 1200, height: 1200, channels: 3, background: '#336699' } }).png().toBuffer();
+    const resolved = await resolver.resolve(localTrack({ 'song.mp3': 'audio', 'Folder.PNG': cover }));
+    assert.strictEqual(resolved.artworkSource, 'folder');
+    assert.match(resolved.thumbnail, /^data:image\/jpeg;base64,/);
+    const { width } = await sharp(Buffer.from(resolved.thumbnail.split(',')[1], 'base64')).metadata();
+    assert.strictEqual(width, 600);
+  });
+
+  it('has a placeholder when nothing else has artwork', async () => {
+    const resolved = await resolver.resolve(localTrack({ 'song.mp3': 'audio' }));
+    assert.strictEqual(resolved.artworkSource, 'placeholder');
+    const { width, format } = await sharp(Buffer.from(resolved.thumbnail.split(',')[1], 'base64')).metadata();
+    assert.strictEqual(format, 'png');
+    assert.strictEqual(width, 300);
+  });
+
+  it('looks artwork up once per track', async () => {
+    let finds = 0;
+    const find = resolver.find.bind(resolver);
+    resolver.find = (...args) => {
+      finds++;
+      return find(...args);
+    };
+    const first = await resolver.resolve(track);
+    const second = await resolver.resolve({ ...track, position: 10 });
+    assert.strictEqual(finds, 1);
+    assert.strictEqual(second.thumbnail, first.thumbnail);
+    assert.strictEqual(second.position, 10);
+
+    await resolver.resolve({ ...track, album: 'Saturdays = Youth' });
+    assert.strictEqual(finds, 2);
+  });
+
+  it('looks again after a lookup failed', async () => {
+    const find = resolver.find.bind(resolver);
+    resolver.find = async () => {
+      throw new Error('Cannot read cache');
+    };
+    await assert.rejects(resolver.resolve(track), /Cannot read cache/);
+
+    resolver.find = find;
+    const resolved = await resolver.resolve({ ...track, position: 10 });
+    assert.strictEqual(resolved.artworkSource, 'placeholder');
+  });
+
+  it('leaves no track alone', async () => {
+    assert.strictEqual(await resolver.resolve(null), null);
+  });
+});
+
+describe('getArtworkKey()', () => {
+  it('shares artwork across an album, ignoring case', () => {
+    assert.strictEqual(getArtworkKey(track), getArtworkKey({ ...track, trackName: 'Wait', album: track.album.toUpperCase() }));
+  });
+
+  it('keys tracks without an album by title', () => {
+    assert.notStrictEqual(
+      getArtworkKey({ trackName: 'One', artist: 'M83' }),
+      getArtworkKey({ trackName: 'Two', artist: 'M83' })
+    );
+  });
+});
+
+describe('getInitials()', () => {
+  it('takes the first letters of the first two words', () => {
+    assert.strictEqual(getInitials("Hurry Up, We're Dreaming"), 'HU');
+    assert.strictEqual(getInitials('Ágætis byrjun'), 'ÁB');
+    assert.strictEqual(getInitials('1989'), '1');
+    assert.strictEqual(getInitials('...'), '♪');
+  });
+});
+
+describe('getPlaceholderColor()', () => {
+  it('gives an album the same color every time', () => {
+    assert.match(getPlaceholderColor(track), /^#[0-9a-f]{6}$/);
+    assert.strictEqual(getPlaceholderColor(track), getPlaceholderColor({ ...track, trackName: 'Wait' }));
+    assert.notStrictEqual(getPlaceholderColor(track), getPlaceholderColor({ ...track, album: 'Saturdays = Youth' }));
+  });
+});
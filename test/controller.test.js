@@ -0,0 +1,671 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const NowPlayingController = require('../src/controller');
+const { getKeypadPages } = require('../src/controller');
+const NowPlayingRenderer = require('../src/renderer');
+const { resolveTheme } = require('../src/themes');
+const { parseLrc } = require('../src/lyrics');
+const { createFakeAction } = require('./helpers/fake-action');
+const { assertMatchesGolden } = require('./helpers/golden');
+
+const track = {
+  trackName: 'Midnight City',
+  artist: ['M83'],
+  album: 'Hurry Up, We\'re Dreaming',
+  thumbnail: 'data:image/png;base64,iVBORw0KGgo=',
+  duration: 244,
+  position: 122,
+  isPlaying: true
+};
+
+/**
+ * Record the text of every key image the controller's renderer draws
+ */
+function recordKeyText(controller) {
+  const texts = [];
+  const renderKey = controller.renderer.renderKey.bind(controller.renderer);
+  controller.renderer.renderKey = (trackInfo, options) => {
+    texts.push(options.text);
+    return renderKey(trackInfo, options);
+  };
+  return texts;
+}
+
+describe('NowPlayingController', () => {
+  let controller;
+
+  beforeEach(() => {
+    controller = new NowPlayingController({ now: () => 0 });
+  });
+
+  afterEach(() => {
+    controller.stopTimers();
+  });
+
+  describe('updateKeypadAction()', () => {
+    it('shows the idle state without a track', async () => {
+      const action = createFakeAction();
+      await controller.updateKeypadAction(action);
+      assert.strictEqual(action.last('setTitle'), '♪');
+      assert.strictEqual(action.last('setImage'), 'assets/action');
+    });
+
+    it('draws track and artists onto the key image while playing', async () => {
+      const texts = recordKeyText(controller);
+      const action = createFakeAction();
+      await controller.handleEvent({ ...track, artist: ['Daft Punk', 'Pharrell Williams'] });
+      await controller.updateKeypadAction(action);
+      assert.strictEqual(texts.at(-1), 'Midnight City\nDaft Punk, Pharrell Williams');
+      assert.strictEqual(action.last('setTitle'), '');
+      assert.match(action.last('setImage'), /^data:image\/png;base64,/);
+    });
+
+    it('shows the chosen fields in order', async () => {
+      const texts = recordKeyText(controller);
+      const action = createFakeAction();
+      action._keyLayout = { show: 'text', fields: ['artist', 'album', 'title'], position: 'top' };
+      await controller.handleEvent(track);
+      await controller.updateKeypadAction(action);
+      assert.strictEqual(texts.at(-1), 'M83\nHurry Up, We\'re Dreaming\nMidnight City');
+    });
+
+    it('draws no text on artwork-only keys', async () => {
+      const texts = recordKeyText(controller);
+      const action = createFakeAction();
+      action._keyLayout = { show: 'artwork' };
+      await controller.handleEvent(track);
+      await controller.updateKeypadAction(action);
+      assert.strictEqual(texts.at(-1), '');
+    });
+
+    it('shows its album wall tile without text', async () => {
+      const tiles = [];
+      controller.renderer.renderWallTile = async (trackInfo, options) => {
+        tiles.push(options);
+        return 'data:image/png;base64,dGlsZQ==';
+      };
+      const action = createFakeAction();
+      action._keyLayout = { wall: { grid: 3, row: 2, column: 1 } };
+      await controller.handleEvent({ ...track, thumbnail: '' });
+      await controller.updateKeypadAction(action);
+      assert.deepStrictEqual(tiles.at(-1), { grid: 3, row: 2, column: 1, paused: false });
+      assert.strictEqual(action.last('setTitle'), '');
+      assert.strictEqual(action.last('setImage'), 'data:image/png;base64,dGlsZQ==');
+    });
+
+    it('uses the default icon for artwork-only keys without a thumbnail', async () => {
+      const action = createFakeAction();
+      action._keyLayout = { show: 'artwork' };
+      await controller.handleEvent({ ...track, thumbnail: '' });
+      await controller.updateKeypadAction(action);
+      assert.strictEqual(action.last('setImage'), 'assets/action');
+    });
+
+    it('falls back to the default icon when the artwork is rejected', async () => {
+      const action = createFakeAction('keypad', { failOn: 'setImage' });
+      await controller.handleEvent(track);
+      await controller.updateKeypadAction(action);
+      assert.strictEqual(action.last('setImage'), 'assets/action');
+    });
+
+    it('shows placeholders for missing metadata', async () => {
+      const texts = recordKeyText(controller);
+      const action = createFakeAction();
+      await controller.handleEvent({ isPlaying: true });
+      await controller.updateKeypadAction(action);
+      assert.strictEqual(texts.at(-1), 'Unknown\nUnknown');
+    });
+  });
+
+  describe('updateLCDAction()', () => {
+    it('shows the idle image without a track', async () => {
+      const action = createFakeAction();
+      await controller.updateLCDAction(action, 'right');
+      await assertMatchesGolden(action.last('setFeedback').image, 'blank-right');
+    });
+
+    it('renders the requested half while playing', async () => {
+      const action = createFakeAction();
+      await controller.handleEvent({ ...track, thumbnail: null });
+      await controller.updateLCDAction(action, 'left');
+      await assertMatchesGolden(action.last('setFeedback').image, 'render-left-no-art');
+    });
+
+    it('renders with the action\'s theme', async () => {
+      const action = createFakeAction();
+      action._theme = resolveTheme('daylight');
+      await controller.updateLCDAction(action, 'left');
+      await assertMatchesGolden(action.last('setFeedback').image, 'blank-left-daylight');
+    });
+
+    it('renders the action\'s slot of its span', async () => {
+      const renderer = new NowPlayingRenderer();
+      const calls = [];
+      renderer.render = async (trackInfo, position, options) => {
+        calls.push({ position, span: options.span });
+        return 'data:image/png;base64,';
+      };
+      controller = new NowPlayingController({ renderer, now: () => 0 });
+      await controller.handleEvent(track);
+
+      const action = createFakeAction();
+      action._span = 4;
+      await controller.updateLCDAction(action, 3);
+      assert.deepStrictEqual(calls, [{ position: 3, span: 4 }]);
+    });
+
+    it('shows the fallback image when rendering throws', async () => {
+      const renderer = new NowPlayingRenderer();
+      renderer.render = async () => { throw new Error('boom'); };
+      controller = new NowPlayingController({ renderer });
+      await controller.handleEvent(track);
+
+      const action = createFakeAction();
+      await controller.updateLCDAction(action, 'right');
+      await assertMatchesGolden(action.last('setFeedback').image, 'fallback-right');
+    });
+  });
+
+  describe('handleEvent()', () => {
+    it('updates every visible instance with its own position', async () => {
+      const keypad = createFakeAction('keypad');
+      const left = createFakeAction('left', { position: 'left' });
+      const right = createFakeAction('right', { position: 'right' });
+      controller.keypadContexts.add(keypad);
+      controller.lcdContexts.add(left);
+      controller.lcdContexts.add(right);
+
+      await controller.handleEvent({ ...track, thumbnail: null });
+
+      assert.match(keypad.last('setImage'), /^data:image\/png;base64,/);
+      await assertMatchesGolden(left.last('setFeedback').image, 'render-left-no-art');
+      await assertMatchesGolden(right.last('setFeedback').image, 'render-right-no-art');
+    });
+
+    it('keeps updating other instances when one fails', async () => {
+      const broken = createFakeAction('broken', { failOn: 'setTitle', failCount: Infinity });
+      broken.setImage = async () => { throw new Error('gone'); };
+      const healthy = createFakeAction('healthy');
+      controller.keypadContexts.add(broken);
+      controller.keypadContexts.add(healthy);
+
+      await controller.handleEvent(track);
+
+      assert.match(healthy.last('setImage'), /^data:image\/png;base64,/);
+    });
+
+    it('keeps a paused track on screen', async () => {
+      const keypad = createFakeAction('keypad');
+      const lcd = createFakeAction('lcd', { position: 'left' });
+      controller.keypadContexts.add(keypad);
+      controller.lcdContexts.add(lcd);
+
+      await controller.handleEvent({ ...track, thumbnail: null, isPlaying: false });
+
+      assert.strictEqual(controller.getPlaybackState(), 'paused');
+      assert.strictEqual(keypad.last('setTitle'), '');
+      assert.match(keypad.last('setImage'), /^data:image\/png;base64,/);
+      await assertMatchesGolden(lcd.last('setFeedback').image, 'render-left-paused');
+    });
+
+    it('shows no track once paused longer than the idle timeout', async () => {
+      let now = 0;
+      controller = new NowPlayingController({ now: () => now, idleTimeout: 60000 });
+      const keypad = createFakeAction('keypad');
+      controller.keypadContexts.add(keypad);
+
+      await controller.handleEvent({ ...track, isPlaying: false });
+      now = 30000;
+      await controller.handleEvent({ ...track, isPlaying: false, position: 130 });
+      assert.strictEqual(controller.getPlaybackState(), 'paused');
+
+      now = 60000;
+      assert.strictEqual(controller.getPlaybackState(), 'stopped');
+      await controller.updateKeypadAction(keypad);
+      assert.strictEqual(keypad.last('setTitle'), '♪');
+
+      await controller.handleEvent(track);
+      assert.strictEqual(controller.getPlaybackState(), 'playing');
+    });
+
+    it('switches to no track when the idle timer fires', async () => {
+      controller = new NowPlayingController({ idleTimeout: 20 });
+      const keypad = createFakeAction('keypad');
+      controller.keypadContexts.add(keypad);
+
+      await controller.handleEvent({ ...track, isPlaying: false });
+      assert.notStrictEqual(keypad.last('setTitle'), '♪');
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.strictEqual(keypad.last('setTitle'), '♪');
+    });
+
+    it('keeps paused tracks for ever with an idle timeout of 0', async () => {
+      let now = 0;
+      controller = new NowPlayingController({ now: () => now, idleTimeout: 0 });
+      await controller.handleEvent({ ...track, isPlaying: false });
+      now = 24 * 60 * 60 * 1000;
+      assert.strictEqual(controller.getPlaybackState(), 'paused');
+    });
+
+    it('shows the artwork the resolver finds', async () => {
+      const artwork = { resolve: async trackInfo => ({ ...trackInfo, thumbnail: 'resolved', artworkSource: 'cache' }) };
+      controller = new NowPlayingController({ artwork });
+      const shown = [];
+      controller.renderer.renderKey = async trackInfo => {
+        shown.push(trackInfo.thumbnail);
+        return 'image';
+      };
+      const keypad = createFakeAction('keypad');
+      controller.keypadContexts.add(keypad);
+
+      await controller.handleEvent({ ...track, thumbnail: null });
+
+      assert.deepStrictEqual(shown, ['resolved']);
+      assert.strictEqual(controller.getTrackInfo().artworkSource, 'cache');
+    });
+  });
+
+  describe('updateTransportAction()', () => {
+    function transportKey(kind) {
+      const action = createFakeAction(kind);
+      action._transport = kind;
+      controller.transportContexts.add(action);
+      return action;
+    }
+
+    it('follows play state, shuffle and repeat', async () => {
+      const playPause = transportKey('playPause');
+      const shuffle = transportKey('shuffle');
+      const repeat = transportKey('repeat');
+
+      await controller.handleEvent({ ...track, shuffleState: true, repeatState: 'track' });
+      assert.strictEqual(playPause.last('setState'), 1);
+      assert.strictEqual(shuffle.last('setState'), 1);
+      assert.strictEqual(repeat.last('setState'), 1);
+      assert.strictEqual(repeat.last('setTitle'), 'One');
+
+      await controller.handleEvent({ ...track, isPlaying: false });
+      assert.strictEqual(playPause.last('setState'), 0);
+      assert.strictEqual(shuffle.last('setState'), 0);
+      assert.strictEqual(repeat.last('setState'), 0);
+      assert.strictEqual(repeat.last('setTitle'), '');
+    });
+
+    it('leaves stateless keys alone and skips unchanged states', async () => {
+      const next = transportKey('next');
+      const playPause = transportKey('playPause');
+
+      await controller.handleEvent(track);
+      await controller.handleEvent({ ...track, position: 130 });
+
+      assert.deepStrictEqual(next.calls, []);
+      assert.strictEqual(playPause.calls.filter(call => call.method === 'setState').length, 1);
+    });
+
+    it('resends the state after the key reappears', async () => {
+      const playPause = transportKey('playPause');
+      await controller.handleEvent(track);
+
+      controller.forgetAction(playPause);
+      playPause.calls.length = 0;
+      await controller.updateTransportAction(playPause);
+
+      assert.strictEqual(playPause.last('setState'), 1);
+    });
+
+    it('counts as a visible action', () => {
+      transportKey('next');
+      assert.strictEqual(controller.hasActions(), true);
+    });
+  });
+
+  describe('setSourceAvailable()', () => {
+    it('shows every instance that the source is unavailable, then the track again', async () => {
+      const key = createFakeAction();
+      const lcd = createFakeAction();
+      controller.keypadContexts.add(key);
+      controller.lcdContexts.add(lcd);
+      await controller.handleEvent({ ...track, thumbnail: null });
+
+      await controller.setSourceAvailable(false);
+      assert.strictEqual(key.last('setTitle'), 'No media\nsource');
+      assert.strictEqual(key.last('setImage'), 'assets/action');
+      await assertMatchesGolden(lcd.last('setFeedback').image, 'unavailable-left');
+
+      await controller.setSourceAvailable(true);
+      assert.strictEqual(key.last('setTitle'), '');
+      await assertMatchesGolden(lcd.last('setFeedback').image, 'render-left-no-art');
+    });
+  });
+
+  describe('queueEvent()', () => {
+    it('applies only the latest event of a burst', async () => {
+      controller = new NowPlayingController({ now: () => 0, coalesceDelay: 10 });
+      const handled = [];
+      const handleEvent = controller.handleEvent.bind(controller);
+      controller.handleEvent = (event) => {
+        handled.push(event.trackName);
+        return handleEvent(event);
+      };
+
+      controller.queueEvent({ ...track, trackName: 'One' });
+      controller.queueEvent({ ...track, trackName: 'Two' });
+      await controller.queueEvent({ ...track, trackName: 'Three' });
+
+      assert.deepStrictEqual(handled, ['Three']);
+      assert.strictEqual(controller.currentTrackInfo.trackName, 'Three');
+    });
+
+    it('holds events back until the running update is done', async () => {
+      controller = new NowPlayingController({ now: () => 0, coalesceDelay: 0 });
+      const handled = [];
+      let finishFirst;
+      controller.handleEvent = (event) => {
+        handled.push(event.trackName);
+        return handled.length === 1 ? new Promise(resolve => { finishFirst = resolve; }) : Promise.resolve();
+      };
+
+      const first = controller.queueEvent({ ...track, trackName: 'One' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const second = controller.queueEvent({ ...track, trackName: 'Two' });
+      controller.queueEvent({ ...track, trackName: 'Three' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      assert.deepStrictEqual(handled, ['One']);
+
+      finishFirst();
+      await Promise.all([first, second]);
+      assert.deepStrictEqual(handled, ['One', 'Three']);
+    });
+  });
+
+  describe('unchanged images', () => {
+    it('does not resend an LCD image the action already shows', async () => {
+      const action = createFakeAction();
+      await controller.handleEvent(track);
+      await controller.updateLCDAction(action, 'left');
+      await controller.updateLCDAction(action, 'left');
+      assert.strictEqual(action.calls.filter(call => call.method === 'setFeedback').length, 1);
+
+      await controller.handleEvent({ ...track, position: 200 });
+      await controller.updateLCDAction(action, 'left');
+      assert.strictEqual(action.calls.filter(call => call.method === 'setFeedback').length, 2);
+    });
+
+    it('does not resend key artwork', async () => {
+      const action = createFakeAction();
+      controller.keypadContexts.add(action);
+      await controller.handleEvent(track);
+      await controller.handleEvent({ ...track, position: 200 });
+      assert.strictEqual(action.calls.filter(call => call.method === 'setImage').length, 1);
+    });
+
+    it('resends after a failed send', async () => {
+      const action = createFakeAction('lcd', { failOn: 'setFeedback' });
+      await assert.rejects(controller.sendLCDImage(action, 'image'));
+      await controller.sendLCDImage(action, 'image');
+      assert.deepStrictEqual(action.last('setFeedback'), { image: 'image' });
+    });
+
+    it('renders one canvas for all dials of a span', async () => {
+      let canvases = 0;
+      const drawCanvas = controller.renderer.drawCanvas.bind(controller.renderer);
+      controller.renderer.drawCanvas = (...args) => {
+        canvases++;
+        return drawCanvas(...args);
+      };
+      for (const slot of [1, 2, 3, 4]) {
+        const action = createFakeAction(`lcd-${slot}`, { position: slot });
+        action._span = 4;
+        controller.lcdContexts.add(action);
+      }
+
+      await controller.handleEvent({ ...track, thumbnail: null });
+      assert.strictEqual(canvases, 1);
+    });
+  });
+
+  describe('progress refresh', () => {
+    it('renders the interpolated position', async () => {
+      let time = 0;
+      controller = new NowPlayingController({ now: () => time });
+      const action = createFakeAction();
+      controller.lcdContexts.add(action);
+      controller.renderer.render = async (trackInfo) => `position:${trackInfo.position}`;
+
+      await controller.handleEvent({ ...track, position: 10 });
+      time += 3000;
+      await controller.updateAllLCDs();
+
+      assert.deepStrictEqual(action.calls.map(call => call.value.image), ['position:10', 'position:13']);
+    });
+
+    it('ticks while playing and stops on pause', async () => {
+      const action = createFakeAction('lcd', { position: 'right' });
+      action._refreshInterval = 20;
+      controller.lcdContexts.add(action);
+
+      // Count renders: the position doesn't move with a fixed clock, so no new images are sent
+      let renders = 0;
+      const render = controller.renderer.render.bind(controller.renderer);
+      controller.renderer.render = (...args) => {
+        renders++;
+        return render(...args);
+      };
+
+      await controller.handleEvent(track);
+      assert.strictEqual(controller.refreshInterval, 20);
+      const before = renders;
+      await new Promise(resolve => setTimeout(resolve, 120));
+      assert.ok(renders > before, 'expected refreshes while playing');
+
+      await controller.handleEvent({ ...track, isPlaying: false });
+      assert.strictEqual(controller.refreshTimer, null);
+    });
+
+    it('uses the shortest interval and can be disabled', () => {
+      const slow = createFakeAction('slow');
+      const fast = createFakeAction('fast');
+      slow._refreshInterval = 1000;
+      fast._refreshInterval = 250;
+      controller.lcdContexts.add(slow);
+      controller.lcdContexts.add(fast);
+      assert.strictEqual(controller.getRefreshInterval(), 250);
+
+      slow._refreshInterval = 0;
+      fast._refreshInterval = 0;
+      assert.strictEqual(controller.getRefreshInterval(), 0);
+    });
+
+    it('does not tick without LCD instances', async () => {
+      controller.keypadContexts.add(createFakeAction());
+      await controller.handleEvent(track);
+      assert.strictEqual(controller.refreshTimer, null);
+    });
+  });
+
+  describe('animations', () => {
+    const longTrack = {
+      ...track,
+      trackName: 'Symphony No. 9 in D minor, Op. 125: IV. Presto',
+      artist: ['Ludwig van Beethoven'],
+      album: 'Beethoven: Symphony No. 9'
+    };
+
+    it('animates marquee LCDs only while overflowing text plays', async () => {
+      const marquee = createFakeAction('marquee');
+      marquee._marquee = { speed: 40 };
+      const plain = createFakeAction('plain');
+      controller.lcdContexts.add(marquee);
+      controller.lcdContexts.add(plain);
+
+      await controller.handleEvent(track);
+      assert.strictEqual(controller.animations.size, 0);
+
+      await controller.handleEvent(longTrack);
+      assert.deepStrictEqual(controller.animations.keys(), [marquee]);
+
+      await controller.handleEvent({ ...longTrack, isPlaying: false });
+      assert.strictEqual(controller.animations.running, false);
+    });
+
+    it('stops animating when the action disappears', async () => {
+      const marquee = createFakeAction('marquee');
+      marquee._marquee = { speed: 40 };
+      controller.lcdContexts.add(marquee);
+      await controller.handleEvent(longTrack);
+
+      controller.lcdContexts.delete(marquee);
+      controller.updateTimers();
+      assert.strictEqual(controller.animations.running, false);
+    });
+
+    it('re-renders an LCD only when the text moved', async () => {
+      let time = 0;
+      controller = new NowPlayingController({ now: () => time });
+      controller.renderer.render = async (trackInfo, position, options) => `marquee:${options.marquee.elapsed}`;
+      const action = createFakeAction('marquee');
+      action._marquee = { speed: 40, pause: 2000 };
+      controller.lcdContexts.add(action);
+
+      await controller.handleEvent(longTrack);
+      time = 1000;
+      await controller.animateLCD(action);
+      time = 3000;
+      await controller.animateLCD(action);
+
+      assert.deepStrictEqual(action.calls.map(call => call.value.image), ['marquee:0', 'marquee:3000']);
+    });
+
+    it('cycles keypad title pages over time', async () => {
+      let time = 0;
+      controller = new NowPlayingController({ now: () => time });
+      const texts = recordKeyText(controller);
+      const action = createFakeAction('keypad');
+      action._titleCycle = { interval: 2000 };
+      controller.keypadContexts.add(action);
+
+      await controller.handleEvent(longTrack);
+      assert.ok(controller.animations.has(action));
+      time = 1000;
+      await controller.animateKeypad(action);
+      time = 2000;
+      await controller.animateKeypad(action);
+
+      const pages = getKeypadPages(longTrack);
+      assert.deepStrictEqual(texts, [pages[0], pages[1]]);
+    });
+
+    it('restarts cycling on a new track', async () => {
+      let time = 0;
+      controller = new NowPlayingController({ now: () => time });
+      const texts = recordKeyText(controller);
+      const action = createFakeAction('keypad');
+      action._titleCycle = { interval: 2000 };
+      controller.keypadContexts.add(action);
+
+      await controller.handleEvent(longTrack);
+      time = 2500;
+      await controller.handleEvent({ ...longTrack, trackName: 'Another very long movement title here' });
+      assert.strictEqual(texts.at(-1), 'Another\nvery long\nmovement');
+    });
+  });
+
+  describe('lyrics', () => {
+    const lrc = parseLrc('[02:02.00]Waiting in a car\n[02:04.00]Waiting for a ride in the dark\n[02:06.00]The city is my church');
+    let time;
+    let lyrics;
+    let rendered;
+
+    beforeEach(() => {
+      time = 0;
+      lyrics = { find: async trackInfo => (trackInfo.trackName === track.trackName ? lrc : null) };
+      controller = new NowPlayingController({ now: () => time, lyrics });
+      rendered = [];
+      controller.renderer.render = async (trackInfo, position, options) => {
+        rendered.push(options.lyrics);
+        return `lyrics:${JSON.stringify(options.lyrics)}`;
+      };
+    });
+
+    it('shows the current and next line on LCDs with lyrics', async () => {
+      const action = createFakeAction('lyrics');
+      action._lyrics = { offset: 0 };
+      const plain = createFakeAction('plain');
+      controller.lcdContexts.add(action);
+      controller.lcdContexts.add(plain);
+
+      await controller.handleEvent(track);
+      assert.deepStrictEqual(rendered, [{ current: 'Waiting in a car', next: 'Waiting for a ride in the dark' }, null]);
+    });
+
+    it('moves on with the playback position, re-rendering only for a new line', async () => {
+      const action = createFakeAction('lyrics');
+      action._lyrics = { offset: 0 };
+      controller.lcdContexts.add(action);
+
+      await controller.handleEvent(track);
+      assert.ok(controller.animations.has(action));
+      time = 1000;
+      await controller.animateLCD(action);
+      time = 2500;
+      await controller.animateLCD(action);
+
+      assert.deepStrictEqual(rendered.map(lines => lines.current), ['Waiting in a car', 'Waiting for a ride in the dark']);
+    });
+
+    it('applies the action\'s offset', async () => {
+      const action = createFakeAction('lyrics');
+      action._lyrics = { offset: 2500 };
+      controller.lcdContexts.add(action);
+
+      await controller.handleEvent(track);
+      assert.strictEqual(rendered.at(-1).current, 'Waiting for a ride in the dark');
+    });
+
+    it('shows the usual lines for tracks without lyrics', async () => {
+      const action = createFakeAction('lyrics');
+      action._lyrics = { offset: 0 };
+      controller.lcdContexts.add(action);
+
+      await controller.handleEvent({ ...track, trackName: 'Wait' });
+      assert.deepStrictEqual(rendered, [null]);
+      assert.strictEqual(controller.animations.has(action), false);
+    });
+
+    it('looks again when the library changes', async () => {
+      const action = createFakeAction('lyrics');
+      action._lyrics = { offset: 0 };
+      controller.lcdContexts.add(action);
+      await controller.handleEvent({ ...track, trackName: 'Wait' });
+
+      lyrics.find = async () => lrc;
+      await controller.loadLyrics(true);
+      assert.strictEqual(rendered.at(-1).current, 'Waiting in a car');
+      assert.ok(controller.animations.has(action));
+    });
+  });
+
+  describe('getKeypadPages()', () => {
+    it('keeps short titles on one page', () => {
+      assert.deepStrictEqual(getKeypadPages(track), ['Midnight\nCity\nM83']);
+    });
+
+    it('splits long titles into pages of three lines per field', () => {
+      assert.deepStrictEqual(getKeypadPages({
+        trackName: 'Symphony No. 9 in D minor, Op. 125',
+        artist: ['Beethoven'],
+        album: 'Ninth'
+      }), [
+        'Symphony\nNo. 9 in D\nminor, Op.',
+        '125',
+        'Beethoven',
+        'Ninth'
+      ]);
+    });
+
+    it('breaks words longer than a line', () => {
+      assert.deepStrictEqual(getKeypadPages({ trackName: 'Supercalifragilistic', artist: 'A' }), ['Supercalif\nragilistic\nA']);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getDataDir, moveLegacyData } = require('../src/data-dir');
+
+describe('getDataDir()', () => {
+  it('uses the application data folder of each platform', () => {
+    const home = path.join('/', 'home', 'me');
+    assert.strictEqual(getDataDir('plugin', { platform: 'win32', env: { APPDATA: 'C:\\AppData' }, home }), path.join('C:\\AppData', 'plugin'));
+    assert.strictEqual(getDataDir('plugin', { platform: 'darwin', env: {}, home }), path.join(home, 'Library', 'Application Support', 'plugin'));
+    assert.strictEqual(getDataDir('plugin', { platform: 'linux', env: {}, home }), path.join(home, '.local', 'share', 'plugin'));
+    assert.strictEqual(getDataDir('plugin', { platform: 'linux', env: { XDG_DATA_HOME: '/data' }, home }), path.join('/data', 'plugin'));
+  });
+});
+
+describe('moveLegacyData()', () => {
+  let dir;
+  let from;
+  let to;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-data-'));
+    from = path.join(dir, 'plugin', 'history');
+    to = path.join(dir, 'data', 'history');
+    fs.mkdirSync(path.join(from, 'artwork'), { recursive: true });
+    fs.writeFileSync(path.join(from, 'history.jsonl'), '{}\n');
+    fs.writeFileSync(path.join(from, 'artwork', 'a.png'), 'png');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('copies the old folder to the new place', () => {
+    assert.strictEqual(moveLegacyData(from, to), true);
+    assert.strictEqual(fs.readFileSync(path.join(to, 'history.jsonl'), 'utf8'), '{}\n');
+    assert.strictEqual(fs.readFileSync(path.join(to, 'artwork', 'a.png'), 'utf8'), 'png');
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'data')), ['history']);
+  });
+
+  it('leaves data already in the new place alone', () => {
+    fs.mkdirSync(to, { recursive: true });
+    assert.strictEqual(moveLegacyData(from, to), false);
+    assert.deepStrictEqual(fs.readdirSync(to), []);
+  });
+
+  it('does nothing without old data', () => {
+    assert.strictEqual(moveLegacyData(path.join(dir, 'missing'), to), false);
+    assert.strictEqual(fs.existsSync(to), false);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MockMediaSource } = require('../src/sources');
+const { getDialActions, getSeekSeconds, getLyricsOffset, nudgeLyricsOffset, rotate, runCommand, describeDialActions } = require('../src/dial-actions');
+
+function createSource() {
+  const source = new MockMediaSource(() => {}, [
+    { type: 'track', trackName: 'One', duration: 200, volume: 0.5 },
+    { type: 'track', trackName: 'Two', duration: 200 }
+  ], { autoplay: false });
+  source.step();
+  return source;
+}
+
+describe('getDialActions()', () => {
+  it('defaults to seeking, play/pause and next', () => {
+    assert.deepStrictEqual(getDialActions({}), {
+      rotate: 'seek',
+      seekStep: 5,
+      acceleration: false,
+      volumeStep: 2,
+      press: 'playPause',
+      tap: 'playPause',
+      longTouch: 'next'
+    });
+  });
+
+  it('reads settings and ignores unknown values', () => {
+    const config = getDialActions({
+      dialRotate: 'volume',
+      seekStep: '10',
+      seekAcceleration: 'on',
+      volumeStep: '-3',
+      dialPress: 'like',
+      touchTap: 'rewind',
+      longTouch: 'none'
+    });
+    assert.strictEqual(config.rotate, 'volume');
+    assert.strictEqual(config.seekStep, 10);
+    assert.strictEqual(config.acceleration, true);
+    assert.strictEqual(config.volumeStep, 2);
+    assert.strictEqual(config.press, 'like');
+    assert.strictEqual(config.tap, 'playPause');
+    assert.strictEqual(config.longTouch, 'none');
+  });
+});
+
+describe('getSeekSeconds()', () => {
+  it('seeks one step per tick', () => {
+    const config = getDialActions({ seekStep: 5 });
+    assert.strictEqual(getSeekSeconds(config, 1), 5);
+    assert.strictEqual(getSeekSeconds(config, -3), -15);
+  });
+
+  it('seeks further on fast turns with acceleration, up to 4x', () => {
+    const config = getDialActions({ seekStep: 5, seekAcceleration: 'on' });
+    assert.strictEqual(getSeekSeconds(config, 1), 5);
+    assert.strictEqual(getSeekSeconds(config, -2), -20);
+    assert.strictEqual(getSeekSeconds(config, 6), 120);
+  });
+});
+
+describe('rotate()', () => {
+  it('seeks by the number of ticks', async () => {
+    const source = createSource();
+    await rotate(source, getDialActions({}), 3);
+    assert.deepStrictEqual(source.commands, [{ command: 'seek', args: [15] }]);
+  });
+
+  it('changes the volume by the step per tick', async () => {
+    const source = createSource();
+    await rotate(source, getDialActions({ dialRotate: 'volume', volumeStep: 5 }), -2);
+    assert.deepStrictEqual(source.commands, [{ command: 'changeVolume', args: [-0.1] }]);
+    assert.strictEqual(source.state.volume, 0.4);
+  });
+
+  it('skips one track per event whatever the ticks', async () => {
+    const source = createSource();
+    const config = getDialActions({ dialRotate: 'track' });
+    await rotate(source, config, 4);
+    await rotate(source, config, -2);
+    assert.deepStrictEqual(source.commands.map(c => c.command), ['next', 'previous']);
+  });
+
+  it('does nothing without ticks', async () => {
+    const source = createSource();
+    await rotate(source, getDialActions({}), 0);
+    assert.deepStrictEqual(source.commands, []);
+  });
+
+  it('leaves the player alone in lyrics offset mode', async () => {
+    const source = createSource();
+    await rotate(source, getDialActions({ dialRotate: 'lyricsOffset' }), 2);
+    assert.deepStrictEqual(source.commands, []);
+  });
+});
+
+describe('nudgeLyricsOffset()', () => {
+  it('moves 100 ms per tick', () => {
+    assert.strictEqual(nudgeLyricsOffset(undefined, 3), 300);
+    assert.strictEqual(nudgeLyricsOffset('300', -5), -200);
+  });
+
+  it('stays within five seconds either way', () => {
+    assert.strictEqual(nudgeLyricsOffset(4950, 2), 5000);
+    assert.strictEqual(nudgeLyricsOffset(-4900, -4), -5000);
+    assert.strictEqual(getLyricsOffset('late'), 0);
+  });
+});
+
+describe('runCommand()', () => {
+  it('runs transport commands', async () => {
+    const source = createSource();
+    for (const command of ['playPause', 'next', 'previous', 'like']) {
+      assert.strictEqual(await runCommand(source, command), true);
+    }
+    assert.deepStrictEqual(source.commands.map(c => c.command), ['playPause', 'next', 'previous', 'like']);
+  });
+
+  it('does nothing for none', async () => {
+    const source = createSource();
+    assert.strictEqual(await runCommand(source, 'none'), false);
+    assert.deepStrictEqual(source.commands, []);
+  });
+});
+
+describe('describeDialActions()', () => {
+  it('labels the mapping and hides unused triggers', () => {
+    const config = getDialActions({ dialRotate: 'track', longTouch: 'none' });
+    assert.deepStrictEqual(describeDialActions(config), {
+      rotate: 'Previous / Next',
+      push: 'Play / Pause',
+      touch: 'Play / Pause',
+      longTouch: undefined
+    });
+  });
+});
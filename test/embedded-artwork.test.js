@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readEmbeddedArtwork } = require('../src/embedded-artwork');
+
+const cover = fs.readFileSync(path.join(__dirname, 'fixtures', 'artwork.png'));
+const other = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+
+function synchsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+// ID3v2 tag with one APIC frame per picture, followed by padding and "audio"
+function id3(version, pictures) {
+  const frames = pictures.map(({ type, pictureType, description, utf16, data }) => {
+    const text = utf16
+      ? Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(description, 'utf16le'), Buffer.alloc(2)])
+      : Buffer.concat([Buffer.from(description, 'latin1'), Buffer.alloc(1)]);
+    const body = Buffer.concat([
+      Buffer.from([utf16 ? 1 : 0]),
+      Buffer.from(`${type}\0`, 'latin1'),
+      Buffer.from([pictureType]),
+      text,
+      data
+    ]);
+    const size = version === 4 ? synchsafe(body.length) : Buffer.alloc(4);
+    if (version === 3) size.writeUInt32BE(body.length);
+    return Buffer.concat([Buffer.from('APIC'), size, Buffer.alloc(2), body]);
+  });
+  const tag = Buffer.concat([...frames, Buffer.alloc(64)]);
+  return Buffer.concat([Buffer.from('ID3'), Buffer.from([version, 0, 0]), synchsafe(tag.length), tag, Buffer.from('audio')]);
+}
+
+// FLAC stream info block followed by a PICTURE block
+function flac(data) {
+  const mime = Buffer.from('image/png');
+  const picture = Buffer.alloc(32 + mime.length + data.length);
+  picture.writeUInt32BE(3, 0);
+  picture.writeUInt32BE(mime.length, 4);
+  mime.copy(picture, 8);
+  picture.writeUInt32BE(0, 8 + mime.length);                // No description
+  picture.writeUInt32BE(data.length, 8 + mime.length + 20); // After width, height, depth and colors
+  data.copy(picture, 32 + mime.length);
+
+  const block = (type, body, last) => {
+    const header = Buffer.alloc(4);
+    header[0] = (last ? 0x80 : 0) | type;
+    header.writeUIntBE(body.length, 1, 3);
+    return Buffer.concat([header, body]);
+  };
+  return Buffer.concat([Buffer.from('fLaC'), block(0, Buffer.alloc(34), false), block(6, picture, true), Buffer.from('audio')]);
+}
+
+describe('readEmbeddedArtwork()', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-embedded-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, data);
+    return file;
+  };
+
+  it('reads the picture of an ID3v2.3 tag', async () => {
+    const file = write('song.mp3', id3(3, [{ type: 'image/png', pictureType: 3, description: 'Cover', data: cover }]));
+    const artwork = await readEmbeddedArtwork(file);
+    assert.strictEqual(artwork.type, 'image/png');
+    assert.ok(artwork.data.equals(cover));
+  });
+
+  it('prefers the front cover and reads UTF-16 descriptions in ID3v2.4', async () => {
+    const file = write('song.mp3', id3(4, [
+      { type: 'jpg', pictureType: 4, description: 'Back', utf16: true, data: other },
+      { type: 'image/png', pictureType: 3, description: 'Vorderseite', utf16: true, data: cover }
+    ]));
+    const artwork = await readEmbeddedArtwork(file);
+    assert.strictEqual(artwork.type, 'image/png');
+    assert.ok(artwork.data.equals(cover));
+  });
+
+  it('reads the PICTURE block of a FLAC file', async () => {
+    const file = write('song.flac', flac(cover));
+    const artwork = await readEmbeddedArtwork(file);
+    assert.strictEqual(artwork.type, 'image/png');
+    assert.ok(artwork.data.equals(cover));
+  });
+
+  it('has nothing for files without tags or pictures', async () => {
+    assert.strictEqual(await readEmbeddedArtwork(write('song.wav', 'RIFF....WAVE')), null);
+    assert.strictEqual(await readEmbeddedArtwork(write('empty.mp3', id3(3, []))), null);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const FileOutput = require('../src/file-output');
+const { formatTemplate, parseTemplates, writeAtomic, DEFAULT_TEMPLATES } = require('../src/file-output');
+const NowPlayingRenderer = require('../src/renderer');
+
+const artwork = `data:image/png;base64,${fs.readFileSync(path.join(__dirname, 'fixtures', 'artwork.png')).toString('base64')}`;
+const track = {
+  trackName: 'Midnight City',
+  artist: ['M83', 'Anthony Gonzalez'],
+  album: "Hurry Up, We're Dreaming",
+  player: 'Spotify',
+  thumbnail: artwork,
+  duration: 243,
+  position: 30,
+  isPlaying: true
+};
+
+describe('FileOutput', () => {
+  let dir;
+  let output;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-output-'));
+    output = new FileOutput({ renderer: new NowPlayingRenderer() });
+    output.configure({
+      folder: dir,
+      templates: { nowplaying: '{artist} - {trackName}', title: '{trackName}' },
+      idleText: 'Nothing playing'
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const read = name => fs.readFileSync(path.join(dir, name), 'utf8');
+  const size = async name => {
+    const { width, height } = await sharp(path.resolve(dir, name)).metadata();
+    return { width, height };
+  };
+
+  it('writes templated text, artwork and the LCD strip', async () => {
+    await output.update(track, 'playing');
+
+    assert.strictEqual(read('nowplaying.txt'), 'M83, Anthony Gonzalez - Midnight City');
+    assert.strictEqual(read('title.txt'), 'Midnight City');
+    assert.deepStrictEqual(await size('artwork.png'), await size(path.join(__dirname, 'fixtures', 'artwork.png')));
+    assert.deepStrictEqual(await size('lcd.png'), { width: 800, height: 100 });
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['artwork.png', 'lcd.png', 'nowplaying.txt', 'title.txt']);
+  });
+
+  it('writes the idle text and clears the artwork when nothing plays', async () => {
+    await output.update(track, 'playing');
+    await output.update(track, 'stopped');
+
+    assert.strictEqual(read('nowplaying.txt'), 'Nothing playing');
+    assert.strictEqual(read('title.txt'), 'Nothing playing');
+    assert.deepStrictEqual(await size('artwork.png'), { width: 1, height: 1 });
+    assert.deepStrictEqual(await size('lcd.png'), { width: 800, height: 100 });
+  });
+
+  it('only writes when the track changes', async () => {
+    await output.update(track, 'playing');
+    fs.writeFileSync(path.join(dir, 'title.txt'), 'untouched');
+
+    await output.update({ ...track, position: 60 }, 'playing');
+    await output.update({ ...track, isPlaying: false }, 'paused');
+    assert.strictEqual(read('title.txt'), 'untouched');
+
+    await output.update({ ...track, trackName: 'Wait' }, 'playing');
+    assert.strictEqual(read('title.txt'), 'Wait');
+  });
+
+  it('writes the latest track after a burst of changes', async () => {
+    const updates = ['One', 'Two', 'Three'].map(trackName => output.update({ ...track, trackName }, 'playing'));
+    await Promise.all(updates);
+    assert.strictEqual(read('title.txt'), 'Three');
+  });
+
+  it('writes nothing without a folder', async () => {
+    output.configure({ folder: '' });
+    assert.strictEqual(output.isEnabled(), false);
+    await output.update(track, 'playing');
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+
+  it('creates the folder', async () => {
+    const folder = path.join(dir, 'obs', 'nowplaying');
+    output.configure({ folder });
+    await output.update(track, 'playing');
+    assert.strictEqual(fs.readFileSync(path.join(folder, 'nowplaying.txt'), 'utf8'), 'M83, Anthony Gonzalez - Midnight City');
+  });
+
+  describe('writeAtomic()', () => {
+    it('replaces the file and leaves no temporary file behind', async () => {
+      const file = path.join(dir, 'title.txt');
+      fs.writeFileSync(file, 'old');
+      await writeAtomic(file, 'new');
+      assert.strictEqual(fs.readFileSync(file, 'utf8'), 'new');
+      assert.deepStrictEqual(fs.readdirSync(dir), ['title.txt']);
+    });
+  });
+
+  describe('formatTemplate()', () => {
+    it('fills known placeholders and leaves others alone', () => {
+      assert.strictEqual(
+        formatTemplate('{trackName} ({album}, {duration}) on {player} {unknown}', track),
+        "Midnight City (Hurry Up, We're Dreaming, 4:03) on Spotify {unknown}"
+      );
+      assert.strictEqual(formatTemplate('{artist}|{album}|{duration}', { trackName: 'Untitled' }), '||');
+    });
+  });
+
+  describe('parseTemplates()', () => {
+    it('reads name=template lines', () => {
+      assert.deepStrictEqual(parseTemplates('song = {trackName}\nby={artist} = {album}\n\nno equals sign'), {
+        song: '{trackName}',
+        by: '{artist} = {album}'
+      });
+    });
+
+    it('keeps names safe as file names', () => {
+      assert.deepStrictEqual(parseTemplates('../secret=x'), { secret: 'x' });
+    });
+
+    it('falls back to the default template', () => {
+      assert.strictEqual(parseTemplates(''), DEFAULT_TEMPLATES);
+      assert.strictEqual(parseTemplates(undefined), DEFAULT_TEMPLATES);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Stand-in for a Stream Deck action that records every call made to it
+ */
+function createFakeAction(id = 'fake-action', options = {}) {
+  const calls = [];
+
+  const action = {
+    id,
+    calls,
+    setTitle: async (title) => {
+      calls.push({ method: 'setTitle', value: title });
+    },
+    setImage: async (image) => {
+      calls.push({ method: 'setImage', value: image });
+    },
+    setFeedback: async (payload) => {
+      calls.push({ method: 'setFeedback', value: payload });
+    },
+    setState: async (state) => {
+      calls.push({ method: 'setState', value: state });
+    },
+    /**
+     * Last value passed to a method, or undefined if it was never called
+     */
+    last(method) {
+      const matching = calls.filter(call => call.method === method);
+      return matching.length ? matching[matching.length - 1].value : undefined;
+    }
+  };
+
+  if (options.position) {
+    action._position = options.position;
+  }
+
+  if (options.failOn) {
+    const original = action[options.failOn];
+    let failures = options.failCount || 1;
+    action[options.failOn] = async (value) => {
+      if (failures-- > 0) {
+        throw new Error(`${options.failOn} failed`);
+      }
+      return original(value);
+    };
+  }
+
+  return action;
+}
+
+module.exports = { createFakeAction };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+/**
+ * Turn a data URL, PNG buffer or SVG buffer/string into a PNG buffer
+ */
+async function toPng(image) {
+  if (typeof image === 'string' && image.startsWith('data:')) {
+    return Buffer.from(image.split(',')[1], 'base64');
+  }
+  return sharp(Buffer.from(image)).png().toBuffer();
+}
+
+/**
+ * Compare two PNGs pixel by pixel.
+ * A pixel counts as different when any channel differs by more than `threshold`.
+ * @returns {Object} { width, height, sizeMismatch, diffPixels, diffRatio }
+ */
+async function diffImages(actualPng, expectedPng, threshold = 32) {
+  const decode = (png) => sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const [actual, expected] = await Promise.all([decode(actualPng), decode(expectedPng)]);
+  const { width, height } = actual.info;
+
+  if (width !== expected.info.width || height !== expected.info.height) {
+    return { width, height, sizeMismatch: true, diffPixels: width * height, diffRatio: 1 };
+  }
+
+  let diffPixels = 0;
+  for (let i = 0; i < actual.data.length; i += 4) {
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(actual.data[i + c] - expected.data[i + c]) > threshold) {
+        diffPixels++;
+        break;
+      }
+    }
+  }
+
+  return { width, height, sizeMismatch: false, diffPixels, diffRatio: diffPixels / (width * height) };
+}
+
+/**
+ * Assert that an image matches test/golden/<name>.png within tolerance.
+ *
+ * Run with UPDATE_GOLDEN=1 to (re)write the golden files. On a mismatch the
+ * actual image is written next to the golden as <name>.actual.png.
+ * @param {string|Buffer} image - Data URL, PNG buffer or SVG markup
+ * @param {string} name - Golden file name without extension
+ * @param {Object} options
+ * @param {number} options.tolerance - Maximum ratio of differing pixels (default 0.01)
+ * @param {number} options.threshold - Per-channel difference that counts as a change (default 32)
+ */
+async function assertMatchesGolden(image, name, options = {}) {
+  const { tolerance = 0.01, threshold = 32 } = options;
+  const actualPng = await toPng(image);
+  const goldenFile = path.join(GOLDEN_DIR, `${name}.png`);
+  const actualFile = path.join(GOLDEN_DIR, `${name}.actual.png`);
+
+  if (process.env.UPDATE_GOLDEN || !fs.existsSync(goldenFile)) {
+    if (!process.env.UPDATE_GOLDEN) {
+      throw new Error(`Missing golden image ${goldenFile}; run with UPDATE_GOLDEN=1 to create it`);
+    }
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(goldenFile, actualPng);
+    return;
+  }
+
+  const result = await diffImages(actualPng, fs.readFileSync(goldenFile), threshold);
+  if (result.sizeMismatch || result.diffRatio > tolerance) {
+    fs.writeFileSync(actualFile, actualPng);
+    const detail = result.sizeMismatch
+      ? 'image size differs'
+      : `${result.diffPixels} pixels (${(result.diffRatio * 100).toFixed(2)}%) differ, tolerance ${(tolerance * 100).toFixed(2)}%`;
+    throw new Error(`Image does not match golden ${name}.png: ${detail}. Actual written to ${actualFile}`);
+  }
+
+  if (fs.existsSync(actualFile)) {
+    fs.unlinkSync(actualFile);
+  }
+}
+
+module.exports = {
+  toPng,
+  diffImages,
+  assertMatchesGolden
+};
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const HistoryBrowser = require('../src/history-browser');
+const { createFakeAction } = require('./helpers/fake-action');
+
+const NOW = Date.parse('2024-01-01T12:00:00.000Z');
+
+function entry(trackName, minutesAgo) {
+  return {
+    trackName,
+    artist: 'M83',
+    album: '',
+    startedAt: new Date(NOW - minutesAgo * 60 * 1000).toISOString(),
+    played: 200,
+    duration: 240,
+    completed: false,
+    artwork: null
+  };
+}
+
+// History stand-in holding entries newest first
+function createHistory(entries) {
+  return {
+    entries,
+    getEntries: () => [...entries],
+    getArtwork: async () => null
+  };
+}
+
+// Renderer stand-in that returns what it was asked to draw
+function createRenderer() {
+  return {
+    renderKey: async (trackInfo, options) => `key:${options.text}`,
+    render: async (trackInfo, position, options) => `lcd:${trackInfo.trackName}|${trackInfo.artist}|${options.span}`
+  };
+}
+
+describe('HistoryBrowser', () => {
+  let history;
+  let browser;
+
+  beforeEach(() => {
+    history = createHistory([entry('Wait', 3), entry('Midnight City', 20), entry('Outro', 45)]);
+    browser = new HistoryBrowser({ history, renderer: createRenderer(), now: () => NOW });
+  });
+
+  afterEach(() => {
+    for (const action of [...browser.contexts]) browser.remove(action);
+  });
+
+  it('shows the latest play on keys with how long ago it played', async () => {
+    const action = createFakeAction('history');
+    browser.add(action, false);
+    await browser.update(action);
+    assert.strictEqual(action.last('setTitle'), '');
+    assert.strictEqual(action.last('setImage'), 'key:Wait\nM83\n3 min ago');
+  });
+
+  it('draws dials on a single-dial LCD layout', async () => {
+    const action = createFakeAction('history');
+    browser.add(action, true);
+    await browser.update(action);
+    assert.deepStrictEqual(action.last('setFeedback'), { image: 'lcd:Wait|3 min ago · M83|1' });
+  });
+
+  it('scrolls back and stops at either end', async () => {
+    const action = createFakeAction('history');
+    browser.add(action, true);
+
+    assert.strictEqual(await browser.scroll(action, 1), true);
+    assert.deepStrictEqual(action.last('setFeedback'), { image: 'lcd:Midnight City|20 min ago · M83|1' });
+    assert.strictEqual(await browser.scroll(action, 5), true);
+    assert.strictEqual(action._historyIndex, 2);
+    assert.strictEqual(await browser.scroll(action, 1), false);
+    await browser.scroll(action, -10);
+    assert.strictEqual(action._historyIndex, 0);
+
+    await browser.scroll(action, 2);
+    await browser.reset(action);
+    assert.strictEqual(action._historyIndex, 0);
+  });
+
+  it('stays on the same entry when a new play is recorded', async () => {
+    const latest = createFakeAction('latest');
+    const scrolled = createFakeAction('scrolled');
+    browser.add(latest, false);
+    browser.add(scrolled, false);
+    await browser.scroll(scrolled, 1);
+
+    history.entries.unshift(entry('Raconte-moi une histoire', 0));
+    await browser.recorded();
+
+    assert.strictEqual(latest.last('setImage'), 'key:Raconte-moi une histoire\nM83\njust now');
+    assert.strictEqual(scrolled.last('setImage'), 'key:Midnight City\nM83\n20 min ago');
+  });
+
+  it('says when there is no history yet', async () => {
+    browser = new HistoryBrowser({ history: createHistory([]), renderer: createRenderer(), now: () => NOW });
+    const key = createFakeAction('key');
+    const dial = createFakeAction('dial');
+    browser.add(key, false);
+    browser.add(dial, true);
+    await browser.updateAll();
+    assert.strictEqual(key.last('setImage'), 'key:No history\nyet');
+    assert.deepStrictEqual(dial.last('setFeedback'), { image: 'lcd:No history yet|Played tracks show up here|1' });
+  });
+
+  it('skips images the action already shows', async () => {
+    const action = createFakeAction('history');
+    browser.add(action, false);
+    await browser.update(action);
+    await browser.update(action);
+    assert.strictEqual(action.calls.filter(call => call.method === 'setImage').length, 1);
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ListeningHistory = require('../src/history');
+const { isCompleted, formatAgo } = require('../src/history');
+
+const artwork = `data:image/png;base64,${fs.readFileSync(path.join(__dirname, 'fixtures', 'artwork.png')).toString('base64')}`;
+const START = Date.parse('2024-01-01T12:00:00.000Z');
+const track = {
+  trackName: 'Midnight City',
+  artist: ['M83'],
+  album: "Hurry Up, We're Dreaming",
+  player: 'Spotify',
+  sourceAppId: 'Spotify.exe',
+  duration: 240,
+  position: 0,
+  isPlaying: true
+};
+
+describe('ListeningHistory', () => {
+  let dir;
+  let time;
+  let history;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-history-'));
+    time = START;
+    history = new ListeningHistory({ dir, now: () => time });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function readLines() {
+    return fs.readFileSync(path.join(dir, 'history.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  describe('update()', () => {
+    it('records a play when the next track starts', async () => {
+      history.update(track);
+      time += 235 * 1000;
+      history.update({ ...track, position: 235 });
+      const entry = history.update({ ...track, trackName: 'Wait' });
+
+      assert.deepStrictEqual(entry, {
+        trackName: 'Midnight City',
+        artist: 'M83',
+        album: "Hurry Up, We're Dreaming",
+        player: 'Spotify',
+        startedAt: '2024-01-01T12:00:00.000Z',
+        played: 235,
+        duration: 240,
+        completed: true,
+        artwork: null
+      });
+      await history.flush();
+      assert.deepStrictEqual(readLines(), [entry]);
+    });
+
+    it('leaves pauses out of the played time and marks early changes as skipped', () => {
+      history.update(track);
+      time += 30 * 1000;
+      history.update({ ...track, position: 30, isPlaying: false });
+      time += 600 * 1000;
+      history.update({ ...track, position: 30, isPlaying: true });
+      time += 10 * 1000;
+      const entry = history.update(null);
+
+      assert.strictEqual(entry.played, 40);
+      assert.strictEqual(entry.completed, false);
+    });
+
+    it('ignores tracks that barely played', () => {
+      history.update(track);
+      time += 2000;
+      assert.strictEqual(history.update({ ...track, trackName: 'Wait' }), null);
+      assert.deepStrictEqual(history.getEntries(), []);
+    });
+
+    it('counts a track starting over after its end as a new play', () => {
+      history.update(track);
+      time += 238 * 1000;
+      history.update({ ...track, position: 238 });
+      time += 3000;
+      const entry = history.update({ ...track, position: 1 });
+
+      assert.strictEqual(entry.completed, true);
+      assert.strictEqual(history.current.key, JSON.stringify(['Midnight City', 'M83', "Hurry Up, We're Dreaming", 'Spotify.exe']));
+    });
+
+    it('tells whoever listens about new plays', () => {
+      const recorded = [];
+      history = new ListeningHistory({ dir, now: () => time, onRecord: entry => recorded.push(entry.trackName) });
+      history.update(track);
+      time += 60 * 1000;
+      history.finish();
+      assert.deepStrictEqual(recorded, ['Midnight City']);
+    });
+  });
+
+  describe('artwork', () => {
+    it('stores artwork once per cover and reads it back', async () => {
+      for (const trackName of ['One', 'Two']) {
+        history.update({ ...track, trackName, thumbnail: artwork });
+        time += 60 * 1000;
+      }
+      history.finish();
+      await history.flush();
+
+      const [latest, first] = history.getEntries();
+      assert.strictEqual(latest.artwork, first.artwork);
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'artwork')), [`${latest.artwork}.png`]);
+      assert.match(await history.getArtwork(latest), /^data:image\/png;base64,/);
+    });
+
+    it('keeps artwork that arrives after the title', () => {
+      history.update(track);
+      history.update({ ...track, thumbnail: artwork });
+      time += 60 * 1000;
+      assert.ok(history.finish().artwork);
+    });
+
+    it('has no artwork for entries without one', async () => {
+      assert.strictEqual(await history.getArtwork({ artwork: null }), null);
+      assert.strictEqual(await history.getArtwork({ artwork: 'missing' }), null);
+    });
+  });
+
+  describe('load()', () => {
+    function entryAt(trackName, daysAgo) {
+      return { ...track, trackName, startedAt: new Date(START - daysAgo * 24 * 60 * 60 * 1000).toISOString() };
+    }
+
+    it('reads entries back newest first, skipping broken lines', async () => {
+      const lines = [entryAt('Old', 2), entryAt('New', 1)].map(entry => JSON.stringify(entry));
+      fs.writeFileSync(path.join(dir, 'history.jsonl'), `${lines[0]}\n{broken\n${lines[1]}\n`);
+
+      await history.load();
+      assert.deepStrictEqual(history.getEntries().map(entry => entry.trackName), ['New', 'Old']);
+      assert.strictEqual(readLines().length, 2);
+    });
+
+    it('starts empty without a file', async () => {
+      await history.load();
+      assert.deepStrictEqual(history.getEntries(), []);
+    });
+
+    it('drops entries past the retention', async () => {
+      const lines = [entryAt('Ancient', 40), entryAt('Recent', 3)].map(entry => JSON.stringify(entry));
+      fs.writeFileSync(path.join(dir, 'history.jsonl'), `${lines.join('\n')}\n`);
+
+      await history.load();
+      assert.deepStrictEqual(history.getEntries().map(entry => entry.trackName), ['Recent']);
+      assert.deepStrictEqual(readLines().map(entry => entry.trackName), ['Recent']);
+
+      await history.setRetention(1);
+      assert.deepStrictEqual(history.getEntries(), []);
+    });
+
+    it('keeps the old file when the rewrite fails', async () => {
+      const text = `${[entryAt('Ancient', 40), entryAt('Recent', 3)].map(entry => JSON.stringify(entry)).join('\n')}\n`;
+      fs.writeFileSync(path.join(dir, 'history.jsonl'), text);
+      const rename = fs.promises.rename;
+      fs.promises.rename = async () => { throw Object.assign(new Error('disk gone'), { code: 'EIO' }); };
+      try {
+        await history.load();
+      } finally {
+        fs.promises.rename = rename;
+      }
+      assert.strictEqual(fs.readFileSync(path.join(dir, 'history.jsonl'), 'utf8'), text);
+      assert.deepStrictEqual(fs.readdirSync(dir), ['history.jsonl']);
+    });
+
+    it('removes artwork only dropped entries used', async () => {
+      fs.mkdirSync(path.join(dir, 'artwork'));
+      fs.writeFileSync(path.join(dir, 'artwork', 'old.png'), '');
+      fs.writeFileSync(path.join(dir, 'artwork', 'kept.png'), '');
+      const lines = [{ ...entryAt('Ancient', 40), artwork: 'old' }, { ...entryAt('Recent', 3), artwork: 'kept' }];
+      fs.writeFileSync(path.join(dir, 'history.jsonl'), lines.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+
+      await history.load();
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'artwork')), ['kept.png']);
+    });
+
+    it('keeps everything with a retention of 0', async () => {
+      fs.writeFileSync(path.join(dir, 'history.jsonl'), `${JSON.stringify(entryAt('Ancient', 400))}\n`);
+      history = new ListeningHistory({ dir, now: () => time, retentionDays: 0 });
+      await history.load();
+      assert.strictEqual(history.getEntries().length, 1);
+    });
+  });
+
+  describe('isCompleted()', () => {
+    it('completes plays that reach the end or cover most of the track', () => {
+      assert.strictEqual(isCompleted(60, 235, 240), true);
+      assert.strictEqual(isCompleted(220, 120, 240), true);
+      assert.strictEqual(isCompleted(60, 60, 240), false);
+      assert.strictEqual(isCompleted(600, 600, null), false);
+    });
+  });
+
+  describe('formatAgo()', () => {
+    it('says how long ago a play started', () => {
+      const at = '2024-01-01T12:00:00.000Z';
+      assert.strictEqual(formatAgo(at, START + 30 * 1000), 'just now');
+      assert.strictEqual(formatAgo(at, START + 20 * 60 * 1000), '20 min ago');
+      assert.strictEqual(formatAgo(at, START + 3 * 60 * 60 * 1000), '3 h ago');
+      assert.strictEqual(formatAgo(at, START + 30 * 60 * 60 * 1000), 'yesterday');
+      assert.strictEqual(formatAgo(at, START + 5 * 24 * 60 * 60 * 1000), '5 days ago');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getLayout, normalizeSpan, getSlotIndex } = require('../src/layouts');
+
+describe('layouts', () => {
+  describe('getLayout()', () => {
+    it('uses a canvas 200px wide per dial', () => {
+      for (const span of [1, 2, 3, 4]) {
+        assert.strictEqual(getLayout(span).width, span * 200);
+      }
+    });
+
+    it('picks the compact, standard and wide layouts', () => {
+      assert.strictEqual(getLayout(1).name, 'compact');
+      assert.strictEqual(getLayout(2).name, 'standard');
+      assert.strictEqual(getLayout(3).name, 'standard');
+      assert.strictEqual(getLayout(4).name, 'wide');
+    });
+
+    it('keeps everything on the canvas', () => {
+      for (const span of [1, 2, 3, 4]) {
+        const layout = getLayout(span);
+        assert.ok(layout.artwork.x + layout.artwork.size <= layout.width);
+        assert.ok(layout.text.x + layout.text.width <= layout.width);
+        assert.ok(layout.bar.x + layout.bar.width <= layout.width);
+      }
+    });
+
+    it('shows the album only on the full strip', () => {
+      assert.ok(getLayout(4).lines.some(line => line.key === 'album'));
+      assert.ok(!getLayout(2).lines.some(line => line.key === 'album'));
+    });
+
+    it('keeps the title and fits two lyric lines above the bar', () => {
+      for (const span of [1, 2, 3, 4]) {
+        const layout = getLayout(span);
+        assert.deepStrictEqual(layout.lyrics.map(line => line.key), ['title', 'lyric', 'nextLyric']);
+        assert.ok(layout.lyrics.at(-1).y < layout.bar.y);
+      }
+    });
+  });
+
+  describe('normalizeSpan()', () => {
+    it('clamps to 1-4 dials and defaults to two', () => {
+      assert.strictEqual(normalizeSpan('3'), 3);
+      assert.strictEqual(normalizeSpan(9), 4);
+      assert.strictEqual(normalizeSpan(0), 1);
+      assert.strictEqual(normalizeSpan('wide'), 2);
+    });
+  });
+
+  describe('getSlotIndex()', () => {
+    it('maps slots and the old left/right positions', () => {
+      assert.strictEqual(getSlotIndex('left', 2), 0);
+      assert.strictEqual(getSlotIndex('right', 2), 1);
+      assert.strictEqual(getSlotIndex('3', 4), 2);
+      assert.strictEqual(getSlotIndex(4, 2), 1);
+      assert.strictEqual(getSlotIndex('right', 1), 0);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const ListenBrainzClient = require('../src/listenbrainz-client');
+const { SubmitError, toListen } = require('../src/listenbrainz-client');
+
+const entry = {
+  trackName: 'Midnight City',
+  artist: 'M83',
+  album: "Hurry Up, We're Dreaming",
+  player: 'Spotify',
+  startedAt: '2024-01-01T12:00:00.000Z',
+  played: 200,
+  duration: 240,
+  completed: false,
+  artwork: null
+};
+
+// Stub ListenBrainz server that records requests and answers with `reply`
+function createStubServer() {
+  const stub = {
+    requests: [],
+    reply: { status: 200, headers: {}, body: '{"status":"ok"}' }
+  };
+  stub.server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      stub.requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+      response.writeHead(stub.reply.status, stub.reply.headers);
+      response.end(stub.reply.body);
+    });
+  });
+  return stub;
+}
+
+describe('ListenBrainzClient', () => {
+  const stub = createStubServer();
+  let url;
+
+  before(async () => {
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${stub.server.address().port}/`;
+  });
+
+  after(() => new Promise(resolve => stub.server.close(resolve)));
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    stub.reply = { status: 200, headers: {}, body: '{"status":"ok"}' };
+  });
+
+  it('submits listens with the token', async () => {
+    const client = new ListenBrainzClient({ url, token: 'secret' });
+    await client.scrobble([toListen(entry)]);
+
+    const [request] = stub.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/1/submit-listens');
+    assert.strictEqual(request.headers.authorization, 'Token secret');
+    assert.deepStrictEqual(request.body, { listen_type: 'single', payload: [toListen(entry)] });
+  });
+
+  it('imports several listens at once', async () => {
+    const client = new ListenBrainzClient({ url, token: 'secret' });
+    await client.scrobble([toListen(entry), toListen({ ...entry, trackName: 'Wait' })]);
+    assert.strictEqual(stub.requests[0].body.listen_type, 'import');
+  });
+
+  it('sends now playing without a listen time', async () => {
+    const client = new ListenBrainzClient({ url, token: 'secret' });
+    await client.playingNow(toListen(entry));
+    const { listen_type: listenType, payload } = stub.requests[0].body;
+    assert.strictEqual(listenType, 'playing_now');
+    assert.strictEqual('listened_at' in payload[0], false);
+  });
+
+  it('waits as long as the server asks when rate limited', async () => {
+    stub.reply = { status: 429, headers: { 'X-RateLimit-Reset-In': '12' }, body: '' };
+    const client = new ListenBrainzClient({ url, token: 'secret' });
+    await assert.rejects(client.scrobble([toListen(entry)]), { name: 'SubmitError', status: 429, retryable: true, retryAfter: 12000 });
+  });
+
+  it('only retries server errors', async () => {
+    const client = new ListenBrainzClient({ url, token: 'secret' });
+    stub.reply = { status: 503, headers: {}, body: 'down' };
+    await assert.rejects(client.scrobble([toListen(entry)]), { status: 503, retryable: true });
+    stub.reply = { status: 401, headers: {}, body: '{"error":"Invalid authorization token."}' };
+    await assert.rejects(client.scrobble([toListen(entry)]), { status: 401, retryable: false });
+    stub.reply = { status: 400, headers: {}, body: '{"error":"bad listen"}' };
+    await assert.rejects(client.scrobble([toListen(entry)]), { status: 400, retryable: false });
+  });
+
+  it('reports an unreachable server as retryable', async () => {
+    const client = new ListenBrainzClient({
+      url,
+      token: 'secret',
+      fetch: async () => { throw new TypeError('fetch failed'); }
+    });
+    const error = await client.scrobble([toListen(entry)]).catch(err => err);
+    assert.ok(error instanceof SubmitError);
+    assert.strictEqual(error.status, 0);
+    assert.strictEqual(error.retryable, true);
+  });
+
+  describe('toListen()', () => {
+    it('maps a history entry to a listen', () => {
+      assert.deepStrictEqual(toListen(entry), {
+        listened_at: 1704110400,
+        track_metadata: {
+          artist_name: 'M83',
+          track_name: 'Midnight City',
+          release_name: "Hurry Up, We're Dreaming",
+          additional_info: { submission_client: 'Stream Deck Now Playing', duration_ms: 240000, media_player: 'Spotify' }
+        }
+      });
+    });
+
+    it('leaves out what the entry does not know', () => {
+      const listen = toListen({ ...entry, album: '', player: '', duration: null });
+      assert.strictEqual('release_name' in listen.track_metadata, false);
+      assert.deepStrictEqual(listen.track_metadata.additional_info, { submission_client: 'Stream Deck Now Playing' });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../src/logger');
+
+const NOW = () => new Date('2024-01-01T00:00:00.000Z');
+
+function createConsole() {
+  const lines = [];
+  const record = (level) => (line) => lines.push({ level, line });
+  return { lines, error: record('error'), warn: record('warn'), info: record('info'), debug: record('debug') };
+}
+
+describe('Logger', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-log-'));
+    file = path.join(dir, 'debug.log');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('drops lines below the level', () => {
+    const console = createConsole();
+    const logger = new Logger({ level: 'warn', console, now: NOW });
+    logger.debug('noise');
+    logger.info('noise');
+    logger.warn('careful');
+    logger.error('broken');
+    assert.deepStrictEqual(console.lines, [
+      { level: 'warn', line: '[2024-01-01T00:00:00.000Z] WARN careful' },
+      { level: 'error', line: '[2024-01-01T00:00:00.000Z] ERROR broken' }
+    ]);
+  });
+
+  it('ignores unknown levels', () => {
+    const logger = new Logger({ level: 'debug' });
+    assert.strictEqual(logger.setLevel('verbose'), false);
+    assert.strictEqual(logger.level, 'debug');
+  });
+
+  it('buffers lines until flushed', async () => {
+    const logger = new Logger({ file, now: NOW });
+    logger.info('one');
+    logger.info('two', { count: 2 });
+    assert.strictEqual(fs.existsSync(file), false);
+
+    await logger.flush();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'),
+      '[2024-01-01T00:00:00.000Z] INFO one\n[2024-01-01T00:00:00.000Z] INFO two {"count":2}\n');
+  });
+
+  it('writes buffered lines synchronously on exit', () => {
+    const logger = new Logger({ file, now: NOW });
+    logger.error('crash');
+    logger.flushSync();
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '[2024-01-01T00:00:00.000Z] ERROR crash\n');
+  });
+
+  it('rotates the file when it grows past maxSize', async () => {
+    const logger = new Logger({ file, maxSize: 60, maxFiles: 2, now: NOW });
+    for (const message of ['first', 'second', 'third', 'fourth']) {
+      logger.info(message);
+      await logger.flush();
+    }
+
+    assert.match(fs.readFileSync(file, 'utf8'), /fourth/);
+    assert.match(fs.readFileSync(`${file}.1`, 'utf8'), /third/);
+    assert.match(fs.readFileSync(`${file}.2`, 'utf8'), /second/);
+    assert.strictEqual(fs.existsSync(`${file}.3`), false);
+  });
+});
+
+describe('formatArg', () => {
+  it('leaves artwork out of logged objects', () => {
+    const thumbnail = 'data:image/png;base64,' + 'A'.repeat(1000);
+    const line = Logger.formatArg({ trackName: 'Song', thumbnail });
+    assert.strictEqual(line, `{"trackName":"Song","thumbnail":"[artwork, ${thumbnail.length} chars]"}`);
+  });
+
+  it('replaces data URL strings', () => {
+    assert.strictEqual(Logger.formatArg('data:image/png;base64,AAAA'), '[artwork, 26 chars]');
+  });
+
+  it('writes errors with their stack', () => {
+    const error = new Error('boom');
+    assert.strictEqual(Logger.formatArg(error), error.stack);
+  });
+});
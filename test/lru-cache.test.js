@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const LruCache = require('../src/lru-cache');
+
+describe('LruCache', () => {
+  it('drops the least recently used entry when full', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.deepStrictEqual([...cache.keys()], ['a', 'c']);
+  });
+
+  it('counts setting an existing key as a use', () => {
+    const cache = new LruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+    assert.deepStrictEqual([...cache.entries()], [['a', 10], ['c', 3]]);
+  });
+
+  it('returns undefined for missing keys', () => {
+    assert.strictEqual(new LruCache(1).get('missing'), undefined);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LyricsLibrary = require('../src/lyrics');
+const { parseLrc, getLyricLines, getLookupKeys, normalizeTitle } = require('../src/lyrics');
+
+const LRC = `[ar:M83]
+[ti:Midnight City]
+[offset:+250]
+[00:12.50]Waiting in a car
+[00:15.00][01:30.00]Waiting for a ride in the dark
+[00:20.10]
+[00:22.123]The city is my church
+`;
+
+describe('parseLrc()', () => {
+  it('reads timed lines in order, once per timestamp', () => {
+    const lyrics = parseLrc(LRC);
+    assert.deepStrictEqual(lyrics.lines, [
+      { time: 12.5, text: 'Waiting in a car' },
+      { time: 15, text: 'Waiting for a ride in the dark' },
+      { time: 20.1, text: '' },
+      { time: 22.123, text: 'The city is my church' },
+      { time: 90, text: 'Waiting for a ride in the dark' }
+    ]);
+    assert.strictEqual(lyrics.offset, 250);
+  });
+
+  it('drops word timestamps of enhanced LRC', () => {
+    const lyrics = parseLrc('[00:01.00]<00:01.00>Waiting <00:01.40>in <00:01.60>a <00:01.80>car\r\n');
+    assert.deepStrictEqual(lyrics.lines, [{ time: 1, text: 'Waiting in a car' }]);
+  });
+
+  it('has no lines for plain text', () => {
+    assert.deepStrictEqual(parseLrc('Waiting in a car\nWaiting for a ride'), { lines: [], offset: 0 });
+  });
+});
+
+describe('getLyricLines()', () => {
+  const lyrics = parseLrc(LRC.replace('[offset:+250]\n', ''));
+
+  it('shows only the next line before the first one', () => {
+    assert.deepStrictEqual(getLyricLines(lyrics, 3), { current: '', next: 'Waiting in a car' });
+  });
+
+  it('follows the position', () => {
+    assert.deepStrictEqual(getLyricLines(lyrics, 13), { current: 'Waiting in a car', next: 'Waiting for a ride in the dark' });
+    assert.deepStrictEqual(getLyricLines(lyrics, 21), { current: '', next: 'The city is my church' });
+    assert.deepStrictEqual(getLyricLines(lyrics, 200), { current: 'Waiting for a ride in the dark', next: '' });
+  });
+
+  it('shows lines earlier with a positive offset, on top of the file offset', () => {
+    assert.strictEqual(getLyricLines(lyrics, 14.6, 500).current, 'Waiting for a ride in the dark');
+    assert.strictEqual(getLyricLines({ ...lyrics, offset: 250 }, 14.6, 250).current, 'Waiting for a ride in the dark');
+    assert.strictEqual(getLyricLines(lyrics, 15.2, -500).current, 'Waiting in a car');
+  });
+});
+
+describe('normalizeTitle()', () => {
+  it('leaves out featured artists and remasters', () => {
+    for (const title of [
+      'Midnight City (feat. Someone)',
+      'Midnight City ft. Someone',
+      'Midnight City [Remastered 2011]',
+      'Midnight City - 2011 Remaster',
+      'midnight city!'
+    ]) {
+      assert.strictEqual(normalizeTitle(title), 'midnight city', title);
+    }
+  });
+
+  it('ignores accents and apostrophes', () => {
+    assert.strictEqual(normalizeTitle("Café Don't Stop"), 'cafe dont stop');
+  });
+});
+
+describe('getLookupKeys()', () => {
+  it('tries every artist with the title, then the title alone', () => {
+    assert.deepStrictEqual(getLookupKeys({ trackName: 'Get Lucky (feat. Pharrell Williams)', artist: ['Daft Punk', 'Pharrell Williams'] }), [
+      'daft punk - get lucky',
+      'pharrell williams - get lucky',
+      'get lucky'
+    ]);
+  });
+});
+
+describe('LyricsLibrary', () => {
+  let dir;
+  let time;
+  let library;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-lyrics-'));
+    time = 0;
+    library = new LyricsLibrary({ folder: dir, now: () => time });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, text = LRC) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), text);
+  };
+
+  it('finds files by artist and title in subfolders', async () => {
+    write('M83/M83 - Midnight City.lrc');
+    const lyrics = await library.find({ trackName: 'Midnight City - 2011 Remaster', artist: ['M83'] });
+    assert.strictEqual(lyrics.lines[0].text, 'Waiting in a car');
+  });
+
+  it('prefers the artist, then falls back to the title alone', async () => {
+    write('Midnight City.lrc', '[00:01.00]By title');
+    write('M83 - Midnight City.LRC', '[00:01.00]By artist');
+    assert.strictEqual((await library.find({ trackName: 'Midnight City', artist: 'M83' })).lines[0].text, 'By artist');
+    assert.strictEqual((await library.find({ trackName: 'Midnight City', artist: 'Someone Else' })).lines[0].text, 'By title');
+  });
+
+  it('has nothing for missing files, untimed files and no folder', async () => {
+    write('M83 - Wait.lrc', 'No timestamps here');
+    assert.strictEqual(await library.find({ trackName: 'Outro', artist: 'M83' }), null);
+    assert.strictEqual(await library.find({ trackName: 'Wait', artist: 'M83' }), null);
+
+    library.setFolder('');
+    assert.strictEqual(library.isEnabled(), false);
+    write('M83 - Outro.lrc');
+    assert.strictEqual(await library.find({ trackName: 'Outro', artist: 'M83' }), null);
+  });
+
+  it('picks up new files once the index is a minute old', async () => {
+    const track = { trackName: 'Outro', artist: 'M83' };
+    assert.strictEqual(await library.find(track), null);
+
+    write('M83 - Outro.lrc');
+    time = 30 * 1000;
+    assert.strictEqual(await library.find(track), null);
+    time = 60 * 1000;
+    assert.ok(await library.find(track));
+  });
+
+  it('keeps parsed lyrics', async () => {
+    write('M83 - Midnight City.lrc');
+    const track = { trackName: 'Midnight City', artist: 'M83' };
+    const lyrics = await library.find(track);
+    fs.rmSync(path.join(dir, 'M83 - Midnight City.lrc'));
+    assert.strictEqual(await library.find(track), lyrics);
+  });
+
+  it('has nothing when the folder does not exist', async () => {
+    library.setFolder(path.join(dir, 'missing'));
+    assert.strictEqual(await library.find({ trackName: 'Midnight City', artist: 'M83' }), null);
+  });
+});
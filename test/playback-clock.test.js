@@ -0,0 +1,78 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const PlaybackClock = require('../src/playback-clock');
+
+const track = { trackName: 'One', artist: ['A'], album: 'X', duration: 200, position: 10, isPlaying: true };
+
+describe('PlaybackClock', () => {
+  let time;
+  let clock;
+
+  beforeEach(() => {
+    time = 0;
+    clock = new PlaybackClock(() => time);
+  });
+
+  it('interpolates the position while playing', () => {
+    clock.sync(track);
+    time += 2500;
+    assert.strictEqual(clock.getPosition(), 12.5);
+  });
+
+  it('holds the position while paused', () => {
+    clock.sync({ ...track, isPlaying: false });
+    time += 5000;
+    assert.strictEqual(clock.getPosition(), 10);
+  });
+
+  it('freezes at the interpolated position when paused without a position', () => {
+    clock.sync(track);
+    time += 3000;
+    const { position, ...withoutPosition } = track;
+    clock.sync({ ...withoutPosition, isPlaying: false });
+    time += 3000;
+    assert.strictEqual(clock.getPosition(), 13);
+  });
+
+  it('applies the playback rate', () => {
+    clock.sync({ ...track, playbackRate: 2 });
+    time += 1000;
+    assert.strictEqual(clock.getPosition(), 12);
+  });
+
+  it('resyncs on seek', () => {
+    clock.sync(track);
+    time += 4000;
+    clock.sync({ ...track, position: 100 });
+    time += 1000;
+    assert.strictEqual(clock.getPosition(), 101);
+  });
+
+  it('keeps interpolating when an event repeats a stale position', () => {
+    clock.sync(track);
+    time += 4000;
+    clock.sync({ ...track, thumbnail: 'data:image/png;base64,AAAA' });
+    assert.strictEqual(clock.getPosition(), 14);
+  });
+
+  it('restarts on track change', () => {
+    clock.sync(track);
+    time += 4000;
+    const { position, ...next } = { ...track, trackName: 'Two' };
+    clock.sync(next);
+    assert.strictEqual(clock.getPosition(), 0);
+  });
+
+  it('clamps to the track duration', () => {
+    clock.sync(track);
+    time += 500000;
+    assert.strictEqual(clock.getPosition(), 200);
+  });
+
+  it('resets without an event', () => {
+    clock.sync(track);
+    clock.sync(null);
+    assert.strictEqual(clock.isPlaying, false);
+    assert.strictEqual(clock.getPosition(), 0);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getPlaybackState, showsTrack } = require('../src/playback-state');
+
+const track = { trackName: 'Midnight City', artist: ['M83'], isPlaying: true };
+
+describe('getPlaybackState()', () => {
+  it('has no session without an event', () => {
+    assert.strictEqual(getPlaybackState(null), 'none');
+  });
+
+  it('is playing while the source says so', () => {
+    assert.strictEqual(getPlaybackState(track), 'playing');
+    assert.strictEqual(getPlaybackState({ isPlaying: true }), 'playing');
+  });
+
+  it('is paused until the idle timeout, then stopped', () => {
+    const paused = { ...track, isPlaying: false };
+    assert.strictEqual(getPlaybackState(paused, { pausedAt: 1000, now: 60999, idleTimeout: 60000 }), 'paused');
+    assert.strictEqual(getPlaybackState(paused, { pausedAt: 1000, now: 61000, idleTimeout: 60000 }), 'stopped');
+    assert.strictEqual(getPlaybackState(paused, { pausedAt: 1000, now: 1e9, idleTimeout: 0 }), 'paused');
+  });
+
+  it('has no session when an idle session has no track', () => {
+    assert.strictEqual(getPlaybackState({ isPlaying: false, artist: [] }), 'none');
+  });
+});
+
+describe('showsTrack()', () => {
+  it('shows playing and paused tracks only', () => {
+    assert.deepStrictEqual(['playing', 'paused', 'stopped', 'none'].map(showsTrack), [true, true, false, false]);
+  });
+});
@@ -0,0 +1,555 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const NowPlayingRenderer = require('../src/renderer');
+const { formatTime, getMarqueeOffset, getWallSize } = require('../src/renderer');
+const { resolveTheme } = require('../src/themes');
+const { measureText } = require('../src/text-layout');
+const { assertMatchesGolden, toPng } = require('./helpers/golden');
+
+const artwork = `data:image/png;base64,${fs.readFileSync(path.join(__dirname, 'fixtures', 'artwork.png')).toString('base64')}`;
+
+const track = {
+  trackName: 'Midnight City',
+  artist: ['M83'],
+  album: 'Hurry Up, We\'re Dreaming',
+  thumbnail: null,
+  duration: 244,
+  position: 122,
+  isPlaying: true
+};
+
+async function dimensions(image) {
+  const { width, height } = await sharp(await toPng(image)).metadata();
+  return { width, height };
+}
+
+describe('NowPlayingRenderer', () => {
+  const renderer = new NowPlayingRenderer();
+
+  describe('render()', () => {
+    for (const position of ['left', 'right']) {
+      it(`renders the ${position} half without artwork`, async () => {
+        const image = await renderer.render(track, position);
+        assert.match(image, /^data:image\/png;base64,/);
+        assert.deepStrictEqual(await dimensions(image), { width: 200, height: 100 });
+        await assertMatchesGolden(image, `render-${position}-no-art`);
+      });
+
+      it(`renders the ${position} half with artwork`, async () => {
+        const image = await renderer.render({ ...track, thumbnail: artwork }, position);
+        await assertMatchesGolden(image, `render-${position}-art`);
+      });
+    }
+
+    it('accepts raw base64 artwork without a data URL prefix', async () => {
+      const raw = artwork.split(',')[1];
+      const image = await renderer.render({ ...track, thumbnail: raw }, 'left');
+      await assertMatchesGolden(image, 'render-left-art');
+    });
+
+    it('renders without artwork when the thumbnail cannot be decoded', async () => {
+      const image = await renderer.render({ ...track, thumbnail: 'data:image/png;base64,bm90IGFuIGltYWdl' }, 'left');
+      await assertMatchesGolden(image, 'render-left-no-art');
+    });
+
+    it('falls back to placeholder names when metadata is missing', async () => {
+      const image = await renderer.render({ isPlaying: true }, 'right');
+      await assertMatchesGolden(image, 'render-right-unknown');
+    });
+  });
+
+  describe('createBlank()', () => {
+    for (const position of ['left', 'right']) {
+      it(`renders the idle ${position} half`, async () => {
+        const image = await renderer.createBlank(position);
+        assert.deepStrictEqual(await dimensions(image), { width: 200, height: 100 });
+        await assertMatchesGolden(image, `blank-${position}`);
+      });
+    }
+  });
+
+  describe('paused', () => {
+    it('dims the track and puts pause bars over the artwork', async () => {
+      const image = await renderer.render({ ...track, thumbnail: artwork, isPlaying: false }, 'left', { paused: true });
+      await assertMatchesGolden(image, 'render-left-art-paused');
+    });
+
+    it('dims paused keys and puts pause bars on them', async () => {
+      const image = await renderer.renderKey({ ...track, thumbnail: artwork }, { show: 'artwork', paused: true });
+      await assertMatchesGolden(image, 'key-paused');
+    });
+  });
+
+  describe('renderKey()', () => {
+    const text = 'Midnight City\nM83';
+
+    it('draws text over the artwork at key resolution', async () => {
+      const image = await renderer.renderKey({ ...track, thumbnail: artwork }, { text });
+      assert.deepStrictEqual(await dimensions(image), { width: 144, height: 144 });
+      await assertMatchesGolden(image, 'key-overlay-bottom');
+    });
+
+    it('puts the text at the top or in the middle', async () => {
+      await assertMatchesGolden(await renderer.renderKey({ ...track, thumbnail: artwork }, { text, position: 'top' }), 'key-overlay-top');
+      await assertMatchesGolden(await renderer.renderKey({ ...track, thumbnail: artwork }, { text, position: 'middle' }), 'key-overlay-middle');
+    });
+
+    it('leaves the artwork out of text-only keys', async () => {
+      const image = await renderer.renderKey({ ...track, thumbnail: artwork }, { show: 'text', text: 'Midnight City\nM83\nHurry Up, We\'re Dreaming', position: 'middle' });
+      await assertMatchesGolden(image, 'key-text');
+    });
+
+    it('draws text on the background when the artwork cannot be decoded', async () => {
+      const image = await renderer.renderKey({ ...track, thumbnail: 'data:image/png;base64,bm90IGFuIGltYWdl' }, { text });
+      assert.deepStrictEqual(await dimensions(image), { width: 144, height: 144 });
+    });
+
+    it('reuses rendered keys', async () => {
+      const cached = new NowPlayingRenderer();
+      const first = await cached.renderKey({ ...track, thumbnail: artwork }, { text });
+      const second = await cached.renderKey({ ...track, thumbnail: artwork, position: 130 }, { text });
+      assert.strictEqual(first, second);
+      assert.strictEqual(cached.keys.size, 1);
+    });
+  });
+
+  describe('renderWallTile()', () => {
+    // Put a wall's tiles back together with the gaps between keys left black
+    async function assembleWall(render, grid) {
+      const pitch = getWallSize(grid) - getWallSize(grid - 1);
+      const composite = [];
+      for (let row = 0; row < grid; row++) {
+        for (let column = 0; column < grid; column++) {
+          const tile = await render({ grid, row, column });
+          assert.deepStrictEqual(await dimensions(tile), { width: 144, height: 144 });
+          composite.push({ input: await toPng(tile), left: column * pitch, top: row * pitch });
+        }
+      }
+      const size = getWallSize(grid);
+      return sharp({ create: { width: size, height: size, channels: 3, background: '#000000' } })
+        .composite(composite)
+        .png()
+        .toBuffer();
+    }
+
+    it('cuts the artwork into key tiles, skipping the gaps between keys', async () => {
+      const wall = await assembleWall(options => renderer.renderWallTile({ ...track, thumbnail: artwork }, options), 2);
+      await assertMatchesGolden(wall, 'wall-2x2');
+    });
+
+    it('tiles a placeholder when there is no artwork', async () => {
+      const wall = await assembleWall(options => renderer.renderWallTile({ ...track, thumbnail: null }, options), 3);
+      await assertMatchesGolden(wall, 'wall-placeholder-3x3');
+    });
+
+    it('keeps tile coordinates inside the grid', async () => {
+      const corner = await renderer.renderWallTile({ ...track, thumbnail: artwork }, { grid: 2, row: 1, column: 1 });
+      assert.strictEqual(await renderer.renderWallTile({ ...track, thumbnail: artwork }, { grid: 2, row: 5, column: 9 }), corner);
+    });
+
+    it('draws the wall once for all of its keys', async () => {
+      const cached = new NowPlayingRenderer();
+      for (let row = 0; row < 3; row++) {
+        for (let column = 0; column < 3; column++) {
+          await cached.renderWallTile({ ...track, thumbnail: artwork }, { grid: 3, row, column });
+        }
+      }
+      assert.strictEqual(cached.walls.size, 1);
+    });
+  });
+
+  describe('players', () => {
+    it('names the player on the artwork when several are active', async () => {
+      const image = await renderer.render({ ...track, thumbnail: artwork, player: 'Spotify', sessionIndex: 0, sessionCount: 2 }, 'left');
+      await assertMatchesGolden(image, 'render-left-player');
+    });
+
+    it('leaves a single player unnamed', async () => {
+      const image = await renderer.render({ ...track, thumbnail: artwork, player: 'Spotify', sessionIndex: 0, sessionCount: 1 }, 'left');
+      await assertMatchesGolden(image, 'render-left-art');
+    });
+
+    it('escapes player names', async () => {
+      const svg = renderer.buildPlayerBadgeSvg('R&B <FM>', resolveTheme('spotify'));
+      assert.match(svg, />R&amp;B &lt;FM&gt;</);
+      await sharp(Buffer.from(svg)).png().toBuffer();
+    });
+  });
+
+  describe('createFallback()', () => {
+    for (const position of ['left', 'right']) {
+      it(`renders the ${position} fallback`, async () => {
+        const image = await renderer.createFallback(position);
+        assert.deepStrictEqual(await dimensions(image), { width: 200, height: 100 });
+        await assertMatchesGolden(image, `fallback-${position}`);
+      });
+    }
+  });
+
+  describe('createProgressBar()', () => {
+    it('draws only the background without a duration', async () => {
+      const svg = await renderer.createProgressBar(0, 10, 276, 108, 75);
+      assert.doesNotMatch(svg.toString(), /#1DB954/);
+      await assertMatchesGolden(svg, 'progress-empty');
+    });
+
+    it('fills the bar proportionally to the position', async () => {
+      const svg = await renderer.createProgressBar(200, 50, 200, 108, 75);
+      assert.match(svg.toString(), /width="50"[^>]*fill="#1DB954"/);
+      await assertMatchesGolden(svg, 'progress-quarter');
+    });
+
+    it('omits the fill at the start of a track', async () => {
+      const svg = await renderer.createProgressBar(200, 0, 200, 108, 75);
+      assert.doesNotMatch(svg.toString(), /#1DB954/);
+    });
+  });
+
+  describe('buildTimeSvg()', () => {
+    it('shows elapsed and remaining time', () => {
+      const svg = renderer.buildTimeSvg(244, 62, 108, 384, 75);
+      assert.match(svg, /x="108"[^>]*>1:02</);
+      assert.match(svg, /x="384"[^>]*text-anchor="end">-3:02</);
+    });
+
+    it('clamps the position to the duration', () => {
+      const svg = renderer.buildTimeSvg(60, 90, 108, 384, 75);
+      assert.match(svg, />1:00</);
+      assert.match(svg, />-0:00</);
+    });
+
+    it('renders times next to the bar', async () => {
+      const image = await renderer.render({ ...track, trackName: '', artist: ' ' }, 'right');
+      await assertMatchesGolden(image, 'render-right-times');
+    });
+  });
+
+  describe('marquee', () => {
+    const longTrack = {
+      ...track,
+      trackName: 'Symphony No. 9 in D minor, Op. 125: IV. Presto',
+      artist: ['M83']
+    };
+
+    it('only flags lines that do not fit', () => {
+      assert.strictEqual(renderer.textOverflows(track), false);
+      assert.strictEqual(renderer.textOverflows(longTrack), true);
+      assert.deepStrictEqual(Object.keys(renderer.getMarqueeOffsets(longTrack, { elapsed: 0 })), ['title']);
+    });
+
+    it('holds the start of the line before scrolling', () => {
+      assert.strictEqual(getMarqueeOffset(300, { elapsed: 0, speed: 40, pause: 2000 }), 0);
+      assert.strictEqual(getMarqueeOffset(300, { elapsed: 1999, speed: 40, pause: 2000 }), 0);
+      assert.strictEqual(getMarqueeOffset(300, { elapsed: 3000, speed: 40, pause: 2000 }), 40);
+      assert.strictEqual(getMarqueeOffset(300, { elapsed: 3000, speed: 80, pause: 2000 }), 80);
+    });
+
+    it('starts over after a full cycle', () => {
+      // 300px at 100px/s takes 3s, plus a 1s pause
+      assert.strictEqual(getMarqueeOffset(300, { elapsed: 4000, speed: 100, pause: 1000 }), 0);
+      assert.strictEqual(getMarqueeOffset(300, { elapsed: 6000, speed: 100, pause: 1000 }), 100);
+    });
+
+    it('draws a scrolling line twice instead of truncating it', () => {
+      const svg = renderer.buildTextSvg(longTrack, 284, { marquee: { elapsed: 3000, speed: 40, pause: 2000 } });
+      const titles = svg.match(/<text x="(-?\d+)" y="27" font-size="20" class="title">([^<]*)</g);
+      assert.strictEqual(titles.length, 2);
+      assert.match(titles[0], /x="-40"/);
+      assert.ok(!svg.includes('…'));
+      assert.match(svg, /<text x="0" y="55" font-size="16" class="artist">M83</);
+    });
+
+    it('does not scroll lines that fit at a smaller size', () => {
+      const offsets = renderer.getMarqueeOffsets({ ...track, trackName: 'Midnight City (Eric Prydz Remix)' }, { elapsed: 3000 });
+      assert.deepStrictEqual(offsets, {});
+    });
+
+    it('scrolls bold titles by their bold width', () => {
+      const bold = resolveTheme('midnight');
+      const regular = { ...bold, fonts: { ...bold.fonts, titleWeight: 'normal' } };
+      const [boldLine] = renderer.getTextLines(longTrack, bold);
+      const [regularLine] = renderer.getTextLines(longTrack, regular);
+      assert.ok(renderer.getMarqueeCycle(boldLine) > renderer.getMarqueeCycle(regularLine));
+      assert.ok(renderer.getMarqueeCycle(boldLine) > measureText(longTrack.trackName, boldLine.fontSize, 'bold'));
+    });
+
+    it('renders a scrolled frame', async () => {
+      const image = await renderer.render(longTrack, 'right', { marquee: { elapsed: 4000, speed: 40, pause: 2000 } });
+      await assertMatchesGolden(image, 'render-right-marquee');
+    });
+  });
+
+  describe('lyrics', () => {
+    const lyrics = { current: 'Waiting in a car', next: 'Waiting for a ride in the dark' };
+
+    it('puts the current and next line under the title', () => {
+      const svg = renderer.buildTextSvg(track, 684, { span: 4, lyrics });
+      assert.match(svg, /class="title">Midnight City</);
+      assert.match(svg, /y="49" font-size="16" class="lyric">Waiting in a car</);
+      assert.match(svg, /y="68" font-size="14" class="nextLyric">Waiting for a ride in the dark</);
+      assert.doesNotMatch(svg, /class="(artist|album)"/);
+    });
+
+    it('leaves out an empty line', () => {
+      const svg = renderer.buildTextSvg(track, 284, { lyrics: { current: '', next: 'Waiting in a car' } });
+      assert.doesNotMatch(svg, /class="lyric"/);
+      assert.match(svg, /class="nextLyric">Waiting in a car</);
+    });
+
+    it('shortens long lines instead of scrolling them', () => {
+      const long = { current: 'Waiting for a ride in the dark, waiting for a ride in the dark', next: '' };
+      assert.strictEqual(renderer.textOverflows(track, { lyrics: long }), false);
+      assert.deepStrictEqual(renderer.getMarqueeOffsets(track, { elapsed: 3000 }, { lyrics: long }), {});
+      assert.match(renderer.buildTextSvg(track, 284, { lyrics: long, marquee: { elapsed: 3000 } }), /class="lyric">[^<]*…</);
+    });
+
+    it('draws a new canvas when the line changes', () => {
+      assert.notStrictEqual(
+        renderer.getCanvasKey(track, { lyrics }),
+        renderer.getCanvasKey(track, { lyrics: { ...lyrics, current: 'Waiting for a ride in the dark' } })
+      );
+    });
+
+    it('renders lyrics on the display', async () => {
+      const image = await renderer.render({ ...track, thumbnail: artwork }, 2, { span: 2, lyrics });
+      await assertMatchesGolden(image, 'render-right-lyrics');
+    });
+  });
+
+  describe('spans', () => {
+    it('renders the compact single-dial layout', async () => {
+      const image = await renderer.render({ ...track, thumbnail: artwork }, 1, { span: 1 });
+      assert.deepStrictEqual(await dimensions(image), { width: 200, height: 100 });
+      await assertMatchesGolden(image, 'span1');
+    });
+
+    for (const slot of [1, 2, 3, 4]) {
+      it(`renders dial ${slot} of the full strip`, async () => {
+        const image = await renderer.render({ ...track, thumbnail: artwork }, slot, { span: 4 });
+        assert.deepStrictEqual(await dimensions(image), { width: 200, height: 100 });
+        await assertMatchesGolden(image, `span4-${slot}`);
+      });
+    }
+
+    it('shows the album on the full strip only', () => {
+      assert.match(renderer.buildTextSvg(track, 684, { span: 4 }), /class="album">Hurry Up, We&#39;re Dreaming</);
+      assert.doesNotMatch(renderer.buildTextSvg(track, 284), /class="album"/);
+    });
+
+    it('treats left and right as the slots of a two-dial span', async () => {
+      const image = await renderer.render(track, 2, { span: 2 });
+      await assertMatchesGolden(image, 'render-right-no-art');
+    });
+
+    it('renders the idle state across the span', async () => {
+      await assertMatchesGolden(await renderer.createBlank(1, { span: 1 }), 'blank-span1');
+      await assertMatchesGolden(await renderer.createBlank(2, { span: 4 }), 'blank-span4-2');
+    });
+
+    it('puts the note on the first dial of the fallback only', async () => {
+      await assertMatchesGolden(await renderer.createFallback(1, { span: 4 }), 'fallback-left');
+      await assertMatchesGolden(await renderer.createFallback(3, { span: 4 }), 'fallback-right');
+    });
+  });
+
+  describe('caching', () => {
+    it('draws the canvas once for every dial of the same state', async () => {
+      const cached = new NowPlayingRenderer();
+      let draws = 0;
+      const drawCanvas = cached.drawCanvas.bind(cached);
+      cached.drawCanvas = (...args) => {
+        draws++;
+        return drawCanvas(...args);
+      };
+
+      const [left, right] = await Promise.all([
+        cached.render({ ...track, thumbnail: artwork }, 'left'),
+        cached.render({ ...track, thumbnail: artwork }, 'right')
+      ]);
+      assert.strictEqual(draws, 1);
+      await assertMatchesGolden(left, 'render-left-art');
+      await assertMatchesGolden(right, 'render-right-art');
+
+      await cached.render({ ...track, thumbnail: artwork, position: 123 }, 'left');
+      assert.strictEqual(draws, 2);
+    });
+
+    it('resizes each artwork once', async () => {
+      const cached = new NowPlayingRenderer();
+      let resizes = 0;
+      const shapeArtwork = cached.shapeArtwork.bind(cached);
+      cached.shapeArtwork = (...args) => {
+        resizes++;
+        return shapeArtwork(...args);
+      };
+
+      for (const position of [10, 20, 30]) {
+        await cached.render({ ...track, thumbnail: artwork, position }, 'left');
+      }
+      assert.strictEqual(resizes, 1);
+
+      await cached.render({ ...track, thumbnail: artwork }, 1, { span: 1 });
+      assert.strictEqual(resizes, 2);
+    });
+
+    it('remembers artwork that cannot be decoded', async () => {
+      const cached = new NowPlayingRenderer();
+      const broken = 'data:image/png;base64,bm90IGFuIGltYWdl';
+      assert.strictEqual(await cached.getArtwork(broken, cached.theme, 100), null);
+      assert.strictEqual(cached.artworks.size, 1);
+    });
+  });
+
+  describe('themes', () => {
+    it('renders with a preset theme', async () => {
+      const image = await renderer.render({ ...track, thumbnail: artwork }, 'left', { theme: resolveTheme('neon') });
+      await assertMatchesGolden(image, 'render-left-neon');
+    });
+
+    it('renders the idle half with the theme background', async () => {
+      const image = await renderer.createBlank('left', { theme: resolveTheme('daylight') });
+      await assertMatchesGolden(image, 'blank-left-daylight');
+    });
+
+    it('uses theme colors and sizes for the text', () => {
+      const svg = renderer.buildTextSvg(track, 276, { theme: resolveTheme('neon') });
+      assert.match(svg, /fill: #F6019D/);
+      assert.match(svg, /font-size="21" class="title"/);
+    });
+
+    it('fits bold titles by their bold width', async () => {
+      const remix = { ...track, trackName: 'Midnight City (Eric Prydz Remix)' };
+      const [regular] = renderer.layoutTextLines(remix);
+      const [bold] = renderer.layoutTextLines(remix, { theme: resolveTheme('midnight') });
+      assert.strictEqual(regular.fontSize, 19);
+      assert.strictEqual(bold.fontSize, 17);
+      assert.ok(measureText(bold.text, bold.fontSize, 'bold') <= renderer.getTextWidth());
+
+      const long = { ...track, trackName: 'Symphony No. 9 in D minor, Op. 125: IV. Presto' };
+      const [cut] = renderer.layoutTextLines(long, { theme: resolveTheme('midnight') });
+      assert.ok(measureText(cut.rows[0].text, cut.fontSize, 'bold') <= renderer.getTextWidth());
+      await assertMatchesGolden(await renderer.render(long, 'right', { theme: resolveTheme('midnight') }), 'render-right-bold');
+    });
+
+    it('uses the theme given to the constructor by default', async () => {
+      const themed = new NowPlayingRenderer({ theme: resolveTheme('minimal') });
+      const svg = (await themed.createProgressBar(200, 50, 200, 108, 75)).toString();
+      assert.match(svg, /fill="#FFFFFF"/);
+      assert.match(svg, /height="2"/);
+    });
+  });
+
+  describe('dynamic colors', () => {
+    it('derives the colors from the artwork', async () => {
+      const image = await renderer.render({ ...track, thumbnail: artwork }, 'right', { dynamicColors: true });
+      await assertMatchesGolden(image, 'render-right-dynamic');
+    });
+
+    it('extracts the palette once per artwork', async () => {
+      const cached = new NowPlayingRenderer();
+      await cached.render({ ...track, thumbnail: artwork }, 'left', { dynamicColors: true });
+      const palette = cached.palettes.values().next().value;
+      await cached.render({ ...track, thumbnail: artwork, position: 200 }, 'right', { dynamicColors: true });
+      assert.strictEqual(cached.palettes.size, 1);
+      assert.strictEqual(cached.palettes.values().next().value, palette);
+    });
+
+    it('keeps the theme colors without artwork', async () => {
+      const image = await renderer.render(track, 'left', { dynamicColors: true });
+      await assertMatchesGolden(image, 'render-left-no-art');
+    });
+  });
+
+  describe('formatTime()', () => {
+    it('formats minutes and seconds', () => {
+      assert.strictEqual(formatTime(0), '0:00');
+      assert.strictEqual(formatTime(61.9), '1:01');
+      assert.strictEqual(formatTime(599), '9:59');
+    });
+
+    it('adds hours for long tracks', () => {
+      assert.strictEqual(formatTime(3725), '1:02:05');
+    });
+
+    it('treats missing or negative values as zero', () => {
+      assert.strictEqual(formatTime(undefined), '0:00');
+      assert.strictEqual(formatTime(-5), '0:00');
+    });
+  });
+
+  describe('buildTextSvg()', () => {
+    it('renders title and artist', async () => {
+      const svg = renderer.buildTextSvg(track, 276);
+      assert.match(svg, />Midnight City</);
+      assert.match(svg, />M83</);
+      await assertMatchesGolden(svg, 'text');
+    });
+
+    it('joins multiple artists', () => {
+      const svg = renderer.buildTextSvg({ ...track, artist: ['Daft Punk', 'Pharrell Williams'] }, 276);
+      assert.match(svg, />Daft Punk, Pharrell Williams</);
+    });
+
+    it('truncates long titles and artists with an ellipsis', () => {
+      const svg = renderer.buildTextSvg({
+        ...track,
+        trackName: 'A'.repeat(40),
+        artist: 'B'.repeat(40)
+      }, 284);
+      assert.match(svg, /font-size="16" class="title">A+…</);
+      assert.match(svg, /font-size="13" class="artist">B+…</);
+    });
+
+    it('fits by rendered width rather than character count', () => {
+      const wide = renderer.buildTextSvg({ ...track, trackName: 'W'.repeat(20) }, 284);
+      const narrow = renderer.buildTextSvg({ ...track, trackName: 'i'.repeat(60) }, 284);
+      assert.match(wide, />W+…</);
+      assert.match(narrow, new RegExp(`>${'i'.repeat(60)}<`));
+    });
+
+    it('steps the font size down before truncating', () => {
+      const svg = renderer.buildTextSvg({ ...track, trackName: 'Midnight City (Eric Prydz Remix)' }, 284);
+      assert.match(svg, /font-size="(1[6-9])" class="title">Midnight City \(Eric Prydz Remix\)</);
+    });
+
+    it('wraps a long title over two lines when asked to', async () => {
+      const longTitle = { ...track, trackName: 'Symphony No. 9 in D minor, Op. 125 "Choral": IV. Presto' };
+      const svg = renderer.buildTextSvg(longTitle, 284, { wrapTitle: true });
+      assert.match(svg, /y="20" font-size="16" class="title">Symphony No. 9 in D minor, Op. 125</);
+      assert.match(svg, /y="39" font-size="16" class="title">&quot;Choral&quot;: IV. Presto</);
+      assert.match(svg, /y="60" font-size="16" class="artist">M83</);
+      await assertMatchesGolden(await renderer.render(longTitle, 'right', { wrapTitle: true }), 'render-right-wrapped');
+    });
+
+    it('wraps bold titles by their bold width', () => {
+      const longTitle = { ...track, trackName: 'Symphony No. 9 in D minor, Op. 125 "Choral": IV. Presto' };
+      const [title] = renderer.layoutTextLines(longTitle, { wrapTitle: true, theme: resolveTheme('midnight') });
+      assert.strictEqual(title.rows.length, 2);
+      for (const row of title.rows) {
+        assert.ok(measureText(row.text, title.fontSize, 'bold') <= renderer.getTextWidth(), row.text);
+      }
+      assert.deepStrictEqual(title.rows.map(row => row.text), ['Symphony No. 9 in D minor, Op.', '125 "Choral": IV. Presto']);
+    });
+
+    it('anchors right-to-left text at the right edge', async () => {
+      const hebrew = { ...track, trackName: 'שיר לשבת בבוקר', artist: ['עומר אדם'] };
+      const svg = renderer.buildTextSvg(hebrew, 284);
+      assert.match(svg, /x="276" direction="rtl" y="27"/);
+      await assertMatchesGolden(await renderer.render(hebrew, 'right'), 'render-right-rtl');
+    });
+
+    it('counts emoji sequences and combining marks as single characters', () => {
+      const svg = renderer.buildTextSvg({ ...track, trackName: 'Cafe\u0301 👨‍👩‍👧 🇯🇵' }, 284);
+      assert.match(svg, />Cafe\u0301 👨‍👩‍👧 🇯🇵</);
+    });
+
+    it('escapes XML special characters', () => {
+      const svg = renderer.buildTextSvg({ ...track, trackName: 'Rock & Roll <Live>', artist: '"Q" \'n\' A' }, 276);
+      assert.match(svg, /Rock &amp; Roll &lt;Live&gt;/);
+      assert.match(svg, /&quot;Q&quot; &#39;n&#39; A/);
+    });
+  });
+});
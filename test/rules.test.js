@@ -0,0 +1,203 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const RulesEngine = require('../src/rules');
+const { parseRules, replayRules, findProfile } = require('../src/rules');
+const manifest = require('../manifest.json');
+
+const MINUTE = 60 * 1000;
+
+const spotify = {
+  sourceAppId: 'Spotify.exe',
+  trackName: 'Around the World',
+  artist: ['Daft Punk'],
+  album: 'Homework',
+  isPlaying: true
+};
+const browser = { sourceAppId: 'chrome', trackName: 'Some Video', artist: 'Someone', isPlaying: true };
+
+function rules(list) {
+  const { rules: parsed, error } = parseRules(JSON.stringify(list));
+  assert.strictEqual(error, null);
+  return parsed;
+}
+
+// What ran, as "at rule type[:target]" lines that read like a log
+function summarize(ran) {
+  return ran.map(({ at, rule, action }) => `${at / 1000}s ${rule} ${action.type}:${'profile' in action ? action.profile : action.key}${action.state !== undefined ? `=${action.state}` : ''}`);
+}
+
+describe('replayRules()', () => {
+  const musicProfile = {
+    name: 'music',
+    when: { player: 'spotify', state: 'playing' },
+    then: { switchProfile: 'Music' }
+  };
+
+  it('switches the profile once when Spotify starts playing', () => {
+    const ran = replayRules(rules([musicProfile]), [
+      { at: 0, event: browser },
+      { at: 5000, event: spotify },
+      { at: 6000, event: { ...spotify, position: 1 } },
+      { at: 7000, event: { ...spotify, position: 2 } }
+    ]);
+    assert.deepStrictEqual(summarize(ran), ['5s music switchProfile:Music']);
+  });
+
+  it('runs again after the rule stopped matching', () => {
+    const ran = replayRules(rules([{ ...musicProfile, otherwise: { switchProfile: null } }]), [
+      { at: 0, event: spotify },
+      { at: 1000, event: { ...spotify, isPlaying: false } },
+      { at: 2000, event: spotify }
+    ]);
+    assert.deepStrictEqual(summarize(ran), [
+      '0s music switchProfile:Music',
+      '1s music switchProfile:null',
+      '2s music switchProfile:Music'
+    ]);
+  });
+
+  it('lights a key while an artist plays', () => {
+    const ran = replayRules(rules([{
+      name: 'party',
+      when: { artist: '^daft punk$' },
+      then: [{ setState: 'party', state: 1 }, { showOk: 'party' }],
+      otherwise: { setState: 'party', state: 0 }
+    }]), [
+      { at: 0, event: browser },
+      { at: 1000, event: spotify },
+      { at: 2000, event: { ...spotify, trackName: 'Da Funk' } },
+      { at: 3000, event: browser }
+    ]);
+    assert.deepStrictEqual(summarize(ran), [
+      '1s party setState:party=1',
+      '1s party showOk:party',
+      '3s party setState:party=0'
+    ]);
+  });
+
+  it('matches titles and albums as patterns, ignoring case', () => {
+    const ran = replayRules(rules([{ name: 'live', when: { title: '\\(live\\)', album: 'alive' }, then: { showAlert: 'live' } }]), [
+      { at: 0, event: { ...spotify, trackName: 'Around the World (Live)' } },
+      { at: 1000, event: { ...spotify, trackName: 'Around the World (Live)', album: 'Alive 2007' } }
+    ]);
+    assert.deepStrictEqual(summarize(ran), ['1s live showAlert:live']);
+  });
+
+  it('reverts once nothing has played for a while', () => {
+    const ran = replayRules(rules([musicProfile, {
+      name: 'idle',
+      when: { idleMinutes: 10 },
+      then: { switchProfile: null }
+    }]), [
+      { at: 0, event: spotify },
+      { at: 2 * MINUTE, event: { ...spotify, isPlaying: false } },
+      { at: 5 * MINUTE, event: { ...spotify, isPlaying: false, position: 3 } },
+      { at: 30 * MINUTE }
+    ]);
+    assert.deepStrictEqual(summarize(ran), ['0s music switchProfile:Music', '720s idle switchProfile:null']);
+  });
+
+  it('counts idle time from the start when nothing plays', () => {
+    const ran = replayRules(rules([{ name: 'idle', when: { idleMinutes: 1, player: 'spotify' }, then: { switchProfile: null } }]), [
+      { at: 0, event: browser },
+      { at: 30 * 1000, event: { ...browser, isPlaying: false } },
+      { at: 5 * MINUTE, event: { ...spotify, isPlaying: false } }
+    ]);
+    // Idle long enough at 1:30, but only Spotify counts
+    assert.deepStrictEqual(summarize(ran), ['300s idle switchProfile:null']);
+  });
+
+  it('uses the given playback state', () => {
+    const ran = replayRules(rules([{ name: 'stopped', when: { state: 'stopped' }, then: { showAlert: 'x' } }]), [
+      { at: 0, event: spotify },
+      { at: 1000, event: { ...spotify, isPlaying: false }, state: 'paused' },
+      { at: 2000, event: { ...spotify, isPlaying: false }, state: 'stopped' }
+    ]);
+    assert.deepStrictEqual(summarize(ran), ['2s stopped showAlert:x']);
+  });
+
+  it('starts out with no session', () => {
+    const ran = replayRules(rules([{ name: 'none', when: { state: 'none' }, then: { showAlert: 'x' } }]), [{ at: 1000, event: spotify }]);
+    assert.deepStrictEqual(summarize(ran), ['0s none showAlert:x']);
+  });
+});
+
+describe('RulesEngine', () => {
+  it('calls onAction for every action to run', () => {
+    const calls = [];
+    const engine = new RulesEngine({ timers: false, onAction: (action, rule) => calls.push([rule, action.type]) });
+    engine.setRules(rules([{ name: 'any', when: { state: 'playing' }, then: [{ showOk: 'a' }, { showAlert: 'b' }] }]));
+    engine.update(spotify);
+    assert.deepStrictEqual(calls, [['any', 'showOk'], ['any', 'showAlert']]);
+  });
+
+  it('checks idle rules on a timer', async () => {
+    let time = 0;
+    const calls = [];
+    const engine = new RulesEngine({ now: () => time, onAction: action => calls.push(action.type) });
+    engine.setRules(rules([{ when: { idleMinutes: 0.0005 }, then: { showAlert: 'idle' } }])); // 30 ms
+    time = 30;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.deepStrictEqual(calls, ['showAlert']);
+    engine.stop();
+  });
+});
+
+describe('parseRules()', () => {
+  it('has no rules for empty settings', () => {
+    assert.deepStrictEqual(parseRules(''), { rules: [], error: null });
+  });
+
+  it('reports broken JSON and mistakes, with no rules at all', () => {
+    assert.match(parseRules('[{').error, /^Not valid JSON/);
+    assert.match(parseRules('{}').error, /^Must be a list/);
+
+    const { rules: parsed, error } = parseRules(JSON.stringify([
+      { when: { player: 'spotify' }, then: { showOk: 'a' } },
+      { when: { artist: '(' }, then: { showOk: 'a' } }
+    ]));
+    assert.deepStrictEqual(parsed, []);
+    assert.strictEqual(error, 'Rule 2: "artist" is not a valid regular expression');
+  });
+
+  it('explains what is wrong with a rule', () => {
+    const errorOf = rule => parseRules(JSON.stringify([rule])).error;
+    assert.strictEqual(errorOf({ then: { showOk: 'a' } }), 'Rule 1: needs "when" conditions');
+    assert.strictEqual(errorOf({ when: { player: 'spotify' } }), 'Rule 1: needs "then" or "otherwise" actions');
+    assert.strictEqual(errorOf({ when: {}, then: { showOk: 'a' } }), 'Rule 1: needs at least one condition');
+    assert.strictEqual(errorOf({ when: { genre: 'rock' }, then: { showOk: 'a' } }), 'Rule 1: unknown condition "genre"');
+    assert.strictEqual(errorOf({ when: { state: 'loud' }, then: { showOk: 'a' } }), 'Rule 1: unknown state "loud", use playing, paused, stopped, none');
+    assert.strictEqual(errorOf({ when: { idleMinutes: 0 }, then: { showOk: 'a' } }), 'Rule 1: "idleMinutes" must be a number of minutes');
+    assert.strictEqual(errorOf({ when: { player: 'x' }, then: { setState: 'a', state: 2 } }), 'Rule 1: "state" must be 0 or 1');
+    assert.strictEqual(errorOf({ when: { player: 'x' }, then: { showOk: '' } }), 'Rule 1: "showOk" needs the name of a Rule Indicator key');
+    assert.strictEqual(errorOf({ when: { player: 'x' }, then: { launch: 'x' } }), 'Rule 1: unknown action {"launch":"x"}');
+    assert.strictEqual(errorOf({ when: { player: 'x' }, then: { switchProfile: 'Gaming' } }),
+      'Rule 1: "switchProfile": no profile "Gaming" comes with the plugin, only Music');
+  });
+
+  it('names rules by position unless named', () => {
+    const { rules: parsed } = parseRules(JSON.stringify([{ when: { player: 'x' }, then: { setState: 'a' } }]));
+    assert.strictEqual(parsed[0].name, 'Rule 1');
+    assert.deepStrictEqual(parsed[0].then, [{ type: 'setState', key: 'a', state: 1 }]);
+  });
+});
+
+describe('findProfile()', () => {
+  it('picks the profile made for the kind of device, ignoring case', () => {
+    assert.strictEqual(findProfile('Music', 0), 'profiles/stream-deck/Music');
+    assert.strictEqual(findProfile('music', 7), 'profiles/stream-deck-plus/Music');
+    assert.strictEqual(findProfile('Music', 2), null);
+    assert.strictEqual(findProfile('Gaming', 0), null);
+  });
+
+  it('finds every profile of the manifest in the plugin', () => {
+    assert.ok(manifest.Profiles.length > 0);
+    for (const profile of manifest.Profiles) {
+      const file = path.join(__dirname, '..', `${profile.Name}.streamDeckProfile`);
+      // Profiles are zip files
+      assert.strictEqual(fs.readFileSync(file).toString('latin1', 0, 2), 'PK', file);
+    }
+  });
+});
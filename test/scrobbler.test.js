@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scrobbler = require('../src/scrobbler');
+const { shouldScrobble } = require('../src/scrobbler');
+const { SubmitError } = require('../src/listenbrainz-client');
+
+function entry(trackName, played = 200) {
+  return {
+    trackName,
+    artist: 'M83',
+    album: '',
+    player: 'Spotify',
+    startedAt: '2024-01-01T12:00:00.000Z',
+    played,
+    duration: 240,
+    completed: false,
+    artwork: null
+  };
+}
+
+// Client stand-in that fails with the queued errors, then succeeds
+function createClient() {
+  return {
+    scrobbled: [],
+    playing: [],
+    failures: [],
+    async scrobble(listens) {
+      const failure = this.failures.shift();
+      if (failure) throw failure;
+      this.scrobbled.push(listens.map(listen => listen.track_metadata.track_name));
+    },
+    async playingNow(listen) {
+      this.playing.push(listen.track_metadata.track_name);
+    }
+  };
+}
+
+describe('Scrobbler', () => {
+  let dir;
+  let file;
+  let client;
+  let scrobbler;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowplaying-scrobbles-'));
+    file = path.join(dir, 'scrobbles.json');
+    client = createClient();
+    scrobbler = new Scrobbler({ file, client, retryDelay: 10, maxRetryDelay: 40 });
+  });
+
+  afterEach(async () => {
+    scrobbler.stop();
+    await scrobbler.writing;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function savedQueue() {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).map(listen => listen.track_metadata.track_name);
+  }
+
+  describe('shouldScrobble()', () => {
+    it('needs half the track or 4 minutes played', () => {
+      assert.strictEqual(shouldScrobble({ played: 120, duration: 240 }), true);
+      assert.strictEqual(shouldScrobble({ played: 119, duration: 240 }), false);
+      assert.strictEqual(shouldScrobble({ played: 240, duration: 1200 }), true);
+      assert.strictEqual(shouldScrobble({ played: 239, duration: 1200 }), false);
+    });
+
+    it('never scrobbles short tracks, and needs 4 minutes without a duration', () => {
+      assert.strictEqual(shouldScrobble({ played: 30, duration: 30 }), false);
+      assert.strictEqual(shouldScrobble({ played: 240, duration: null }), true);
+      assert.strictEqual(shouldScrobble({ played: 200, duration: null }), false);
+    });
+  });
+
+  it('sends plays that count and skips the rest', async () => {
+    assert.strictEqual(scrobbler.add(entry('Midnight City')), true);
+    assert.strictEqual(scrobbler.add(entry('Skipped', 20)), false);
+    await scrobbler.flush();
+    await scrobbler.writing;
+    assert.deepStrictEqual(client.scrobbled, [['Midnight City']]);
+    assert.deepStrictEqual(savedQueue(), []);
+  });
+
+  it('queues nothing while scrobbling is off', () => {
+    scrobbler = new Scrobbler({ file, client: null });
+    assert.strictEqual(scrobbler.add(entry('Midnight City')), false);
+  });
+
+  it('queues plays until it is known whether scrobbling is on', async () => {
+    scrobbler = new Scrobbler({ file });
+    assert.strictEqual(scrobbler.add(entry('Midnight City')), true);
+    await scrobbler.writing;
+    assert.deepStrictEqual(savedQueue(), ['Midnight City']);
+
+    await scrobbler.setClient(client);
+    assert.deepStrictEqual(client.scrobbled, [['Midnight City']]);
+  });
+
+  it('replaces the queue file in one step', async () => {
+    scrobbler.add(entry('Midnight City'));
+    await scrobbler.flush();
+    await scrobbler.writing;
+    assert.deepStrictEqual(fs.readdirSync(dir), ['scrobbles.json']);
+  });
+
+  it('keeps scrobbles while offline and retries with backoff', async () => {
+    client.failures.push(new SubmitError('offline'), new SubmitError('offline'));
+    scrobbler.add(entry('Midnight City'));
+    await scrobbler.flush();
+    await scrobbler.writing;
+    assert.deepStrictEqual(savedQueue(), ['Midnight City']);
+    assert.ok(scrobbler.retryTimer);
+
+    // Scrobbles made while waiting go with the retry
+    scrobbler.add(entry('Wait'));
+    assert.deepStrictEqual(client.scrobbled, []);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await scrobbler.flush();
+    assert.deepStrictEqual(client.scrobbled, [['Midnight City', 'Wait']]);
+    assert.strictEqual(scrobbler.attempts, 0);
+  });
+
+  it('doubles the wait after every failure, up to the limit', () => {
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      delays.push(scrobbler.getRetryDelay(new SubmitError('offline')));
+      scrobbler.attempts++;
+    }
+    assert.deepStrictEqual(delays, [10, 20, 40, 40]);
+    assert.strictEqual(scrobbler.getRetryDelay(new SubmitError('slow down', { status: 429, retryAfter: 5000 })), 5000);
+  });
+
+  it('drops listens the server rejects', async () => {
+    client.failures.push(new SubmitError('bad listen', { status: 400, retryable: false }));
+    scrobbler.add(entry('Broken'));
+    await scrobbler.flush();
+    scrobbler.add(entry('Midnight City'));
+    await scrobbler.flush();
+    assert.deepStrictEqual(client.scrobbled, [['Midnight City']]);
+  });
+
+  it('holds scrobbles after the token is rejected until the client changes', async () => {
+    client.failures.push(new SubmitError('bad token', { status: 401, retryable: false }));
+    scrobbler.add(entry('Midnight City'));
+    await scrobbler.flush();
+    scrobbler.add(entry('Wait'));
+    await scrobbler.flush();
+    assert.deepStrictEqual(client.scrobbled, []);
+
+    const fixed = createClient();
+    await scrobbler.setClient(fixed);
+    assert.deepStrictEqual(fixed.scrobbled, [['Midnight City', 'Wait']]);
+  });
+
+  it('sends the queue saved by an earlier run', async () => {
+    client.failures.push(new SubmitError('offline'));
+    scrobbler.add(entry('Midnight City'));
+    await scrobbler.flush();
+    scrobbler.stop();
+    await scrobbler.writing;
+
+    const next = createClient();
+    scrobbler = new Scrobbler({ file, client: next });
+    await scrobbler.load();
+    assert.deepStrictEqual(next.scrobbled, [['Midnight City']]);
+  });
+
+  describe('nowPlaying()', () => {
+    const event = { trackName: 'Midnight City', artist: ['M83'], isPlaying: true, duration: 240 };
+
+    it('reports each playing track once', async () => {
+      await scrobbler.nowPlaying(event);
+      await scrobbler.nowPlaying({ ...event, position: 30 });
+      await scrobbler.nowPlaying({ ...event, isPlaying: false });
+      await scrobbler.nowPlaying(null);
+      await scrobbler.nowPlaying({ ...event, trackName: 'Wait' });
+      assert.deepStrictEqual(client.playing, ['Midnight City', 'Wait']);
+    });
+
+    it('shrugs off failures', async () => {
+      client.playingNow = async () => { throw new SubmitError('offline'); };
+      await scrobbler.nowPlaying(event);
+      assert.strictEqual(scrobbler.queue.length, 0);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SessionManager = require('../src/session-manager');
+const { getPlayerName, parsePlayerList, matchesApp } = require('../src/session-manager');
+
+const spotify = { sourceAppId: 'Spotify.exe', trackName: 'Midnight City', artist: ['M83'], isPlaying: true };
+const chrome = { sourceAppId: 'chrome.exe', trackName: 'Some Video', artist: ['Channel'], isPlaying: true };
+
+function createManager(options) {
+  let now = 0;
+  const manager = new SessionManager({ now: () => now, ...options });
+  manager.tick = (ms = 1000) => { now += ms; };
+  return manager;
+}
+
+describe('SessionManager', () => {
+  it('follows the session that started playing most recently', () => {
+    const manager = createManager();
+    manager.update(spotify);
+    manager.tick();
+    manager.update(chrome);
+    assert.strictEqual(manager.getSelectedEvent().trackName, 'Some Video');
+
+    // Chrome pausing hands the display back to Spotify
+    manager.tick();
+    manager.update({ ...chrome, isPlaying: false });
+    assert.strictEqual(manager.getSelectedEvent().trackName, 'Midnight City');
+  });
+
+  it('prefers the preferred player while it plays', () => {
+    const manager = createManager({ policy: 'preferred', preferred: 'spotify' });
+    manager.update(spotify);
+    manager.tick();
+    manager.update(chrome);
+    assert.strictEqual(manager.getSelected().appId, 'Spotify.exe');
+
+    manager.update({ ...spotify, isPlaying: false });
+    assert.strictEqual(manager.getSelected().appId, 'chrome.exe');
+  });
+
+  it('ignores blocked players', () => {
+    const manager = createManager({ blocked: ['Chrome'] });
+    manager.update(spotify);
+    manager.tick();
+    manager.update(chrome);
+    assert.strictEqual(manager.getSelected().appId, 'Spotify.exe');
+    assert.strictEqual(manager.getSelectedEvent().sessionCount, 1);
+  });
+
+  it('only reports changes that affect the selected event', () => {
+    const manager = createManager({ policy: 'preferred', preferred: 'spotify' });
+    assert.strictEqual(manager.update(spotify), true);
+    // A new session changes the session count
+    assert.strictEqual(manager.update(chrome), true);
+    // Another update from the unselected session changes nothing shown
+    assert.strictEqual(manager.update({ ...chrome, trackName: 'Next Video' }), false);
+    assert.strictEqual(manager.update({ ...spotify, position: 30 }), true);
+  });
+
+  it('ignores missing events', () => {
+    const manager = createManager();
+    manager.update(spotify);
+    assert.strictEqual(manager.update(null), false);
+    assert.strictEqual(manager.getSelectedEvent().trackName, 'Midnight City');
+  });
+
+  it('ends sessions that stop without a track', () => {
+    const manager = createManager();
+    manager.update(spotify);
+    manager.update({ sourceAppId: 'Spotify.exe', isPlaying: false });
+    assert.strictEqual(manager.getSelectedEvent(), null);
+  });
+
+  it('cycles through sessions and keeps the pick', () => {
+    const manager = createManager();
+    manager.update(spotify);
+    manager.tick();
+    manager.update(chrome);
+
+    assert.strictEqual(manager.cycle().appId, 'Spotify.exe');
+    manager.tick();
+    manager.update({ ...chrome, trackName: 'Next Video' });
+    assert.strictEqual(manager.getSelected().appId, 'Spotify.exe');
+    assert.strictEqual(manager.cycle().appId, 'chrome.exe');
+
+    const event = manager.getSelectedEvent();
+    assert.strictEqual(event.player, 'Chrome');
+    assert.strictEqual(event.sessionIndex, 1);
+    assert.strictEqual(event.sessionCount, 2);
+  });
+
+  it('targets the selected app, or nothing for sources without app ids', () => {
+    const manager = createManager();
+    manager.update({ trackName: 'Song', isPlaying: true });
+    assert.strictEqual(manager.getTarget(), null);
+    manager.tick();
+    manager.update(spotify);
+    assert.strictEqual(manager.getTarget(), 'Spotify.exe');
+  });
+});
+
+describe('getPlayerName()', () => {
+  it('turns app ids into player names', () => {
+    assert.strictEqual(getPlayerName('Spotify.exe'), 'Spotify');
+    assert.strictEqual(getPlayerName('com.spotify.client'), 'Spotify');
+    assert.strictEqual(getPlayerName('SpotifyAB.SpotifyMusic_zpdnekdrzrea0!Spotify'), 'Spotify');
+    assert.strictEqual(getPlayerName('C:\\Program Files\\VLC\\vlc.exe'), 'Vlc');
+    assert.strictEqual(getPlayerName('default'), '');
+  });
+});
+
+describe('player lists', () => {
+  it('splits comma and newline separated names', () => {
+    assert.deepStrictEqual(parsePlayerList('Chrome, firefox\nEdge,'), ['Chrome', 'firefox', 'Edge']);
+    assert.deepStrictEqual(parsePlayerList(undefined), []);
+  });
+
+  it('matches parts of app ids ignoring case', () => {
+    assert.strictEqual(matchesApp('com.google.Chrome', 'chrome'), true);
+    assert.strictEqual(matchesApp('Spotify.exe', 'chrome'), false);
+  });
+});
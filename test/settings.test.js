@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  GLOBAL_SETTINGS,
+  KEYPAD_SETTINGS,
+  LCD_SETTINGS,
+  migrateSettings,
+  parseSettings,
+  readSettings
+} = require('../src/settings');
+
+describe('parseSettings()', () => {
+  it('uses defaults for settings that are not set', () => {
+    const { values, errors } = parseSettings(GLOBAL_SETTINGS, { preferredPlayer: '' });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(values.logLevel, 'info');
+    assert.strictEqual(values.idleTimeout, 5 * 60 * 1000);
+    assert.strictEqual(values.historyRetention, 30);
+    assert.strictEqual(values.apiEnabled, 'off');
+    assert.strictEqual(values.apiPort, 8974);
+    assert.strictEqual(values.preferredPlayer, '');
+  });
+
+  it('turns inspector strings into numbers and trims text', () => {
+    const { values, errors } = parseSettings(GLOBAL_SETTINGS, {
+      idleTimeout: '60000',
+      apiPort: ' 9000 ',
+      lyricsFolder: '  /music/lyrics ',
+      outputIdleText: ' Nothing playing '
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(values.idleTimeout, 60000);
+    assert.strictEqual(values.apiPort, 9000);
+    assert.strictEqual(values.lyricsFolder, '/music/lyrics');
+    assert.strictEqual(values.outputIdleText, ' Nothing playing ');
+  });
+
+  it('reports invalid values and uses the default instead', () => {
+    const { values, errors } = parseSettings(GLOBAL_SETTINGS, {
+      logLevel: 'loud',
+      apiPort: '80000',
+      idleTimeout: 'soon',
+      scrobbleUrl: 'listenbrainz.example',
+      outputTemplates: 'nowplaying={trackName}\n{artist}'
+    });
+    assert.strictEqual(values.logLevel, 'info');
+    assert.strictEqual(values.apiPort, 8974);
+    assert.strictEqual(values.scrobbleUrl, '');
+    assert.deepStrictEqual(errors, [
+      { setting: 'logLevel', value: 'loud', message: 'Unknown option "loud"' },
+      { setting: 'idleTimeout', value: 'soon', message: 'Must be a whole number' },
+      { setting: 'scrobbleUrl', value: 'listenbrainz.example', message: 'Must start with http:// or https://' },
+      { setting: 'apiPort', value: '80000', message: 'Must be between 1 and 65535' },
+      { setting: 'outputTemplates', value: 'nowplaying={trackName}\n{artist}', message: 'Line 2 is not name=template' }
+    ]);
+  });
+
+  it('reports mistakes in rules', () => {
+    const { values, errors } = parseSettings(GLOBAL_SETTINGS, { rules: '[{ "when": { "genre": "rock" }, "then": { "showOk": "a" } }]' });
+    assert.strictEqual(values.rules, '');
+    assert.strictEqual(errors[0].message, 'Rule 1: unknown condition "genre"');
+  });
+
+  it('reads key fields as a list', () => {
+    assert.deepStrictEqual(parseSettings(KEYPAD_SETTINGS, { keyFields: 'artist,title' }).values.keyFields, ['artist', 'title']);
+    const { values, errors } = parseSettings(KEYPAD_SETTINGS, { keyFields: 'title,year' });
+    assert.deepStrictEqual(values.keyFields, ['title', 'artist']);
+    assert.strictEqual(errors[0].message, 'Unknown option "year"');
+  });
+
+  it('leaves custom theme values to the base theme unless set', () => {
+    const { values, errors } = parseSettings(LCD_SETTINGS, { theme: 'custom', customTitle: '#FFF', customAccent: 'green' });
+    assert.strictEqual(values.customTitle, '#FFF');
+    assert.strictEqual(values.customAccent, null);
+    assert.strictEqual(values.customTitleSize, null);
+    assert.deepStrictEqual(errors.map(error => error.setting), ['customAccent']);
+  });
+
+  it('reports a dial past the end of its span', () => {
+    const { values, errors } = parseSettings(LCD_SETTINGS, { span: '2', slot: '4' });
+    assert.strictEqual(values.slot, 2);
+    assert.deepStrictEqual(errors, [{ setting: 'slot', value: 4, message: 'A 2-dial span has no dial 4' }]);
+  });
+});
+
+describe('migrateSettings()', () => {
+  it('turns the old left/right position into a slot', () => {
+    assert.deepStrictEqual(migrateSettings(LCD_SETTINGS, { position: 'right', theme: 'neon' }), {
+      settings: { slot: '2', theme: 'neon', settingsVersion: 1 },
+      migrated: true
+    });
+    assert.strictEqual(migrateSettings(LCD_SETTINGS, { position: 'left' }).settings.slot, '1');
+  });
+
+  it('keeps a slot that is already set', () => {
+    const { settings } = migrateSettings(LCD_SETTINGS, { position: 'left', slot: '3', span: '4' });
+    assert.deepStrictEqual(settings, { slot: '3', span: '4', settingsVersion: 1 });
+  });
+
+  it('leaves current and newer settings alone', () => {
+    const current = { slot: '2', settingsVersion: 1 };
+    assert.deepStrictEqual(migrateSettings(LCD_SETTINGS, current), { settings: current, migrated: false });
+    const newer = { position: 'right', settingsVersion: 7 };
+    assert.deepStrictEqual(migrateSettings(LCD_SETTINGS, newer), { settings: newer, migrated: false });
+  });
+
+  it('runs only the migrations newer than the saved version, in order', () => {
+    const schema = {
+      fields: {},
+      migrations: [
+        settings => ({ ...settings, steps: [...(settings.steps || []), 1] }),
+        settings => ({ ...settings, steps: [...(settings.steps || []), 2] })
+      ]
+    };
+    assert.deepStrictEqual(migrateSettings(schema, {}).settings, { steps: [1, 2], settingsVersion: 2 });
+    assert.deepStrictEqual(migrateSettings(schema, { settingsVersion: 1 }).settings, { steps: [2], settingsVersion: 2 });
+  });
+});
+
+describe('readSettings()', () => {
+  it('parses migrated settings', () => {
+    const { values, migrated, settings } = readSettings(LCD_SETTINGS, { position: 'right' });
+    assert.strictEqual(migrated, true);
+    assert.strictEqual(settings.settingsVersion, 1);
+    assert.strictEqual(values.span, 2);
+    assert.strictEqual(values.slot, 2);
+  });
+});
+
+describe('property inspectors', () => {
+  const inspectors = {
+    'keypad-inspector.html': KEYPAD_SETTINGS,
+    'lcd-inspector.html': LCD_SETTINGS
+  };
+
+  it('offer the ranges the schemas accept', () => {
+    for (const [file, schema] of Object.entries(inspectors)) {
+      const html = fs.readFileSync(path.join(__dirname, '..', 'inspector', file), 'utf8');
+      const ranges = [...html.matchAll(/<sdpi-range setting="(\w+)" min="(-?\d+)" max="(-?\d+)"/g)];
+      assert.ok(ranges.length > 0, file);
+      for (const [, setting, min, max] of ranges) {
+        const field = schema.fields[setting];
+        assert.deepStrictEqual([Number(min), Number(max)], [field.min, field.max], `${file}: ${setting}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { MockMediaSource, NowPlayingSource, createMediaSource } = require('../src/sources');
+
+const script = [
+  { type: 'track', trackName: 'One', artist: ['A'], duration: 100 },
+  { delay: 5, type: 'seek', position: 40 },
+  { delay: 5, type: 'pause' },
+  { delay: 5, type: 'artwork', thumbnail: 'data:image/png;base64,AAAA' },
+  { delay: 5, type: 'track', trackName: 'Two', artist: ['B'], duration: 200 }
+];
+
+function collect(steps, options) {
+  const events = [];
+  const source = new MockMediaSource((event) => events.push(event), steps, { autoplay: false, ...options });
+  return { source, events };
+}
+
+describe('MockMediaSource', () => {
+  it('applies track, seek, pause and artwork steps', () => {
+    const { source, events } = collect(script);
+    while (source.step()) { /* drain */ }
+
+    assert.deepStrictEqual(events.map(e => [e.trackName, e.position, e.isPlaying]), [
+      ['One', 0, true],
+      ['One', 40, true],
+      ['One', 40, false],
+      ['One', 40, false],
+      ['Two', 0, true]
+    ]);
+    assert.strictEqual(events[3].thumbnail, 'data:image/png;base64,AAAA');
+    assert.strictEqual(events[4].thumbnail, undefined);
+  });
+
+  it('emits recorded events unchanged', () => {
+    const recorded = { trackName: 'Logged', isPlaying: true, extra: 1 };
+    const { source, events } = collect([{ event: recorded }, recorded]);
+    source.step();
+    source.step();
+    assert.deepStrictEqual(events, [recorded, recorded]);
+  });
+
+  it('loads artwork files relative to the script', () => {
+    const { source, events } = collect([{ type: 'artwork', file: 'artwork.png' }], {
+      baseDir: path.join(__dirname, 'fixtures')
+    });
+    source.step();
+    assert.match(events[0].thumbnail, /^data:image\/png;base64,iVBOR/);
+  });
+
+  it('replays with delays after subscribe and reports the end', async () => {
+    const events = [];
+    await new Promise((resolve) => {
+      const source = new MockMediaSource((event) => events.push(event), script, { onEnd: resolve });
+      source.subscribe();
+    });
+    assert.strictEqual(events.length, script.length);
+  });
+
+  it('stops replaying after unsubscribe', async () => {
+    const { source, events } = collect(script, { autoplay: true });
+    await source.subscribe();
+    await new Promise(resolve => setTimeout(resolve, 1));
+    await source.unsubscribe();
+    const count = events.length;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(events.length, count);
+  });
+
+  it('loops when asked to', () => {
+    const { source, events } = collect({ loop: true, steps: [{ type: 'track', trackName: 'Only' }] });
+    source.step();
+    source.step();
+    assert.strictEqual(events.length, 2);
+  });
+
+  it('reacts to transport commands and records them', async () => {
+    const { source, events } = collect(script);
+    source.step();
+
+    await source.playPause();
+    assert.strictEqual(events.at(-1).isPlaying, false);
+
+    await source.seek(30);
+    await source.seek(-50);
+    assert.strictEqual(events.at(-1).position, 0);
+    await source.seek(500);
+    assert.strictEqual(events.at(-1).position, 100);
+
+    await source.next();
+    assert.strictEqual(events.at(-1).trackName, 'Two');
+
+    await source.previous();
+    assert.strictEqual(events.at(-1).position, 0);
+
+    assert.deepStrictEqual(source.commands.map(c => c.command), [
+      'playPause', 'seek', 'seek', 'seek', 'next', 'previous'
+    ]);
+  });
+
+  it('changes the volume within range and likes tracks', async () => {
+    const { source, events } = collect(script);
+    source.step();
+
+    await source.changeVolume(-0.25);
+    assert.strictEqual(events.at(-1).volume, 0.75);
+    await source.changeVolume(2);
+    assert.strictEqual(events.at(-1).volume, 1);
+
+    await source.like();
+    assert.strictEqual(events.at(-1).isLiked, true);
+  });
+
+  it('records the session commands are sent to', async () => {
+    const { source } = collect(script);
+    source.step();
+
+    await source.next();
+    source.setSession('Spotify.exe');
+    await source.next();
+    assert.deepStrictEqual(source.commands, [
+      { command: 'next', args: [] },
+      { command: 'next', args: [], session: 'Spotify.exe' }
+    ]);
+  });
+
+  it('sets shuffle and repeat', async () => {
+    const { source, events } = collect(script);
+    source.step();
+
+    await source.setShuffle(true);
+    assert.strictEqual(events.at(-1).shuffleState, true);
+    await source.setRepeat('track');
+    assert.strictEqual(events.at(-1).repeatState, 'track');
+  });
+
+  it('rejects unknown step types', () => {
+    const { source } = collect([{ type: 'rewind' }]);
+    assert.throws(() => source.step(), /Unknown mock step type: rewind/);
+  });
+});
+
+describe('createMediaSource()', () => {
+  it('uses node-nowplaying by default', () => {
+    assert.ok(createMediaSource(() => {}) instanceof NowPlayingSource);
+  });
+
+  it('uses the mock source when a script is given', () => {
+    const source = createMediaSource(() => {}, { mockScript: path.join(__dirname, '..', 'scripts', 'sample-session.json') });
+    assert.ok(source instanceof MockMediaSource);
+    assert.ok(source.steps.length > 0);
+  });
+});
+
+describe('NowPlayingSource', () => {
+  it('refuses transport commands before subscribing', async () => {
+    await assert.rejects(new NowPlayingSource(() => {}).playPause(), /Not subscribed/);
+  });
+});
@@ -0,0 +1,229 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SubscriptionManager = require('../src/subscription-manager');
+const { MockMediaSource } = require('../src/sources');
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const playing = { type: 'event', event: { sourceAppId: 'Spotify.exe', trackName: 'One', isPlaying: true, position: 0, duration: 0.02 } };
+const paused = { type: 'event', event: { sourceAppId: 'Spotify.exe', trackName: 'One', isPlaying: false, position: 0, duration: 0.02 } };
+
+describe('SubscriptionManager', () => {
+  let sources;
+  let failures;
+  let events;
+  let statuses;
+  let manager;
+
+  // Mock sources whose subscribe fails while failures are left
+  function createSource(callback) {
+    const source = new MockMediaSource(callback, [playing, paused], { autoplay: false });
+    const subscribe = source.subscribe.bind(source);
+    source.subscribe = async () => {
+      if (failures > 0) {
+        failures--;
+        throw new Error('No media session');
+      }
+      await subscribe();
+    };
+    sources.push(source);
+    return source;
+  }
+
+  function createManager(options = {}) {
+    return new SubscriptionManager({
+      createSource,
+      onEvent: event => events.push(event),
+      onStatus: status => statuses.push(status),
+      retryDelay: 5,
+      releaseDelay: 20,
+      stallGrace: 20,
+      ...options
+    });
+  }
+
+  beforeEach(() => {
+    sources = [];
+    failures = 0;
+    events = [];
+    statuses = [];
+    manager = createManager();
+  });
+
+  afterEach(async () => {
+    await manager.stop();
+  });
+
+  it('shares one subscription between actions that appear together', async () => {
+    await Promise.all([manager.acquire(), manager.acquire(), manager.acquire()]);
+
+    assert.strictEqual(sources.length, 1);
+    assert.strictEqual(manager.source, sources[0]);
+    assert.strictEqual(sources[0].subscribed, true);
+    assert.deepStrictEqual(statuses, ['connecting', 'connected']);
+  });
+
+  it('passes on the events of the subscribed source', async () => {
+    await manager.acquire();
+    sources[0].step();
+
+    assert.deepStrictEqual(events.map(event => event.trackName), ['One']);
+  });
+
+  it('retries a failed subscribe until it works', async () => {
+    failures = 2;
+    await manager.acquire();
+    assert.strictEqual(manager.source, null);
+    assert.strictEqual(manager.status, 'unavailable');
+
+    // 5 ms, then 10 ms
+    await wait(50);
+    await manager.queue;
+    assert.strictEqual(sources.length, 3);
+    assert.strictEqual(manager.source, sources[2]);
+    assert.strictEqual(manager.attempts, 0);
+    assert.deepStrictEqual(statuses, ['connecting', 'unavailable', 'connected']);
+  });
+
+  it('retries when the source cannot even be created', async () => {
+    let broken = true;
+    manager = createManager({
+      createSource: callback => {
+        if (broken) throw new Error('Cannot find module');
+        return createSource(callback);
+      }
+    });
+    await manager.acquire();
+    assert.strictEqual(manager.status, 'unavailable');
+
+    broken = false;
+    await wait(30);
+    await manager.queue;
+    assert.strictEqual(manager.status, 'connected');
+  });
+
+  it('doubles the wait after every failure, up to the limit', () => {
+    manager = createManager({ retryDelay: 10, maxRetryDelay: 40 });
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      delays.push(manager.getRetryDelay());
+      manager.attempts++;
+    }
+    assert.deepStrictEqual(delays, [10, 20, 40, 40]);
+  });
+
+  it('stops retrying once released', async () => {
+    failures = Infinity;
+    await manager.acquire();
+    manager.release();
+    await wait(40);
+    await manager.queue;
+    const attempts = sources.length;
+
+    await wait(40);
+    assert.strictEqual(sources.length, attempts);
+    assert.strictEqual(manager.status, 'idle');
+  });
+
+  it('unsubscribes only after the release delay', async () => {
+    await manager.acquire();
+    manager.release();
+    assert.strictEqual(sources[0].subscribed, true);
+
+    await wait(40);
+    await manager.queue;
+    assert.strictEqual(sources[0].subscribed, false);
+    assert.strictEqual(manager.source, null);
+    assert.strictEqual(manager.status, 'idle');
+  });
+
+  it('keeps the subscription when an action appears again within the delay', async () => {
+    await manager.acquire();
+    manager.release();
+    await wait(5);
+    await manager.acquire();
+
+    await wait(40);
+    assert.strictEqual(sources.length, 1);
+    assert.strictEqual(sources[0].subscribed, true);
+    assert.deepStrictEqual(statuses, ['connecting', 'connected']);
+  });
+
+  it('resubscribes when a playing player goes quiet past the end of its track', async () => {
+    await manager.acquire();
+    sources[0].step(); // Playing, 20 ms left
+
+    await wait(80);
+    await manager.queue;
+    assert.strictEqual(sources.length, 2);
+    assert.strictEqual(sources[0].subscribed, false);
+    assert.strictEqual(manager.source, sources[1]);
+    assert.strictEqual(manager.status, 'connected');
+  });
+
+  it('lets paused players stay quiet', async () => {
+    await manager.acquire();
+    sources[0].step();
+    sources[0].step(); // Paused
+
+    await wait(80);
+    assert.strictEqual(sources.length, 1);
+    assert.strictEqual(manager.deadlines.size, 0);
+  });
+
+  it('expects a playing track to send an event by the time it ends', async () => {
+    let time = 0;
+    manager = createManager({ now: () => time, stallGrace: 30000, stallTimeout: 600000 });
+    await manager.acquire();
+
+    // A long mix, a track about to end and one without a duration
+    manager.watch({ sourceAppId: 'Mix.exe', isPlaying: true, position: 60, duration: 3600 });
+    manager.watch({ sourceAppId: 'Spotify.exe', isPlaying: true, position: 230, duration: 240 });
+    manager.watch({ sourceAppId: 'Radio.exe', isPlaying: true });
+    assert.deepStrictEqual(Object.fromEntries(manager.deadlines), { 'Mix.exe': 3570000, 'Spotify.exe': 40000, 'Radio.exe': 600000 });
+  });
+
+  it('leaves a track that plays without events alone until it ends', async () => {
+    let time = 0;
+    manager = createManager({ now: () => time, stallGrace: 30000 });
+    await manager.acquire();
+    manager.watch({ sourceAppId: 'Spotify.exe', isPlaying: true, position: 0, duration: 240 });
+
+    // Every 10 seconds of a 4-minute track, and the grace after it
+    for (time = 0; time < 270000; time += 10000) {
+      manager.checkStalled();
+      await manager.queue;
+    }
+    assert.strictEqual(sources.length, 1);
+    assert.strictEqual(manager.source, sources[0]);
+
+    time = 270000;
+    manager.checkStalled();
+    await manager.queue;
+    assert.strictEqual(sources.length, 2);
+  });
+
+  it('resubscribes when a playing track without a duration goes quiet', async () => {
+    manager = createManager({ stallTimeout: 20 });
+    await manager.acquire();
+    manager.watch({ sourceAppId: 'Radio.exe', isPlaying: true });
+
+    await wait(80);
+    await manager.queue;
+    assert.strictEqual(sources.length, 2);
+    assert.strictEqual(manager.source, sources[1]);
+  });
+
+  it('ignores late events of a replaced source', async () => {
+    await manager.acquire();
+    const old = sources[0];
+    await manager.enqueue(() => manager.reconnect());
+
+    old.step();
+    assert.deepStrictEqual(events, []);
+    sources[1].step();
+    assert.strictEqual(events.length, 1);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { splitGraphemes, measureText, fitText, wrapText, layoutText, isRtl, ELLIPSIS } = require('../src/text-layout');
+
+describe('text layout', () => {
+  describe('measureText()', () => {
+    it('uses per-character widths', () => {
+      assert.ok(measureText('WWWW', 20) > 3 * measureText('iiii', 20));
+      // Arial: W is 1933/2048 em
+      assert.strictEqual(Math.round(measureText('W', 2048)), 1933);
+    });
+
+    it('scales with the font size', () => {
+      assert.strictEqual(measureText('Hello', 20), 2 * measureText('Hello', 10));
+    });
+
+    it('gives full-width CJK characters a full em', () => {
+      assert.strictEqual(measureText('日本語', 20), 60);
+      assert.strictEqual(measureText('한국어', 10), 30);
+    });
+
+    it('measures emoji sequences and flags as one glyph', () => {
+      assert.strictEqual(measureText('👨‍👩‍👧', 20), measureText('😀', 20));
+      assert.strictEqual(measureText('🇯🇵', 20), measureText('😀', 20));
+    });
+
+    it('ignores combining marks', () => {
+      assert.strictEqual(measureText('é', 20), measureText('e', 20));
+    });
+
+    it('treats text-style symbols as text', () => {
+      assert.ok(measureText('©', 20) < measureText('😀', 20));
+    });
+
+    it('measures bold text with the bold widths', () => {
+      // Arial Bold: A is 1479/2048 em, 1366 in regular
+      assert.strictEqual(Math.round(measureText('A', 2048, 'bold')), 1479);
+      assert.strictEqual(measureText('Midnight City', 20, 700), measureText('Midnight City', 20, 'bold'));
+      assert.ok(measureText('Midnight City', 20, 'bold') > measureText('Midnight City', 20));
+      assert.strictEqual(measureText('Midnight City', 20, 400), measureText('Midnight City', 20));
+    });
+  });
+
+  describe('splitGraphemes()', () => {
+    it('keeps clusters together', () => {
+      assert.deepStrictEqual(splitGraphemes('é👍🏽a'), ['é', '👍🏽', 'a']);
+    });
+  });
+
+  describe('fitText()', () => {
+    it('leaves text that fits alone', () => {
+      assert.strictEqual(fitText('Short', 100, 16), 'Short');
+    });
+
+    it('cuts with an ellipsis inside the width', () => {
+      const fitted = fitText('A very long title that does not fit', 100, 20);
+      assert.ok(fitted.endsWith(ELLIPSIS));
+      assert.ok(measureText(fitted, 20) <= 100);
+    });
+
+    it('cuts bold text by its bold width', () => {
+      const title = 'A very long title that does not fit';
+      const fitted = fitText(title, 200, 20, 'bold');
+      assert.ok(measureText(fitted, 20, 'bold') <= 200);
+      assert.ok(fitted.length < fitText(title, 200, 20).length);
+    });
+
+    it('never splits a grapheme', () => {
+      const fitted = fitText('👨‍👩‍👧👨‍👩‍👧👨‍👩‍👧👨‍👩‍👧', 60, 20);
+      assert.strictEqual(fitted, `👨‍👩‍👧${ELLIPSIS}`);
+    });
+  });
+
+  describe('wrapText()', () => {
+    it('breaks at spaces', () => {
+      assert.deepStrictEqual(wrapText('one two three four', 80, 16), ['one two', 'three four']);
+    });
+
+    it('breaks CJK text between characters', () => {
+      const lines = wrapText('君の名はオリジナルサウンドトラック', 100, 20);
+      assert.deepStrictEqual(lines, ['君の名はオ', 'リジナルサ', 'ウンドトラ', 'ック']);
+    });
+
+    it('breaks words longer than a line', () => {
+      const lines = wrapText('Supercalifragilisticexpialidocious', 100, 16);
+      assert.ok(lines.length > 1);
+      assert.strictEqual(lines.join(''), 'Supercalifragilisticexpialidocious');
+      for (const line of lines) assert.ok(measureText(line, 16) <= 100);
+    });
+
+    it('cuts the last allowed line with an ellipsis', () => {
+      const lines = wrapText('one two three four five six seven', 80, 16, 2);
+      assert.strictEqual(lines.length, 2);
+      assert.strictEqual(lines[0], 'one two');
+      assert.ok(lines[1].endsWith(ELLIPSIS));
+    });
+  });
+
+  describe('layoutText()', () => {
+    it('keeps the preferred size when text fits', () => {
+      assert.deepStrictEqual(layoutText('Fits', { maxWidth: 100, fontSize: 20, minFontSize: 14 }), {
+        lines: ['Fits'], fontSize: 20, truncated: false
+      });
+    });
+
+    it('steps the size down to fit', () => {
+      const text = 'Slightly too wide';
+      const layout = layoutText(text, { maxWidth: measureText(text, 18), fontSize: 20, minFontSize: 14 });
+      assert.strictEqual(layout.fontSize, 18);
+      assert.strictEqual(layout.truncated, false);
+    });
+
+    it('wraps at the smallest size', () => {
+      const layout = layoutText('one two three four', { maxWidth: 80, fontSize: 20, minFontSize: 16, maxLines: 2 });
+      assert.deepStrictEqual(layout, { lines: ['one two', 'three four'], fontSize: 16, truncated: false });
+    });
+
+    it('reports truncation', () => {
+      const layout = layoutText('one two three four five', { maxWidth: 80, fontSize: 16 });
+      assert.strictEqual(layout.truncated, true);
+      assert.ok(layout.lines[0].endsWith(ELLIPSIS));
+    });
+  });
+
+  describe('isRtl()', () => {
+    it('detects Hebrew and Arabic', () => {
+      assert.strictEqual(isRtl('שלום'), true);
+      assert.strictEqual(isRtl('123 مرحبا'), true);
+    });
+
+    it('treats Latin and CJK as left to right', () => {
+      assert.strictEqual(isRtl('Hello שלום'), false);
+      assert.strictEqual(isRtl('日本語'), false);
+      assert.strictEqual(isRtl(''), false);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { THEMES, DEFAULT_THEME, resolveTheme, themeFromSettings, getBarRadius, hexToRgb } = require('../src/themes');
+
+describe('themes', () => {
+  describe('resolveTheme()', () => {
+    it('returns a copy of the preset', () => {
+      const theme = resolveTheme('neon');
+      assert.deepStrictEqual(theme, THEMES.neon);
+      theme.colors.title = '#000000';
+      assert.strictEqual(THEMES.neon.colors.title, '#FFFFFF');
+    });
+
+    it('falls back to the default preset for unknown names', () => {
+      assert.deepStrictEqual(resolveTheme('nope'), THEMES[DEFAULT_THEME]);
+      assert.deepStrictEqual(resolveTheme(undefined), THEMES[DEFAULT_THEME]);
+    });
+
+    it('applies valid overrides', () => {
+      const theme = resolveTheme('spotify', {
+        colors: { barFill: '#F0A' },
+        sizes: { title: '24' },
+        bar: { style: 'pill', height: 8 },
+        artwork: { shape: 'circle' },
+        cornerRadius: 0
+      });
+      assert.strictEqual(theme.colors.barFill, '#F0A');
+      assert.strictEqual(theme.sizes.title, 24);
+      assert.deepStrictEqual(theme.bar, { style: 'pill', height: 8 });
+      assert.strictEqual(theme.artwork.shape, 'circle');
+      assert.strictEqual(theme.cornerRadius, 0);
+    });
+
+    it('ignores invalid overrides', () => {
+      const theme = resolveTheme('spotify', {
+        colors: { background: 'red', title: '#12345', unknown: '#FFFFFF' },
+        sizes: { title: 200, artist: 'big' },
+        bar: { style: 'zigzag', height: 0 },
+        artwork: { shape: 'star' },
+        cornerRadius: -1
+      });
+      assert.deepStrictEqual(theme, THEMES.spotify);
+    });
+  });
+
+  describe('themeFromSettings()', () => {
+    it('uses the selected preset', () => {
+      assert.strictEqual(themeFromSettings({ theme: 'daylight' }).name, 'Daylight');
+      assert.strictEqual(themeFromSettings({}).name, THEMES[DEFAULT_THEME].name);
+    });
+
+    it('builds a custom theme on top of its base preset', () => {
+      const theme = themeFromSettings({
+        theme: 'custom',
+        customBase: 'midnight',
+        customAccent: '#FF0000',
+        customArtist: '#00FF00',
+        customTitleSize: '22',
+        customArtworkShape: 'square'
+      });
+      assert.strictEqual(theme.name, 'Custom');
+      assert.strictEqual(theme.colors.barFill, '#FF0000');
+      assert.strictEqual(theme.colors.artist, '#00FF00');
+      assert.strictEqual(theme.colors.time, '#00FF00');
+      assert.strictEqual(theme.colors.background, THEMES.midnight.colors.background);
+      assert.strictEqual(theme.sizes.title, 22);
+      assert.strictEqual(theme.artwork.shape, 'square');
+    });
+  });
+
+  describe('getBarRadius()', () => {
+    it('follows the bar style', () => {
+      assert.strictEqual(getBarRadius(resolveTheme('spotify')), 1);
+      assert.strictEqual(getBarRadius(resolveTheme('neon')), 3);
+      assert.strictEqual(getBarRadius(resolveTheme('minimal')), 0);
+    });
+  });
+
+  describe('hexToRgb()', () => {
+    it('parses short and long colors', () => {
+      assert.deepStrictEqual(hexToRgb('#1DB954'), { r: 29, g: 185, b: 84 });
+      assert.deepStrictEqual(hexToRgb('#F0A'), { r: 255, g: 0, b: 170 });
+    });
+  });
+});
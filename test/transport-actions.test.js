@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MockMediaSource } = require('../src/sources');
+const { TRANSPORT_ACTIONS, getTransportState, runTransport } = require('../src/transport-actions');
+const manifest = require('../manifest.json');
+
+function createSource(fields = {}) {
+  const source = new MockMediaSource(() => {}, [
+    { type: 'track', trackName: 'One', duration: 200, ...fields },
+    { type: 'track', trackName: 'Two', duration: 200 }
+  ], { autoplay: false });
+  source.step();
+  return source;
+}
+
+describe('TRANSPORT_ACTIONS', () => {
+  it('has a manifest entry for every action', () => {
+    const uuids = manifest.Actions.map(action => action.UUID);
+    for (const uuid of Object.keys(TRANSPORT_ACTIONS)) {
+      assert.ok(uuids.includes(uuid), `${uuid} is missing from manifest.json`);
+    }
+  });
+});
+
+describe('getTransportState()', () => {
+  it('shows the pause state while playing', () => {
+    assert.deepStrictEqual(getTransportState('playPause', { isPlaying: true }), { state: 1, title: '' });
+    assert.deepStrictEqual(getTransportState('playPause', null), { state: 0, title: '' });
+  });
+
+  it('shows shuffle only when the source reports it on', () => {
+    assert.strictEqual(getTransportState('shuffle', { shuffleState: true }).state, 1);
+    assert.strictEqual(getTransportState('shuffle', {}).state, 0);
+  });
+
+  it('names the repeat mode', () => {
+    assert.deepStrictEqual(getTransportState('repeat', { repeatState: 'all' }), { state: 1, title: 'All' });
+    assert.deepStrictEqual(getTransportState('repeat', { repeatState: 'track' }), { state: 1, title: 'One' });
+    assert.deepStrictEqual(getTransportState('repeat', { repeatState: 'unknown' }), { state: 0, title: '' });
+  });
+
+  it('names the selected player on the switch player key', () => {
+    assert.deepStrictEqual(getTransportState('session', { player: 'Spotify', sessionIndex: 1, sessionCount: 3 }), { state: 0, title: 'Spotify\n2/3' });
+    assert.deepStrictEqual(getTransportState('session', { player: 'Spotify', sessionIndex: 0, sessionCount: 1 }), { state: 0, title: 'Spotify' });
+    assert.deepStrictEqual(getTransportState('session', null), { state: 0, title: 'No Player' });
+  });
+
+  it('has no state for next and previous', () => {
+    assert.strictEqual(getTransportState('next', { isPlaying: true }), null);
+    assert.strictEqual(getTransportState('previous', { isPlaying: true }), null);
+  });
+});
+
+describe('runTransport()', () => {
+  it('skips and toggles playback', async () => {
+    const source = createSource();
+    await runTransport(source, 'playPause', source.state);
+    await runTransport(source, 'next', source.state);
+    await runTransport(source, 'previous', source.state);
+    assert.deepStrictEqual(source.commands.map(c => c.command), ['playPause', 'next', 'previous']);
+  });
+
+  it('toggles shuffle from the reported state', async () => {
+    const source = createSource({ shuffleState: true });
+    await runTransport(source, 'shuffle', source.state);
+    await runTransport(source, 'shuffle', source.state);
+    assert.deepStrictEqual(source.commands.map(c => c.args[0]), [false, true]);
+  });
+
+  it('steps repeat through off, all and track', async () => {
+    const source = createSource();
+    for (let i = 0; i < 3; i++) {
+      await runTransport(source, 'repeat', source.state);
+    }
+    assert.deepStrictEqual(source.commands.map(c => c.args[0]), ['all', 'track', 'off']);
+  });
+
+  it('rejects unknown actions', async () => {
+    await assert.rejects(runTransport(createSource(), 'eject', null), /Unknown transport action: eject/);
+  });
+});